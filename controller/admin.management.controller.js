@@ -2,6 +2,9 @@ const User = require('../models/User');
 const Mechanic = require('../models/Mechanic');
 const Booking = require('../models/Booking');
 const Service = require('../models/Service');
+const promoService = require('../services/promo.service');
+const bookingStateMachine = require('../services/bookingStateMachine.service');
+const locationHistoryService = require('../services/locationHistory.service');
 const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/error.middleware');
 
@@ -446,6 +449,28 @@ const getBookingById = asyncHandler(async (req, res) => {
   ApiResponse.success(res, { booking });
 });
 
+/**
+ * Mechanic's recorded route for a booking
+ * GET /api/admin/bookings/:id/trail?maxPoints=500
+ */
+const getBookingTrail = asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id).select('bookingId status mechanicId location arrival trail');
+
+  if (!booking) {
+    return ApiResponse.notFound(res, 'Booking not found');
+  }
+
+  const trail = await locationHistoryService.getTrail(booking, { maxPoints: req.query.maxPoints });
+
+  ApiResponse.success(res, {
+    bookingId: booking._id,
+    bookingCode: booking.bookingId,
+    status: booking.status,
+    mechanicId: booking.mechanicId,
+    ...trail,
+  });
+});
+
 /**
  * Update booking status (admin override)
  * PATCH /api/admin/bookings/:id/status
@@ -453,40 +478,26 @@ const getBookingById = asyncHandler(async (req, res) => {
 const updateBookingStatus = asyncHandler(async (req, res) => {
   const { status, reason } = req.body;
 
-  const validStatuses = [
-    'PENDING', 'SEARCHING', 'ASSIGNED', 'ACCEPTED',
-    'EN_ROUTE', 'ARRIVED', 'IN_PROGRESS', 'COMPLETED',
-    'CANCELLED', 'EXPIRED'
-  ];
-
-  if (!validStatuses.includes(status)) {
-    return ApiResponse.badRequest(res, 'Invalid status');
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return ApiResponse.notFound(res, 'Booking not found');
   }
 
-  const updateData = {
-    status,
-    'adminOverride.updatedBy': req.admin.id,
-    'adminOverride.updatedAt': new Date(),
-    'adminOverride.reason': reason || 'Admin status update',
-  };
-
-  if (status === 'COMPLETED') {
-    updateData.completedAt = new Date();
-  }
-  if (status === 'CANCELLED') {
-    updateData.cancelledAt = new Date();
-    updateData.cancelledBy = 'ADMIN';
-    updateData.cancellationReason = reason || 'Cancelled by admin';
-  }
+  // History records the admin and reason (actor ADMIN)
+  await bookingStateMachine.transition(booking, status, {
+    actor: { type: 'ADMIN', id: req.admin.id },
+    note: reason || 'Admin status update',
+    reason: reason || 'Cancelled by admin',
+  });
 
-  const booking = await Booking.findByIdAndUpdate(
-    req.params.id,
-    updateData,
-    { new: true }
-  ).populate('userId', 'name phone').populate('mechanicId', 'fullName phone');
+  await booking.populate([
+    { path: 'userId', select: 'name phone' },
+    { path: 'mechanicId', select: 'fullName phone' },
+  ]);
 
-  if (!booking) {
-    return ApiResponse.notFound(res, 'Booking not found');
+  // Cancelled/expired before work started — give the promo code back
+  if (['CANCELLED', 'EXPIRED'].includes(status) && !booking.startedAt) {
+    await promoService.release(booking);
   }
 
   ApiResponse.success(res, { booking }, `Booking status updated to ${status}`);
@@ -570,6 +581,7 @@ module.exports = {
   // Bookings
   getAllBookings,
   getBookingById,
+  getBookingTrail,
   updateBookingStatus,
   // Dashboard
   getDashboardStats,
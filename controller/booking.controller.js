@@ -1,20 +1,30 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
+const UserAddress = require('../models/UserAddress');
+const UserVehicle = require('../models/UserVehicle');
 const Mechanic = require('../models/Mechanic');
 const Service = require('../models/Service');
-const RegionPricing = require('../models/RegionPricing');
 const redisService = require('../services/redis.service');
 const socketService = require('../services/socket.service');
 const bookingQueueService = require('../services/bookingQueue.service');
 const razorpayService = require('../services/razorpay.service');
-const firebaseService = require('../services/firebase.service');
+const pricingService = require('../services/pricing.service');
+const promoService = require('../services/promo.service');
+const refundService = require('../services/refund.service');
+const cancellationService = require('../services/cancellation.service');
+const bookingCompletionService = require('../services/bookingCompletion.service');
+const bookingPaymentService = require('../services/bookingPayment.service');
+const scheduledBookingService = require('../services/scheduledBooking.service');
+const dispatchStrategyService = require('../services/dispatchStrategy.service');
+const mechanicSearchService = require('../services/mechanicSearch.service');
+const etaService = require('../services/eta.service');
+const queueService = require('../services/queue.service');
 const notificationService = require('../services/notification.service');
-const bookingEventEmitter = require('../services/bookingEventEmitter.service');
-const walletController = require('./wallet.controller');
+const bookingStateMachine = require('../services/bookingStateMachine.service');
+const bookingOtpService = require('../services/bookingOtp.service');
+const locationHistoryService = require('../services/locationHistory.service');
 const notificationController = require('./notification.controller');
-const earningsController = require('./earnings.controller');
-const referralController = require('./referral.controller');
-const rewardsController = require('./rewards.controller');
 const ApiResponse = require('../utils/apiResponse');
 const RedisLock = require('../utils/redisLock');
 const { asyncHandler } = require('../middleware/error.middleware');
@@ -25,8 +35,9 @@ const { asyncHandler } = require('../middleware/error.middleware');
  * 
  * PRODUCTION-GRADE:
  * - Redis lock prevents double-click duplicate bookings
- * - Active booking check prevents user from having 2 concurrent bookings
+ * - Time-window check prevents user from having 2 bookings for the same slot
  * - Idempotency key prevents retry-caused duplicates
+ * - scheduledAt far enough out → SCHEDULED, dispatched by a delayed job
  * - GeoJSON $nearSphere for optimal mechanic finding
  * - 5km → 10km tiered radius search
  */
@@ -42,25 +53,11 @@ const createBooking = asyncHandler(async (req, res) => {
   }
 
   try {
-    // ═══════════════════════════════════════════════════════════
-    // 🔒 GUARD 2: Check for active bookings (one at a time)
-    // ═══════════════════════════════════════════════════════════
-    const activeBooking = await Booking.findOne({
-      userId,
-      status: { $in: ['PENDING', 'SEARCHING', 'ASSIGNED', 'ACCEPTED', 'EN_ROUTE', 'ARRIVED', 'IN_PROGRESS'] },
-    });
-
-    if (activeBooking) {
-      return ApiResponse.badRequest(
-        res, 
-        `You already have an active booking (${activeBooking.bookingId}). Complete or cancel it first.`
-      );
-    }
-
     const { 
       serviceId, 
-      location, 
-      vehicleDetails, 
+      regionId,
+      addressId,
+      vehicleId,
       scheduledAt, 
       notes,
       paymentMethod,
@@ -68,6 +65,32 @@ const createBooking = asyncHandler(async (req, res) => {
       idempotencyKey, // Client can send a unique key to prevent duplicates on retry
     } = req.body;
 
+    // ═══════════════════════════════════════════════════════════
+    // 🗓️ SCHEDULING: far-enough-out slots are dispatched later
+    // ═══════════════════════════════════════════════════════════
+    const slotError = scheduledAt ? scheduledBookingService.validateSlot(scheduledAt) : null;
+    if (slotError) {
+      return ApiResponse.badRequest(res, slotError);
+    }
+    const isScheduled = scheduledBookingService.shouldDefer(scheduledAt);
+
+    // ═══════════════════════════════════════════════════════════
+    // 🔒 GUARD 2: One booking per time window
+    // ═══════════════════════════════════════════════════════════
+    const conflictingBooking = await scheduledBookingService.findConflictingBooking(
+      userId,
+      isScheduled ? new Date(scheduledAt) : new Date()
+    );
+
+    if (conflictingBooking) {
+      return ApiResponse.badRequest(
+        res, 
+        conflictingBooking.status === 'SCHEDULED'
+          ? `You already have a booking (${conflictingBooking.bookingId}) scheduled around this time. Reschedule or cancel it first.`
+          : `You already have an active booking (${conflictingBooking.bookingId}). Complete or cancel it first.`
+      );
+    }
+
     // ═══════════════════════════════════════════════════════════
     // 🔒 GUARD 3: Idempotency check (prevents retry duplicates)
     // ═══════════════════════════════════════════════════════════
@@ -84,79 +107,164 @@ const createBooking = asyncHandler(async (req, res) => {
       }
     }
 
+    // Saved address: the booking keeps its own copy, so later edits don't move it
+    let { location } = req.body;
+    let savedAddress = null;
+    if (addressId) {
+      savedAddress = await UserAddress.findOne({ _id: addressId, userId });
+      if (!savedAddress) {
+        return ApiResponse.notFound(res, 'Saved address not found');
+      }
+
+      const [longitude, latitude] = savedAddress.location.coordinates;
+      location = {
+        latitude,
+        longitude,
+        address: savedAddress.address,
+        landmark: savedAddress.landmark,
+      };
+    }
+
+    // Garage vehicle, copied like the address; typed-in details are normalised
+    // the same way so they still match the vehicle's service history
+    let vehicleDetails = req.body.vehicleDetails && {
+      ...req.body.vehicleDetails,
+      registrationNumber: UserVehicle.normalizeRegistration(req.body.vehicleDetails.registrationNumber),
+    };
+    let savedVehicle = null;
+    if (vehicleId) {
+      savedVehicle = await UserVehicle.findOne({ _id: vehicleId, userId });
+      if (!savedVehicle) {
+        return ApiResponse.notFound(res, 'Vehicle not found');
+      }
+
+      vehicleDetails = {
+        type: savedVehicle.type,
+        make: savedVehicle.make,
+        model: savedVehicle.model,
+        registrationNumber: savedVehicle.registrationNumber,
+        fuelType: savedVehicle.fuelType,
+        year: savedVehicle.year,
+        vehicleId: savedVehicle._id,
+      };
+    }
+
     // Get service details
     const service = await Service.findById(serviceId).populate('categoryId');
     if (!service) {
       return ApiResponse.notFound(res, 'Service not found');
     }
 
-    // Get pricing (use default or region-based)
-    let pricing = await RegionPricing.findOne({ serviceId });
-    if (!pricing) {
-      pricing = {
-        basePrice: service.basePrice,
-        gstPercent: 18,
-        platformFeePercent: 25,
-        travelCharge: 88,
-      };
+    // Resolve region + pricing (RegionPricing for the booking's region, else Service.basePrice)
+    const { region, source: pricingSource, inputs, travel } = await pricingService.resolvePricing({
+      service,
+      regionId,
+      latitude: location.latitude,
+      longitude: location.longitude,
+    });
+
+    if (regionId && !region) {
+      return ApiResponse.badRequest(res, 'Region not found or inactive');
     }
 
-    // Calculate total
-    const basePrice = pricing.basePrice;
-    const gstAmount = (basePrice * pricing.gstPercent) / 100;
-    const platformFeeAmount = (basePrice * pricing.platformFeePercent) / 100;
-    const travelCharge = pricing.travelCharge;
-    let discount = 0;
+    // ═══════════════════════════════════════════════════════════
+    // 🎟️ PROMO: validate against the pre-discount subtotal, then
+    // record usage atomically before the booking is written
+    // ═══════════════════════════════════════════════════════════
+    let pricing = pricingService.calculateBreakdown(inputs);
+    let promo;
+    const bookingObjectId = new mongoose.Types.ObjectId();
+
+    if (promoCode) {
+      const evaluation = await promoService.evaluate(promoCode, userId, pricing.subtotal, {
+        serviceId: service._id,
+        categoryId: service.categoryId?._id,
+      });
+      if (!evaluation.valid) {
+        return ApiResponse.badRequest(res, evaluation.message);
+      }
 
-    const totalAmount = basePrice + gstAmount + travelCharge - discount;
-    const mechanicEarning = basePrice - platformFeeAmount;
-    const companyEarning = platformFeeAmount + gstAmount;
+      const redeemed = await promoService.redeem(evaluation, userId, bookingObjectId);
+      if (!redeemed) {
+        return ApiResponse.badRequest(res, 'Promo code is no longer available');
+      }
+
+      pricing = pricingService.calculateBreakdown(inputs, evaluation.discount);
+      promo = {
+        code: evaluation.code,
+        type: evaluation.type,
+        couponId: evaluation.couponId,
+        rewardId: evaluation.rewardId,
+        discount: pricing.discount,
+        appliedAt: new Date(),
+      };
+    }
 
     // Generate 4-digit verification OTP
-    const verificationOtp = Math.floor(1000 + Math.random() * 9000).toString();
+    const verificationOtp = bookingOtpService.generate();
 
     // Create booking
-    const booking = await Booking.create({
-      userId,
-      serviceId,
-      idempotencyKey: idempotencyKey || undefined,
-      serviceSnapshot: {
-        name: service.name,
-        categoryName: service.categoryId?.name,
-        icon: service.icon,
-      },
-      location: {
-        type: 'Point',
-        coordinates: [location.longitude, location.latitude],
-        address: location.address,
-        landmark: location.landmark,
-      },
-      vehicleDetails,
-      status: 'SEARCHING',
-      searchStartedAt: new Date(),
-      statusHistory: [{
-        status: 'SEARCHING',
-        timestamp: new Date(),
-        note: 'Booking created, searching for nearby mechanics',
-      }],
-      pricing: {
-        basePrice,
-        gstPercent: pricing.gstPercent,
-        gstAmount,
-        platformFeePercent: pricing.platformFeePercent,
-        platformFeeAmount,
-        travelCharge,
-        discount,
-        promoCode,
-        totalAmount,
-        mechanicEarning,
-        companyEarning,
-      },
-      paymentMethod: paymentMethod || 'CASH',
-      scheduledAt,
-      notes,
-      verificationOtp,
-    });
+    let booking;
+    try {
+      booking = await Booking.create({
+        _id: bookingObjectId,
+        userId,
+        serviceId,
+        regionId: region?._id,
+        idempotencyKey: idempotencyKey || undefined,
+        serviceSnapshot: {
+          name: service.name,
+          categoryName: service.categoryId?.name,
+          icon: service.icon,
+        },
+        location: {
+          type: 'Point',
+          coordinates: [location.longitude, location.latitude],
+          address: location.address,
+          landmark: location.landmark,
+          ...(savedAddress && {
+            addressId: savedAddress._id,
+            label: savedAddress.displayLabel,
+          }),
+        },
+        vehicleDetails,
+        status: isScheduled ? 'SCHEDULED' : 'SEARCHING',
+        searchStartedAt: isScheduled ? undefined : new Date(),
+        statusHistory: [{
+          status: isScheduled ? 'SCHEDULED' : 'SEARCHING',
+          timestamp: new Date(),
+          note: isScheduled
+            ? `Booking scheduled for ${new Date(scheduledAt).toISOString()}`
+            : 'Booking created, searching for nearby mechanics',
+          actor: { type: 'USER', id: userId },
+        }],
+        pricing: {
+          ...pricing,
+          promoCode: promo?.code,
+          source: pricingSource,
+          // Distance travel: priced at the top of the range until a mechanic accepts
+          travel: pricingService.buildTravelSnapshot(travel, inputs, pricing.discount),
+        },
+        promo,
+        paymentMethod: paymentMethod || 'CASH',
+        scheduledAt,
+        notes,
+        verificationOtp,
+      });
+    } catch (error) {
+      // Give the code back if the booking never got written
+      if (promo) {
+        await promoService.releaseUsage(promo, bookingObjectId, userId);
+      }
+      throw error;
+    }
+
+    if (savedAddress) {
+      await UserAddress.updateOne({ _id: savedAddress._id }, { $set: { lastUsedAt: new Date() } });
+    }
+    if (savedVehicle) {
+      await UserVehicle.updateOne({ _id: savedVehicle._id }, { $set: { lastBookedAt: new Date() } });
+    }
 
     // Send booking confirmation notification
     try {
@@ -165,55 +273,25 @@ const createBooking = asyncHandler(async (req, res) => {
       console.error('Error sending booking confirmation notification:', error);
     }
 
-    // ═══════════════════════════════════════════════════════════
-    // 📍 FIND NEARBY MECHANICS (Production GeoJSON + Haversine fallback)
-    // First try 5km, then expand to 10km if no mechanics found
-    // ═══════════════════════════════════════════════════════════
-    console.log(`📍 User booking location: lat=${location.latitude}, lng=${location.longitude}`);
-    console.log(`🚗 Vehicle type requested: ${vehicleDetails?.type || 'CAR'}`);
-    
-    let nearbyMechanics = await findNearbyMechanics(
-      location.latitude, 
-      location.longitude, 
-      vehicleDetails?.type || 'CAR',
-      5 // 5 km radius first
-    );
-    
-    let searchRadius = 5;
-    
-    // If no mechanics in 5km, expand to 10km
-    if (nearbyMechanics.length === 0) {
-      console.log('🔄 No mechanics in 5km, expanding to 10km...');
-      nearbyMechanics = await findNearbyMechanics(
-        location.latitude, 
-        location.longitude, 
-        vehicleDetails?.type || 'CAR',
-        10 // 10 km radius
-      );
-      searchRadius = 10;
+    if (isScheduled) {
+      await scheduledBookingService.schedule(booking);
+
+      return ApiResponse.created(res, {
+        booking: {
+          id: booking._id,
+          bookingId: booking.bookingId,
+          service: booking.serviceSnapshot,
+          location: booking.location,
+          pricing: booking.pricing,
+          status: booking.status,
+          scheduledAt: booking.scheduledAt,
+          dispatchAt: booking.schedule?.dispatchAt,
+          verificationOtp: booking.verificationOtp,
+        },
+      }, 'Booking scheduled. We will start finding a mechanic before your slot.');
     }
 
-    console.log(`✅ Total nearby mechanics found: ${nearbyMechanics.length}`);
-    nearbyMechanics.forEach(m => {
-      console.log(`   - ${m.fullName} (${m._id}): ${m.distance?.toFixed(2)}km, fcmToken: ${m.fcmToken ? 'YES' : 'NO'}`);
-    });
-
-    // Store dispatch metadata on booking
-    booking.dispatchInfo = {
-      totalMechanicsNotified: nearbyMechanics.length,
-      searchRadiusKm: searchRadius,
-    };
-    await booking.save();
-
-    if (nearbyMechanics.length > 0) {
-      // Start round-robin queue - sends to one mechanic at a time
-      // with 15 second timeout before moving to next
-      await bookingQueueService.startQueue(booking, nearbyMechanics);
-    } else {
-      // No mechanics available
-      console.log('❌ No mechanics available after all searches');
-      await bookingQueueService.handleNoMechanicsAvailable(booking);
-    }
+    const nearbyMechanics = await dispatchToNearbyMechanics(booking);
 
     ApiResponse.created(res, {
       booking: {
@@ -251,6 +329,7 @@ const getUserBookings = asyncHandler(async (req, res) => {
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
+      .select('+verificationOtp')
       .populate('mechanicId', 'fullName phone ratingAverage profilePhoto'),
     Booking.countDocuments(filter),
   ]);
@@ -262,6 +341,21 @@ const getUserBookings = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get user's upcoming scheduled bookings
+ * GET /api/booking/upcoming
+ */
+const getUpcomingBookings = asyncHandler(async (req, res) => {
+  const bookings = await Booking.find({
+    userId: req.user.id,
+    status: 'SCHEDULED',
+  })
+    .sort({ scheduledAt: 1 })
+    .select('-verificationOtp');
+
+  ApiResponse.success(res, { bookings });
+});
+
 /**
  * Get booking details
  * GET /api/booking/:id
@@ -274,6 +368,8 @@ const getBookingDetails = asyncHandler(async (req, res) => {
       { mechanicId: req.mechanic?.id },
     ],
   })
+    // Only the customer gets the start OTP — the mechanic must be told it
+    .select(req.user?.role === 'USER' ? '+verificationOtp' : '-verificationOtp')
     .populate('userId', 'name phone profileImageUrl')
     .populate('mechanicId', 'fullName phone ratingAverage profilePhoto');
 
@@ -284,6 +380,70 @@ const getBookingDetails = asyncHandler(async (req, res) => {
   ApiResponse.success(res, { booking });
 });
 
+/**
+ * Mechanic's recorded route for a booking (user or assigned mechanic)
+ * GET /api/booking/:id/trail?maxPoints=500
+ */
+const getBookingTrail = asyncHandler(async (req, res) => {
+  const booking = await Booking.findOne({
+    _id: req.params.id,
+    ...(req.user.role === 'MECHANIC' ? { mechanicId: req.user.id } : { userId: req.user.id }),
+  }).select('bookingId status location arrival trail');
+
+  if (!booking) {
+    return ApiResponse.notFound(res, 'Booking not found');
+  }
+
+  const trail = await locationHistoryService.getTrail(booking, { maxPoints: req.query.maxPoints });
+
+  ApiResponse.success(res, {
+    bookingId: booking._id,
+    bookingCode: booking.bookingId,
+    status: booking.status,
+    ...trail,
+  });
+});
+
+/**
+ * Generate a new start OTP (user) — e.g. after a wrong-attempt lockout
+ * POST /api/booking/:id/otp/regenerate
+ */
+const regenerateOtp = asyncHandler(async (req, res) => {
+  const booking = await bookingOtpService.regenerate(req.params.id, req.user.id);
+
+  if (!booking) {
+    return ApiResponse.badRequest(res, 'OTP can no longer be changed for this booking');
+  }
+
+  ApiResponse.success(res, {
+    bookingId: booking._id,
+    verificationOtp: booking.verificationOtp,
+  }, 'New OTP generated');
+});
+
+/**
+ * Preview the fee for cancelling now (user)
+ * GET /api/booking/:id/cancellation-fee
+ */
+const getCancellationFee = asyncHandler(async (req, res) => {
+  const booking = await Booking.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!booking) {
+    return ApiResponse.notFound(res, 'Booking not found');
+  }
+
+  if (!bookingStateMachine.canTransition(booking.status, 'CANCELLED', 'USER')) {
+    return ApiResponse.badRequest(res, 'Booking can no longer be cancelled');
+  }
+
+  const cancellationFee = await cancellationService.calculateFee(booking, { cancelledBy: 'USER' });
+
+  ApiResponse.success(res, { cancellationFee });
+});
+
 /**
  * Cancel booking (user)
  * POST /api/booking/:id/cancel
@@ -302,27 +462,29 @@ const cancelBooking = asyncHandler(async (req, res) => {
 
   // User can cancel BEFORE work starts (IN_PROGRESS)
   // Once OTP is verified and work begins, cannot cancel
-  const cancellableStatuses = ['PENDING', 'SEARCHING', 'ASSIGNED', 'ACCEPTED', 'EN_ROUTE', 'ARRIVED'];
-  if (!cancellableStatuses.includes(booking.status)) {
+  if (!bookingStateMachine.canTransition(booking.status, 'CANCELLED', 'USER')) {
     return ApiResponse.badRequest(res, 'Cannot cancel after service has started. Please contact support.');
   }
 
-  await booking.updateStatus('CANCELLED', {
+  // Fee depends on how far the booking got — compute before the status changes
+  const previousStatus = booking.status;
+  const fee = await cancellationService.calculateFee(booking, { cancelledBy: 'USER' });
+
+  await bookingStateMachine.transition(booking, 'CANCELLED', {
+    actor: { type: 'USER', id: req.user.id },
     reason,
-    cancelledBy: 'USER',
   });
 
-  // Emit booking cancelled event
-  bookingEventEmitter.emitBookingStatusChange(booking, booking.status, booking.mechanicId);
+  // Work never started — give the promo code back
+  await promoService.release(booking);
 
-  // Process refund if payment was made
-  if (booking.paymentStatus === 'PAID' && booking.paymentDetails?.walletAmount > 0) {
-    await walletController.creditRefund(
-      req.user.id,
-      booking.paymentDetails.walletAmount,
-      booking._id.toString(),
-      'Booking cancellation refund'
-    );
+  // Collect the fee (from the refund or the wallet) and refund the rest
+  let cancellationFee = fee;
+  let refund = null;
+  try {
+    ({ fee: cancellationFee, refund } = await cancellationService.settle(booking, fee));
+  } catch (error) {
+    console.error(`❌ Cancellation settlement failed for booking ${booking.bookingId}:`, error.message);
   }
 
   // Notify mechanic if assigned
@@ -330,7 +492,8 @@ const cancelBooking = asyncHandler(async (req, res) => {
     // Release mechanic (make them available for new bookings)
     await bookingQueueService.releaseMechanic(booking.mechanicId.toString());
 
-    await notificationController.sendJobNotification(
+    await notificationController.queueJobNotification(
+      `booking-cancelled:${booking._id}:mechanic`,
       booking.mechanicId,
       'Booking Cancelled',
       'Customer has cancelled the booking',
@@ -340,11 +503,90 @@ const cancelBooking = asyncHandler(async (req, res) => {
   }
 
   // If booking was still searching, cleanup the queue
-  if (['PENDING', 'SEARCHING'].includes(booking.status)) {
+  if (['PENDING', 'SEARCHING'].includes(previousStatus)) {
     await bookingQueueService.cleanupQueue(booking._id.toString());
   }
 
-  ApiResponse.success(res, { booking }, 'Booking cancelled successfully');
+  // Scheduled booking — drop its pending dispatch and reminders
+  if (previousStatus === 'SCHEDULED') {
+    await scheduledBookingService.unschedule(booking);
+  }
+
+  ApiResponse.success(res, { booking, cancellationFee, refund }, cancellationFee.amount > 0
+    ? `Booking cancelled. Cancellation fee: ₹${cancellationFee.amount}`
+    : 'Booking cancelled successfully');
+});
+
+/**
+ * Move a scheduled booking to a different slot (user)
+ * PATCH /api/booking/:id/reschedule
+ */
+const rescheduleBooking = asyncHandler(async (req, res) => {
+  const { scheduledAt } = req.body;
+
+  const booking = await Booking.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!booking) {
+    return ApiResponse.notFound(res, 'Booking not found');
+  }
+
+  if (booking.status !== 'SCHEDULED') {
+    return ApiResponse.badRequest(res, 'Only upcoming scheduled bookings can be rescheduled');
+  }
+
+  const slotError = scheduledBookingService.validateSlot(scheduledAt);
+  if (slotError) {
+    return ApiResponse.badRequest(res, slotError);
+  }
+
+  // Too close to dispatch later — the user should book now instead
+  if (!scheduledBookingService.shouldDefer(scheduledAt)) {
+    return ApiResponse.badRequest(
+      res,
+      `New slot must be at least ${scheduledBookingService.DISPATCH_LEAD_MINUTES} minutes away`
+    );
+  }
+
+  const conflictingBooking = await scheduledBookingService.findConflictingBooking(
+    req.user.id,
+    new Date(scheduledAt),
+    booking._id
+  );
+  if (conflictingBooking) {
+    return ApiResponse.badRequest(
+      res,
+      `You already have a booking (${conflictingBooking.bookingId}) around this time.`
+    );
+  }
+
+  const previousSlot = booking.scheduledAt;
+  await scheduledBookingService.unschedule(booking);
+
+  booking.scheduledAt = new Date(scheduledAt);
+  booking.schedule.rescheduleCount = (booking.schedule.rescheduleCount || 0) + 1;
+  booking.schedule.remindersSent = [];
+  booking.statusHistory.push({
+    status: 'SCHEDULED',
+    timestamp: new Date(),
+    note: `Rescheduled from ${previousSlot.toISOString()} to ${booking.scheduledAt.toISOString()}`,
+    actor: { type: 'USER', id: req.user.id },
+  });
+
+  await scheduledBookingService.schedule(booking);
+
+  ApiResponse.success(res, {
+    booking: {
+      id: booking._id,
+      bookingId: booking.bookingId,
+      status: booking.status,
+      scheduledAt: booking.scheduledAt,
+      dispatchAt: booking.schedule.dispatchAt,
+      rescheduleCount: booking.schedule.rescheduleCount,
+    },
+  }, 'Booking rescheduled');
 });
 
 /**
@@ -385,7 +627,12 @@ const rateBooking = asyncHandler(async (req, res) => {
   }
 
   // Add reward points for review
-  await rewardsController.addReviewPoints(req.user.id, booking._id.toString());
+  await queueService.queuePaymentProcess('reward-points', {
+    userId: req.user.id,
+    source: 'REVIEW',
+    referenceId: booking._id.toString(),
+    description: 'Review submitted',
+  }, { jobId: `points:REVIEW:${booking._id}` });
 
   ApiResponse.success(res, { booking }, 'Thank you for your feedback!');
 });
@@ -493,60 +740,63 @@ const getMechanicBookingHistory = asyncHandler(async (req, res) => {
  * Uses atomic update to prevent race condition when multiple mechanics try to accept
  */
 const acceptJob = asyncHandler(async (req, res) => {
+  const mechanic = await Mechanic.findById(req.mechanic.id);
+
   // Atomic update - only one mechanic can accept at a time
-  const booking = await Booking.findOneAndUpdate(
+  const booking = await bookingStateMachine.transitionWhere(
     {
       _id: req.params.id,
       mechanicId: req.mechanic.id,
       status: 'ASSIGNED', // Only accept if still in ASSIGNED status
     },
+    'ACCEPTED',
     {
-      $set: {
-        status: 'ACCEPTED',
-        acceptedAt: new Date(),
-      }
-    },
-    { new: true }
+      actor: { type: 'MECHANIC', id: req.mechanic.id },
+      note: 'Job accepted by mechanic',
+      mechanic,
+    }
   );
 
   if (!booking) {
     return ApiResponse.notFound(res, 'Job not found or already processed by another mechanic');
   }
 
-  // Add status history
-  booking.statusHistory.push({
-    status: 'ACCEPTED',
-    timestamp: new Date(),
-    notes: 'Job accepted by mechanic',
-  });
-  await booking.save();
-
-  // Emit booking accepted event
-  const mechanic = await Mechanic.findById(req.mechanic.id);
-  bookingEventEmitter.emitBookingStatusChange(booking, 'ASSIGNED', mechanic);
+  // Distance travel: lock the charge on this mechanic's distance (no-op for flat travel)
+  let priced = null;
+  try {
+    priced = await pricingService.lockTravelCharge(booking, { mechanicId: req.mechanic.id });
+  } catch (error) {
+    console.error('Error locking travel charge:', error);
+  }
 
   // Notify user
-  await notificationController.sendBookingNotification(
+  await notificationController.queueBookingNotification(
+    `mechanic-assigned:${booking._id}`,
     booking.userId,
     'Mechanic Assigned',
     'A mechanic has accepted your booking and will arrive soon',
     booking._id
   );
 
-  ApiResponse.success(res, { booking }, 'Job accepted');
+  ApiResponse.success(res, { booking: priced || booking }, 'Job accepted');
 });
 
 /**
  * Update job status (mechanic)
  * PUT /api/mechanic/job/:id/status
  */
-const updateJobStatus = asyncHandler(async (req, res) => {
+const updateJobStatus = asyncHandler(async (req, res, next) => {
   const { status, otp } = req.body;
 
   if (!status) {
     return ApiResponse.badRequest(res, 'Status is required');
   }
 
+  // Cancelling also releases the promo and refunds the user
+  if (status === 'CANCELLED') {
+    return cancelJobByMechanic(req, res, next);
+  }
+
   const booking = await Booking.findOne({
     _id: req.params.id,
     mechanicId: req.mechanic.id,
@@ -558,49 +808,28 @@ const updateJobStatus = asyncHandler(async (req, res) => {
 
   console.log('📋 Current booking status:', booking.status);
   console.log('📋 Requested new status:', status);
-  console.log('📋 OTP provided:', otp);
-  console.log('📋 Booking verificationOtp:', booking.verificationOtp);
-
-  // Validate status transition
-  const validTransitions = {
-    'ASSIGNED': ['EN_ROUTE', 'ARRIVED', 'CANCELLED'],
-    'ACCEPTED': ['EN_ROUTE', 'ARRIVED', 'IN_PROGRESS', 'CANCELLED'], // Allow direct IN_PROGRESS with OTP
-    'EN_ROUTE': ['ARRIVED', 'IN_PROGRESS', 'CANCELLED'], // Allow skipping ARRIVED if OTP provided
-    'ARRIVED': ['IN_PROGRESS', 'CANCELLED'],
-    'IN_PROGRESS': ['COMPLETED'],
-  };
 
-  const allowedTransitions = validTransitions[booking.status];
-  if (!allowedTransitions || !allowedTransitions.includes(status)) {
-    return ApiResponse.badRequest(res, `Cannot change status from ${booking.status} to ${status}`);
-  }
+  // Validate status transition before checking the OTP
+  bookingStateMachine.assertTransition(booking.status, status, 'MECHANIC');
 
-  // Verify OTP to START work (any status -> IN_PROGRESS)
+  // Verify OTP to START work (any status -> IN_PROGRESS) — wrong codes count towards a lockout
   if (status === 'IN_PROGRESS') {
-    if (!booking.verificationOtp) {
-      return ApiResponse.badRequest(res, 'No verification OTP found for this booking');
-    }
-    if (!otp) {
-      return ApiResponse.badRequest(res, 'OTP is required to start service');
-    }
-    // Convert both to string for comparison (handles number vs string)
-    const providedOtp = String(otp).trim();
-    const storedOtp = String(booking.verificationOtp).trim();
-    console.log('📋 OTP comparison:', { providedOtp, storedOtp, match: providedOtp === storedOtp });
-    
-    if (providedOtp !== storedOtp) {
-      return ApiResponse.badRequest(res, `Invalid OTP. Please ask customer for the correct 4-digit OTP.`);
-    }
-    booking.otpVerifiedAt = new Date();
-    booking.startedAt = new Date();
+    await bookingOtpService.verify(booking, otp);
   }
 
-  // Set timestamps for each status
-  if (status === 'EN_ROUTE') booking.enRouteAt = new Date();
-  if (status === 'ARRIVED') booking.arrivedAt = new Date();
-  if (status === 'COMPLETED') booking.completedAt = new Date();
+  const mechanic = await Mechanic.findById(req.mechanic.id);
 
-  await booking.updateStatus(status);
+  await bookingStateMachine.transition(booking, status, {
+    actor: { type: 'MECHANIC', id: req.mechanic.id },
+    mechanic,
+    set: {
+      // How far away the mechanic was when marking ARRIVED (disputes)
+      ...(status === 'ARRIVED' && etaService.arrivalCheck(booking)),
+      // Whatever is still due is collected after completion (see confirmPayment);
+      // a failed online attempt no longer stands
+      ...(status === 'COMPLETED' && booking.paymentStatus === 'FAILED' && { paymentStatus: 'PENDING' }),
+    },
+  });
 
   // Send notifications and emit socket events
   const notificationMessages = {
@@ -611,7 +840,8 @@ const updateJobStatus = asyncHandler(async (req, res) => {
   };
 
   if (notificationMessages[status]) {
-    await notificationController.sendBookingNotification(
+    await notificationController.queueBookingNotification(
+      `status-${status.toLowerCase()}:${booking._id}`,
       booking.userId,
       notificationMessages[status].title,
       notificationMessages[status].body,
@@ -619,14 +849,6 @@ const updateJobStatus = asyncHandler(async (req, res) => {
     );
   }
 
-  // Emit booking event for service status changes
-  const mechanic = await Mechanic.findById(req.mechanic.id);
-  if (status === 'IN_PROGRESS') {
-    bookingEventEmitter.emitBookingStatusChange(booking, 'ARRIVED', mechanic);
-  } else if (status === 'COMPLETED') {
-    bookingEventEmitter.emitBookingStatusChange(booking, 'IN_PROGRESS', mechanic);
-  }
-
   // Emit socket event for real-time updates
   socketService.emitToUser(booking.userId.toString(), 'booking:status', {
     bookingId: booking._id,
@@ -636,16 +858,14 @@ const updateJobStatus = asyncHandler(async (req, res) => {
     showOtp: status === 'ARRIVED',
   });
 
-  // On completion, set payment status to PENDING (not PAID yet)
   if (status === 'COMPLETED') {
-    booking.paymentStatus = 'PENDING';
-    await booking.save();
-
-    // Notify mechanic to collect payment
+    // Notify mechanic to collect what the wallet/online legs didn't cover
+    const { totalAmount, due } = bookingPaymentService.getSummary(booking);
     socketService.emitToMechanic(booking.mechanicId?.toString(), 'booking:collect_payment', {
       bookingId: booking._id,
       bookingCode: booking.bookingId,
-      amount: booking.pricing.totalAmount,
+      amount: due,
+      totalAmount,
       customerName: booking.serviceSnapshot?.name,
     });
   }
@@ -690,142 +910,40 @@ const confirmPayment = asyncHandler(async (req, res) => {
     return ApiResponse.notFound(res, `Job cannot be completed. Current status: ${anyBooking.status}`);
   }
 
-  if (booking.paymentStatus === 'PAID') {
+  if (booking.paymentDetails?.collectedAt) {
     return ApiResponse.badRequest(res, 'Payment already confirmed');
   }
 
-  // If status is IN_PROGRESS, mark as COMPLETED first
-  if (booking.status === 'IN_PROGRESS') {
-    booking.status = 'COMPLETED';
-    booking.completedAt = new Date();
-    // Initialize statusHistory if undefined
-    if (!booking.statusHistory) {
-      booking.statusHistory = [];
-    }
-    booking.statusHistory.push({
-      status: 'COMPLETED',
-      timestamp: new Date(),
-      notes: 'Completed with payment collection',
-    });
-  }
+  // If status is IN_PROGRESS, mark as COMPLETED first — saved with the payment below
+  const actor = { type: 'MECHANIC', id: req.mechanic.id };
+  const previousStatus = booking.status === 'IN_PROGRESS'
+    ? bookingStateMachine.apply(booking, 'COMPLETED', { actor, note: 'Completed with payment collection' })
+    : null;
 
-  // Update payment details
-  booking.paymentStatus = 'PAID';
-  booking.paymentMethod = paymentMethod || 'CASH';
-  booking.paymentDetails = {
-    ...booking.paymentDetails,
-    collectedByMechanic: true,
-    paymentMethod,
-    transactionId: transactionId || null,
-    collectedAt: new Date(),
-  };
-  
+  // The mechanic collects whatever wallet and online payments left due (may be nothing)
+  const collected = bookingPaymentService.collectCash(booking, { paymentMethod, transactionId });
+
+  // Save the payment and run completion steps (earning, title, points, referral, notification)
+  let titleChange;
   try {
-    await booking.save();
+    ({ titleChange } = await bookingCompletionService.complete(booking));
   } catch (saveError) {
     console.error('❌ Booking save error:', saveError);
     return ApiResponse.error(res, 'Failed to save booking: ' + saveError.message, 422);
   }
 
-  // Create earning for mechanic (with null checks)
-  try {
-    const user = await User.findById(booking.userId);
-    const grossAmount = (booking.pricing?.mechanicEarning || 0) + (booking.pricing?.platformFeeAmount || 0);
-    
-    await earningsController.createEarning({
-      bookingId: booking._id,
-      bookingCode: booking.bookingId,
-      mechanicId: booking.mechanicId,
-      grossAmount: grossAmount,
-      platformFeePercent: booking.pricing?.platformFeePercent || 10,
-      serviceDetails: {
-        name: booking.serviceSnapshot?.name || 'Service',
-        category: booking.serviceSnapshot?.categoryName || 'General',
-      },
-      customerName: user?.name || 'Customer',
-      customerPhone: user?.phone || '',
-      location: {
-        address: booking.location?.address || '',
-      },
-      paymentMethod,
-    });
-
-    // Update mechanic's total jobs and check for title progression
-    const mechanic = await Mechanic.findById(booking.mechanicId);
-    if (mechanic) {
-      mechanic.totalJobsCompleted = (mechanic.totalJobsCompleted || 0) + 1;
-      
-      // Determine new title based on total jobs
-      const getTitleForJobs = (totalJobs) => {
-        if (totalJobs <= 5) return 'NEW';
-        if (totalJobs <= 25) return 'BEGINNER';
-        if (totalJobs <= 50) return 'INTERMEDIATE';
-        if (totalJobs <= 100) return 'BRONZE';
-        if (totalJobs <= 150) return 'SILVER';
-        if (totalJobs <= 200) return 'GOLD';
-        if (totalJobs <= 250) return 'PLATINUM';
-        if (totalJobs <= 300) return 'DIAMOND';
-        if (totalJobs <= 400) return 'ACE';
-        if (totalJobs <= 500) return 'CONQUEROR';
-        return 'MASTER';
-      };
-
-      const newTitle = getTitleForJobs(mechanic.totalJobsCompleted);
-      const previousTitle = mechanic.currentTitle || 'NEW';
-      
-      // Check if title changed
-      if (newTitle !== previousTitle) {
-        mechanic.currentTitle = newTitle;
-        mechanic.titleUnlockHistory.push({
-          title: newTitle,
-          unlockedAt: new Date(),
-          jobsCompletedAtUnlock: mechanic.totalJobsCompleted
-        });
-
-        // Emit socket event for new title unlock
-        socketService.emitToMechanic(booking.mechanicId.toString(), 'title:unlocked', {
-          newTitle: newTitle,
-          previousTitle: previousTitle,
-          totalJobsCompleted: mechanic.totalJobsCompleted,
-          message: `🎉 Congratulations! You've unlocked the ${newTitle} title!`
-        });
-      }
-
-      await mechanic.save();
-    }
-  } catch (earningError) {
-    console.error('⚠️ Earning creation failed (non-blocking):', earningError.message);
-    // Don't fail the whole request - payment is confirmed, earning can be created later
+  if (previousStatus) {
+    bookingStateMachine.emitChange(booking, previousStatus, { actor });
   }
 
-  // Check if this is user's first booking (for referral)
-  const userBookingCount = await Booking.countDocuments({
-    userId: booking.userId,
-    status: 'COMPLETED',
-    paymentStatus: 'PAID',
-  });
-
-  if (userBookingCount === 1) {
-    await referralController.completeReferral(booking.userId.toString());
-    await rewardsController.addPoints(
-      booking.userId.toString(),
-      'FIRST_BOOKING_BONUS',
-      booking._id.toString(),
-      'First booking bonus'
-    );
+  if (titleChange) {
+    // Emit socket event for new title unlock
+    socketService.emitToMechanic(booking.mechanicId.toString(), 'title:unlocked', {
+      ...titleChange,
+      message: `🎉 Congratulations! You've unlocked the ${titleChange.newTitle} title!`
+    });
   }
 
-  // Add booking points for user
-  await rewardsController.addBookingPoints(booking.userId.toString(), booking._id.toString());
-
-  // Notify user that payment was received
-  await notificationController.sendBookingNotification(
-    booking.userId,
-    'Service Completed',
-    `Your service has been completed. Payment of ₹${booking.pricing?.totalAmount || 0} confirmed. Please rate your experience!`,
-    booking._id
-  );
-
   // Emit status update to user so their app updates
   socketService.emitToUser(booking.userId.toString(), 'booking:status', {
     bookingId: booking._id,
@@ -846,6 +964,7 @@ const confirmPayment = asyncHandler(async (req, res) => {
   socketService.emitToUser(booking.userId.toString(), 'booking:payment_confirmed', {
     bookingId: booking._id,
     amount: booking.pricing?.totalAmount || 0,
+    collectedAmount: collected,
     showRatingPrompt: true,
   });
 
@@ -862,22 +981,25 @@ const confirmPayment = asyncHandler(async (req, res) => {
 const rejectJob = asyncHandler(async (req, res) => {
   const { reason } = req.body;
 
-  const booking = await Booking.findOne({
-    _id: req.params.id,
-    mechanicId: req.mechanic.id,
-    status: 'ASSIGNED',
-  });
+  // Remove assignment and search for another mechanic
+  const booking = await bookingStateMachine.transitionWhere(
+    {
+      _id: req.params.id,
+      mechanicId: req.mechanic.id,
+      status: 'ASSIGNED',
+    },
+    'SEARCHING',
+    {
+      actor: { type: 'MECHANIC', id: req.mechanic.id },
+      note: reason ? `Rejected by mechanic: ${reason}` : 'Rejected by mechanic',
+      set: { mechanicId: null },
+    }
+  );
 
   if (!booking) {
     return ApiResponse.notFound(res, 'Job not found or already processed');
   }
 
-  // Remove assignment and search for another mechanic
-  booking.mechanicId = null;
-  booking.status = 'SEARCHING';
-  booking.searchStartedAt = new Date();
-  await booking.save();
-
   // TODO: Find another mechanic
 
   ApiResponse.success(res, null, 'Job rejected');
@@ -907,51 +1029,12 @@ const cancelJobByMechanic = asyncHandler(async (req, res) => {
     return ApiResponse.notFound(res, 'Job not found or cannot be cancelled at this stage');
   }
 
-  // Update booking status
-  booking.status = 'CANCELLED';
-  booking.cancelledBy = 'MECHANIC';
-  booking.cancelReason = reason || 'Cancelled by mechanic';
-  booking.cancelledAt = new Date();
-  await booking.save();
-
-  // Set mechanic as not busy (production: release via queue service)
-  await bookingQueueService.releaseMechanic(req.mechanic.id);
-
-  // Notify user via socket
-  if (socketService.isConnected) {
-    socketService.emitToUser(booking.userId._id.toString(), 'booking:cancelled', {
-      bookingId: booking._id,
-      bookingNumber: booking.bookingId,
-      cancelledBy: 'mechanic',
-      reason: reason || 'Mechanic cancelled the service',
-    });
-  }
-
-  // Send push notification to user
-  if (booking.userId?.fcmToken) {
-    await firebaseService.sendBookingCancellationNotification(
-      booking.userId.fcmToken,
-      {
-        bookingId: booking._id.toString(),
-        serviceName: booking.serviceSnapshot?.name || 'Service',
-        reason: reason || 'Mechanic cancelled the service',
-        cancelledBy: 'mechanic',
-      },
-      'user'
-    );
-  }
-
-  // Create notification for user
-  await notificationController.createNotification(
-    booking.userId._id,
-    'USER',
-    'BOOKING_CANCELLED',
-    'Booking Cancelled',
-    `Your booking #${booking.bookingId} has been cancelled by the mechanic.`,
-    { bookingId: booking._id }
-  );
+  const { cancellationFee } = await cancellationService.cancelByMechanic(booking, {
+    mechanicId: req.mechanic.id,
+    reason,
+  });
 
-  ApiResponse.success(res, null, 'Job cancelled successfully');
+  ApiResponse.success(res, { cancellationFee }, 'Job cancelled successfully');
 });
 
 /**
@@ -1019,7 +1102,7 @@ const checkNearbyMechanics = asyncHandler(async (req, res) => {
   });
   
   // Find nearby mechanics
-  const nearbyMechanics = await findNearbyMechanics(latitude, longitude, vehicleType, 10);
+  const nearbyMechanics = await mechanicSearchService.findNearby(latitude, longitude, vehicleType, 10);
   
   // Get list of all online mechanics for debugging
   const allOnline = await Mechanic.find({ isOnline: true })
@@ -1067,230 +1150,106 @@ const checkNearbyMechanics = asyncHandler(async (req, res) => {
 });
 
 /**
- * Find nearby mechanics using MongoDB $nearSphere (production-grade)
- * 
- * Strategy:
- * 1. Try GeoJSON $nearSphere query (requires 2dsphere index + valid coordinates)
- * 2. Fallback to Haversine calculation if GeoJSON query returns 0 (mechanics on legacy schema)
- * 
- * Filters: ACTIVE, online, not busy, no current booking, matching vehicle type
- * Returns: Sorted by distance (nearest first), max 20 mechanics
+ * Find nearby mechanics for a booking and start the dispatch queue
+ * Used by createBooking and by scheduled bookings when their slot comes up.
+ * The booking's dispatch plan (strategy, timeouts, radius tiers) comes from
+ * dispatchStrategyService; the first tier with mechanics seeds the queue,
+ * ranked best first.
+ * @returns {Promise<Array>} Mechanics the booking was offered to
  */
-async function findNearbyMechanics(latitude, longitude, vehicleType, radiusKm = 5) {
-  try {
-    console.log(`🔍 Finding mechanics: lat=${latitude}, lng=${longitude}, vehicle=${vehicleType}, radius=${radiusKm}km`);
-    
-    const radiusMeters = radiusKm * 1000;
-
-    // ═══════════════════════════════════════════════════════════
-    // PRIMARY: MongoDB $nearSphere with 2dsphere index
-    // This is O(log n) with the index vs O(n) with JS Haversine
-    // ═══════════════════════════════════════════════════════════
-    let mechanics = [];
-    
-    try {
-      mechanics = await Mechanic.find({
-        status: 'ACTIVE',
-        isOnline: true,
-        isBusy: false,
-        currentBookingId: null, // Not assigned to any active booking
-        vehicleTypes: vehicleType,
-        location: {
-          $nearSphere: {
-            $geometry: {
-              type: 'Point',
-              coordinates: [longitude, latitude], // GeoJSON: [lng, lat]
-            },
-            $maxDistance: radiusMeters, // meters
-          },
-        },
-      })
-        .select('_id fullName phone profilePhoto ratingAverage location lastLocation fcmToken vehicleTypes address')
-        .limit(20);
-
-      console.log(`📋 [GeoJSON] Found ${mechanics.length} mechanics within ${radiusKm}km for ${vehicleType}`);
-    } catch (geoError) {
-      console.warn(`⚠️ GeoJSON $nearSphere query failed (index may not exist yet): ${geoError.message}`);
-      mechanics = [];
-    }
-
-    // If GeoJSON found no mechanics with vehicle type, try without vehicle filter
-    if (mechanics.length === 0) {
-      try {
-        mechanics = await Mechanic.find({
-          status: 'ACTIVE',
-          isOnline: true,
-          isBusy: false,
-          currentBookingId: null,
-          location: {
-            $nearSphere: {
-              $geometry: {
-                type: 'Point',
-                coordinates: [longitude, latitude],
-              },
-              $maxDistance: radiusMeters,
-            },
-          },
-        })
-          .select('_id fullName phone profilePhoto ratingAverage location lastLocation fcmToken vehicleTypes address')
-          .limit(20);
-
-        console.log(`📋 [GeoJSON] Found ${mechanics.length} mechanics (any vehicle type) within ${radiusKm}km`);
-      } catch (geoError) {
-        console.warn(`⚠️ GeoJSON fallback also failed: ${geoError.message}`);
-        mechanics = [];
-      }
-    }
+async function dispatchToNearbyMechanics(booking) {
+  const [longitude, latitude] = booking.location.coordinates;
+  const vehicleType = booking.vehicleDetails?.type || 'CAR';
 
-    // ═══════════════════════════════════════════════════════════
-    // FALLBACK: Haversine distance calculation (for mechanics still on legacy schema)
-    // This runs ONLY if $nearSphere returned 0 results
-    // ═══════════════════════════════════════════════════════════
-    if (mechanics.length === 0) {
-      console.log(`🔄 GeoJSON returned 0 results, trying Haversine fallback...`);
-      
-      let legacyMechanics = await Mechanic.find({
-        status: 'ACTIVE',
-        isOnline: true,
-        isBusy: false,
-        currentBookingId: null,
-        vehicleTypes: vehicleType,
-        'lastLocation.lat': { $exists: true, $ne: null },
-        'lastLocation.lng': { $exists: true, $ne: null },
-      })
-        .select('_id fullName phone profilePhoto ratingAverage lastLocation fcmToken vehicleTypes address')
-        .limit(50);
-
-      if (legacyMechanics.length === 0) {
-        // Try without vehicle type filter
-        legacyMechanics = await Mechanic.find({
-          status: 'ACTIVE',
-          isOnline: true,
-          isBusy: false,
-          currentBookingId: null,
-          'lastLocation.lat': { $exists: true, $ne: null },
-          'lastLocation.lng': { $exists: true, $ne: null },
-        })
-          .select('_id fullName phone profilePhoto ratingAverage lastLocation fcmToken vehicleTypes address')
-          .limit(50);
-      }
+  console.log(`📍 User booking location: lat=${latitude}, lng=${longitude}`);
+  console.log(`🚗 Vehicle type requested: ${vehicleType}`);
 
-      console.log(`📋 [Haversine] Found ${legacyMechanics.length} online legacy mechanics`);
-
-      const mechanicsWithDistance = legacyMechanics
-        .map(m => {
-          const dist = calculateDistance(
-            latitude, longitude,
-            m.lastLocation?.lat, m.lastLocation?.lng
-          );
-          return { ...m.toObject(), distance: dist };
-        })
-        .filter(m => m.distance !== null && m.distance <= radiusKm)
-        .sort((a, b) => a.distance - b.distance)
-        .slice(0, 20);
-
-      console.log(`✅ [Haversine] ${mechanicsWithDistance.length} mechanics within ${radiusKm}km`);
-      mechanicsWithDistance.forEach((m, i) => {
-        console.log(`  ${i + 1}. ${m.fullName}: ${m.distance?.toFixed(2)}km`);
-      });
+  const plan = await dispatchStrategyService.buildPlan(booking);
+  console.log(`🧭 Dispatch plan: ${plan.strategy}, batch ${plan.batchSize}, tiers ${plan.radiusTiersKm.join('/')}km, skill fallback ${plan.skillFallback}`);
 
-      return mechanicsWithDistance;
-    }
+  const { mechanics: nearbyMechanics, tierIndex, radiusKm, skillMatch } = await dispatchStrategyService.findCandidates(booking, plan);
 
-    // Calculate distances for GeoJSON results (for display/sorting info)
-    const result = mechanics.map(m => {
-      const mLat = m.location?.coordinates?.[1] || m.lastLocation?.lat;
-      const mLng = m.location?.coordinates?.[0] || m.lastLocation?.lng;
-      const dist = calculateDistance(latitude, longitude, mLat, mLng);
-      return {
-        ...m.toObject(),
-        distance: dist,
-      };
-    });
+  console.log(`✅ Total nearby mechanics found: ${nearbyMechanics.length}`);
+  nearbyMechanics.forEach(m => {
+    console.log(`   - ${m.fullName} (${m._id}): score ${m.score}, ${m.distance?.toFixed(2)}km, fcmToken: ${m.fcmToken ? 'YES' : 'NO'}`);
+  });
 
-    console.log(`✅ ${result.length} mechanics within ${radiusKm}km radius:`);
-    result.forEach((m, i) => {
-      console.log(`  ${i + 1}. ${m.fullName}: ${m.distance?.toFixed(2)}km`);
-    });
+  // Store dispatch metadata on booking (the queue fills in the rest as it runs)
+  booking.dispatchInfo = {
+    totalMechanicsNotified: 0,
+    searchRadiusKm: radiusKm,
+    strategy: plan.strategy,
+    dispatchConfigId: plan.configId,
+    batchSize: plan.batchSize,
+    skillFallback: plan.skillFallback,
+    skillMatch,
+    rankings: dispatchStrategyService.toRankingRecords(nearbyMechanics, tierIndex, skillMatch),
+  };
+  await booking.save();
 
-    return result;
-  } catch (error) {
-    console.error('❌ Error finding nearby mechanics:', error);
-    return [];
+  if (nearbyMechanics.length > 0) {
+    await bookingQueueService.startQueue(booking, nearbyMechanics, { plan, tierIndex, radiusKm });
+  } else {
+    // No mechanics available
+    console.log('❌ No mechanics available after all searches');
+    await bookingQueueService.handleNoMechanicsAvailable(booking);
   }
-}
 
-/**
- * Calculate distance between two coordinates (Haversine formula)
- * Used as fallback when $nearSphere is not available
- */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  if (!lat1 || !lon1 || !lat2 || !lon2) return null;
-  
-  const R = 6371; // Earth's radius in km
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+  return nearbyMechanics;
 }
 
-function toRad(deg) {
-  return deg * (Math.PI / 180);
-}
+const findUserBooking = (req) => Booking.findOne({
+  _id: req.params.id,
+  userId: req.user.id,
+});
+
+const orderResponse = (order) => order && {
+  orderId: order.id,
+  amount: order.amount,
+  currency: order.currency,
+  keyId: razorpayService.getKeyId(),
+};
 
 /**
- * Create payment order for a booking
+ * Create payment order for what is still due on a booking
  * POST /api/booking/:id/pay
  */
 const createBookingPaymentOrder = asyncHandler(async (req, res) => {
-  const booking = await Booking.findOne({
-    _id: req.params.id,
-    userId: req.user.id,
-  });
+  const booking = await findUserBooking(req);
 
   if (!booking) {
     return ApiResponse.notFound(res, 'Booking not found');
   }
 
-  if (booking.paymentStatus === 'PAID') {
-    return ApiResponse.badRequest(res, 'Booking already paid');
-  }
+  const { order } = await bookingPaymentService.pay(booking, { remainder: 'ONLINE' });
+
+  ApiResponse.success(res, {
+    ...orderResponse(order),
+    bookingId: booking._id,
+  }, 'Payment order created');
+});
 
-  const amount = booking.pricing.totalAmount;
+/**
+ * Split payment: apply wallet balance and choose how the rest is paid
+ * POST /api/booking/:id/pay-split
+ * Body: { walletAmount, remainder: 'ONLINE' | 'CASH' }
+ */
+const payBooking = asyncHandler(async (req, res) => {
+  const { walletAmount, remainder } = req.body;
 
-  // Create Razorpay order
-  const orderResult = await razorpayService.createOrder({
-    amount,
-    receipt: `booking_${booking._id}_${Date.now()}`,
-    notes: {
-      bookingId: booking._id.toString(),
-      userId: req.user.id.toString(),
-      purpose: 'BOOKING_PAYMENT',
-    },
-  });
+  const booking = await findUserBooking(req);
 
-  if (!orderResult.success) {
-    return ApiResponse.serverError(res, 'Failed to create payment order');
+  if (!booking) {
+    return ApiResponse.notFound(res, 'Booking not found');
   }
 
-  // Save order ID to booking
-  booking.paymentDetails = {
-    razorpayOrderId: orderResult.order.id,
-    createdAt: new Date(),
-  };
-  await booking.save();
+  const result = await bookingPaymentService.pay(booking, { walletAmount, remainder });
 
   ApiResponse.success(res, {
-    orderId: orderResult.order.id,
-    amount: orderResult.order.amount,
-    currency: orderResult.order.currency,
-    keyId: razorpayService.getKeyId(),
-    bookingId: booking._id,
-  }, 'Payment order created');
+    booking: result.booking,
+    summary: result.summary,
+    order: orderResponse(result.order),
+  }, result.order ? 'Payment order created' : 'Payment updated');
 });
 
 /**
@@ -1300,19 +1259,12 @@ const createBookingPaymentOrder = asyncHandler(async (req, res) => {
 const verifyBookingPayment = asyncHandler(async (req, res) => {
   const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
 
-  const booking = await Booking.findOne({
-    _id: req.params.id,
-    userId: req.user.id,
-  });
+  const booking = await findUserBooking(req);
 
   if (!booking) {
     return ApiResponse.notFound(res, 'Booking not found');
   }
 
-  if (booking.paymentStatus === 'PAID') {
-    return ApiResponse.badRequest(res, 'Booking already paid');
-  }
-
   // Verify payment signature
   const verification = razorpayService.verifyPayment({
     razorpay_order_id,
@@ -1324,83 +1276,81 @@ const verifyBookingPayment = asyncHandler(async (req, res) => {
     return ApiResponse.badRequest(res, 'Payment verification failed');
   }
 
-  // Update booking payment status
-  booking.paymentStatus = 'PAID';
-  booking.paymentDetails = {
-    ...booking.paymentDetails,
-    razorpayPaymentId: razorpay_payment_id,
-    razorpaySignature: razorpay_signature,
-    paidAt: new Date(),
-  };
-  await booking.save();
+  const amount = await bookingPaymentService.getBookingOrderAmount(booking, razorpay_order_id, razorpay_payment_id);
 
-  // Notify mechanic
-  socketService.notifyPaymentReceived(booking.mechanicId?.toString(), {
-    bookingId: booking._id.toString(),
-    amount: booking.pricing.totalAmount,
+  // Not recorded when the payment.captured webhook got there first, or when
+  // the booking no longer needed it (then it is refunded)
+  const { booking: settled, refund } = await bookingPaymentService.settleOnline(booking, {
+    orderId: razorpay_order_id,
+    paymentId: razorpay_payment_id,
+    signature: razorpay_signature,
+    amount,
   });
+  const updated = settled || await Booking.findById(booking._id);
+
+  if (refund && !settled) {
+    return ApiResponse.success(res, {
+      booking: updated,
+      summary: bookingPaymentService.getSummary(updated),
+      paymentId: razorpay_payment_id,
+      refund,
+    }, `Booking was already paid — ₹${refund.amount} is being refunded`);
+  }
+
+  if (settled) {
+    socketService.notifyPaymentReceived(updated.mechanicId?.toString(), {
+      bookingId: updated._id.toString(),
+      amount,
+      paymentStatus: updated.paymentStatus,
+    });
+  }
 
   ApiResponse.success(res, {
-    booking,
+    booking: updated,
+    summary: bookingPaymentService.getSummary(updated),
     paymentId: razorpay_payment_id,
+    ...(refund && { refund }),
   }, 'Payment successful');
 });
 
 /**
- * Pay with wallet
+ * Pay with wallet — all that is due, or part of it with { amount }
  * POST /api/booking/:id/pay-wallet
  */
 const payWithWallet = asyncHandler(async (req, res) => {
-  const booking = await Booking.findOne({
-    _id: req.params.id,
-    userId: req.user.id,
-  });
+  const booking = await findUserBooking(req);
 
   if (!booking) {
     return ApiResponse.notFound(res, 'Booking not found');
   }
 
-  if (booking.paymentStatus === 'PAID') {
-    return ApiResponse.badRequest(res, 'Booking already paid');
-  }
-
-  const amount = booking.pricing.totalAmount;
+  const walletAmount = req.body?.amount || bookingPaymentService.getSummary(booking).due;
+  const result = await bookingPaymentService.pay(booking, { walletAmount });
 
-  // Try to debit from wallet
-  const debitResult = await walletController.debitForBooking(
-    req.user.id,
-    amount,
-    booking._id.toString()
-  );
-
-  if (!debitResult.success) {
-    return ApiResponse.badRequest(res, debitResult.message || 'Insufficient wallet balance');
-  }
-
-  // Update booking payment status
-  booking.paymentStatus = 'PAID';
-  booking.paymentMethod = 'WALLET';
-  booking.paymentDetails = {
-    walletTransactionId: debitResult.transactionId,
-    paidAt: new Date(),
-  };
-  await booking.save();
-
-  ApiResponse.success(res, { booking }, 'Payment successful via wallet');
+  ApiResponse.success(res, {
+    booking: result.booking,
+    summary: result.summary,
+  }, result.summary.due > 0 ? 'Wallet applied. Choose how to pay the rest.' : 'Payment successful via wallet');
 });
 
 module.exports = {
   // User
   createBooking,
   getUserBookings,
+  getUpcomingBookings,
   getBookingDetails,
+  getBookingTrail,
+  regenerateOtp,
   cancelBooking,
+  rescheduleBooking,
+  getCancellationFee,
   rateBooking,
   getBookingHistory,
   // Payment
   createBookingPaymentOrder,
   verifyBookingPayment,
   payWithWallet,
+  payBooking,
   // Mechanic
   getMechanicJobs,
   getCurrentBooking,
@@ -1413,5 +1363,5 @@ module.exports = {
   // Debug
   checkNearbyMechanics,
   // Helpers (for internal use)
-  findNearbyMechanics,
+  dispatchToNearbyMechanics,
 };
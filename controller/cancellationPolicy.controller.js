@@ -0,0 +1,104 @@
+const CancellationPolicy = require('../models/CancellationPolicy');
+const cancellationService = require('../services/cancellation.service');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+/**
+ * List cancellation policies
+ * GET /api/admin/cancellation-policies
+ */
+const getAllPolicies = asyncHandler(async (req, res) => {
+  const { regionId, serviceId, status } = req.query;
+  const filter = {};
+
+  if (regionId) filter.regionId = regionId;
+  if (serviceId) filter.serviceId = serviceId;
+  if (status) filter.status = status;
+
+  const policies = await CancellationPolicy.find(filter)
+    .populate('regionId', 'name state')
+    .populate('serviceId', 'name')
+    .sort({ createdAt: -1 });
+
+  ApiResponse.success(res, {
+    policies,
+    defaultPolicy: cancellationService.DEFAULT_POLICY,
+  });
+});
+
+/**
+ * Get a cancellation policy
+ * GET /api/admin/cancellation-policies/:id
+ */
+const getPolicyById = asyncHandler(async (req, res) => {
+  const policy = await CancellationPolicy.findById(req.params.id)
+    .populate('regionId', 'name state')
+    .populate('serviceId', 'name');
+
+  if (!policy) {
+    return ApiResponse.notFound(res, 'Cancellation policy not found');
+  }
+
+  ApiResponse.success(res, { policy });
+});
+
+/**
+ * Create a cancellation policy
+ * POST /api/admin/cancellation-policies
+ */
+const createPolicy = asyncHandler(async (req, res) => {
+  const { regionId = null, serviceId = null } = req.body;
+
+  const existing = await CancellationPolicy.findOne({ regionId, serviceId });
+  if (existing) {
+    return ApiResponse.conflict(res, 'A policy already exists for this region and service');
+  }
+
+  const policy = await CancellationPolicy.create({
+    ...req.body,
+    regionId,
+    serviceId,
+    createdBy: req.admin.id,
+  });
+
+  ApiResponse.created(res, { policy }, 'Cancellation policy created');
+});
+
+/**
+ * Update a cancellation policy (scope is fixed — create a new one instead)
+ * PUT /api/admin/cancellation-policies/:id
+ */
+const updatePolicy = asyncHandler(async (req, res) => {
+  const policy = await CancellationPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return ApiResponse.notFound(res, 'Cancellation policy not found');
+  }
+
+  Object.assign(policy, req.body);
+  await policy.save();
+
+  ApiResponse.success(res, { policy }, 'Cancellation policy updated');
+});
+
+/**
+ * Delete a cancellation policy
+ * DELETE /api/admin/cancellation-policies/:id
+ */
+const deletePolicy = asyncHandler(async (req, res) => {
+  const policy = await CancellationPolicy.findByIdAndDelete(req.params.id);
+
+  if (!policy) {
+    return ApiResponse.notFound(res, 'Cancellation policy not found');
+  }
+
+  ApiResponse.success(res, null, 'Cancellation policy deleted');
+});
+
+module.exports = {
+  getAllPolicies,
+  getPolicyById,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+};
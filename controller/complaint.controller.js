@@ -3,6 +3,8 @@ const Booking = require('../models/Booking');
 const User = require('../models/User');
 const Mechanic = require('../models/Mechanic');
 const notificationService = require('../services/notification.service');
+const refundService = require('../services/refund.service');
+const locationHistoryService = require('../services/locationHistory.service');
 const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/error.middleware');
 
@@ -34,6 +36,22 @@ const createComplaint = asyncHandler(async (req, res) => {
     return ApiResponse.badRequest(res, 'A complaint already exists for this booking');
   }
 
+  // Snapshot where the mechanic went, for the admin reviewing this
+  let trailSummary;
+  try {
+    const summary = await locationHistoryService.getSummary(booking._id);
+    if (summary) {
+      trailSummary = {
+        ...summary,
+        pointCount: summary.pointCount || summary.recordedPointCount,
+        distanceKm: summary.pointCount ? summary.distanceKm : summary.recordedDistanceKm,
+        capturedAt: new Date(),
+      };
+    }
+  } catch (error) {
+    console.error('Error building trail summary for complaint:', error.message);
+  }
+
   const complaint = await ServiceComplaint.create({
     bookingId,
     userId: req.user.id,
@@ -44,6 +62,7 @@ const createComplaint = asyncHandler(async (req, res) => {
     category,
     severity: severity || 'MEDIUM',
     images: images || [],
+    trailSummary,
   });
 
   // Fetch with populated data
@@ -170,6 +189,37 @@ const updateComplaintStatus = asyncHandler(async (req, res) => {
     return ApiResponse.notFound(res, 'Complaint not found');
   }
 
+  // Move the money before marking resolved, so a failed refund can be retried
+  let refund = null;
+  if (status === 'RESOLVED' && refundAmount > 0 && !complaint.refundId) {
+    const booking = await Booking.findById(complaint.bookingId?._id || complaint.bookingId);
+    if (!booking) {
+      return ApiResponse.notFound(res, 'Booking for this complaint not found');
+    }
+
+    try {
+      refund = await refundService.refundBooking(booking, {
+        amount: refundAmount,
+        reason: `Complaint resolution: ${complaint.title}`,
+        source: 'COMPLAINT',
+        initiatedBy: 'ADMIN',
+        initiatedByAdmin: req.user?.id,
+        complaintId: complaint._id,
+      });
+    } catch (error) {
+      return ApiResponse.conflict(res, error.message);
+    }
+
+    if (!refund) {
+      return ApiResponse.badRequest(res, 'Nothing left to refund on this booking');
+    }
+    if (refund.status === 'FAILED') {
+      return ApiResponse.error(res, `Refund failed: ${refund.failureReason || 'unknown error'}`, 502, { refund });
+    }
+
+    complaint.refundId = refund._id;
+  }
+
   // Update status
   if (status) {
     complaint.status = status;
@@ -178,7 +228,7 @@ const updateComplaintStatus = asyncHandler(async (req, res) => {
       complaint.resolvedAt = new Date();
       complaint.adminNotes = adminNotes;
       complaint.resolution = resolution;
-      complaint.refundAmount = refundAmount || 0;
+      complaint.refundAmount = refund ? refund.amount : (refundAmount || 0);
     }
     
     if (status === 'CLOSED') {
@@ -198,7 +248,7 @@ const updateComplaintStatus = asyncHandler(async (req, res) => {
         message = 'Your complaint is being reviewed by our team';
         break;
       case 'RESOLVED':
-        message = `Your complaint has been resolved. ${resolution || ''}${refundAmount ? ` Refund of ₹${refundAmount} has been processed.` : ''}`;
+        message = `Your complaint has been resolved. ${resolution || ''}${refund ? ` Refund of ₹${refund.amount} has been ${refund.status === 'COMPLETED' ? 'credited' : 'initiated'}.` : ''}`;
         break;
       case 'REJECTED':
         message = 'Your complaint has been reviewed and rejected';
@@ -226,7 +276,7 @@ const updateComplaintStatus = asyncHandler(async (req, res) => {
 
   const updatedComplaint = await ServiceComplaint.findById(complaint._id);
 
-  ApiResponse.success(res, { complaint: updatedComplaint }, 'Complaint updated successfully');
+  ApiResponse.success(res, { complaint: updatedComplaint, refund }, 'Complaint updated successfully');
 });
 
 /**
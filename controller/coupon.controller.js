@@ -1,5 +1,7 @@
 const Coupon = require('../models/Coupon');
 const Booking = require('../models/Booking');
+const pricingService = require('../services/pricing.service');
+const promoService = require('../services/promo.service');
 const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/error.middleware');
 
@@ -284,62 +286,47 @@ const applyCouponToBooking = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, 'Unauthorized', 403);
   }
 
-  const coupon = await Coupon.findOne({ code: couponCode.toUpperCase() });
-  if (!coupon) {
-    return ApiResponse.error(res, 'Invalid coupon code', 404);
-  }
-
-  if (!coupon.isActive || new Date() > coupon.expiresAt) {
-    return ApiResponse.error(res, 'Coupon is not valid', 400);
-  }
-
-  // Check usage limits
-  const userUsageCount = coupon.usageLog.filter(log => log.userId.toString() === userId.toString()).length;
-  if (userUsageCount >= coupon.maxUsagePerUser) {
-    return ApiResponse.error(res, 'You have reached the usage limit for this coupon', 400);
-  }
-
-  if (coupon.maxTotalUsage && coupon.currentUsage >= coupon.maxTotalUsage) {
-    return ApiResponse.error(res, 'Coupon limit reached', 400);
+  if (booking.promo?.type && !booking.promo.releasedAt) {
+    return ApiResponse.error(res, 'A promo code is already applied to this booking', 400);
   }
 
-  // Calculate discount
-  const orderAmount = booking.pricing?.totalAmount || 0;
-  let discountAmount = 0;
-
-  if (coupon.discountType === 'FIXED') {
-    discountAmount = coupon.discountValue;
-  } else if (coupon.discountType === 'PERCENTAGE') {
-    discountAmount = (orderAmount * coupon.discountValue) / 100;
+  if (booking.paymentStatus !== 'PENDING' || ['IN_PROGRESS', 'COMPLETED', 'CANCELLED'].includes(booking.status)) {
+    return ApiResponse.error(res, 'Coupon can no longer be applied to this booking', 400);
   }
 
-  if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
-    discountAmount = coupon.maxDiscountAmount;
+  const evaluation = await promoService.evaluate(couponCode, userId, booking.pricing.subtotal || booking.pricing.totalAmount, {
+    serviceId: booking.serviceId,
+  });
+  if (!evaluation.valid) {
+    return ApiResponse.error(res, evaluation.message, 400);
   }
 
-  if (discountAmount > orderAmount) {
-    discountAmount = orderAmount;
+  const redeemed = await promoService.redeem(evaluation, userId, booking._id);
+  if (!redeemed) {
+    return ApiResponse.error(res, 'Coupon usage limit reached', 400);
   }
 
-  // Apply discount to booking
-  booking.couponCode = coupon._id;
-  booking.discountAmount = discountAmount;
-  booking.pricing.totalAmount -= discountAmount;
-
-  // Log coupon usage
-  coupon.usageLog.push({
-    userId,
-    bookingId,
-    discountGiven: discountAmount,
-  });
-  coupon.currentUsage += 1;
-
-  await Promise.all([booking.save(), coupon.save()]);
+  // Re-price through the engine so totals and earnings stay consistent
+  const { basePrice, gstPercent, platformFeePercent, travelCharge } = booking.pricing;
+  const pricing = pricingService.calculateBreakdown(
+    { basePrice, gstPercent, platformFeePercent, travelCharge },
+    evaluation.discount
+  );
+  Object.assign(booking.pricing, pricing, { promoCode: evaluation.code });
+  booking.promo = {
+    code: evaluation.code,
+    type: evaluation.type,
+    couponId: evaluation.couponId,
+    rewardId: evaluation.rewardId,
+    discount: pricing.discount,
+    appliedAt: new Date(),
+  };
+  await booking.save();
 
   ApiResponse.success(res, {
     message: 'Coupon applied successfully',
     discount: {
-      amount: discountAmount,
+      amount: pricing.discount,
       newTotal: booking.pricing.totalAmount,
     },
   });
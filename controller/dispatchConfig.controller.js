@@ -0,0 +1,105 @@
+const DispatchConfig = require('../models/DispatchConfig');
+const dispatchStrategyService = require('../services/dispatchStrategy.service');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+/**
+ * List dispatch configs
+ * GET /api/admin/dispatch-configs
+ */
+const getAllDispatchConfigs = asyncHandler(async (req, res) => {
+  const { regionId, serviceId, status } = req.query;
+  const filter = {};
+
+  if (regionId) filter.regionId = regionId;
+  if (serviceId) filter.serviceId = serviceId;
+  if (status) filter.status = status;
+
+  const configs = await DispatchConfig.find(filter)
+    .populate('regionId', 'name state')
+    .populate('serviceId', 'name')
+    .sort({ createdAt: -1 });
+
+  ApiResponse.success(res, {
+    configs,
+    defaultConfig: dispatchStrategyService.DEFAULT_CONFIG,
+    strategies: [...dispatchStrategyService.strategies.keys()],
+  });
+});
+
+/**
+ * Get a dispatch config
+ * GET /api/admin/dispatch-configs/:id
+ */
+const getDispatchConfigById = asyncHandler(async (req, res) => {
+  const config = await DispatchConfig.findById(req.params.id)
+    .populate('regionId', 'name state')
+    .populate('serviceId', 'name');
+
+  if (!config) {
+    return ApiResponse.notFound(res, 'Dispatch config not found');
+  }
+
+  ApiResponse.success(res, { config });
+});
+
+/**
+ * Create a dispatch config
+ * POST /api/admin/dispatch-configs
+ */
+const createDispatchConfig = asyncHandler(async (req, res) => {
+  const { regionId = null, serviceId = null } = req.body;
+
+  const existing = await DispatchConfig.findOne({ regionId, serviceId });
+  if (existing) {
+    return ApiResponse.conflict(res, 'A dispatch config already exists for this region and service');
+  }
+
+  const config = await DispatchConfig.create({
+    ...req.body,
+    regionId,
+    serviceId,
+    createdBy: req.admin.id,
+  });
+
+  ApiResponse.created(res, { config }, 'Dispatch config created');
+});
+
+/**
+ * Update a dispatch config (scope is fixed — create a new one instead)
+ * PUT /api/admin/dispatch-configs/:id
+ */
+const updateDispatchConfig = asyncHandler(async (req, res) => {
+  const config = await DispatchConfig.findById(req.params.id);
+
+  if (!config) {
+    return ApiResponse.notFound(res, 'Dispatch config not found');
+  }
+
+  Object.assign(config, req.body);
+  await config.save();
+
+  ApiResponse.success(res, { config }, 'Dispatch config updated');
+});
+
+/**
+ * Delete a dispatch config
+ * DELETE /api/admin/dispatch-configs/:id
+ */
+const deleteDispatchConfig = asyncHandler(async (req, res) => {
+  const config = await DispatchConfig.findByIdAndDelete(req.params.id);
+
+  if (!config) {
+    return ApiResponse.notFound(res, 'Dispatch config not found');
+  }
+
+  ApiResponse.success(res, null, 'Dispatch config deleted');
+});
+
+module.exports = {
+  getAllDispatchConfigs,
+  getDispatchConfigById,
+  createDispatchConfig,
+  updateDispatchConfig,
+  deleteDispatchConfig,
+};
@@ -280,29 +280,34 @@ const getPayoutDetails = asyncHandler(async (req, res) => {
 
 /**
  * Create earning record after job completion
+ * Pass { session } to write it as part of a Mongo transaction
  */
-const createEarning = async (bookingData) => {
+const createEarning = async (bookingData, { session } = {}) => {
   const {
     bookingId,
     mechanicId,
     grossAmount,
+    travelCharge = 0,
     platformFeePercent = 25,
+    type = 'JOB',
     serviceDetails,
     customerName,
     customerPhone,
     location,
   } = bookingData;
 
+  // The fee is charged on grossAmount only; travel goes to the mechanic in full
   const platformFee = (grossAmount * platformFeePercent) / 100;
   const gstOnPlatformFee = (platformFee * 18) / 100;
-  const netAmount = grossAmount - platformFee - gstOnPlatformFee;
+  const netAmount = grossAmount + travelCharge - platformFee - gstOnPlatformFee;
 
-  const earning = await MechanicEarning.create({
+  const [earning] = await MechanicEarning.create([{
     mechanicId,
     bookingId,
     bookingCode: bookingData.bookingCode,
-    type: 'JOB',
-    grossAmount,
+    type,
+    grossAmount: grossAmount + travelCharge,
+    travelCharge,
     platformFee,
     platformFeePercent,
     gstOnPlatformFee,
@@ -314,12 +319,12 @@ const createEarning = async (bookingData) => {
     customerPhone,
     location,
     serviceDate: new Date(),
-  });
+  }], { session });
 
-  // Update mechanic total earnings
+  // Update mechanic total earnings (only completed jobs count as jobs)
   await Mechanic.findByIdAndUpdate(mechanicId, {
-    $inc: { totalEarnings: netAmount, totalJobsCompleted: 1 },
-  });
+    $inc: { totalEarnings: netAmount, totalJobsCompleted: type === 'JOB' ? 1 : 0 },
+  }, { session });
 
   return earning;
 };
@@ -347,23 +352,14 @@ const processPayout = async (payoutId, adminId) => {
     });
 
     if (result.success) {
-      await payout.markCompleted(result.payout.reference, result.payout.id);
-      
-      // Mark earnings as paid
-      await MechanicEarning.updateMany(
-        { payoutId: payout._id },
-        { $set: { status: 'PAID', paidAt: new Date() } }
-      );
-
-      // Send notification
-      await notificationController.sendPayoutNotification(
-        payout.mechanicId,
-        'Payout Completed',
-        `₹${payout.amount} has been transferred to your bank account`,
-        payout.amount,
-        'COMPLETED'
-      );
-
+      if (result.payout.status !== 'processed') {
+        // Bank transfer still in flight — the payout.* webhook settles it
+        payout.razorpayPayoutId = result.payout.id;
+        await payout.save();
+        return { success: true, payout, note: 'Awaiting bank confirmation' };
+      }
+
+      await completePayout(payout, result.payout.reference, result.payout.id);
       return { success: true, payout };
     } else {
       // For now, mark as completed manually (RazorpayX not active)
@@ -377,26 +373,60 @@ const processPayout = async (payoutId, adminId) => {
       return { success: true, payout, note: 'Processed manually' };
     }
   } catch (error) {
-    await payout.markFailed(error.message);
-    
-    // Revert earnings status
-    await MechanicEarning.updateMany(
-      { payoutId: payout._id },
-      { $set: { status: 'AVAILABLE', payoutId: null } }
-    );
-
-    await notificationController.sendPayoutNotification(
-      payout.mechanicId,
-      'Payout Failed',
-      `Your payout of ₹${payout.amount} failed. Please check your bank details.`,
-      payout.amount,
-      'FAILED'
-    );
-
+    await failPayout(payout, error.message);
     throw error;
   }
 };
 
+/**
+ * Mark a payout as transferred (internal use)
+ * Called by processPayout and by the payout.processed webhook.
+ */
+const completePayout = async (payout, transactionId, razorpayPayoutId) => {
+  await payout.markCompleted(transactionId, razorpayPayoutId);
+
+  // Mark earnings as paid
+  await MechanicEarning.updateMany(
+    { payoutId: payout._id },
+    { $set: { status: 'PAID', paidAt: new Date() } }
+  );
+
+  // Send notification
+  await notificationController.sendPayoutNotification(
+    payout.mechanicId,
+    'Payout Completed',
+    `₹${payout.amount} has been transferred to your bank account`,
+    payout.amount,
+    'COMPLETED'
+  );
+
+  return payout;
+};
+
+/**
+ * Mark a payout as failed and release its earnings (internal use)
+ * Called by processPayout and by the payout.failed / payout.reversed webhooks.
+ */
+const failPayout = async (payout, reason) => {
+  await payout.markFailed(reason);
+  
+  // Revert earnings status
+  await MechanicEarning.updateMany(
+    { payoutId: payout._id },
+    { $set: { status: 'AVAILABLE', payoutId: null } }
+  );
+
+  await notificationController.sendPayoutNotification(
+    payout.mechanicId,
+    'Payout Failed',
+    `Your payout of ₹${payout.amount} failed. Please check your bank details.`,
+    payout.amount,
+    'FAILED'
+  );
+
+  return payout;
+};
+
 module.exports = {
   getEarningsOverview,
   getEarningsHistory,
@@ -407,4 +437,6 @@ module.exports = {
   // Internal
   createEarning,
   processPayout,
+  completePayout,
+  failPayout,
 };
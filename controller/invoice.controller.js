@@ -0,0 +1,115 @@
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const invoiceService = require('../services/invoice.service');
+const bookingPaymentService = require('../services/bookingPayment.service');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+/**
+ * Booking the caller may see invoices for: admins any, users and mechanics
+ * their own
+ */
+const findAccessibleBooking = (req) => {
+  const filter = { _id: req.params.id };
+  if (!req.admin) {
+    Object.assign(filter, req.user.role === 'MECHANIC' ? { mechanicId: req.user.id } : { userId: req.user.id });
+  }
+  return Booking.findOne(filter).select('bookingId status paymentStatus pricing.totalAmount paymentDetails paymentMethod');
+};
+
+const wantsPdf = (req) => req.query.format === 'pdf' || req.accepts(['json', 'application/pdf']) === 'application/pdf';
+
+const sendPdf = async (res, document) => {
+  const pdf = await invoiceService.renderPdf(document);
+  const filename = `${document.type === 'CREDIT_NOTE' ? 'credit-note' : 'invoice'}-${document.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length,
+  });
+  res.send(pdf);
+};
+
+/**
+ * Tax invoice for a booking, with its credit notes (JSON), or the invoice
+ * as a PDF with ?format=pdf or Accept: application/pdf
+ * GET /api/booking/:id/invoice
+ */
+const getBookingInvoice = asyncHandler(async (req, res) => {
+  const booking = await findAccessibleBooking(req);
+  if (!booking) {
+    return ApiResponse.notFound(res, 'Booking not found');
+  }
+
+  let { invoice, creditNotes } = await invoiceService.getForBooking(booking._id);
+
+  // Paid before invoicing existed, or the completion step hasn't run yet
+  if (!invoice && booking.status === 'COMPLETED' && bookingPaymentService.isSettled(booking)) {
+    ({ invoice } = await invoiceService.issueForBooking(booking._id));
+  }
+
+  if (!invoice) {
+    return ApiResponse.notFound(res, 'An invoice is issued once the booking is completed and paid');
+  }
+
+  if (wantsPdf(req)) {
+    return sendPdf(res, invoice);
+  }
+
+  ApiResponse.success(res, { invoice, creditNotes });
+});
+
+/**
+ * One credit note for a booking (JSON, or PDF as for the invoice)
+ * GET /api/booking/:id/invoice/credit-notes/:creditNoteId
+ */
+const getBookingCreditNote = asyncHandler(async (req, res) => {
+  const booking = await findAccessibleBooking(req);
+  if (!booking) {
+    return ApiResponse.notFound(res, 'Booking not found');
+  }
+
+  const creditNote = await Invoice.findOne({
+    _id: req.params.creditNoteId,
+    bookingId: booking._id,
+    type: 'CREDIT_NOTE',
+  });
+  if (!creditNote) {
+    return ApiResponse.notFound(res, 'Credit note not found');
+  }
+
+  if (wantsPdf(req)) {
+    return sendPdf(res, creditNote);
+  }
+
+  ApiResponse.success(res, { creditNote });
+});
+
+/**
+ * Issue a credit note against a booking's invoice (usually for a refund)
+ * POST /api/admin/bookings/:id/credit-notes
+ */
+const issueCreditNote = asyncHandler(async (req, res) => {
+  const { refundId, amount, reason } = req.body;
+
+  const booking = await Booking.findById(req.params.id).select('_id');
+  if (!booking) {
+    return ApiResponse.notFound(res, 'Booking not found');
+  }
+
+  const creditNote = await invoiceService.issueCreditNote(booking._id, {
+    refundId,
+    amount,
+    reason,
+    adminId: req.admin.id,
+  });
+
+  ApiResponse.created(res, { creditNote }, `Credit note ${creditNote.invoiceNumber} issued`);
+});
+
+module.exports = {
+  getBookingInvoice,
+  getBookingCreditNote,
+  issueCreditNote,
+};
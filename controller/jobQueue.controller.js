@@ -0,0 +1,82 @@
+const queueService = require('../services/queue.service');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+/**
+ * Resolve :queue, or respond with why it can't be inspected
+ */
+const resolveQueue = (req, res) => {
+  const queue = queueService.getQueue(req.params.queue);
+
+  if (queue === undefined) {
+    ApiResponse.notFound(res, `Unknown queue: ${req.params.queue}`);
+    return null;
+  }
+  if (queue === null) {
+    ApiResponse.badRequest(res, 'Queues are running in mock mode (Redis not configured) — jobs run inline');
+    return null;
+  }
+
+  return queue;
+};
+
+/**
+ * Job counts per queue
+ * GET /api/admin/jobs
+ */
+const getJobQueueStats = asyncHandler(async (req, res) => {
+  const stats = await queueService.getQueueStats();
+  ApiResponse.success(res, { stats });
+});
+
+/**
+ * Failed jobs on a queue
+ * GET /api/admin/jobs/:queue/failed
+ */
+const getFailedJobs = asyncHandler(async (req, res) => {
+  if (!resolveQueue(req, res)) return;
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const start = (page - 1) * limit;
+
+  const { jobs, total } = await queueService.getFailedJobs(req.params.queue, {
+    start,
+    end: start + limit - 1,
+  });
+
+  ApiResponse.paginated(res, jobs, { page, limit, total });
+});
+
+/**
+ * Retry a failed job
+ * POST /api/admin/jobs/:queue/:jobId/retry
+ */
+const retryFailedJob = asyncHandler(async (req, res) => {
+  if (!resolveQueue(req, res)) return;
+
+  const job = await queueService.retryFailedJob(req.params.queue, req.params.jobId);
+  if (!job) {
+    return ApiResponse.notFound(res, 'Failed job not found');
+  }
+
+  ApiResponse.success(res, { job }, 'Job queued for retry');
+});
+
+/**
+ * Retry every failed job on a queue
+ * POST /api/admin/jobs/:queue/retry-failed
+ */
+const retryAllFailedJobs = asyncHandler(async (req, res) => {
+  if (!resolveQueue(req, res)) return;
+
+  const retried = await queueService.retryAllFailedJobs(req.params.queue);
+  ApiResponse.success(res, { retried }, `${retried} jobs queued for retry`);
+});
+
+module.exports = {
+  getJobQueueStats,
+  getFailedJobs,
+  retryFailedJob,
+  retryAllFailedJobs,
+};
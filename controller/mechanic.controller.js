@@ -2,6 +2,8 @@ const Mechanic = require('../models/Mechanic');
 const MechanicDocument = require('../models/MechanicDocument');
 const MechanicEarning = require('../models/MechanicEarning');
 const MechanicPayout = require('../models/MechanicPayout');
+const Service = require('../models/Service');
+const ServiceCategory = require('../models/ServiceCategory');
 const cloudinaryService = require('../services/cloudinary.service');
 const redisService = require('../services/redis.service');
 const ApiResponse = require('../utils/apiResponse');
@@ -99,7 +101,14 @@ const updateProfile = asyncHandler(async (req, res) => {
   if (email) updateData.email = email.toLowerCase();
   if (address) updateData.address = address;
   if (vehicleTypes) updateData.vehicleTypes = vehicleTypes;
-  if (servicesOffered) updateData.servicesOffered = servicesOffered;
+  if (servicesOffered) {
+    // Names always come from the catalogue, not the client
+    const resolved = await resolveServiceSkills(servicesOffered.map(s => s.serviceId), []);
+    if (resolved.error) {
+      return ApiResponse.badRequest(res, resolved.error);
+    }
+    updateData.servicesOffered = resolved.servicesOffered;
+  }
 
   const mechanic = await Mechanic.findByIdAndUpdate(
     req.mechanic.id,
@@ -114,6 +123,89 @@ const updateProfile = asyncHandler(async (req, res) => {
   ApiResponse.success(res, { mechanic }, 'Profile updated successfully');
 });
 
+/**
+ * Check service / category ids against the active catalogue and snapshot names
+ * @returns {Promise<Object>} { servicesOffered, serviceCategoriesOffered } or { error }
+ */
+const resolveServiceSkills = async (serviceIds = [], categoryIds = []) => {
+  const uniqueServiceIds = [...new Set(serviceIds.filter(Boolean).map(String))];
+  const uniqueCategoryIds = [...new Set(categoryIds.filter(Boolean).map(String))];
+
+  const [services, categories] = await Promise.all([
+    Service.find({ _id: { $in: uniqueServiceIds }, status: 'ACTIVE' }).select('name'),
+    ServiceCategory.find({ _id: { $in: uniqueCategoryIds }, status: 'ACTIVE' }).select('name'),
+  ]);
+
+  if (services.length !== uniqueServiceIds.length) {
+    return { error: 'One or more services are not in the active catalogue' };
+  }
+  if (categories.length !== uniqueCategoryIds.length) {
+    return { error: 'One or more service categories are not in the active catalogue' };
+  }
+
+  return {
+    servicesOffered: services.map(svc => ({ serviceId: svc._id, serviceName: svc.name })),
+    serviceCategoriesOffered: categories.map(cat => ({ categoryId: cat._id, categoryName: cat.name })),
+  };
+};
+
+/**
+ * Get the services the mechanic offers
+ * GET /api/mechanic/services
+ *
+ * Dispatch only offers a job to mechanics who list the service or its
+ * category (and support the vehicle type).
+ */
+const getServicesOffered = asyncHandler(async (req, res) => {
+  const mechanic = await Mechanic.findById(req.mechanic.id)
+    .select('servicesOffered serviceCategoriesOffered vehicleTypes');
+
+  if (!mechanic) {
+    return ApiResponse.notFound(res, 'Mechanic not found');
+  }
+
+  ApiResponse.success(res, {
+    vehicleTypes: mechanic.vehicleTypes,
+    servicesOffered: mechanic.servicesOffered,
+    serviceCategoriesOffered: mechanic.serviceCategoriesOffered,
+  });
+});
+
+/**
+ * Replace the services the mechanic offers
+ * PUT /api/mechanic/services
+ * Body: { serviceIds: [...], categoryIds: [...] }
+ */
+const updateServicesOffered = asyncHandler(async (req, res) => {
+  const { serviceIds = [], categoryIds = [] } = req.body;
+
+  const resolved = await resolveServiceSkills(serviceIds, categoryIds);
+  if (resolved.error) {
+    return ApiResponse.badRequest(res, resolved.error);
+  }
+
+  const mechanic = await Mechanic.findByIdAndUpdate(
+    req.mechanic.id,
+    {
+      $set: {
+        servicesOffered: resolved.servicesOffered,
+        serviceCategoriesOffered: resolved.serviceCategoriesOffered,
+      },
+    },
+    { new: true }
+  ).select('servicesOffered serviceCategoriesOffered vehicleTypes');
+
+  if (!mechanic) {
+    return ApiResponse.notFound(res, 'Mechanic not found');
+  }
+
+  ApiResponse.success(res, {
+    vehicleTypes: mechanic.vehicleTypes,
+    servicesOffered: mechanic.servicesOffered,
+    serviceCategoriesOffered: mechanic.serviceCategoriesOffered,
+  }, 'Services updated successfully');
+});
+
 /**
  * Upload profile photo
  * POST /api/mechanic/photo
@@ -733,6 +825,8 @@ const clearFcmToken = asyncHandler(async (req, res) => {
 module.exports = {
   getProfile,
   updateProfile,
+  getServicesOffered,
+  updateServicesOffered,
   uploadPhoto,
   updateBankDetails,
   getBankDetails,
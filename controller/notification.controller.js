@@ -1,4 +1,5 @@
 const Notification = require('../models/Notification');
+const queueService = require('../services/queue.service');
 const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/error.middleware');
 
@@ -123,35 +124,62 @@ const createNotification = async (data) => {
   return notification;
 };
 
+const bookingNotification = (userId, title, body, bookingId, type = 'BOOKING') => ({
+  userId,
+  userModel: 'User',
+  title,
+  body,
+  type,
+  data: { bookingId },
+  actionUrl: `/booking/${bookingId}`,
+});
+
+const jobNotification = (mechanicId, title, body, bookingId, priority = 'HIGH') => ({
+  userId: mechanicId,
+  userModel: 'Mechanic',
+  title,
+  body,
+  type: 'JOB',
+  priority,
+  data: { bookingId },
+  actionUrl: `/job/${bookingId}`,
+});
+
+/**
+ * Queue a notification for the worker instead of creating it inline
+ * @param {string} key - Identifies the event, e.g. `payment-confirmed:<bookingId>`;
+ *   a key is only ever turned into one notification
+ */
+const queueNotification = async (key, data) => {
+  return queueService.queueNotification('in-app', data, { jobId: `in-app:${key}` });
+};
+
 /**
  * Send booking notification to user
  */
 const sendBookingNotification = async (userId, title, body, bookingId, type = 'BOOKING') => {
-  return createNotification({
-    userId,
-    userModel: 'User',
-    title,
-    body,
-    type,
-    data: { bookingId },
-    actionUrl: `/booking/${bookingId}`,
-  });
+  return createNotification(bookingNotification(userId, title, body, bookingId, type));
+};
+
+/**
+ * Queue booking notification to user (see queueNotification)
+ */
+const queueBookingNotification = async (key, userId, title, body, bookingId, type = 'BOOKING') => {
+  return queueNotification(key, bookingNotification(userId, title, body, bookingId, type));
 };
 
 /**
  * Send job notification to mechanic
  */
 const sendJobNotification = async (mechanicId, title, body, bookingId, priority = 'HIGH') => {
-  return createNotification({
-    userId: mechanicId,
-    userModel: 'Mechanic',
-    title,
-    body,
-    type: 'JOB',
-    priority,
-    data: { bookingId },
-    actionUrl: `/job/${bookingId}`,
-  });
+  return createNotification(jobNotification(mechanicId, title, body, bookingId, priority));
+};
+
+/**
+ * Queue job notification to mechanic (see queueNotification)
+ */
+const queueJobNotification = async (key, mechanicId, title, body, bookingId, priority = 'HIGH') => {
+  return queueNotification(key, jobNotification(mechanicId, title, body, bookingId, priority));
 };
 
 /**
@@ -221,8 +249,11 @@ module.exports = {
   deleteAllNotifications,
   // Internal
   createNotification,
+  queueNotification,
   sendBookingNotification,
+  queueBookingNotification,
   sendJobNotification,
+  queueJobNotification,
   sendPaymentNotification,
   sendRewardNotification,
   sendPayoutNotification,
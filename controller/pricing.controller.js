@@ -1,6 +1,8 @@
 const RegionPricing = require('../models/RegionPricing');
 const Service = require('../models/Service');
 const Region = require('../models/Region');
+const pricingService = require('../services/pricing.service');
+const pricingEngine = require('../utils/pricingEngine');
 
 // Get all pricing entries
 const getAllPricing = async (req, res) => {
@@ -109,29 +111,26 @@ const upsertPricing = async (req, res) => {
       return res.status(404).json({ message: 'Region not found.' });
     }
 
-    const gst = gstPercent ?? 18;
-    const platformFee = platformFeePercent ?? 25;
-    const travel = travelCharge ?? 88;
-
-    // Calculate amounts manually
-    const gstAmount = Math.round((basePrice * gst) / 100);
-    const platformFeeAmount = Math.round((basePrice * platformFee) / 100);
-    const totalPrice = basePrice + gstAmount + platformFeeAmount + travel;
-    const mechanicEarning = basePrice + travel;
-    const companyEarning = gstAmount + platformFeeAmount;
+    const breakdown = pricingEngine.calculate({
+      basePrice,
+      gstPercent,
+      platformFeePercent,
+      travelCharge
+    });
 
     const pricingData = {
       serviceId,
       regionId,
-      basePrice,
-      gstPercent: gst,
-      gstAmount,
-      platformFeePercent: platformFee,
-      platformFeeAmount,
-      travelCharge: travel,
-      totalPrice,
-      mechanicEarning,
-      companyEarning,
+      basePrice: breakdown.basePrice,
+      gstPercent: breakdown.gstPercent,
+      gstAmount: breakdown.gstAmount,
+      platformFeePercent: breakdown.platformFeePercent,
+      platformFeeAmount: breakdown.platformFeeAmount,
+      travelCharge: breakdown.travelCharge,
+      totalPrice: breakdown.totalAmount,
+      mechanicEarning: breakdown.mechanicEarning,
+      companyEarning: breakdown.companyEarning,
+      formulaVersion: breakdown.formulaVersion,
       createdBy: req.admin?.id
     };
 
@@ -173,13 +172,7 @@ const updatePricing = async (req, res) => {
     if (travelCharge !== undefined) pricing.travelCharge = travelCharge;
     if (status) pricing.status = status;
 
-    // Recalculate amounts
-    pricing.gstAmount = Math.round((pricing.basePrice * pricing.gstPercent) / 100);
-    pricing.platformFeeAmount = Math.round((pricing.basePrice * pricing.platformFeePercent) / 100);
-    pricing.totalPrice = pricing.basePrice + pricing.gstAmount + pricing.platformFeeAmount + pricing.travelCharge;
-    pricing.mechanicEarning = pricing.basePrice + pricing.travelCharge;
-    pricing.companyEarning = pricing.gstAmount + pricing.platformFeeAmount;
-
+    // Amounts are recalculated by the pre-save hook
     await pricing.save();
 
     const populated = await RegionPricing.findById(pricing._id)
@@ -213,29 +206,24 @@ const deletePricing = async (req, res) => {
 // Calculate pricing preview (without saving)
 const calculatePricing = async (req, res) => {
   try {
-    const { basePrice, gstPercent = 18, platformFeePercent = 25, travelCharge = 88 } = req.body;
+    const { basePrice, gstPercent, platformFeePercent, travelCharge, discount } = req.body;
 
     if (basePrice === undefined) {
       return res.status(400).json({ message: 'basePrice is required.' });
     }
 
-    const gstAmount = Math.round((basePrice * gstPercent) / 100);
-    const platformFeeAmount = Math.round((basePrice * platformFeePercent) / 100);
-    const totalPrice = basePrice + gstAmount + platformFeeAmount + travelCharge;
-    const mechanicEarning = basePrice + travelCharge;
-    const companyEarning = gstAmount + platformFeeAmount;
+    const breakdown = pricingEngine.calculate({
+      basePrice,
+      gstPercent,
+      platformFeePercent,
+      travelCharge,
+      discount
+    });
 
     return res.status(200).json({
       breakdown: {
-        basePrice,
-        gstPercent,
-        gstAmount,
-        platformFeePercent,
-        platformFeeAmount,
-        travelCharge,
-        totalPrice,
-        mechanicEarning,
-        companyEarning
+        ...breakdown,
+        totalPrice: breakdown.totalAmount
       }
     });
   } catch (error) {
@@ -244,6 +232,49 @@ const calculatePricing = async (req, res) => {
   }
 };
 
+// Quote a service at a location (same resolver createBooking uses)
+const getQuote = async (req, res) => {
+  try {
+    const { serviceId, regionId, lat, lng } = req.query;
+
+    if (!serviceId) {
+      return res.status(400).json({ message: 'serviceId is required.' });
+    }
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    const hasCoordinates = !Number.isNaN(latitude) && !Number.isNaN(longitude);
+
+    if (!regionId && !hasCoordinates) {
+      return res.status(400).json({ message: 'Either regionId or lat and lng are required.' });
+    }
+
+    const { service, region, pricing } = await pricingService.quote({
+      serviceId,
+      regionId,
+      latitude: hasCoordinates ? latitude : undefined,
+      longitude: hasCoordinates ? longitude : undefined
+    });
+
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found.' });
+    }
+
+    if (regionId && !region) {
+      return res.status(404).json({ message: 'Region not found.' });
+    }
+
+    return res.status(200).json({
+      serviceId: service._id,
+      region: region ? { _id: region._id, name: region.name, state: region.state } : null,
+      breakdown: pricing
+    });
+  } catch (error) {
+    console.error('Error quoting pricing:', error);
+    return res.status(500).json({ message: 'Internal server error.' });
+  }
+};
+
 module.exports = {
   getAllPricing,
   getPricingByRegion,
@@ -252,5 +283,6 @@ module.exports = {
   upsertPricing,
   updatePricing,
   deletePricing,
-  calculatePricing
+  calculatePricing,
+  getQuote
 };
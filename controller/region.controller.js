@@ -5,6 +5,49 @@ const generateSlug = (name) => {
   return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
 };
 
+// Helper to build the GeoJSON centre point from lat/lng
+const buildLocation = (latitude, longitude) => {
+  if (latitude === undefined || longitude === undefined) return undefined;
+  return {
+    type: 'Point',
+    coordinates: [Number(longitude), Number(latitude)]
+  };
+};
+
+// Helper to check a travelPricing payload — returns an error message or null
+const validateTravelPricing = (travelPricing) => {
+  if (travelPricing === undefined) return null;
+  if (!travelPricing || typeof travelPricing !== 'object') return 'travelPricing must be an object.';
+
+  const { mode = 'FLAT', baseCharge, slabs = [], maxCharge } = travelPricing;
+  if (!['FLAT', 'DISTANCE'].includes(mode)) return 'travelPricing.mode must be FLAT or DISTANCE.';
+  if (!Array.isArray(slabs)) return 'travelPricing.slabs must be an array.';
+  if (mode === 'DISTANCE' && slabs.length === 0) return 'DISTANCE travel pricing needs at least one slab.';
+
+  for (const value of [baseCharge, maxCharge]) {
+    if (value !== undefined && value !== null && !(Number(value) >= 0)) {
+      return 'travelPricing charges must be non-negative numbers.';
+    }
+  }
+
+  // Bands must ascend, and only the last may be open-ended
+  let previousKm = 0;
+  for (const [index, slab] of slabs.entries()) {
+    if (!(Number(slab?.ratePerKm) >= 0)) return 'Each slab needs a non-negative ratePerKm.';
+
+    const isLast = index === slabs.length - 1;
+    if (slab.upToKm === undefined || slab.upToKm === null) {
+      if (!isLast) return 'Only the last slab can be open-ended.';
+    } else if (!(Number(slab.upToKm) > previousKm)) {
+      return 'Slab upToKm values must be ascending and positive.';
+    } else {
+      previousKm = Number(slab.upToKm);
+    }
+  }
+
+  return null;
+};
+
 // Get all regions
 const getAllRegions = async (req, res) => {
   try {
@@ -40,12 +83,17 @@ const getRegionById = async (req, res) => {
 // Create region
 const createRegion = async (req, res) => {
   try {
-    const { name, state, country } = req.body;
+    const { name, state, country, latitude, longitude, serviceRadiusKm, travelPricing } = req.body;
 
     if (!name || !state) {
       return res.status(400).json({ message: 'Name and state are required.' });
     }
 
+    const travelPricingError = validateTravelPricing(travelPricing);
+    if (travelPricingError) {
+      return res.status(400).json({ message: travelPricingError });
+    }
+
     const slug = generateSlug(name);
 
     const region = await Region.create({
@@ -53,6 +101,9 @@ const createRegion = async (req, res) => {
       slug,
       state,
       country: country || 'India',
+      location: buildLocation(latitude, longitude),
+      serviceRadiusKm,
+      travelPricing,
       createdBy: req.admin?.id
     });
 
@@ -70,7 +121,12 @@ const createRegion = async (req, res) => {
 const updateRegion = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, state, country, status } = req.body;
+    const { name, state, country, status, latitude, longitude, serviceRadiusKm, travelPricing } = req.body;
+
+    const travelPricingError = validateTravelPricing(travelPricing);
+    if (travelPricingError) {
+      return res.status(400).json({ message: travelPricingError });
+    }
 
     const updateData = {};
     if (name) {
@@ -80,6 +136,11 @@ const updateRegion = async (req, res) => {
     if (state) updateData.state = state;
     if (country) updateData.country = country;
     if (status) updateData.status = status;
+    if (latitude !== undefined && longitude !== undefined) {
+      updateData.location = buildLocation(latitude, longitude);
+    }
+    if (serviceRadiusKm !== undefined) updateData.serviceRadiusKm = serviceRadiusKm;
+    if (travelPricing !== undefined) updateData.travelPricing = travelPricing;
 
     const region = await Region.findByIdAndUpdate(id, updateData, { new: true });
 
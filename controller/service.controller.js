@@ -6,6 +6,11 @@ const generateSlug = (name) => {
   return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
 };
 
+// Helper to check reminderIntervalDays (absent, null or a positive whole number)
+const isValidReminderInterval = (value) => {
+  return value === undefined || value === null || (Number.isInteger(value) && value >= 1);
+};
+
 // ==================== CATEGORIES ====================
 
 // Get all categories
@@ -123,12 +128,16 @@ const getServiceById = async (req, res) => {
 // Create service
 const createService = async (req, res) => {
   try {
-    const { name, description, categoryId, basePrice, estimatedTime, icon } = req.body;
+    const { name, description, categoryId, basePrice, estimatedTime, icon, reminderIntervalDays } = req.body;
 
     if (!name || !categoryId || basePrice === undefined) {
       return res.status(400).json({ message: 'Name, categoryId, and basePrice are required.' });
     }
 
+    if (!isValidReminderInterval(reminderIntervalDays)) {
+      return res.status(400).json({ message: 'reminderIntervalDays must be a whole number of days (1 or more), or null.' });
+    }
+
     // Verify category exists
     const category = await ServiceCategory.findById(categoryId);
     if (!category) {
@@ -145,6 +154,7 @@ const createService = async (req, res) => {
       basePrice,
       estimatedTime: estimatedTime || 60,
       icon: icon || '🔧',
+      reminderIntervalDays: reminderIntervalDays || undefined,
       createdBy: req.admin?.id
     });
 
@@ -164,7 +174,11 @@ const createService = async (req, res) => {
 const updateService = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, categoryId, basePrice, estimatedTime, icon, status } = req.body;
+    const { name, description, categoryId, basePrice, estimatedTime, icon, status, reminderIntervalDays } = req.body;
+
+    if (!isValidReminderInterval(reminderIntervalDays)) {
+      return res.status(400).json({ message: 'reminderIntervalDays must be a whole number of days (1 or more), or null.' });
+    }
 
     const updateData = {};
     if (name) {
@@ -177,6 +191,11 @@ const updateService = async (req, res) => {
     if (estimatedTime !== undefined) updateData.estimatedTime = estimatedTime;
     if (icon) updateData.icon = icon;
     if (status) updateData.status = status;
+    if (reminderIntervalDays !== undefined) {
+      // null switches reminders off for the service
+      if (reminderIntervalDays === null) updateData.$unset = { reminderIntervalDays: 1 };
+      else updateData.reminderIntervalDays = reminderIntervalDays;
+    }
 
     const service = await Service.findByIdAndUpdate(id, updateData, { new: true })
       .populate('categoryId', 'name slug icon');
@@ -1,5 +1,10 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const UserAddress = require('../models/UserAddress');
+const UserVehicle = require('../models/UserVehicle');
+const Booking = require('../models/Booking');
 const cloudinaryService = require('../services/cloudinary.service');
+const serviceReminderService = require('../services/serviceReminder.service');
 const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/error.middleware');
 
@@ -124,12 +129,363 @@ const deleteAccount = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get saved addresses (future feature)
+ * Duplicate HOME / WORK label (unique index) → readable message
+ */
+const addressConflict = (res, error, label) => {
+  if (error.code === 11000 && ['HOME', 'WORK'].includes(label)) {
+    return ApiResponse.conflict(res, `You already have a ${label === 'HOME' ? 'Home' : 'Work'} address. Edit that one instead.`);
+  }
+  throw error;
+};
+
+/**
+ * Get saved addresses (default first, then most recently used/edited)
  * GET /api/user/addresses
  */
 const getAddresses = asyncHandler(async (req, res) => {
-  // Placeholder for saved addresses feature
-  ApiResponse.success(res, { addresses: [] }, 'Addresses retrieved');
+  const addresses = await UserAddress.find({ userId: req.user.id })
+    .sort({ isDefault: -1, lastUsedAt: -1, updatedAt: -1 });
+
+  ApiResponse.success(res, { addresses }, 'Addresses retrieved');
+});
+
+/**
+ * Get one saved address
+ * GET /api/user/addresses/:addressId
+ */
+const getAddress = asyncHandler(async (req, res) => {
+  const address = await UserAddress.findOne({ _id: req.params.addressId, userId: req.user.id });
+
+  if (!address) {
+    return ApiResponse.notFound(res, 'Address not found');
+  }
+
+  ApiResponse.success(res, { address });
+});
+
+/**
+ * Save an address. The first one becomes the default.
+ * POST /api/user/addresses
+ */
+const createAddress = asyncHandler(async (req, res) => {
+  const { label, customLabel, latitude, longitude, address, landmark, isDefault } = req.body;
+
+  const count = await UserAddress.countDocuments({ userId: req.user.id });
+  if (count >= UserAddress.MAX_ADDRESSES_PER_USER) {
+    return ApiResponse.badRequest(res, `You can save up to ${UserAddress.MAX_ADDRESSES_PER_USER} addresses. Delete one to add another.`);
+  }
+
+  let saved;
+  try {
+    saved = await UserAddress.create({
+      userId: req.user.id,
+      label,
+      customLabel,
+      location: { type: 'Point', coordinates: [longitude, latitude] },
+      address,
+      landmark,
+    });
+  } catch (error) {
+    return addressConflict(res, error, label);
+  }
+
+  if (isDefault || count === 0) {
+    saved = await UserAddress.setDefault(req.user.id, saved._id);
+  }
+
+  ApiResponse.created(res, { address: saved }, 'Address saved');
+});
+
+/**
+ * Edit a saved address (past bookings keep their own copy)
+ * PUT /api/user/addresses/:addressId
+ */
+const updateAddress = asyncHandler(async (req, res) => {
+  const { label, customLabel, latitude, longitude, address, landmark, isDefault } = req.body;
+
+  const saved = await UserAddress.findOne({ _id: req.params.addressId, userId: req.user.id });
+  if (!saved) {
+    return ApiResponse.notFound(res, 'Address not found');
+  }
+
+  if (label !== undefined) saved.label = label;
+  if (customLabel !== undefined) saved.customLabel = customLabel;
+  if (saved.label !== 'OTHER') saved.customLabel = undefined;
+  if (latitude !== undefined) saved.location = { type: 'Point', coordinates: [longitude, latitude] };
+  if (address !== undefined) saved.address = address;
+  if (landmark !== undefined) saved.landmark = landmark;
+
+  try {
+    await saved.save();
+  } catch (error) {
+    return addressConflict(res, error, saved.label);
+  }
+
+  let updated = saved;
+  if (isDefault === true && !saved.isDefault) {
+    updated = await UserAddress.setDefault(req.user.id, saved._id);
+  }
+
+  ApiResponse.success(res, { address: updated }, 'Address updated');
+});
+
+/**
+ * Make a saved address the default
+ * PATCH /api/user/addresses/:addressId/default
+ */
+const setDefaultAddress = asyncHandler(async (req, res) => {
+  const address = await UserAddress.setDefault(req.user.id, req.params.addressId);
+
+  if (!address) {
+    return ApiResponse.notFound(res, 'Address not found');
+  }
+
+  ApiResponse.success(res, { address }, 'Default address updated');
+});
+
+/**
+ * Delete a saved address. If it was the default, the most recently used
+ * remaining address takes over.
+ * DELETE /api/user/addresses/:addressId
+ */
+const deleteAddress = asyncHandler(async (req, res) => {
+  const deleted = await UserAddress.findOneAndDelete({ _id: req.params.addressId, userId: req.user.id });
+
+  if (!deleted) {
+    return ApiResponse.notFound(res, 'Address not found');
+  }
+
+  if (deleted.isDefault) {
+    const next = await UserAddress.findOne({ userId: req.user.id }).sort({ lastUsedAt: -1, updatedAt: -1 });
+    if (next) {
+      await UserAddress.setDefault(req.user.id, next._id);
+    }
+  }
+
+  ApiResponse.success(res, null, 'Address deleted');
+});
+
+/**
+ * Duplicate registration number for this user (unique index) → readable message
+ */
+const vehicleConflict = (res, error) => {
+  if (error.code === 11000) {
+    return ApiResponse.conflict(res, 'A vehicle with this registration number is already in your garage');
+  }
+  throw error;
+};
+
+/**
+ * Get the user's vehicles
+ * GET /api/user/vehicles
+ */
+const getVehicles = asyncHandler(async (req, res) => {
+  const vehicles = await UserVehicle.find({ userId: req.user.id })
+    .sort({ lastBookedAt: -1, updatedAt: -1 });
+
+  ApiResponse.success(res, { vehicles }, 'Vehicles retrieved');
+});
+
+/**
+ * Get one vehicle
+ * GET /api/user/vehicles/:vehicleId
+ */
+const getVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await UserVehicle.findOne({ _id: req.params.vehicleId, userId: req.user.id });
+
+  if (!vehicle) {
+    return ApiResponse.notFound(res, 'Vehicle not found');
+  }
+
+  ApiResponse.success(res, { vehicle });
+});
+
+/**
+ * Add a vehicle to the garage
+ * POST /api/user/vehicles
+ */
+const createVehicle = asyncHandler(async (req, res) => {
+  const { type, make, model, registrationNumber, fuelType, year, nickname } = req.body;
+
+  const count = await UserVehicle.countDocuments({ userId: req.user.id });
+  if (count >= UserVehicle.MAX_VEHICLES_PER_USER) {
+    return ApiResponse.badRequest(res, `You can save up to ${UserVehicle.MAX_VEHICLES_PER_USER} vehicles. Remove one to add another.`);
+  }
+
+  let vehicle;
+  try {
+    vehicle = await UserVehicle.create({
+      userId: req.user.id,
+      type,
+      make,
+      model,
+      registrationNumber,
+      fuelType,
+      year,
+      nickname,
+    });
+  } catch (error) {
+    return vehicleConflict(res, error);
+  }
+
+  ApiResponse.created(res, { vehicle }, 'Vehicle added');
+});
+
+/**
+ * Edit a vehicle (past bookings keep their own copy of the details)
+ * PUT /api/user/vehicles/:vehicleId
+ */
+const updateVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await UserVehicle.findOne({ _id: req.params.vehicleId, userId: req.user.id });
+  if (!vehicle) {
+    return ApiResponse.notFound(res, 'Vehicle not found');
+  }
+
+  // '' / null clear an optional field
+  for (const field of ['type', 'make', 'model', 'registrationNumber', 'fuelType', 'year', 'nickname']) {
+    if (req.body[field] !== undefined) {
+      vehicle[field] = req.body[field] === '' || req.body[field] === null ? undefined : req.body[field];
+    }
+  }
+
+  try {
+    await vehicle.save();
+  } catch (error) {
+    return vehicleConflict(res, error);
+  }
+
+  ApiResponse.success(res, { vehicle }, 'Vehicle updated');
+});
+
+/**
+ * Remove a vehicle from the garage (its bookings are kept)
+ * DELETE /api/user/vehicles/:vehicleId
+ */
+const deleteVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await UserVehicle.findOneAndDelete({ _id: req.params.vehicleId, userId: req.user.id });
+
+  if (!vehicle) {
+    return ApiResponse.notFound(res, 'Vehicle not found');
+  }
+
+  ApiResponse.success(res, null, 'Vehicle removed');
+});
+
+/**
+ * Service history of a vehicle: completed bookings with the mechanic and
+ * what was charged. Also matches the user's bookings that typed in the same
+ * registration number before the vehicle was saved.
+ * GET /api/user/vehicles/:vehicleId/history?page=1&limit=10
+ */
+const getVehicleHistory = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+  const vehicle = await UserVehicle.findOne({ _id: req.params.vehicleId, userId: req.user.id });
+  if (!vehicle) {
+    return ApiResponse.notFound(res, 'Vehicle not found');
+  }
+
+  const filter = {
+    userId: req.user.id,
+    status: 'COMPLETED',
+    $or: [
+      { 'vehicleDetails.vehicleId': vehicle._id },
+      ...(vehicle.registrationNumber ? [{ 'vehicleDetails.registrationNumber': vehicle.registrationNumber }] : []),
+    ],
+  };
+
+  const [bookings, total, [totals]] = await Promise.all([
+    Booking.find(filter)
+      .sort({ completedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('bookingId serviceSnapshot mechanicId completedAt actualDuration pricing paymentStatus paymentMethod rating invoice')
+      .populate('mechanicId', 'fullName profilePhoto ratingAverage'),
+    Booking.countDocuments(filter),
+    Booking.aggregate([
+      { $match: { ...filter, userId: new mongoose.Types.ObjectId(req.user.id) } },
+      {
+        $group: {
+          _id: null,
+          totalSpent: { $sum: '$pricing.totalAmount' },
+          lastServicedAt: { $max: '$completedAt' },
+        },
+      },
+    ]),
+  ]);
+
+  const history = bookings.map(booking => ({
+    id: booking._id,
+    bookingId: booking.bookingId,
+    service: booking.serviceSnapshot,
+    completedAt: booking.completedAt,
+    durationMinutes: booking.actualDuration,
+    mechanic: booking.mechanicId,
+    rating: booking.rating,
+    invoice: {
+      invoiceNumber: booking.invoice?.invoiceNumber, // PDF at GET /api/booking/:id/invoice
+      totalAmount: booking.pricing?.totalAmount,
+      paymentStatus: booking.paymentStatus,
+      paymentMethod: booking.paymentMethod,
+      breakdown: booking.pricing,
+    },
+  }));
+
+  ApiResponse.success(res, {
+    vehicle,
+    summary: {
+      totalServices: total,
+      totalSpent: Math.round((totals?.totalSpent || 0) * 100) / 100,
+      lastServicedAt: totals?.lastServicedAt || null,
+    },
+    history,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * Service reminder settings and upcoming due dates for a vehicle
+ * GET /api/user/vehicles/:vehicleId/reminders
+ */
+const getVehicleReminders = asyncHandler(async (req, res) => {
+  const vehicle = await UserVehicle.findOne({ _id: req.params.vehicleId, userId: req.user.id });
+  if (!vehicle) {
+    return ApiResponse.notFound(res, 'Vehicle not found');
+  }
+
+  const reminders = await serviceReminderService.getUpcoming(vehicle);
+
+  ApiResponse.success(res, { vehicleId: vehicle._id, reminders });
+});
+
+/**
+ * Snooze or opt a vehicle out of service reminders
+ * PATCH /api/user/vehicles/:vehicleId/reminders
+ */
+const updateVehicleReminders = asyncHandler(async (req, res) => {
+  const { snoozeDays, optedOut } = req.body;
+
+  let vehicle = await UserVehicle.findOne({ _id: req.params.vehicleId, userId: req.user.id });
+  if (!vehicle) {
+    return ApiResponse.notFound(res, 'Vehicle not found');
+  }
+
+  if (optedOut !== undefined) {
+    vehicle = await serviceReminderService.setOptOut(vehicle, optedOut);
+  }
+  if (snoozeDays !== undefined) {
+    vehicle = await serviceReminderService.snooze(vehicle, snoozeDays);
+  }
+
+  const reminders = await serviceReminderService.getUpcoming(vehicle);
+
+  ApiResponse.success(res, { vehicleId: vehicle._id, reminders }, 'Reminder settings updated');
 });
 
 /**
@@ -176,6 +532,19 @@ module.exports = {
   updateLocation,
   deleteAccount,
   getAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+  getVehicles,
+  getVehicle,
+  createVehicle,
+  updateVehicle,
+  deleteVehicle,
+  getVehicleHistory,
+  getVehicleReminders,
+  updateVehicleReminders,
   updateFcmToken,
   clearFcmToken,
 };
@@ -125,38 +125,29 @@ const verifyPayment = asyncHandler(async (req, res) => {
 
   if (!verification.success) {
     // Update transaction as failed
-    await WalletTransaction.findOneAndUpdate(
-      { referenceId: razorpay_order_id },
-      { status: 'FAILED' }
-    );
+    await failRecharge(razorpay_order_id);
     return ApiResponse.badRequest(res, 'Payment verification failed');
   }
 
   // Get the pending transaction
-  const transaction = await WalletTransaction.findOne({
+  const pending = await WalletTransaction.findOne({
     referenceId: razorpay_order_id,
     userId: req.user.id,
   });
 
-  if (!transaction) {
+  if (!pending) {
     return ApiResponse.notFound(res, 'Transaction not found');
   }
 
-  if (transaction.status === 'COMPLETED') {
+  const { transaction, wallet, alreadyProcessed } = await completeRecharge(razorpay_order_id, {
+    razorpayPaymentId: razorpay_payment_id,
+    razorpaySignature: razorpay_signature,
+  });
+
+  if (alreadyProcessed) {
     return ApiResponse.badRequest(res, 'Payment already processed');
   }
 
-  // Update wallet balance
-  const wallet = await Wallet.getOrCreate(req.user.id);
-  await wallet.credit(transaction.amount);
-
-  // Update transaction
-  transaction.status = 'COMPLETED';
-  transaction.balanceAfter = wallet.balance;
-  transaction.paymentDetails.razorpayPaymentId = razorpay_payment_id;
-  transaction.paymentDetails.razorpaySignature = razorpay_signature;
-  await transaction.save();
-
   ApiResponse.success(res, {
     wallet: {
       balance: wallet.balance,
@@ -165,6 +156,48 @@ const verifyPayment = asyncHandler(async (req, res) => {
   }, 'Payment successful! Wallet credited');
 });
 
+/**
+ * Settle a pending wallet recharge (internal use)
+ * Shared by verify-payment and the Razorpay webhook — whichever arrives
+ * first claims the PENDING transaction, the other is a no-op.
+ */
+const completeRecharge = async (razorpayOrderId, paymentDetails = {}) => {
+  const paymentUpdates = {};
+  Object.entries(paymentDetails).forEach(([key, value]) => {
+    if (value !== undefined) paymentUpdates[`paymentDetails.${key}`] = value;
+  });
+
+  const transaction = await WalletTransaction.findOneAndUpdate(
+    { referenceId: razorpayOrderId, source: 'RECHARGE', status: { $in: ['PENDING', 'FAILED'] } },
+    { $set: { status: 'COMPLETED', ...paymentUpdates } },
+    { new: true }
+  );
+
+  if (!transaction) {
+    const existing = await WalletTransaction.findOne({ referenceId: razorpayOrderId, source: 'RECHARGE' });
+    return { transaction: existing, wallet: null, alreadyProcessed: true };
+  }
+
+  const wallet = await Wallet.getOrCreate(transaction.userId);
+  await wallet.credit(transaction.amount);
+
+  transaction.balanceAfter = wallet.balance;
+  await transaction.save();
+
+  return { transaction, wallet, alreadyProcessed: false };
+};
+
+/**
+ * Mark a pending wallet recharge as failed (internal use)
+ */
+const failRecharge = async (razorpayOrderId, reason) => {
+  return WalletTransaction.findOneAndUpdate(
+    { referenceId: razorpayOrderId, source: 'RECHARGE', status: 'PENDING' },
+    { $set: { status: 'FAILED', ...(reason && { 'metadata.failureReason': reason }) } },
+    { new: true }
+  );
+};
+
 /**
  * Process refund to wallet (internal use)
  */
@@ -222,6 +255,36 @@ const debitForBooking = async (userId, amount, bookingId) => {
   }
 };
 
+/**
+ * Charge a cancellation fee from the wallet (internal use)
+ * Takes what the balance allows — the caller records any shortfall.
+ */
+const chargeCancellationFee = async (userId, amount, bookingId) => {
+  const wallet = await Wallet.getOrCreate(userId);
+  const charged = Math.min(wallet.balance, amount);
+
+  if (charged <= 0) {
+    return { charged: 0, wallet, transaction: null };
+  }
+
+  const transaction = await WalletTransaction.create({
+    walletId: wallet._id,
+    userId,
+    type: 'DEBIT',
+    amount: charged,
+    balanceAfter: wallet.balance - charged,
+    source: 'BOOKING',
+    description: 'Booking cancellation fee',
+    referenceId: bookingId,
+    referenceType: 'BOOKING',
+    status: 'COMPLETED',
+  });
+
+  await wallet.debit(charged);
+
+  return { charged, wallet, transaction };
+};
+
 /**
  * Credit promotional amount (internal use)
  */
@@ -276,8 +339,11 @@ module.exports = {
   addMoney,
   verifyPayment,
   // Internal functions
+  completeRecharge,
+  failRecharge,
   creditRefund,
   debitForBooking,
+  chargeCancellationFee,
   creditPromo,
   creditReferralBonus,
 };
@@ -0,0 +1,306 @@
+const Booking = require('../models/Booking');
+const WalletTransaction = require('../models/WalletTransaction');
+const MechanicPayout = require('../models/MechanicPayout');
+const WebhookEvent = require('../models/WebhookEvent');
+const razorpayService = require('../services/razorpay.service');
+const socketService = require('../services/socket.service');
+const refundService = require('../services/refund.service');
+const bookingPaymentService = require('../services/bookingPayment.service');
+const walletController = require('./wallet.controller');
+const earningsController = require('./earnings.controller');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+// A PROCESSING claim older than this is assumed dead (process crashed mid-handler)
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Razorpay webhook
+ * POST /api/webhooks/razorpay
+ *
+ * Settles payments even when the app never called verify-payment:
+ * - payment.captured / payment.failed → wallet recharge or booking payment
+ * - refund.processed / refund.failed → Refund record + booking paymentStatus
+ * - payout.* → MechanicPayout
+ *
+ * Every delivery is stored in the WebhookEvent ledger keyed by event id, so
+ * Razorpay redeliveries are acknowledged without settling twice. A handler
+ * error returns 500 and leaves the event FAILED so the redelivery retries it.
+ */
+const handleRazorpayWebhook = asyncHandler(async (req, res) => {
+  const signature = req.headers['x-razorpay-signature'];
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+  if (!signature || !rawBody || !razorpayService.validateWebhookSignature(rawBody, signature)) {
+    return ApiResponse.unauthorized(res, 'Invalid webhook signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (error) {
+    return ApiResponse.badRequest(res, 'Invalid webhook payload');
+  }
+
+  const eventId = req.headers['x-razorpay-event-id'] || `${payload.event}:${getEntityId(payload)}:${payload.created_at}`;
+
+  // Record the delivery (duplicate key = we've seen this event before)
+  try {
+    await WebhookEvent.create({
+      eventId,
+      event: payload.event,
+      entityId: getEntityId(payload),
+      payload,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Claim the event — only one delivery processes it
+  const record = await WebhookEvent.findOneAndUpdate(
+    {
+      provider: 'RAZORPAY',
+      eventId,
+      $or: [
+        { status: { $in: ['RECEIVED', 'FAILED'] } },
+        { status: 'PROCESSING', updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+      ],
+    },
+    { $set: { status: 'PROCESSING' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!record) {
+    return ApiResponse.success(res, { eventId, duplicate: true }, 'Event already processed');
+  }
+
+  try {
+    const { handled, result } = await dispatchEvent(payload);
+
+    record.status = handled ? 'PROCESSED' : 'IGNORED';
+    record.result = result;
+    record.error = undefined;
+    record.processedAt = new Date();
+    await record.save();
+
+    console.log(`🪝 Razorpay ${payload.event} (${eventId}): ${result}`);
+    ApiResponse.success(res, { eventId, status: record.status }, 'Event processed');
+  } catch (error) {
+    record.status = 'FAILED';
+    record.error = error.message;
+    await record.save();
+
+    console.error(`❌ Razorpay webhook ${payload.event} (${eventId}) failed:`, error.message);
+    ApiResponse.serverError(res, 'Webhook processing failed');
+  }
+});
+
+/**
+ * Entity id of the event's main object (payment, refund or payout)
+ */
+const getEntityId = (payload) => {
+  const { payment, refund, payout } = payload.payload || {};
+  if (payload.event?.startsWith('refund.')) return refund?.entity?.id;
+  if (payload.event?.startsWith('payout.')) return payout?.entity?.id;
+  return payment?.entity?.id;
+};
+
+/**
+ * Route an event to its handler
+ * @returns {Promise<Object>} { handled, result }
+ */
+const dispatchEvent = async (payload) => {
+  const entities = payload.payload || {};
+
+  switch (payload.event) {
+    case 'payment.captured':
+      return handlePaymentCaptured(entities.payment?.entity);
+    case 'payment.failed':
+      return handlePaymentFailed(entities.payment?.entity);
+    case 'refund.processed':
+      return handleRefundEvent(entities.refund?.entity, true);
+    case 'refund.failed':
+      return handleRefundEvent(entities.refund?.entity, false);
+    default:
+      if (payload.event?.startsWith('payout.')) {
+        return handlePayoutEvent(payload.event, entities.payout?.entity);
+      }
+      return { handled: false, result: 'Unhandled event type' };
+  }
+};
+
+/**
+ * payment.captured — credit wallet recharge or record the booking's online
+ * leg (PAID, or PARTIALLY_PAID when cash is still to be collected). A
+ * payment the booking no longer needs is refunded.
+ */
+const handlePaymentCaptured = async (payment) => {
+  if (!payment?.order_id) {
+    return { handled: false, result: 'Payment has no order' };
+  }
+
+  const recharge = await WalletTransaction.findOne({ referenceId: payment.order_id, source: 'RECHARGE' });
+  if (recharge) {
+    const { alreadyProcessed } = await walletController.completeRecharge(payment.order_id, {
+      razorpayPaymentId: payment.id,
+      method: payment.method,
+    });
+    return {
+      handled: true,
+      result: alreadyProcessed ? 'Wallet recharge already settled' : `Wallet credited ₹${recharge.amount}`,
+    };
+  }
+
+  const booking = await findBookingForPayment(payment);
+  if (!booking) {
+    return { handled: false, result: `No wallet recharge or booking for order ${payment.order_id}` };
+  }
+
+  // Payment notes come from the client — only settle orders made for this booking
+  try {
+    await bookingPaymentService.getBookingOrderAmount(booking, payment.order_id, payment.id);
+  } catch (error) {
+    // Razorpay unreachable — fail the event so the redelivery retries it
+    if (!error.isOperational || error.statusCode >= 500) throw error;
+    return { handled: false, result: `Order ${payment.order_id}: ${error.message}` };
+  }
+
+  const { booking: settled, refund } = await bookingPaymentService.settleOnline(booking, {
+    orderId: payment.order_id,
+    paymentId: payment.id,
+    amount: payment.amount / 100,
+  });
+
+  if (!settled) {
+    return {
+      handled: true,
+      result: refund
+        ? `Booking ${booking.bookingId} didn't need payment ${payment.id} — refund ${refund.refundId} (${refund.status})`
+        : `Booking ${booking.bookingId} already recorded payment ${payment.id}`,
+    };
+  }
+
+  if (socketService.isConnected) {
+    socketService.notifyPaymentReceived(settled.mechanicId?.toString(), {
+      bookingId: settled._id.toString(),
+      amount: payment.amount / 100,
+      paymentStatus: settled.paymentStatus,
+    });
+  }
+
+  return {
+    handled: true,
+    result: `Booking ${settled.bookingId} marked ${settled.paymentStatus}${refund ? ` — ₹${refund.amount} over refunded (${refund.refundId})` : ''}`,
+  };
+};
+
+/**
+ * payment.failed — fail pending recharge or booking payment
+ */
+const handlePaymentFailed = async (payment) => {
+  if (!payment?.order_id) {
+    return { handled: false, result: 'Payment has no order' };
+  }
+
+  const reason = payment.error_description || 'Payment failed';
+
+  const recharge = await walletController.failRecharge(payment.order_id, reason);
+  if (recharge) {
+    return { handled: true, result: `Wallet recharge ${payment.order_id} marked FAILED` };
+  }
+
+  const booking = await findBookingForPayment(payment);
+  if (!booking) {
+    return { handled: false, result: `No pending recharge or booking for order ${payment.order_id}` };
+  }
+
+  // Never downgrade a booking that another attempt already paid
+  const failed = await Booking.findOneAndUpdate(
+    { _id: booking._id, paymentStatus: 'PENDING' },
+    { $set: { paymentStatus: 'FAILED' } },
+    { new: true }
+  );
+
+  return {
+    handled: true,
+    result: failed ? `Booking ${booking.bookingId} payment FAILED` : `Booking ${booking.bookingId} left as ${booking.paymentStatus}`,
+  };
+};
+
+/**
+ * refund.processed / refund.failed — settle the Refund's online leg
+ */
+const handleRefundEvent = async (razorpayRefund, succeeded) => {
+  if (!razorpayRefund?.id) {
+    return { handled: false, result: 'Refund entity missing' };
+  }
+
+  const refund = await refundService.settleOnlineRefund(razorpayRefund, succeeded);
+  if (!refund) {
+    return { handled: false, result: `No refund record for ${razorpayRefund.id}` };
+  }
+
+  return { handled: true, result: `Refund ${refund.refundId} ${refund.status}` };
+};
+
+/**
+ * payout.* — settle MechanicPayout
+ */
+const handlePayoutEvent = async (event, razorpayPayout) => {
+  if (!razorpayPayout?.id) {
+    return { handled: false, result: 'Payout entity missing' };
+  }
+
+  const payout = await MechanicPayout.findOne({ razorpayPayoutId: razorpayPayout.id });
+  if (!payout) {
+    return { handled: false, result: `No payout for ${razorpayPayout.id}` };
+  }
+
+  switch (event) {
+    case 'payout.processed':
+      if (payout.status === 'COMPLETED') {
+        return { handled: true, result: `Payout ${payout.payoutId} already completed` };
+      }
+      await earningsController.completePayout(payout, razorpayPayout.utr, razorpayPayout.id);
+      return { handled: true, result: `Payout ${payout.payoutId} COMPLETED` };
+
+    case 'payout.failed':
+    case 'payout.reversed':
+    case 'payout.rejected':
+      if (payout.status === 'FAILED') {
+        return { handled: true, result: `Payout ${payout.payoutId} already failed` };
+      }
+      await earningsController.failPayout(
+        payout,
+        razorpayPayout.status_details?.description || razorpayPayout.failure_reason || event
+      );
+      return { handled: true, result: `Payout ${payout.payoutId} FAILED (${event})` };
+
+    default:
+      // payout.queued / initiated / pending / updated — still in flight
+      if (payout.status === 'REQUESTED') {
+        payout.status = 'PROCESSING';
+        payout.processedAt = new Date();
+        await payout.save();
+      }
+      return { handled: true, result: `Payout ${payout.payoutId} ${payout.status}` };
+  }
+};
+
+/**
+ * Booking for a Razorpay payment (order id on the booking, else notes.bookingId)
+ */
+const findBookingForPayment = async (payment) => {
+  const booking = await Booking.findOne({ 'paymentDetails.razorpayOrderId': payment.order_id });
+  if (booking) return booking;
+
+  if (payment.notes?.purpose === 'BOOKING_PAYMENT' && payment.notes.bookingId) {
+    return Booking.findById(payment.notes.bookingId);
+  }
+
+  return null;
+};
+
+module.exports = {
+  handleRazorpayWebhook,
+};
@@ -62,6 +62,34 @@ module.exports = {
       NODE_ENV: 'staging',
       PORT: 3000,
     },
+  }, {
+    // Background jobs (notifications, emails, payments) — see workers/index.js
+    name: 'mecfinder-worker',
+    script: 'workers/index.js',
+    instances: 1,
+    exec_mode: 'fork',
+    max_memory_restart: '300M',
+    autorestart: true,
+    kill_timeout: 30000,
+    wait_ready: true,
+    listen_timeout: 10000,
+    exp_backoff_restart_delay: 100,
+    max_restarts: 10,
+    min_uptime: '10s',
+    log_file: './logs/worker-combined.log',
+    out_file: './logs/worker-out.log',
+    error_file: './logs/worker-error.log',
+    log_date_format: 'YYYY-MM-DD HH:mm:ss Z',
+    merge_logs: true,
+    env: {
+      NODE_ENV: 'development',
+    },
+    env_production: {
+      NODE_ENV: 'production',
+    },
+    env_staging: {
+      NODE_ENV: 'staging',
+    },
   }],
   
   // Deployment configuration (optional - for PM2 deploy)
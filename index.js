@@ -30,6 +30,7 @@ const bookingRoutes = require('./routes/bookingRoutes');
 const couponRoutes = require('./routes/couponRoutes');
 const complaintRoutes = require('./routes/complaintRoutes');
 const reviewRoutes = require('./routes/reviewRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
 
 // Import middleware
 const { errorHandler, notFoundHandler } = require('./middleware/error.middleware');
@@ -55,6 +56,10 @@ if (process.env.NODE_ENV !== 'test') {
   app.use(morgan('dev'));
 }
 
+// Payment gateway webhooks need the raw body for signature checks,
+// so they are mounted before the JSON parser and the API rate limiter
+app.use('/api/webhooks', webhookRoutes);
+
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -179,6 +184,33 @@ const startServer = async () => {
       logger.warn('⚠️ Failed to restore booking queues:', { error: queueError.message });
     }
 
+    // Register scheduled-booking job processors and re-arm pending slots
+    try {
+      const scheduledBookingService = require('./services/scheduledBooking.service');
+      await scheduledBookingService.initialize();
+      logger.info('✅ Scheduled bookings initialized');
+    } catch (scheduleError) {
+      logger.warn('⚠️ Failed to initialize scheduled bookings:', { error: scheduleError.message });
+    }
+
+    // Schedule the completion reconciler (runs in the worker when Redis is configured)
+    try {
+      const bookingCompletionService = require('./services/bookingCompletion.service');
+      await bookingCompletionService.initialize();
+      logger.info('✅ Completion reconciler scheduled');
+    } catch (reconcileError) {
+      logger.warn('⚠️ Failed to schedule completion reconciler:', { error: reconcileError.message });
+    }
+
+    // Schedule the daily service reminders
+    try {
+      const serviceReminderService = require('./services/serviceReminder.service');
+      await serviceReminderService.initialize();
+      logger.info('✅ Service reminders scheduled');
+    } catch (reminderError) {
+      logger.warn('⚠️ Failed to schedule service reminders:', { error: reminderError.message });
+    }
+
     // Start HTTP server - listen on 0.0.0.0 to allow connections from other devices
     const HOST = '0.0.0.0';
     server.listen(PORT, HOST, () => {
@@ -224,11 +256,16 @@ const gracefulShutdown = async (signal) => {
         logger.info('✅ Socket.io closed');
       }
       
-      // 3. Disconnect Redis
+      // 3. Close Bull queues (scheduled-booking processors run here)
+      const queueService = require('./services/queue.service');
+      await queueService.closeQueues();
+      logger.info('✅ Job queues closed');
+      
+      // 4. Disconnect Redis
       await redisService.disconnect();
       logger.info('✅ Redis disconnected');
       
-      // 4. Close MongoDB connection
+      // 5. Close MongoDB connection
       await mongoose.connection.close();
       logger.info('✅ MongoDB disconnected');
       
@@ -45,7 +45,7 @@ const errorHandler = (err, req, res, next) => {
 
   // Custom AppError
   if (err.isOperational) {
-    return ApiResponse.error(res, err.message, err.statusCode);
+    return ApiResponse.error(res, err.message, err.statusCode, err.errors);
   }
 
   // Default error
@@ -61,9 +61,10 @@ const errorHandler = (err, req, res, next) => {
  * Custom error class for operational errors
  */
 class AppError extends Error {
-  constructor(message, statusCode = 500) {
+  constructor(message, statusCode = 500, errors = null) {
     super(message);
     this.statusCode = statusCode;
+    this.errors = errors;
     this.isOperational = true;
     Error.captureStackTrace(this, this.constructor);
   }
@@ -1,4 +1,6 @@
+const jwt = require('jsonwebtoken');
 const tokenService = require('../services/token.service');
+const { authMiddleware: authenticateAdmin, requireSupport } = require('./auth.middleware');
 const User = require('../models/User');
 const Mechanic = require('../models/Mechanic');
 
@@ -28,6 +30,22 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * For routes the admin panel shares with the apps: admin tokens go through
+ * the admin middleware (req.admin, support and above), everything else
+ * through authenticateToken (req.user). The token is only decoded here to
+ * pick the path — both paths verify it.
+ */
+const authenticateUserOrAdmin = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  const decoded = token ? jwt.decode(token) : null;
+
+  if (decoded?.type === 'admin' || decoded?.type === 'admin_access') {
+    return authenticateAdmin(req, res, () => requireSupport(req, res, next));
+  }
+  return authenticateToken(req, res, next);
+};
+
 const requireRole = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -141,6 +159,7 @@ const requireActiveStatus = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  authenticateUserOrAdmin,
   requireRole,
   requireUser,
   requireMechanic,
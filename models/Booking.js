@@ -7,6 +7,18 @@ const counterSchema = new mongoose.Schema({
 });
 const Counter = mongoose.model('Counter', counterSchema);
 
+// One step of the completion saga (see services/bookingCompletion.service)
+const completionStepSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['PENDING', 'DONE', 'SKIPPED', 'FAILED'],
+    default: 'PENDING',
+  },
+  attempts: { type: Number, default: 0 },
+  error: String,
+  updatedAt: Date,
+}, { _id: false });
+
 const bookingSchema = new mongoose.Schema({
   bookingId: {
     type: String,
@@ -51,6 +63,8 @@ const bookingSchema = new mongoose.Schema({
     },
     address: String,
     landmark: String,
+    addressId: { type: mongoose.Schema.Types.ObjectId, ref: 'UserAddress' }, // Saved address it was copied from
+    label: String, // "Home", "Work", custom name
   },
   
   // Vehicle details
@@ -61,13 +75,17 @@ const bookingSchema = new mongoose.Schema({
     },
     make: String,
     model: String,
-    registrationNumber: String,
+    registrationNumber: String, // Normalised (UserVehicle.normalizeRegistration)
+    fuelType: String,
+    year: Number,
+    vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'UserVehicle' }, // Garage vehicle it was copied from
   },
   
   // Status tracking
   status: {
     type: String,
     enum: [
+      'SCHEDULED',      // Future slot, dispatch job pending
       'PENDING',        // Just created, finding mechanic
       'SEARCHING',      // Actively searching for mechanic
       'ASSIGNED',       // Mechanic assigned, waiting acceptance
@@ -77,7 +95,7 @@ const bookingSchema = new mongoose.Schema({
       'IN_PROGRESS',    // Work in progress
       'COMPLETED',      // Work completed
       'CANCELLED',              // Cancelled by user or mechanic
-      'EXPIRED',                // No mechanic found
+      'EXPIRED',                // No mechanic found, or scheduled slot missed
       'NO_MECHANIC_AVAILABLE',  // All mechanics declined or none found
     ],
     default: 'PENDING',
@@ -91,13 +109,49 @@ const bookingSchema = new mongoose.Schema({
     platformFeePercent: { type: Number, default: 25 },
     platformFeeAmount: { type: Number, default: 0 },
     travelCharge: { type: Number, default: 0 },
+    subtotal: { type: Number, default: 0 }, // Before discount
     discount: { type: Number, default: 0 },
     promoCode: String,
     totalAmount: { type: Number, required: true },
     mechanicEarning: { type: Number, default: 0 },
     companyEarning: { type: Number, default: 0 },
+    source: {
+      type: String,
+      enum: ['REGION_PRICING', 'SERVICE_BASE_PRICE'], // Where the base price came from
+    },
+    formulaVersion: { type: Number, default: 1 }, // utils/pricingEngine version (1 = legacy)
+    // Distance-priced travel (Region.travelPricing DISTANCE). Until a mechanic
+    // accepts, travelCharge is the top of the range; then it is locked to
+    // the charge for the accepted mechanic's distance.
+    travel: {
+      mode: { type: String, enum: ['FLAT', 'DISTANCE'] },
+      minCharge: Number,
+      maxCharge: Number,
+      maxDistanceKm: Number,   // Furthest a mechanic can be dispatched from
+      minTotal: Number,        // totalAmount range shown at booking time
+      maxTotal: Number,
+      // Region rates at booking time — later region edits don't reprice it
+      rates: {
+        baseCharge: Number,
+        slabs: [{ _id: false, upToKm: Number, ratePerKm: Number }],
+        maxCharge: Number,
+      },
+      distanceKm: Number,      // Accepted mechanic's distance
+      lockedAt: Date,
+    },
   },
-  
+
+  // Promo applied to pricing.discount (see services/promo.service)
+  promo: {
+    code: String,
+    type: { type: String, enum: ['COUPON', 'REWARD'] },
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+    rewardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reward' },
+    discount: Number,
+    appliedAt: Date,
+    releasedAt: Date, // Usage rolled back (booking cancelled before work started)
+  },
+
   // Payment
   paymentStatus: {
     type: String,
@@ -108,14 +162,33 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     enum: ['WALLET', 'CARD', 'UPI', 'NETBANKING', 'CASH', 'MIXED'],
   },
+  // Settled amount per leg (see services/bookingPayment.service)
   paymentDetails: {
     razorpayOrderId: String,
     razorpayPaymentId: String,
+    razorpaySignature: String, // From verify-payment (webhook-settled payments have none)
+    walletTransactionId: String,
     walletAmount: Number,
     onlineAmount: Number,
     cashAmount: Number,
+    paidAt: Date,       // User's last payment (wallet debited or online captured)
+    collectedAt: Date,  // Mechanic collected the rest
+    transactionId: String, // UPI reference when the mechanic was paid by UPI
+    // How the user chose to pay: wallet applied, and how the remainder is paid
+    split: {
+      walletAmount: Number,
+      remainder: { type: String, enum: ['ONLINE', 'CASH'] },
+      orderAmount: Number, // Razorpay order for the remainder
+      chosenAt: Date,
+    },
   },
-  
+  // Tax invoice, once issued (services/invoice.service)
+  invoice: {
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+    invoiceNumber: String,
+    issuedAt: Date,
+  },
+
   // Timestamps for tracking
   scheduledAt: Date,         // For scheduled bookings
   searchStartedAt: Date,
@@ -155,9 +228,12 @@ const bookingSchema = new mongoose.Schema({
   mechanicNotes: String,   // Mechanic notes
   adminNotes: String,      // Admin notes
   
-  // OTP for verification
-  verificationOtp: String,
+  // OTP the user gives the mechanic to start work (services/bookingOtp.service).
+  // Not selected by default — add '+verificationOtp' on user-facing reads only.
+  verificationOtp: { type: String, select: false },
   otpVerifiedAt: Date,
+  otpFailedAttempts: { type: Number, default: 0 },
+  otpLockedUntil: Date,
   
   // Mechanic location tracking
   mechanicLocation: {
@@ -170,15 +246,49 @@ const bookingSchema = new mongoose.Schema({
   },
   
   // Estimated times
-  estimatedArrival: Number, // Minutes
+  estimatedArrival: Number, // Minutes, refreshed from mechanic location updates (services/eta.service)
+  distanceRemainingKm: Number,
   estimatedCompletion: Number, // Minutes
   actualDuration: Number,   // Minutes
 
-  // Status history for audit trail
+  // Arrival geofence evidence, kept for disputes about whether the mechanic showed up
+  arrival: {
+    geofenceRadiusMeters: Number,
+    enteredAt: Date,                 // First location update inside the geofence
+    enteredDistanceMeters: Number,
+    closestDistanceMeters: Number,   // Closest reported location to the booking
+    markedDistanceMeters: Number,    // Distance when the mechanic marked ARRIVED
+    markedWithinGeofence: Boolean,
+    markedLocationAt: Date,          // When the location used for that was reported
+    suggestedAt: Date,               // Mechanic app prompted to mark ARRIVED
+  },
+
+  // Running totals of the recorded location trail (points in BookingLocationPing,
+  // see services/locationHistory.service). Outlive the points themselves.
+  trail: {
+    pointCount: { type: Number, default: 0 },
+    distanceMeters: { type: Number, default: 0 },
+    rejectedJumps: { type: Number, default: 0 }, // Pings dropped as GPS jumps
+    startedAt: Date,
+    lastPoint: {
+      lat: Number,
+      lng: Number,
+      status: String,
+      recordedAt: Date,
+    },
+  },
+
+  // Status history for audit trail (appended by services/bookingStateMachine)
   statusHistory: [{
     status: String,
+    from: String,
     timestamp: { type: Date, default: Date.now },
     note: String,
+    actor: {
+      type: { type: String, enum: ['USER', 'MECHANIC', 'SYSTEM', 'ADMIN'] },
+      id: mongoose.Schema.Types.ObjectId,
+    },
+    // Older entries only
     notes: String,
     mechanicId: { type: mongoose.Schema.Types.ObjectId, ref: 'Mechanic' },
   }],
@@ -186,6 +296,20 @@ const bookingSchema = new mongoose.Schema({
   // Mechanic cancel reason (used by cancelJobByMechanic)
   cancelReason: String,
 
+  // Fee charged for a late user cancellation (see services/cancellation.service)
+  cancellationFee: {
+    amount: { type: Number, default: 0 },      // Fee per policy
+    collected: { type: Number, default: 0 },   // Actually recovered
+    outstanding: { type: Number, default: 0 }, // Could not be recovered
+    method: {
+      type: String,
+      enum: ['NONE', 'REFUND_DEDUCTION', 'WALLET'],
+    },
+    mechanicShare: { type: Number, default: 0 },
+    policyId: { type: mongoose.Schema.Types.ObjectId, ref: 'CancellationPolicy' },
+    chargedAt: Date,
+  },
+
   // Idempotency key to prevent duplicate bookings
   idempotencyKey: {
     type: String,
@@ -193,13 +317,76 @@ const bookingSchema = new mongoose.Schema({
     unique: true,
   },
   
+  // Scheduled booking jobs (see services/scheduledBooking.service)
+  schedule: {
+    dispatchAt: Date,          // When the dispatch job fires
+    dispatchJobId: String,
+    reminderJobIds: [String],
+    remindersSent: [Number],   // Minutes-before offsets already sent
+    rescheduleCount: { type: Number, default: 0 },
+  },
+
+  // What happened after payment was confirmed (services/bookingCompletion.service)
+  completion: {
+    status: {
+      type: String,
+      enum: ['PENDING', 'DONE'],
+    },
+    isFirstBooking: Boolean, // User's first paid booking (referral + bonus)
+    transactional: Boolean,  // Payment, earning and title committed together
+    startedAt: Date,
+    completedAt: Date,
+    reconciledAt: Date,
+    steps: {
+      earning: completionStepSchema,
+      title: completionStepSchema,
+      rewardPoints: completionStepSchema,
+      firstBookingBonus: completionStepSchema,
+      referral: completionStepSchema,
+      notification: completionStepSchema,
+      invoice: completionStepSchema,
+    },
+  },
+
   // Dispatch metadata
   dispatchInfo: {
     totalMechanicsNotified: { type: Number, default: 0 },
     totalRejections: { type: Number, default: 0 },
     totalTimeouts: { type: Number, default: 0 },
     assignedFromPosition: Number, // Which queue position accepted
-    searchRadiusKm: Number,
+    searchRadiusKm: Number, // Widest radius searched
+    strategy: {
+      type: String,
+      enum: ['SEQUENTIAL', 'BATCHED', 'PROGRESSIVE_RADIUS'],
+    },
+    dispatchConfigId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DispatchConfig',
+    },
+    batchSize: Number,
+    rounds: Number, // Offer rounds sent before the match / give-up
+    matchedTier: Number, // 1-based radius tier of the accepting mechanic
+    matchedRadiusKm: Number,
+    skillFallback: {
+      type: String,
+      enum: ['NONE', 'ALLOW_UNLISTED', 'ANY_SKILL'],
+    },
+    // Skill pass that produced the latest candidates (anything but STRICT = fallback used)
+    skillMatch: {
+      type: String,
+      enum: ['STRICT', 'ALLOW_UNLISTED', 'ANY_SKILL'],
+    },
+    // Why each candidate was offered the job where it was (mechanicRanking.service)
+    rankings: [{
+      _id: false,
+      mechanicId: { type: mongoose.Schema.Types.ObjectId, ref: 'Mechanic' },
+      tier: Number,
+      skillMatch: String,
+      position: Number, // Within the tier
+      score: Number,
+      distanceKm: Number,
+      breakdown: mongoose.Schema.Types.Mixed,
+    }],
   },
 
 }, {
@@ -213,11 +400,14 @@ bookingSchema.index({ 'mechanicLocation': '2dsphere' });
 // Other indexes
 bookingSchema.index({ userId: 1, createdAt: -1 });
 bookingSchema.index({ mechanicId: 1, createdAt: -1 });
+bookingSchema.index({ mechanicId: 1, status: 1 }); // Mechanic's active job (location updates)
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ bookingId: 1 });
 bookingSchema.index({ paymentStatus: 1 });
 bookingSchema.index({ idempotencyKey: 1 }, { sparse: true });
 bookingSchema.index({ userId: 1, status: 1 }); // For active booking check
+bookingSchema.index({ status: 1, scheduledAt: 1 }); // Upcoming scheduled bookings
+bookingSchema.index({ status: 1, paymentStatus: 1, completedAt: -1 }); // Completion reconciler
 
 // Auto-generate booking ID
 bookingSchema.pre('save', async function() {
@@ -239,44 +429,4 @@ bookingSchema.virtual('duration').get(function() {
   return null;
 });
 
-// Method to update status with timestamp
-bookingSchema.methods.updateStatus = async function(newStatus, additionalData = {}) {
-  this.status = newStatus;
-  
-  const now = new Date();
-  switch (newStatus) {
-    case 'SEARCHING':
-      this.searchStartedAt = now;
-      break;
-    case 'ASSIGNED':
-      this.assignedAt = now;
-      break;
-    case 'ACCEPTED':
-      this.acceptedAt = now;
-      break;
-    case 'EN_ROUTE':
-      this.enRouteAt = now;
-      break;
-    case 'ARRIVED':
-      this.arrivedAt = now;
-      break;
-    case 'IN_PROGRESS':
-      this.startedAt = now;
-      break;
-    case 'COMPLETED':
-      this.completedAt = now;
-      if (this.startedAt) {
-        this.actualDuration = Math.round((now - this.startedAt) / 60000);
-      }
-      break;
-    case 'CANCELLED':
-      this.cancelledAt = now;
-      this.cancellationReason = additionalData.reason;
-      this.cancelledBy = additionalData.cancelledBy;
-      break;
-  }
-  
-  return this.save();
-};
-
 module.exports = mongoose.model('Booking', bookingSchema);
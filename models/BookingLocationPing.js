@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.LOCATION_HISTORY_RETENTION_DAYS) || 180;
+
+/**
+ * Mechanic location breadcrumbs for a booking, from acceptance until work
+ * ends. A MongoDB time-series collection: pings are bucketed per booking
+ * (meta) and expire after RETENTION_DAYS. Written downsampled by
+ * services/locationHistory.service — not every socket update lands here.
+ */
+const bookingLocationPingSchema = new mongoose.Schema({
+  meta: {
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+    },
+    mechanicId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mechanic',
+      required: true,
+    },
+  },
+  recordedAt: {
+    type: Date,
+    required: true,
+  },
+  lat: { type: Number, required: true },
+  lng: { type: Number, required: true },
+  heading: Number,  // Degrees
+  speed: Number,    // m/s, as reported by the device
+  accuracy: Number, // Meters, as reported by the device
+  status: String,   // Booking status when recorded
+  distanceFromPreviousMeters: Number,
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'meta',
+    granularity: 'seconds',
+  },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 3600,
+  versionKey: false,
+});
+
+// Indexes
+bookingLocationPingSchema.index({ 'meta.bookingId': 1, recordedAt: 1 });
+
+module.exports = mongoose.model('BookingLocationPing', bookingLocationPingSchema);
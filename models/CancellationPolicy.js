@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cancellation fee policy for user cancellations.
+ * Scoped by region and/or service — a null regionId / serviceId means "any".
+ * Most specific match wins: region+service → service → region → global.
+ */
+const cancellationRuleSchema = new mongoose.Schema({
+  bookingStatus: {
+    type: String,
+    enum: ['PENDING', 'SEARCHING', 'ASSIGNED', 'ACCEPTED', 'EN_ROUTE', 'ARRIVED'],
+    required: true,
+  },
+  // Rule applies once this many minutes have passed since acceptedAt
+  afterMinutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  fixedFee: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  includeTravelCharge: {
+    type: Boolean,
+    default: false,
+  },
+}, { _id: false });
+
+const cancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  regionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Region',
+    default: null,
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null,
+  },
+  rules: [cancellationRuleSchema],
+  // Share of the collected fee credited to the mechanic
+  mechanicSharePercent: {
+    type: Number,
+    default: 80,
+    min: 0,
+    max: 100,
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'INACTIVE'],
+    default: 'ACTIVE',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+}, {
+  timestamps: true,
+});
+
+// One policy per scope
+cancellationPolicySchema.index({ regionId: 1, serviceId: 1 }, { unique: true });
+cancellationPolicySchema.index({ status: 1 });
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * How bookings are offered to mechanics.
+ * Scoped like CancellationPolicy — a null regionId / serviceId means "any",
+ * and the most specific ACTIVE match wins.
+ *
+ * Strategies:
+ * - SEQUENTIAL: one mechanic at a time
+ * - BATCHED: the next batchSize mechanics at once, first to accept wins
+ * - PROGRESSIVE_RADIUS: like BATCHED, but starts at the smallest radius tier
+ *   and widens to the next tier when the current one runs out
+ *
+ * Within a tier, mechanics are offered the job in ranking-score order.
+ */
+const dispatchConfigSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  regionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Region',
+    default: null,
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null,
+  },
+  strategy: {
+    type: String,
+    enum: ['SEQUENTIAL', 'BATCHED', 'PROGRESSIVE_RADIUS'],
+    default: 'SEQUENTIAL',
+  },
+  // Mechanics offered the booking at once (SEQUENTIAL always uses 1)
+  batchSize: {
+    type: Number,
+    default: 3,
+    min: 1,
+    max: 20,
+  },
+  // Seconds each offer stays open
+  mechanicTimeoutSeconds: {
+    type: Number,
+    default: 10,
+    min: 5,
+    max: 120,
+  },
+  // Seconds before the whole search gives up
+  totalTimeoutSeconds: {
+    type: Number,
+    default: 90,
+    min: 30,
+    max: 900,
+  },
+  // Search radii, smallest first
+  radiusTiersKm: {
+    type: [Number],
+    default: [5, 10],
+  },
+  // What to do when no mechanic in a radius tier lists the booked service or
+  // its category (vehicle type is never relaxed):
+  // - NONE: strict only (default — admins opt a region into a fallback)
+  // - ALLOW_UNLISTED: also mechanics who haven't listed any skills yet
+  // - ANY_SKILL: any mechanic supporting the vehicle type
+  skillFallback: {
+    type: String,
+    enum: ['NONE', 'ALLOW_UNLISTED', 'ANY_SKILL'],
+    default: 'NONE',
+  },
+  // Relative weights of the ranking components (see mechanicRanking.service)
+  rankingWeights: {
+    distance: { type: Number, default: 40, min: 0 },
+    rating: { type: Number, default: 20, min: 0 },
+    title: { type: Number, default: 5, min: 0 },
+    acceptance: { type: Number, default: 15, min: 0 },
+    complaints: { type: Number, default: 10, min: 0 },
+    serviceMatch: { type: Number, default: 10, min: 0 },
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'INACTIVE'],
+    default: 'ACTIVE',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+}, {
+  timestamps: true,
+});
+
+// One config per scope
+dispatchConfigSchema.index({ regionId: 1, serviceId: 1 }, { unique: true });
+dispatchConfigSchema.index({ status: 1 });
+
+module.exports = mongoose.model('DispatchConfig', dispatchConfigSchema);
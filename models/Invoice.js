@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+/**
+ * A tax invoice for a paid booking, or a credit note against one.
+ *
+ * Everything printed on the document is copied in when it is issued
+ * (supplier, customer, place of supply, amounts), so an invoice never changes
+ * after the fact — corrections are credit notes. Invoices and credit notes
+ * are numbered in separate series that restart every financial year
+ * (April–March).
+ */
+const invoiceItemSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  sacCode: String, // Services Accounting Code (GST)
+  amount: { type: Number, required: true }, // Before tax
+  gstPercent: { type: Number, default: 0 },
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    enum: ['INVOICE', 'CREDIT_NOTE'],
+    default: 'INVOICE',
+  },
+  financialYear: {
+    type: String, // '2026-27'
+    required: true,
+  },
+  sequence: {
+    type: Number,
+    required: true,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+  },
+  bookingCode: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  mechanicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mechanic',
+  },
+  regionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Region',
+  },
+
+  // Credit notes only
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice', // The invoice being credited
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+  },
+  reason: String,
+  issuedByAdmin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+
+  supplier: {
+    name: String,
+    gstin: String,
+    address: String,
+    state: String,
+  },
+  customer: {
+    name: String,
+    phone: String,
+    email: String,
+    address: String,
+  },
+  placeOfSupply: String, // State of the booking's region
+  taxType: {
+    type: String,
+    enum: ['INTRA_STATE', 'INTER_STATE'], // CGST + SGST | IGST
+    required: true,
+  },
+
+  items: [invoiceItemSchema],
+  amounts: {
+    taxableValue: { type: Number, default: 0 },
+    cgstPercent: { type: Number, default: 0 },
+    cgstAmount: { type: Number, default: 0 },
+    sgstPercent: { type: Number, default: 0 },
+    sgstAmount: { type: Number, default: 0 },
+    igstPercent: { type: Number, default: 0 },
+    igstAmount: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    otherCharges: { type: Number, default: 0 }, // Untaxed (travel)
+    discount: { type: Number, default: 0 },
+    totalAmount: { type: Number, required: true },
+  },
+  payment: {
+    method: String,
+    paidAt: Date,
+  },
+
+  // Invoices only — running total of credit notes issued against it
+  creditedAmount: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+invoiceSchema.index(
+  { bookingId: 1 },
+  { unique: true, partialFilterExpression: { type: 'INVOICE' }, name: 'one_invoice_per_booking' }
+);
+invoiceSchema.index(
+  { refundId: 1 },
+  { unique: true, partialFilterExpression: { refundId: { $type: 'objectId' } } }
+);
+invoiceSchema.index({ invoiceId: 1, issuedAt: 1 });
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+invoiceSchema.index({ financialYear: 1, type: 1, sequence: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
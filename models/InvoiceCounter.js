@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Running sequence per invoice series, e.g. { _id: 'INVOICE:2026-27', seq: 42 }.
+ * A new financial year starts a new document, so numbering restarts at 1.
+ */
+const invoiceCounterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  versionKey: false,
+});
+
+/**
+ * Allocate the next number in a series
+ * @param {String} key - '<type>:<financialYear>'
+ * @returns {Promise<Number>}
+ */
+invoiceCounterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('InvoiceCounter', invoiceCounterSchema);
@@ -48,6 +48,17 @@ const mechanicSchema = new mongoose.Schema({
     }
   ],
 
+  // Whole categories the mechanic handles (qualifies for every service in them)
+  serviceCategoriesOffered: [
+    {
+      categoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceCategory'
+      },
+      categoryName: String
+    }
+  ],
+
   // Bank details
   bankDetails: {
     accountHolderName: String,
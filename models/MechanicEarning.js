@@ -16,7 +16,7 @@ const mechanicEarningSchema = new mongoose.Schema({
   // Earning details
   type: {
     type: String,
-    enum: ['JOB', 'BONUS', 'INCENTIVE', 'TIP', 'ADJUSTMENT', 'PENALTY'],
+    enum: ['JOB', 'CANCELLATION_FEE', 'BONUS', 'INCENTIVE', 'TIP', 'ADJUSTMENT', 'PENALTY'],
     default: 'JOB',
   },
   
@@ -25,6 +25,11 @@ const mechanicEarningSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Part of grossAmount passed through without platform fee (travel charge)
+  travelCharge: {
+    type: Number,
+    default: 0,
+  },
   platformFee: {
     type: Number,
     default: 0,
@@ -67,6 +67,9 @@ const notificationSchema = new mongoose.Schema({
   expiresAt: {
     type: Date, // Optional expiry for time-sensitive notifications
   },
+  dedupeKey: {
+    type: String, // Job id when created by the worker (retries don't duplicate)
+  },
 }, {
   timestamps: true,
 });
@@ -76,6 +79,7 @@ notificationSchema.index({ userId: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, isRead: 1 });
 notificationSchema.index({ userId: 1, type: 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
 
 // Mark as read
 notificationSchema.methods.markAsRead = async function() {
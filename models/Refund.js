@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+/**
+ * A refund against a booking. One booking can have several (partial)
+ * refunds; each is split into an online leg (back to the Razorpay payment)
+ * and a wallet leg (wallet-paid / cash-paid part, credited instantly).
+ */
+const refundLegStatus = {
+  type: String,
+  enum: ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED'],
+  default: 'PENDING',
+};
+
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    unique: true,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  complaintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceComplaint',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  // OVERPAYMENT: an online payment the booking didn't need (captured after
+  // it was settled, or for more than was due) — never part of what was paid
+  source: {
+    type: String,
+    enum: ['CANCELLATION', 'COMPLAINT', 'ADMIN', 'OVERPAYMENT'],
+    required: true,
+  },
+  initiatedBy: {
+    type: String,
+    enum: ['USER', 'MECHANIC', 'ADMIN', 'SYSTEM'],
+    default: 'SYSTEM',
+  },
+  initiatedByAdmin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+
+  // Lifecycle: PENDING → PROCESSING (online leg with gateway) → COMPLETED | FAILED
+  status: {
+    type: String,
+    enum: ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED'],
+    default: 'PENDING',
+  },
+
+  // Back to the original Razorpay payment
+  online: {
+    amount: { type: Number, default: 0 },
+    status: refundLegStatus,
+    razorpayPaymentId: String,
+    razorpayRefundId: String,
+    failureReason: String,
+    completedAt: Date,
+  },
+
+  // Instant credit to the user's wallet
+  wallet: {
+    amount: { type: Number, default: 0 },
+    status: refundLegStatus,
+    walletTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletTransaction',
+    },
+    failureReason: String,
+    completedAt: Date,
+  },
+
+  failureReason: String,
+  completedAt: Date,
+  failedAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Indexes
+refundSchema.index({ bookingId: 1, createdAt: -1 });
+refundSchema.index({ userId: 1, createdAt: -1 });
+refundSchema.index({ 'online.razorpayRefundId': 1 });
+refundSchema.index({ status: 1 });
+// One overpayment refund per Razorpay payment (verify-payment and the webhook both see it)
+refundSchema.index(
+  { 'online.razorpayPaymentId': 1 },
+  { unique: true, partialFilterExpression: { source: 'OVERPAYMENT' } }
+);
+
+// Auto-generate refund ID
+refundSchema.pre('save', function() {
+  if (!this.refundId) {
+    this.refundId = `RF${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+  }
+});
+
+/**
+ * Derive the overall status from the legs
+ */
+refundSchema.methods.syncStatus = function() {
+  const legs = [this.online, this.wallet].filter(leg => leg.amount > 0);
+
+  if (legs.some(leg => leg.status === 'FAILED')) {
+    this.status = 'FAILED';
+    this.failedAt = this.failedAt || new Date();
+    this.failureReason = legs.find(leg => leg.status === 'FAILED').failureReason;
+  } else if (legs.every(leg => leg.status === 'COMPLETED')) {
+    this.status = 'COMPLETED';
+    this.completedAt = this.completedAt || new Date();
+  } else if (legs.some(leg => leg.status !== 'PENDING')) {
+    this.status = 'PROCESSING';
+  }
+
+  return this.status;
+};
+
+module.exports = mongoose.model('Refund', refundSchema);
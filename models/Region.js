@@ -20,6 +20,47 @@ const regionSchema = new mongoose.Schema({
     type: String,
     default: 'India'
   },
+  // City centre (GeoJSON) used to resolve a booking's region from its coordinates
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+  // Bookings within this distance of the centre belong to the region
+  serviceRadiusKm: {
+    type: Number,
+    default: 25,
+    min: 1
+  },
+  // How travel is charged (see utils/pricingEngine.calculateTravelCharge).
+  // FLAT uses RegionPricing.travelCharge; DISTANCE prices the accepted
+  // mechanic's distance — bookings show a range until a mechanic accepts.
+  travelPricing: {
+    mode: {
+      type: String,
+      enum: ['FLAT', 'DISTANCE'],
+      default: 'FLAT'
+    },
+    baseCharge: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    slabs: [{
+      _id: false,
+      upToKm: { type: Number, min: 0 }, // Unset = no upper bound
+      ratePerKm: { type: Number, required: true, min: 0 }
+    }],
+    maxCharge: {
+      type: Number,
+      min: 0
+    }
+  },
   status: {
     type: String,
     enum: ['ACTIVE', 'INACTIVE'],
@@ -39,6 +80,8 @@ const regionSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+regionSchema.index({ location: '2dsphere' });
+
 const Region = mongoose.model('Region', regionSchema);
 
 module.exports = Region;
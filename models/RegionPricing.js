@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const pricingEngine = require('../utils/pricingEngine');
 
 const regionPricingSchema = new mongoose.Schema({
   serviceId: {
@@ -56,6 +57,11 @@ const regionPricingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Pricing engine version the calculated fields were computed with
+  formulaVersion: {
+    type: Number,
+    default: pricingEngine.FORMULA_VERSION
+  },
   status: {
     type: String,
     enum: ['ACTIVE', 'INACTIVE'],
@@ -78,25 +84,23 @@ const regionPricingSchema = new mongoose.Schema({
 // Compound unique index: one pricing per service per region
 regionPricingSchema.index({ serviceId: 1, regionId: 1 }, { unique: true });
 
-// Calculate pricing before save
-regionPricingSchema.pre('save', function(next) {
-  // GST on base price
-  this.gstAmount = Math.round((this.basePrice * this.gstPercent) / 100);
-  
-  // Platform fee on base price
-  this.platformFeeAmount = Math.round((this.basePrice * this.platformFeePercent) / 100);
-  
-  // Total = Base + GST + Platform Fee + Travel Charge
-  this.totalPrice = this.basePrice + this.gstAmount + this.platformFeeAmount + this.travelCharge;
-  
-  // Mechanic gets: Base Price + Travel Charge
-  this.mechanicEarning = this.basePrice + this.travelCharge;
-  
-  // Company gets: GST + Platform Fee
-  this.companyEarning = this.gstAmount + this.platformFeeAmount;
-  
+// Calculate pricing before save (formula lives in utils/pricingEngine)
+regionPricingSchema.pre('save', function() {
+  const breakdown = pricingEngine.calculate({
+    basePrice: this.basePrice,
+    gstPercent: this.gstPercent,
+    platformFeePercent: this.platformFeePercent,
+    travelCharge: this.travelCharge,
+  });
+
+  this.gstAmount = breakdown.gstAmount;
+  this.platformFeeAmount = breakdown.platformFeeAmount;
+  this.totalPrice = breakdown.totalAmount;
+  this.mechanicEarning = breakdown.mechanicEarning;
+  this.companyEarning = breakdown.companyEarning;
+  this.formulaVersion = breakdown.formulaVersion;
+
   this.updatedAt = Date.now();
-  next();
 });
 
 const RegionPricing = mongoose.model('RegionPricing', regionPricingSchema);
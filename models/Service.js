@@ -33,6 +33,12 @@ const serviceSchema = new mongoose.Schema({
     type: String,
     enum: ['BIKE', 'CAR', 'TRUCK', 'AUTO']
   }],
+  // Remind users to book this again this many days after it was last done
+  // on a garage vehicle (services/serviceReminder). Unset = no reminders.
+  reminderIntervalDays: {
+    type: Number,
+    min: 1
+  },
   status: {
     type: String,
     enum: ['ACTIVE', 'INACTIVE'],
@@ -74,7 +74,28 @@ const complaintSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    refundId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund',
+    },
     
+    // Mechanic's recorded route for the booking when the complaint was filed
+    // (services/locationHistory.service) — the points themselves expire
+    trailSummary: {
+      pointCount: Number,
+      distanceKm: Number,
+      rejectedJumps: Number,
+      firstPointAt: Date,
+      lastPointAt: Date,
+      durationMinutes: Number,
+      closestDistanceMeters: Number,
+      enteredGeofenceAt: Date,
+      markedArrivedDistanceMeters: Number,
+      markedWithinGeofence: Boolean,
+      byStatus: mongoose.Schema.Types.Mixed, // { EN_ROUTE: { points, distanceKm }, ... }
+      capturedAt: Date,
+    },
+
     // Timestamps
     resolvedAt: Date,
     closedAt: Date,
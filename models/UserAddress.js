@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const MAX_ADDRESSES_PER_USER = 20;
+
+/**
+ * A user's saved address. Bookings copy the address into Booking.location
+ * when they are created, so editing or deleting one never changes past
+ * bookings.
+ *
+ * At most one HOME and one WORK per user, and at most one default.
+ */
+const userAddressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  label: {
+    type: String,
+    enum: ['HOME', 'WORK', 'OTHER'],
+    default: 'OTHER',
+  },
+  customLabel: {
+    type: String, // Name shown for OTHER ("Mom's place", "Gym")
+    trim: true,
+    maxlength: 30,
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point',
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true,
+    },
+  },
+  address: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300,
+  },
+  landmark: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  lastUsedAt: Date, // Last booking made with this address
+}, {
+  timestamps: true,
+});
+
+// Indexes
+userAddressSchema.index({ userId: 1, isDefault: -1, updatedAt: -1 });
+userAddressSchema.index(
+  { userId: 1, label: 1 },
+  { unique: true, partialFilterExpression: { label: { $in: ['HOME', 'WORK'] } } }
+);
+userAddressSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true }, name: 'one_default_per_user' }
+);
+
+/**
+ * Name to show for the address
+ */
+userAddressSchema.virtual('displayLabel').get(function() {
+  if (this.label === 'HOME') return 'Home';
+  if (this.label === 'WORK') return 'Work';
+  return this.customLabel || 'Other';
+});
+
+userAddressSchema.set('toJSON', { virtuals: true });
+
+/**
+ * Make one address the user's default (clears the previous one first —
+ * the partial unique index allows only one)
+ */
+userAddressSchema.statics.setDefault = async function(userId, addressId) {
+  await this.updateMany(
+    { userId, isDefault: true, _id: { $ne: addressId } },
+    { $set: { isDefault: false } }
+  );
+  return this.findOneAndUpdate(
+    { _id: addressId, userId },
+    { $set: { isDefault: true } },
+    { new: true }
+  );
+};
+
+userAddressSchema.statics.MAX_ADDRESSES_PER_USER = MAX_ADDRESSES_PER_USER;
+
+module.exports = mongoose.model('UserAddress', userAddressSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const MAX_VEHICLES_PER_USER = 10;
+
+/**
+ * Registration number as stored and compared: upper case, letters and
+ * digits only ("mh 12-ab 1234" → "MH12AB1234")
+ */
+const normalizeRegistration = (value) => {
+  if (value === undefined || value === null) return value;
+  const normalized = String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalized || undefined;
+};
+
+/**
+ * A vehicle in a user's garage. Bookings copy its details into
+ * Booking.vehicleDetails (with vehicleId), which is what ties the vehicle's
+ * service history together.
+ */
+const userVehicleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['BIKE', 'CAR', 'TRUCK', 'AUTO'],
+    required: true,
+  },
+  make: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+  },
+  model: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+  },
+  registrationNumber: {
+    type: String,
+    set: normalizeRegistration,
+  },
+  fuelType: {
+    type: String,
+    enum: ['PETROL', 'DIESEL', 'CNG', 'LPG', 'ELECTRIC', 'HYBRID'],
+  },
+  year: {
+    type: Number,
+    min: 1950,
+  },
+  nickname: {
+    type: String, // "Dad's scooter"
+    trim: true,
+    maxlength: 30,
+  },
+  lastBookedAt: Date, // Last booking made with this vehicle, completed or not
+
+  // Service reminders (services/serviceReminder.service)
+  reminders: {
+    optedOut: { type: Boolean, default: false },
+    snoozedUntil: Date,
+    // One entry per reminder sent — a service is reminded once per completed booking
+    log: [{
+      _id: false,
+      serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service' },
+      lastBookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+      dueAt: Date,
+      sentAt: Date,
+    }],
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+userVehicleSchema.index({ userId: 1, updatedAt: -1 });
+userVehicleSchema.index(
+  { userId: 1, registrationNumber: 1 },
+  { unique: true, partialFilterExpression: { registrationNumber: { $type: 'string' } } }
+);
+
+userVehicleSchema.statics.normalizeRegistration = normalizeRegistration;
+userVehicleSchema.statics.MAX_VEHICLES_PER_USER = MAX_VEHICLES_PER_USER;
+
+module.exports = mongoose.model('UserVehicle', userVehicleSchema);
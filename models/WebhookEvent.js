@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ledger of payment gateway webhook deliveries.
+ * One row per provider event id — redeliveries of an already processed
+ * event are acknowledged without touching money again.
+ */
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['RAZORPAY'],
+    default: 'RAZORPAY',
+  },
+  eventId: {
+    type: String, // x-razorpay-event-id
+    required: true,
+  },
+  event: {
+    type: String, // payment.captured, refund.processed, payout.failed...
+    required: true,
+  },
+  entityId: String, // pay_..., rfnd_..., pout_...
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  status: {
+    type: String,
+    enum: [
+      'RECEIVED',   // Stored, not processed yet
+      'PROCESSING', // Claimed by a handler
+      'PROCESSED',  // Settled the matching record
+      'IGNORED',    // Unhandled event or no matching record
+      'FAILED',     // Handler threw — retried on redelivery
+    ],
+    default: 'RECEIVED',
+  },
+  result: String, // What the handler did
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  processedAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Indexes
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+webhookEventSchema.index({ entityId: 1 });
+webhookEventSchema.index({ status: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
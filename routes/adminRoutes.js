@@ -20,11 +20,34 @@ const {
   unbanMechanic,
   getAllBookings,
   getBookingById,
+  getBookingTrail,
   updateBookingStatus,
   getDashboardStats,
 } = require('../controller/admin.management.controller');
+const {
+  getAllPolicies,
+  getPolicyById,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+} = require('../controller/cancellationPolicy.controller');
+const {
+  getAllDispatchConfigs,
+  getDispatchConfigById,
+  createDispatchConfig,
+  updateDispatchConfig,
+  deleteDispatchConfig,
+} = require('../controller/dispatchConfig.controller');
+const {
+  getJobQueueStats,
+  getFailedJobs,
+  retryFailedJob,
+  retryAllFailedJobs,
+} = require('../controller/jobQueue.controller');
+const { issueCreditNote } = require('../controller/invoice.controller');
 const { authMiddleware, requireSuperAdmin, requireAdmin, requireSupport } = require('../middleware/auth.middleware');
 const { authLimiter } = require('../middleware/rateLimiter.middleware');
+const { validate, cancellationPolicyValidations, dispatchConfigValidations, invoiceValidations } = require('../utils/validation');
 
 const router = express.Router();
 
@@ -67,6 +90,28 @@ router.post('/mechanics/:id/unban', authMiddleware, requireAdmin, unbanMechanic)
 // Booking management routes (Support and above)
 router.get('/bookings', authMiddleware, requireSupport, getAllBookings);
 router.get('/bookings/:id', authMiddleware, requireSupport, getBookingById);
+router.get('/bookings/:id/trail', authMiddleware, requireSupport, getBookingTrail);
 router.patch('/bookings/:id/status', authMiddleware, requireAdmin, updateBookingStatus);
+router.post('/bookings/:id/credit-notes', authMiddleware, requireAdmin, validate(invoiceValidations.creditNote), issueCreditNote);
+
+// Cancellation fee policies (Admin only)
+router.get('/cancellation-policies', authMiddleware, requireAdmin, getAllPolicies);
+router.get('/cancellation-policies/:id', authMiddleware, requireAdmin, getPolicyById);
+router.post('/cancellation-policies', authMiddleware, requireAdmin, validate(cancellationPolicyValidations.create), createPolicy);
+router.put('/cancellation-policies/:id', authMiddleware, requireAdmin, validate(cancellationPolicyValidations.update), updatePolicy);
+router.delete('/cancellation-policies/:id', authMiddleware, requireAdmin, deletePolicy);
+
+// Dispatch strategy configs (Admin only)
+router.get('/dispatch-configs', authMiddleware, requireAdmin, getAllDispatchConfigs);
+router.get('/dispatch-configs/:id', authMiddleware, requireAdmin, getDispatchConfigById);
+router.post('/dispatch-configs', authMiddleware, requireAdmin, validate(dispatchConfigValidations.create), createDispatchConfig);
+router.put('/dispatch-configs/:id', authMiddleware, requireAdmin, validate(dispatchConfigValidations.update), updateDispatchConfig);
+router.delete('/dispatch-configs/:id', authMiddleware, requireAdmin, deleteDispatchConfig);
+
+// Background job queues
+router.get('/jobs', authMiddleware, requireAdmin, getJobQueueStats);
+router.get('/jobs/:queue/failed', authMiddleware, requireAdmin, getFailedJobs);
+router.post('/jobs/:queue/retry-failed', authMiddleware, requireAdmin, retryAllFailedJobs);
+router.post('/jobs/:queue/:jobId/retry', authMiddleware, requireAdmin, retryFailedJob);
 
 module.exports = router;
@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controller/booking.controller');
-const { authenticateToken } = require('../middleware/jwt.middleware');
+const invoiceController = require('../controller/invoice.controller');
+const { authenticateToken, authenticateUserOrAdmin } = require('../middleware/jwt.middleware');
 const { validate, bookingValidations } = require('../utils/validation');
-const { bookingLimiter, paymentLimiter } = require('../middleware/rateLimiter.middleware');
+const { bookingLimiter, paymentLimiter, otpLimiter } = require('../middleware/rateLimiter.middleware');
+
+// Invoices — also opened from the admin panel, so registered before the user-only auth below
+router.get('/:id/invoice', authenticateUserOrAdmin, invoiceController.getBookingInvoice);
+router.get('/:id/invoice/credit-notes/:creditNoteId', authenticateUserOrAdmin, invoiceController.getBookingCreditNote);
 
 // All routes require user authentication
 router.use(authenticateToken);
@@ -15,13 +20,19 @@ router.get('/check-mechanics', bookingController.checkNearbyMechanics);
 router.post('/', bookingLimiter, validate(bookingValidations.create), bookingController.createBooking);
 router.get('/', bookingController.getUserBookings);
 router.get('/history', bookingController.getBookingHistory);
+router.get('/upcoming', bookingController.getUpcomingBookings);
 router.get('/:id', bookingController.getBookingDetails);
+router.get('/:id/trail', bookingController.getBookingTrail);
+router.get('/:id/cancellation-fee', bookingController.getCancellationFee);
 router.post('/:id/cancel', bookingController.cancelBooking);
+router.post('/:id/otp/regenerate', otpLimiter, bookingController.regenerateOtp);
+router.patch('/:id/reschedule', validate(bookingValidations.reschedule), bookingController.rescheduleBooking);
 router.post('/:id/rate', validate(bookingValidations.rate), bookingController.rateBooking);
 
 // Payment routes
 router.post('/:id/pay', paymentLimiter, bookingController.createBookingPaymentOrder);
 router.post('/:id/verify-payment', paymentLimiter, bookingController.verifyBookingPayment);
-router.post('/:id/pay-wallet', paymentLimiter, bookingController.payWithWallet);
+router.post('/:id/pay-wallet', paymentLimiter, validate(bookingValidations.payWallet), bookingController.payWithWallet);
+router.post('/:id/pay-split', paymentLimiter, validate(bookingValidations.paySplit), bookingController.payBooking);
 
 module.exports = router;
@@ -15,6 +15,8 @@ router.use(requireMechanic);
 // Profile routes
 router.get('/profile', mechanicController.getProfile);
 router.put('/profile', validate(mechanicValidations.updateProfile), mechanicController.updateProfile);
+router.get('/services', mechanicController.getServicesOffered);
+router.put('/services', validate(mechanicValidations.updateServices), mechanicController.updateServicesOffered);
 router.post('/photo', uploadLimiter, uploadImage.single('photo'), handleMulterError, mechanicController.uploadPhoto);
 router.get('/stats', mechanicController.getStats);
 router.get('/stats/today', mechanicController.getTodayStats);
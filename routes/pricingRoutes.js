@@ -7,7 +7,8 @@ const {
   upsertPricing,
   updatePricing,
   deletePricing,
-  calculatePricing
+  calculatePricing,
+  getQuote
 } = require('../controller/pricing.controller');
 const { authMiddleware, requireAdmin } = require('../middleware/auth.middleware');
 
@@ -17,6 +18,7 @@ const router = express.Router();
 router.get('/', getAllPricing);
 router.get('/region/:regionId', getPricingByRegion);
 router.get('/service/:serviceId', getPricingByService);
+router.get('/calculate', getQuote);
 router.get('/:id', getPricingById);
 router.post('/calculate', calculatePricing);
 
@@ -21,7 +21,22 @@ router.delete('/account', userController.deleteAccount);
 router.post('/fcm-token', userController.updateFcmToken);
 router.delete('/fcm-token', userController.clearFcmToken);
 
-// Addresses (future feature)
+// Saved addresses
 router.get('/addresses', userController.getAddresses);
+router.post('/addresses', validate(userValidations.createAddress), userController.createAddress);
+router.get('/addresses/:addressId', userController.getAddress);
+router.put('/addresses/:addressId', validate(userValidations.updateAddress), userController.updateAddress);
+router.patch('/addresses/:addressId/default', userController.setDefaultAddress);
+router.delete('/addresses/:addressId', userController.deleteAddress);
+
+// Vehicle garage
+router.get('/vehicles', userController.getVehicles);
+router.post('/vehicles', validate(userValidations.createVehicle), userController.createVehicle);
+router.get('/vehicles/:vehicleId', userController.getVehicle);
+router.get('/vehicles/:vehicleId/history', userController.getVehicleHistory);
+router.get('/vehicles/:vehicleId/reminders', userController.getVehicleReminders);
+router.patch('/vehicles/:vehicleId/reminders', validate(userValidations.updateVehicleReminders), userController.updateVehicleReminders);
+router.put('/vehicles/:vehicleId', validate(userValidations.updateVehicle), userController.updateVehicle);
+router.delete('/vehicles/:vehicleId', userController.deleteVehicle);
 
 module.exports = router;
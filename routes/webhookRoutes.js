@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controller/webhook.controller');
+
+// Gateway callbacks — no JWT, authenticated by signature over the raw body.
+// Mounted before express.json() in index.js so the body arrives untouched.
+router.post('/razorpay', express.raw({ type: 'application/json', limit: '1mb' }), webhookController.handleRazorpayWebhook);
+
+module.exports = router;
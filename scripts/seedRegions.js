@@ -416,6 +416,10 @@ async function seedRegions() {
     // Add slug to each city
     const citiesWithSlug = indianCities.map(city => ({
       ...city,
+      location: {
+        type: 'Point',
+        coordinates: [city.coordinates.longitude, city.coordinates.latitude],
+      },
       slug: createSlug(city.name, city.state),
       country: 'India',
       status: 'ACTIVE'
@@ -0,0 +1,519 @@
+/**
+ * Booking Completion Service
+ *
+ * What happens after a mechanic confirms payment, run as a saga whose
+ * progress is recorded on booking.completion.steps:
+ *
+ *   earning            MechanicEarning (JOB) + mechanic totals
+ *   title              title progression from totalJobsCompleted
+ *   rewardPoints       BOOKING points for the user
+ *   firstBookingBonus  FIRST_BOOKING_BONUS points (first paid booking only)
+ *   referral           completes the referral that brought the user in
+ *   notification       in-app "Service Completed" notification
+ *   invoice            GST tax invoice (services/invoice.service)
+ *
+ * complete() saves the PAID booking together with the earning and title
+ * steps in one Mongo transaction. Where transactions aren't available
+ * (standalone mongod) or the transaction fails, the payment is saved on its
+ * own and a failed step is left FAILED for the reconciler — a collected
+ * payment is never lost because of a side effect. The other steps run as
+ * payments/completion-step jobs.
+ *
+ * Steps only run for completed bookings with nothing left to pay
+ * (bookingPayment.service isSettled — split legs and later refunds count).
+ *
+ * Every step is idempotent. reconcile() runs on a schedule and re-runs steps
+ * for recently completed bookings whose MechanicEarning, UserReward,
+ * Referral or Invoice records are missing, or whose step never reached DONE.
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Mechanic = require('../models/Mechanic');
+const MechanicEarning = require('../models/MechanicEarning');
+const UserReward = require('../models/UserReward');
+const Referral = require('../models/Referral');
+const Invoice = require('../models/Invoice');
+const Notification = require('../models/Notification');
+const queueService = require('./queue.service');
+const earningsController = require('../controller/earnings.controller');
+const referralController = require('../controller/referral.controller');
+const rewardsController = require('../controller/rewards.controller');
+const invoiceService = require('./invoice.service');
+const bookingPaymentService = require('./bookingPayment.service');
+
+const STEPS = ['earning', 'title', 'rewardPoints', 'firstBookingBonus', 'referral', 'notification', 'invoice'];
+
+// Committed with the payment; the rest are queued
+const TRANSACTIONAL_STEPS = ['earning', 'title'];
+
+const MINUTE_MS = 60 * 1000;
+const RECONCILE_INTERVAL_MINUTES = parseInt(process.env.COMPLETION_RECONCILE_INTERVAL_MINUTES) || 15;
+const RECONCILE_WINDOW_DAYS = 7;
+const RECONCILE_GRACE_MINUTES = 10; // Leave queued steps time to run first
+const RECONCILE_BATCH_SIZE = 200;
+
+// Jobs completed → title (upper bounds)
+const TITLE_THRESHOLDS = [
+  [5, 'NEW'],
+  [25, 'BEGINNER'],
+  [50, 'INTERMEDIATE'],
+  [100, 'BRONZE'],
+  [150, 'SILVER'],
+  [200, 'GOLD'],
+  [250, 'PLATINUM'],
+  [300, 'DIAMOND'],
+  [400, 'ACE'],
+  [500, 'CONQUEROR'],
+];
+
+const isTransactionUnsupported = (error) =>
+  error.code === 20 || /Transaction numbers are only allowed/i.test(error.message);
+
+class BookingCompletionService {
+  constructor() {
+    this.STEPS = STEPS;
+    this.transactionsSupported = true; // Until the server says otherwise
+    this.reconcileTimer = null;
+  }
+
+  getTitleForJobs(totalJobs) {
+    const match = TITLE_THRESHOLDS.find(([maxJobs]) => totalJobs <= maxJobs);
+    return match ? match[1] : 'MASTER';
+  }
+
+  /**
+   * Save a booking that was just marked PAID and run the completion saga
+   * @param {Object} booking - Booking document with status/payment already set
+   * @returns {Promise<Object>} { booking, titleChange } — titleChange is
+   *   { newTitle, previousTitle, totalJobsCompleted } when a title unlocked
+   */
+  async complete(booking) {
+    booking.completion = {
+      status: 'PENDING',
+      isFirstBooking: await this.isFirstBooking(booking),
+      startedAt: new Date(),
+      steps: Object.fromEntries(STEPS.map(step => [step, { status: 'PENDING' }])),
+    };
+
+    let titleChange = null;
+    let committed = false;
+
+    if (this.transactionsSupported) {
+      try {
+        titleChange = await mongoose.connection.transaction(async (session) => {
+          booking.completion.transactional = true;
+          return this.commitPayment(booking, session);
+        });
+        committed = true;
+      } catch (error) {
+        if (isTransactionUnsupported(error)) {
+          this.transactionsSupported = false;
+          console.warn('⚠️ MongoDB transactions not supported, completing bookings without them');
+        } else {
+          console.error(`⚠️ Completion transaction failed for booking ${booking.bookingId}, saving payment on its own:`, error.message);
+        }
+      }
+    }
+
+    if (!committed) {
+      booking.completion.transactional = false;
+      for (const step of TRANSACTIONAL_STEPS) {
+        booking.completion.steps[step] = { status: 'PENDING' };
+      }
+      titleChange = await this.commitPayment(booking, null);
+    }
+
+    await this.queueRemainingSteps(booking);
+
+    return { booking, titleChange };
+  }
+
+  /**
+   * Save the booking, then the transactional steps.
+   * Inside a transaction a failed step aborts everything; without one it is
+   * recorded as FAILED and the payment still stands.
+   */
+  async commitPayment(booking, session) {
+    await booking.save({ session });
+
+    let titleChange = null;
+    for (const step of TRANSACTIONAL_STEPS) {
+      try {
+        const result = await this.runStepAction(step, booking, session);
+        if (step === 'title' && result && typeof result === 'object') titleChange = result;
+        this.setStep(booking, step, result === 'SKIPPED' ? 'SKIPPED' : 'DONE');
+      } catch (error) {
+        if (session) throw error;
+        console.error(`❌ Completion step ${step} failed for booking ${booking.bookingId}:`, error.message);
+        this.setStep(booking, step, 'FAILED', error.message);
+      }
+    }
+
+    await booking.save({ session });
+    return titleChange;
+  }
+
+  setStep(booking, step, status, error = undefined) {
+    const current = booking.completion.steps[step] || {};
+    booking.completion.steps[step] = {
+      status,
+      attempts: (current.attempts || 0) + 1,
+      error,
+      updatedAt: new Date(),
+    };
+  }
+
+  async queueRemainingSteps(booking) {
+    for (const step of STEPS) {
+      if (TRANSACTIONAL_STEPS.includes(step)) continue;
+      try {
+        await queueService.queuePaymentProcess('completion-step', {
+          bookingId: booking._id.toString(),
+          step,
+        }, { jobId: `completion:${booking._id}:${step}` });
+      } catch (error) {
+        // Left PENDING — the reconciler picks it up
+        console.error(`❌ Could not queue completion step ${step} for booking ${booking.bookingId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Run one step for a booking and record the outcome (completion-step job)
+   * @param {string} bookingId
+   * @param {string} step
+   * @param {Object} options - { force: re-run even if already DONE (repairs) }
+   */
+  async runStep(bookingId, step, { force = false } = {}) {
+    if (!STEPS.includes(step)) {
+      throw new Error(`Unknown completion step: ${step}`);
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking || booking.status !== 'COMPLETED' || !bookingPaymentService.isSettled(booking)) {
+      console.log(`⏭️ Completion step ${step} skipped — booking ${bookingId} is not completed and paid`);
+      return null;
+    }
+
+    const previous = booking.completion?.steps?.[step]?.status;
+    if (!force && ['DONE', 'SKIPPED'].includes(previous)) return previous;
+
+    let status;
+    try {
+      const result = await this.runStepAction(step, booking, null);
+      status = result === 'SKIPPED' ? 'SKIPPED' : 'DONE';
+    } catch (error) {
+      await this.recordStep(booking, step, 'FAILED', error.message);
+      throw error;
+    }
+
+    await this.recordStep(booking, step, status);
+    return status;
+  }
+
+  /**
+   * Persist a step outcome, and mark the saga DONE once every step is
+   */
+  async recordStep(booking, step, status, error = undefined) {
+    const attempts = (booking.completion?.steps?.[step]?.attempts || 0) + 1;
+    const $set = {
+      [`completion.steps.${step}`]: { status, attempts, error, updatedAt: new Date() },
+    };
+
+    const updated = await Booking.findByIdAndUpdate(booking._id, { $set }, { new: true })
+      .select('completion');
+
+    // Bookings completed before the saga existed only get repaired steps
+    if (!updated.completion?.status) return;
+
+    const steps = updated.completion.steps || {};
+    const finished = STEPS.every(s => ['DONE', 'SKIPPED'].includes(steps[s]?.status));
+    if (finished && updated.completion.status !== 'DONE') {
+      await Booking.updateOne({ _id: booking._id }, {
+        $set: { 'completion.status': 'DONE', 'completion.completedAt': new Date() },
+      });
+    } else if (!finished && updated.completion.status !== 'PENDING') {
+      await Booking.updateOne({ _id: booking._id }, { $set: { 'completion.status': 'PENDING' } });
+    }
+  }
+
+  /**
+   * Step implementations. Each is safe to repeat; 'SKIPPED' means nothing to do.
+   */
+  async runStepAction(step, booking, session) {
+    switch (step) {
+      case 'earning':
+        return this.createEarning(booking, session);
+      case 'title':
+        return this.progressTitle(booking, session);
+      case 'rewardPoints':
+        return this.awardPoints(booking.userId, 'BOOKING', booking._id.toString(), 'Booking completed');
+      case 'firstBookingBonus':
+        if (!(await this.resolveFirstBooking(booking))) return 'SKIPPED';
+        return this.awardPoints(booking.userId, 'FIRST_BOOKING_BONUS', booking._id.toString(), 'First booking bonus');
+      case 'referral':
+        // Only a REGISTERED referral is completed, so this is a no-op after the first time
+        return (await referralController.completeReferral(booking.userId.toString())) ? 'DONE' : 'SKIPPED';
+      case 'notification':
+        return this.sendNotification(booking);
+      case 'invoice':
+        return (await invoiceService.issueForBooking(booking)).created ? 'DONE' : 'SKIPPED';
+      default:
+        throw new Error(`Unknown completion step: ${step}`);
+    }
+  }
+
+  async createEarning(booking, session) {
+    if (!booking.mechanicId) return 'SKIPPED';
+
+    const exists = await MechanicEarning.exists({ bookingId: booking._id, type: 'JOB' }).session(session);
+    if (exists) return 'SKIPPED';
+
+    const user = await User.findById(booking.userId).select('name phone').session(session);
+
+    // Same split as utils/pricingEngine: fee on the service price, travel passed
+    // through (v1 bookings kept travel out of the mechanic's share)
+    const pricing = booking.pricing || {};
+    const travelCharge = pricing.formulaVersion >= 2 ? (pricing.travelCharge || 0) : 0;
+    const grossAmount = pricing.formulaVersion >= 2
+      ? (pricing.basePrice || 0)
+      : (pricing.mechanicEarning || 0) + (pricing.platformFeeAmount || 0);
+
+    await earningsController.createEarning({
+      bookingId: booking._id,
+      bookingCode: booking.bookingId,
+      mechanicId: booking.mechanicId,
+      grossAmount,
+      travelCharge,
+      platformFeePercent: booking.pricing?.platformFeePercent || 10,
+      serviceDetails: {
+        name: booking.serviceSnapshot?.name || 'Service',
+        category: booking.serviceSnapshot?.categoryName || 'General',
+      },
+      customerName: user?.name || 'Customer',
+      customerPhone: user?.phone || '',
+      location: {
+        address: booking.location?.address || '',
+      },
+      paymentMethod: booking.paymentMethod,
+    }, { session });
+
+    return 'DONE';
+  }
+
+  /**
+   * Bring the mechanic's title in line with totalJobsCompleted (which the
+   * earning step increments)
+   * @returns {Object|undefined} Title change, if one unlocked
+   */
+  async progressTitle(booking, session) {
+    if (!booking.mechanicId) return 'SKIPPED';
+
+    const mechanic = await Mechanic.findById(booking.mechanicId).session(session);
+    if (!mechanic) return 'SKIPPED';
+
+    const totalJobsCompleted = mechanic.totalJobsCompleted || 0;
+    const newTitle = this.getTitleForJobs(totalJobsCompleted);
+    const previousTitle = mechanic.currentTitle || 'NEW';
+    if (newTitle === previousTitle) return undefined;
+
+    mechanic.currentTitle = newTitle;
+    mechanic.titleUnlockHistory.push({
+      title: newTitle,
+      unlockedAt: new Date(),
+      jobsCompletedAtUnlock: totalJobsCompleted,
+    });
+    await mechanic.save({ session });
+
+    return { newTitle, previousTitle, totalJobsCompleted };
+  }
+
+  /**
+   * Reward points, at most once per source and reference
+   */
+  async awardPoints(userId, source, referenceId, description) {
+    const alreadyAwarded = await UserReward.exists({
+      userId,
+      pointsHistory: { $elemMatch: { source, referenceId } },
+    });
+    if (alreadyAwarded) return 'SKIPPED';
+
+    await rewardsController.addPoints(userId.toString(), source, referenceId, description);
+    return 'DONE';
+  }
+
+  async sendNotification(booking) {
+    try {
+      await Notification.createNotification({
+        userId: booking.userId,
+        userModel: 'User',
+        title: 'Service Completed',
+        body: `Your service has been completed. Payment of ₹${booking.pricing?.totalAmount || 0} confirmed. Please rate your experience!`,
+        type: 'BOOKING',
+        data: { bookingId: booking._id },
+        actionUrl: `/booking/${booking._id}`,
+        dedupeKey: `completion:${booking._id}:notification`,
+      });
+    } catch (error) {
+      if (error.code === 11000) return 'SKIPPED'; // Sent by an earlier attempt
+      throw error;
+    }
+    return 'DONE';
+  }
+
+  /**
+   * True if no earlier paid booking of the user completed before this one
+   */
+  async isFirstBooking(booking) {
+    const earlier = await Booking.find({
+      _id: { $ne: booking._id },
+      userId: booking.userId,
+      status: 'COMPLETED',
+      paymentStatus: { $in: bookingPaymentService.SETTLED_STATUSES },
+      completedAt: { $lt: booking.completedAt || new Date() },
+    })
+      .select('paymentStatus paymentMethod paymentDetails pricing.totalAmount')
+      .lean();
+    return !earlier.some(b => bookingPaymentService.isSettled(b));
+  }
+
+  async resolveFirstBooking(booking) {
+    if (typeof booking.completion?.isFirstBooking === 'boolean') {
+      return booking.completion.isFirstBooking;
+    }
+
+    const isFirst = await this.isFirstBooking(booking);
+    await Booking.updateOne({ _id: booking._id }, { $set: { 'completion.isFirstBooking': isFirst } });
+    return isFirst;
+  }
+
+  /**
+   * Find recently completed, paid bookings with missing side effects and
+   * re-run the affected steps
+   * @returns {Promise<Object>} { checked, repaired, failed }
+   */
+  async reconcile() {
+    const now = Date.now();
+    const filter = {
+      status: 'COMPLETED',
+      paymentStatus: { $in: bookingPaymentService.SETTLED_STATUSES },
+      completedAt: {
+        $gte: new Date(now - RECONCILE_WINDOW_DAYS * 24 * 60 * MINUTE_MS),
+        $lte: new Date(now - RECONCILE_GRACE_MINUTES * MINUTE_MS),
+      },
+    };
+
+    const totals = { checked: 0, repaired: 0, failed: 0 };
+    const cursor = Booking.find(filter)
+      .select('_id bookingId userId mechanicId completion paymentStatus paymentMethod paymentDetails pricing.totalAmount')
+      .lean()
+      .cursor({ batchSize: RECONCILE_BATCH_SIZE });
+
+    let batch = [];
+    for await (const booking of cursor) {
+      // A split payment with a part still due isn't complete yet
+      if (!bookingPaymentService.isSettled(booking)) continue;
+      batch.push(booking);
+      if (batch.length === RECONCILE_BATCH_SIZE) {
+        await this.reconcileBatch(batch, totals);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await this.reconcileBatch(batch, totals);
+    }
+
+    if (totals.repaired > 0 || totals.failed > 0) {
+      console.log(`🩺 Completion reconciler: ${totals.checked} bookings checked, ${totals.repaired} steps repaired, ${totals.failed} failed`);
+    }
+    return totals;
+  }
+
+  async reconcileBatch(bookings, totals) {
+    const bookingIds = bookings.map(b => b._id);
+    const referenceIds = bookingIds.map(id => id.toString());
+    const userIds = [...new Set(bookings.map(b => b.userId.toString()))]
+      .map(id => new mongoose.Types.ObjectId(id));
+
+    const [earnedBookingIds, awardedPoints, pendingReferrals, invoicedBookingIds] = await Promise.all([
+      MechanicEarning.distinct('bookingId', { bookingId: { $in: bookingIds }, type: 'JOB' }),
+      UserReward.aggregate([
+        { $match: { userId: { $in: userIds } } },
+        { $unwind: '$pointsHistory' },
+        {
+          $match: {
+            'pointsHistory.source': { $in: ['BOOKING', 'FIRST_BOOKING_BONUS'] },
+            'pointsHistory.referenceId': { $in: referenceIds },
+          },
+        },
+        { $group: { _id: { source: '$pointsHistory.source', referenceId: '$pointsHistory.referenceId' } } },
+      ]),
+      Referral.find({
+        referredUsers: { $elemMatch: { userId: { $in: userIds }, status: 'REGISTERED' } },
+      }).select('referredUsers'),
+      Invoice.distinct('bookingId', { bookingId: { $in: bookingIds }, type: 'INVOICE' }),
+    ]);
+
+    const earned = new Set(earnedBookingIds.map(id => id.toString()));
+    const invoiced = new Set(invoicedBookingIds.map(id => id.toString()));
+    const awarded = new Set(awardedPoints.map(({ _id }) => `${_id.source}:${_id.referenceId}`));
+    const referralPending = new Set(pendingReferrals.flatMap(r =>
+      r.referredUsers.filter(u => u.status === 'REGISTERED').map(u => u.userId.toString())
+    ));
+
+    for (const booking of bookings) {
+      totals.checked++;
+      const id = booking._id.toString();
+      const completion = booking.completion?.status ? booking.completion : null;
+      const notFinished = (step) => completion && !['DONE', 'SKIPPED'].includes(completion.steps?.[step]?.status);
+
+      // Record-backed checks apply to every booking, including ones completed
+      // before the saga existed; flag-only checks to saga bookings
+      const missing = [];
+      if (booking.mechanicId && !earned.has(id)) missing.push('earning');
+      if (notFinished('title') || missing.includes('earning')) missing.push('title');
+      if (!awarded.has(`BOOKING:${id}`)) missing.push('rewardPoints');
+      if (notFinished('firstBookingBonus')
+        || (completion?.isFirstBooking && !awarded.has(`FIRST_BOOKING_BONUS:${id}`))) {
+        missing.push('firstBookingBonus');
+      }
+      if (referralPending.has(booking.userId.toString())) missing.push('referral');
+      if (notFinished('notification')) missing.push('notification');
+      if (!invoiced.has(id)) missing.push('invoice');
+
+      for (const step of missing) {
+        try {
+          const status = await this.runStep(id, step, { force: true });
+          if (status === 'DONE') totals.repaired++;
+        } catch (error) {
+          totals.failed++;
+          console.error(`❌ Reconcile ${step} failed for booking ${booking.bookingId}:`, error.message);
+        }
+      }
+
+      if (missing.length > 0) {
+        await Booking.updateOne({ _id: booking._id }, { $set: { 'completion.reconciledAt': new Date() } });
+      }
+    }
+  }
+
+  /**
+   * Schedule reconcile() — a repeatable payments job in Redis mode (run by
+   * the worker), an in-process interval in mock mode
+   */
+  async initialize() {
+    const everyMs = RECONCILE_INTERVAL_MINUTES * MINUTE_MS;
+    const job = await queueService.scheduleRepeatingJob('payments', 'reconcile-completions', everyMs);
+    if (job) return;
+
+    if (this.reconcileTimer) clearInterval(this.reconcileTimer);
+    this.reconcileTimer = setInterval(() => {
+      this.reconcile().catch(error => console.error('❌ Completion reconciler failed:', error.message));
+    }, everyMs);
+    this.reconcileTimer.unref();
+  }
+}
+
+module.exports = new BookingCompletionService();
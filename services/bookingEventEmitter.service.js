@@ -224,12 +224,25 @@ class BookingEventEmitter extends EventEmitter {
     }
   }
 
+  /**
+   * Emit a saved status transition (called by bookingStateMachine only).
+   * 'booking:status-changed' fires for every transition; the specific
+   * events below follow from it.
+   */
+  emitStatusTransition(booking, previousStatus, actor, mechanic = null) {
+    this.emit('booking:status-changed', { booking, from: previousStatus, to: booking.status, actor });
+    this.emitBookingStatusChange(booking, previousStatus, mechanic);
+  }
+
   /**
    * Emit booking status change event
    */
   emitBookingStatusChange(booking, previousStatus, mechanic = null) {
     const status = booking.status;
 
+    // Assignment notifications name the mechanic — nothing to send without one
+    if (status === 'ACCEPTED' && !mechanic) return;
+
     if (previousStatus === 'SEARCHING' && status === 'ACCEPTED') {
       this.emit('booking:accepted', { booking, mechanic });
     } else if (status === 'ACCEPTED') {
@@ -0,0 +1,146 @@
+/**
+ * Booking OTP Service
+ *
+ * The 4-digit code the user reads out to the mechanic before work starts.
+ * A booking can only enter IN_PROGRESS once the code has been verified
+ * (bookingStateMachine checks otpVerifiedAt), over REST or the socket.
+ *
+ * Wrong codes are counted on the booking; after MAX_ATTEMPTS the booking is
+ * locked for LOCKOUT_MINUTES. The user can regenerate the code, which also
+ * clears the lock. The code itself is select: false on the Booking model so
+ * it never ends up in mechanic-facing payloads — only the user endpoints
+ * ask for it.
+ */
+
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const { AppError } = require('../middleware/error.middleware');
+
+const MAX_ATTEMPTS = parseInt(process.env.BOOKING_OTP_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.BOOKING_OTP_LOCKOUT_MINUTES) || 15;
+
+// The code can change until work starts
+const REGENERATABLE_STATUSES = ['SCHEDULED', 'PENDING', 'SEARCHING', 'ASSIGNED', 'ACCEPTED', 'EN_ROUTE', 'ARRIVED'];
+
+class BookingOtpService {
+  constructor() {
+    this.MAX_ATTEMPTS = MAX_ATTEMPTS;
+    this.LOCKOUT_MINUTES = LOCKOUT_MINUTES;
+  }
+
+  /**
+   * New 4-digit code
+   */
+  generate() {
+    return crypto.randomInt(1000, 10000).toString();
+  }
+
+  /**
+   * Check the code a mechanic entered. On success sets otpVerifiedAt on the
+   * booking in memory — it's saved with the IN_PROGRESS transition.
+   *
+   * @param {Object} booking - Booking document (loaded without the code)
+   * @param {String|Number} otp - code entered by the mechanic
+   * @throws {AppError} 400 OTP_REQUIRED / OTP_INVALID, 429 OTP_LOCKED
+   */
+  async verify(booking, otp) {
+    if (booking.otpVerifiedAt) return;
+
+    if (otp === undefined || otp === null || String(otp).trim() === '') {
+      throw new AppError('OTP is required to start service', 400, { code: 'OTP_REQUIRED' });
+    }
+
+    const secret = await Booking.findById(booking._id).select('+verificationOtp otpLockedUntil');
+    if (!secret?.verificationOtp) {
+      throw new AppError('No verification OTP found for this booking', 400, { code: 'OTP_REQUIRED' });
+    }
+
+    this.assertNotLocked(secret.otpLockedUntil);
+
+    if (String(otp).trim() !== String(secret.verificationOtp).trim()) {
+      await this.recordFailure(booking);
+    }
+
+    booking.otpVerifiedAt = new Date();
+    booking.otpFailedAttempts = 0;
+  }
+
+  assertNotLocked(lockedUntil) {
+    if (lockedUntil && lockedUntil > new Date()) {
+      const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+      throw new AppError(
+        `Too many wrong OTP attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask the customer to generate a new OTP.`,
+        429,
+        { code: 'OTP_LOCKED', lockedUntil }
+      );
+    }
+  }
+
+  /**
+   * Count a wrong code ($inc, so parallel guesses all count) and lock once
+   * the limit is reached. Always throws.
+   */
+  async recordFailure(booking) {
+    const updated = await Booking.findByIdAndUpdate(
+      booking._id,
+      { $inc: { otpFailedAttempts: 1 } },
+      { new: true }
+    ).select('otpFailedAttempts userId bookingId');
+
+    const attempts = updated?.otpFailedAttempts || MAX_ATTEMPTS;
+
+    if (attempts >= MAX_ATTEMPTS) {
+      const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60000);
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { otpLockedUntil: lockedUntil, otpFailedAttempts: 0 } }
+      );
+
+      // Let the customer know — they may want to regenerate the code
+      const socketService = require('./socket.service');
+      if (socketService.isConnected && updated) {
+        socketService.emitToUser(updated.userId.toString(), 'booking:otp_locked', {
+          bookingId: booking._id,
+          bookingCode: updated.bookingId,
+          lockedUntil,
+          message: 'The mechanic entered a wrong OTP too many times. You can generate a new OTP.',
+        });
+      }
+
+      this.assertNotLocked(lockedUntil);
+    }
+
+    const remaining = MAX_ATTEMPTS - attempts;
+    throw new AppError(
+      `Invalid OTP. Please ask customer for the correct 4-digit OTP. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`,
+      400,
+      { code: 'OTP_INVALID', attemptsRemaining: remaining }
+    );
+  }
+
+  /**
+   * Replace the code (user) and clear any lockout
+   * @returns {Object|null} booking with the new verificationOtp, or null if
+   *   the booking isn't the user's or work has already started
+   */
+  async regenerate(bookingId, userId) {
+    return Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        userId,
+        status: { $in: REGENERATABLE_STATUSES },
+        otpVerifiedAt: null,
+      },
+      {
+        $set: {
+          verificationOtp: this.generate(),
+          otpFailedAttempts: 0,
+          otpLockedUntil: null,
+        },
+      },
+      { new: true }
+    ).select('+verificationOtp');
+  }
+}
+
+module.exports = new BookingOtpService();
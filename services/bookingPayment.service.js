@@ -0,0 +1,381 @@
+/**
+ * Booking Payment Service
+ *
+ * A booking's total can be settled across three legs, recorded on
+ * booking.paymentDetails:
+ *   walletAmount  debited from the user's wallet
+ *   onlineAmount  captured by Razorpay
+ *   cashAmount    collected by the mechanic (cash, or UPI to the mechanic)
+ *
+ * The user applies as much wallet balance as they like, and chooses whether
+ * the rest is paid online (a Razorpay order for what is still due, settled by
+ * verify-payment or the payment.captured webhook) or in cash to the mechanic
+ * (confirmPayment). The choice is kept on paymentDetails.split.
+ *
+ * paymentStatus is PARTIALLY_PAID while part of the total is settled and
+ * PAID once all of it is. PARTIALLY_PAID is also what a partial refund
+ * leaves behind (services/refund.service), so "what is still due" is always
+ * worked out from the legs, never from the status.
+ *
+ * An online payment that captures more than is due — an order created before
+ * the wallet was applied, paid afterwards — gives the excess back: first by
+ * reducing the wallet leg and crediting the wallet, the rest as a refund of
+ * the payment. A payment captured once nothing is due (the mechanic took
+ * cash instead, or the booking was cancelled) is refunded in full.
+ */
+
+const Booking = require('../models/Booking');
+const WalletTransaction = require('../models/WalletTransaction');
+const razorpayService = require('./razorpay.service');
+const pricingService = require('./pricing.service');
+const refundService = require('./refund.service');
+const walletController = require('../controller/wallet.controller');
+const RedisLock = require('../utils/redisLock');
+const { roundAmount } = require('../utils/pricingEngine');
+const { AppError } = require('../middleware/error.middleware');
+
+const OPEN_STATUSES = ['PENDING', 'FAILED', 'PARTIALLY_PAID'];
+// Paid at some point; refunds since then keep a booking settled
+const SETTLED_STATUSES = ['PAID', 'PARTIALLY_PAID', 'REFUNDED'];
+const UNPAYABLE_BOOKING_STATUSES = ['CANCELLED', 'EXPIRED', 'NO_MECHANIC_AVAILABLE'];
+const SETTLE_ATTEMPTS = 3;
+const SPLIT_FIELDS = ['walletAmount', 'remainder', 'orderAmount', 'chosenAt'];
+
+class BookingPaymentService {
+  constructor() {
+    this.SETTLED_STATUSES = SETTLED_STATUSES;
+  }
+
+  /**
+   * What has been paid per leg and what is still due
+   * @param {Object} booking - Booking document
+   * @returns {Object} { totalAmount, paid: { wallet, online, cash, total }, due, remainder }
+   */
+  getSummary(booking) {
+    const totalAmount = roundAmount(booking.pricing?.totalAmount);
+    const paid = refundService.getPaidAmounts(booking);
+
+    return {
+      totalAmount,
+      paid,
+      due: Math.max(roundAmount(totalAmount - paid.total), 0),
+      remainder: booking.paymentDetails?.split?.remainder || null,
+      paymentStatus: booking.paymentStatus,
+    };
+  }
+
+  /**
+   * Nothing left to pay — what completion and invoicing treat as paid, so a
+   * split payment or a later partial refund still counts
+   */
+  isSettled(booking) {
+    return SETTLED_STATUSES.includes(booking.paymentStatus) && this.getSummary(booking).due <= 0;
+  }
+
+  statusFor(paidTotal, totalAmount) {
+    if (paidTotal >= totalAmount) return 'PAID';
+    return paidTotal > 0 ? 'PARTIALLY_PAID' : 'PENDING';
+  }
+
+  /**
+   * paymentMethod from the legs that carry money — MIXED for more than one
+   */
+  methodFor({ wallet, online, cash }, fallback) {
+    const legs = [wallet > 0 && 'WALLET', online > 0 && 'ONLINE', cash > 0 && 'CASH'].filter(Boolean);
+    if (legs.length > 1) return 'MIXED';
+    if (legs[0] === 'WALLET') return 'WALLET';
+    return fallback;
+  }
+
+  assertPayable(booking) {
+    if (UNPAYABLE_BOOKING_STATUSES.includes(booking.status)) {
+      throw new AppError(`Booking is ${booking.status.toLowerCase().replace(/_/g, ' ')}`, 400);
+    }
+    if (pricingService.isTravelPending(booking)) {
+      throw new AppError('The final price is set once a mechanic accepts. Please pay after that.', 400);
+    }
+    if (this.getSummary(booking).due <= 0) {
+      throw new AppError('Booking already paid', 400);
+    }
+  }
+
+  /**
+   * Pay a booking: apply wallet balance, then set up the remainder
+   * @param {Object} booking - Booking document (the user's)
+   * @param {Object} options
+   *   walletAmount - wallet balance to apply (capped at what is due)
+   *   remainder    - 'ONLINE' | 'CASH', how the rest is paid
+   * @returns {Promise<Object>} { booking, summary, order } — order is the
+   *   Razorpay order when the remainder is paid online
+   */
+  async pay(booking, { walletAmount = 0, remainder } = {}) {
+    const lockKey = `lock:booking:payment:${booking._id}`;
+
+    const { locked, result } = await RedisLock.withLock(lockKey, async () => {
+      this.assertPayable(booking);
+
+      if (walletAmount > 0) {
+        booking = await this.applyWallet(booking, Math.min(walletAmount, this.getSummary(booking).due));
+      }
+
+      const { due } = this.getSummary(booking);
+      let order = null;
+
+      if (due > 0 && remainder === 'ONLINE') {
+        order = await this.createOnlineOrder(booking, due);
+      } else if (due > 0 && remainder === 'CASH') {
+        const { orderAmount, ...split } = this.splitOf(booking);
+        booking = await Booking.findByIdAndUpdate(booking._id, {
+          $set: { 'paymentDetails.split': { ...split, remainder: 'CASH', chosenAt: new Date() } },
+        }, { new: true });
+      }
+
+      return { booking, summary: this.getSummary(booking), order };
+    }, 30);
+
+    if (locked) {
+      throw new AppError('A payment for this booking is already in progress', 409);
+    }
+    return result;
+  }
+
+  /**
+   * The stored split choice as a plain object, to be updated and $set back
+   */
+  splitOf(booking) {
+    const split = booking.paymentDetails?.split || {};
+    return Object.fromEntries(
+      SPLIT_FIELDS.filter(field => split[field] !== undefined && split[field] !== null).map(field => [field, split[field]])
+    );
+  }
+
+  /**
+   * Debit the wallet leg. Only one wallet leg per booking.
+   * @returns {Promise<Object>} updated booking
+   */
+  async applyWallet(booking, amount) {
+    const summary = this.getSummary(booking);
+    if (summary.paid.wallet > 0) {
+      throw new AppError('Wallet balance has already been applied to this booking', 400);
+    }
+
+    const userId = booking.userId._id || booking.userId;
+    const debit = await walletController.debitForBooking(userId, amount, booking._id.toString());
+    if (!debit.success) {
+      throw new AppError(debit.message || 'Insufficient wallet balance', 400);
+    }
+
+    const paid = { ...summary.paid, wallet: amount };
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        paymentStatus: { $in: OPEN_STATUSES },
+        'paymentDetails.walletAmount': { $in: [null, 0] },
+      },
+      {
+        $set: {
+          'paymentDetails.walletAmount': amount,
+          'paymentDetails.walletTransactionId': debit.transactionId,
+          'paymentDetails.paidAt': new Date(),
+          'paymentDetails.split': { ...this.splitOf(booking), walletAmount: amount, chosenAt: new Date() },
+          paymentStatus: this.statusFor(roundAmount(summary.paid.total + amount), summary.totalAmount),
+          paymentMethod: this.methodFor(paid, booking.paymentMethod),
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      // Paid by another route meanwhile — give the money back
+      await walletController.creditRefund(userId, amount, booking._id.toString(), 'Wallet payment reversed');
+      throw new AppError('Booking payment changed while applying the wallet. Please try again.', 409);
+    }
+
+    console.log(`💳 Wallet ₹${amount} applied to booking ${updated.bookingId} (${updated.paymentStatus})`);
+    return updated;
+  }
+
+  /**
+   * Razorpay order for what is still due
+   * @returns {Promise<Object>} Razorpay order
+   */
+  async createOnlineOrder(booking, amount) {
+    const orderResult = await razorpayService.createOrder({
+      amount,
+      receipt: `booking_${booking._id}_${Date.now()}`,
+      notes: {
+        bookingId: booking._id.toString(),
+        userId: (booking.userId._id || booking.userId).toString(),
+        purpose: 'BOOKING_PAYMENT',
+      },
+    });
+
+    if (!orderResult.success) {
+      throw new AppError('Failed to create payment order', 500);
+    }
+
+    await Booking.updateOne({ _id: booking._id }, {
+      $set: {
+        'paymentDetails.razorpayOrderId': orderResult.order.id,
+        'paymentDetails.split': {
+          ...this.splitOf(booking),
+          remainder: 'ONLINE',
+          orderAmount: amount,
+          chosenAt: new Date(),
+        },
+      },
+    });
+
+    return orderResult.order;
+  }
+
+  /**
+   * Amount of a Razorpay order, once it is known to be this booking's — its
+   * current order, or an earlier one created for it. A valid signature only
+   * proves the order was paid, so a wallet recharge or another booking's
+   * payment is refused here rather than settled or refunded.
+   * @returns {Promise<Number>} order amount
+   */
+  async getBookingOrderAmount(booking, orderId, paymentId) {
+    const [recharge, otherBooking] = await Promise.all([
+      WalletTransaction.exists({
+        $or: [{ referenceId: orderId }, { 'paymentDetails.razorpayPaymentId': paymentId }],
+      }),
+      Booking.exists({
+        _id: { $ne: booking._id },
+        $or: [{ 'paymentDetails.razorpayOrderId': orderId }, { 'paymentDetails.razorpayPaymentId': paymentId }],
+      }),
+    ]);
+    if (recharge || otherBooking) {
+      throw new AppError('This payment does not belong to this booking', 400);
+    }
+
+    const split = booking.paymentDetails?.split;
+    if (orderId === booking.paymentDetails?.razorpayOrderId && split?.orderAmount) {
+      return split.orderAmount;
+    }
+
+    const result = await razorpayService.getOrder(orderId);
+    if (!result.success) {
+      throw new AppError('Could not fetch the payment order', 502);
+    }
+
+    const { notes } = result.order;
+    if (notes.purpose !== 'BOOKING_PAYMENT' || notes.bookingId !== booking._id.toString()) {
+      throw new AppError('This payment does not belong to this booking', 400);
+    }
+
+    return result.order.amount;
+  }
+
+  /**
+   * Record a captured online payment (verify-payment and the webhook)
+   * @param {Object} booking - Booking document
+   * @param {Object} payment - { orderId, paymentId, signature, amount }
+   * @returns {Promise<Object>} { booking, refund } — booking is the updated
+   *   booking, or null if the payment wasn't recorded (already recorded, or
+   *   not needed: then refund is the Refund returning it). refund is also set
+   *   when part of a recorded payment went back online.
+   */
+  async settleOnline(booking, { orderId, paymentId, signature, amount }) {
+    const online = roundAmount(amount);
+
+    for (let attempt = 0; attempt < SETTLE_ATTEMPTS; attempt++) {
+      const details = booking.paymentDetails || {};
+      if (details.razorpayPaymentId === paymentId) {
+        return { booking: null, refund: null };
+      }
+
+      const { totalAmount, paid, due } = this.getSummary(booking);
+
+      // Collected in cash, cancelled, already paid online — or an old order
+      // paid after the booking was settled. Nothing to record it against.
+      if (details.razorpayPaymentId || due <= 0
+        || !OPEN_STATUSES.includes(booking.paymentStatus)
+        || UNPAYABLE_BOOKING_STATUSES.includes(booking.status)) {
+        const refund = await refundService.refundOverpayment(booking, { paymentId, amount: online });
+        return { booking: null, refund };
+      }
+
+      // More than was due: the wallet leg shrinks first, the rest goes back online
+      const excess = Math.max(roundAmount(paid.total + online - totalAmount), 0);
+      const walletReturn = Math.min(excess, paid.wallet);
+      const onlineReturn = roundAmount(excess - walletReturn);
+      const wallet = roundAmount(paid.wallet - walletReturn);
+      const kept = roundAmount(online - onlineReturn);
+
+      const settled = await Booking.findOneAndUpdate(
+        {
+          _id: booking._id,
+          paymentStatus: { $in: OPEN_STATUSES },
+          'paymentDetails.razorpayPaymentId': null,
+          'paymentDetails.walletAmount': details.walletAmount ? details.walletAmount : { $in: [null, 0] },
+          'paymentDetails.cashAmount': details.cashAmount ? details.cashAmount : { $in: [null, 0] },
+        },
+        {
+          $set: {
+            'paymentDetails.razorpayOrderId': orderId,
+            'paymentDetails.razorpayPaymentId': paymentId,
+            ...(signature && { 'paymentDetails.razorpaySignature': signature }),
+            'paymentDetails.onlineAmount': kept,
+            'paymentDetails.walletAmount': wallet,
+            'paymentDetails.paidAt': new Date(),
+            paymentStatus: this.statusFor(roundAmount(wallet + paid.cash + kept), totalAmount),
+            paymentMethod: this.methodFor({ wallet, online: kept, cash: paid.cash }, booking.paymentMethod),
+          },
+        },
+        { new: true }
+      );
+
+      if (settled) {
+        if (walletReturn > 0) {
+          await walletController.creditRefund(
+            settled.userId,
+            walletReturn,
+            settled._id.toString(),
+            'Wallet payment returned — booking was paid online'
+          );
+          console.log(`💳 Returned ₹${walletReturn} of the wallet leg on booking ${settled.bookingId} (paid online)`);
+        }
+
+        const refund = onlineReturn > 0
+          ? await refundService.refundOverpayment(settled, { paymentId, amount: onlineReturn, reason: 'Paid more than was due' })
+          : null;
+
+        return { booking: settled, refund };
+      }
+
+      // Wallet or cash leg recorded or another payment landed meanwhile — re-read and retry
+      booking = await Booking.findById(booking._id);
+      if (!booking) return { booking: null, refund: null };
+    }
+
+    throw new Error(`Could not settle online payment ${paymentId} for booking ${booking.bookingId}`);
+  }
+
+  /**
+   * Record what the mechanic collected — whatever is still due — on the
+   * booking document (the caller saves it with the completion)
+   * @returns {Number} amount collected
+   */
+  collectCash(booking, { paymentMethod, transactionId } = {}) {
+    const { totalAmount, paid, due } = this.getSummary(booking);
+    const cash = roundAmount(paid.cash + due);
+
+    if (due > 0 && booking.paymentDetails?.split?.remainder === 'ONLINE') {
+      // Cash replaces the open Razorpay order; paying it later is refunded (settleOnline)
+      booking.set('paymentDetails.split.remainder', 'CASH');
+      booking.set('paymentDetails.split.orderAmount', undefined);
+    }
+
+    booking.paymentStatus = this.statusFor(roundAmount(paid.total + due), totalAmount);
+    booking.paymentMethod = this.methodFor({ ...paid, cash }, paymentMethod || 'CASH');
+    booking.set('paymentDetails.cashAmount', cash);
+    booking.set('paymentDetails.collectedAt', new Date());
+    if (transactionId) booking.set('paymentDetails.transactionId', transactionId);
+
+    return due;
+  }
+}
+
+module.exports = new BookingPaymentService();
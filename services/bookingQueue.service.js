@@ -1,40 +1,53 @@
 /**
  * Booking Queue Service — Production Grade
  * 
- * Implements Round-Robin mechanic dispatch with:
+ * Offers a booking to nearby mechanics in rounds, using the dispatch plan
+ * from dispatchStrategy.service (per region/service DispatchConfig):
+ * - SEQUENTIAL: one mechanic per round (classic round-robin)
+ * - BATCHED: top-K mechanics per round, first to accept wins
+ * - PROGRESSIVE_RADIUS: batched, widening the radius tier when the list runs out
+ *
+ * With:
  * - Redis distributed locking (prevents double-accept race conditions)
  * - Atomic isBusy + currentBookingId management
  * - Redis-persisted queue state (survives server restart)
- * - Per-mechanic timeout (10s) + total search timeout (90s)
+ * - Per-round timeout + total search timeout (from the plan)
  * - FCM push + Socket.io for reliable delivery
- * - Fresh mechanic availability check before each send
+ * - Fresh mechanic availability check before each offer
  * 
  * Flow:
- * 1. User creates booking → queue starts with sorted nearby mechanics
- * 2. System sends request to FIRST mechanic only (round-robin, not fan-out)
- * 3. Mechanic has 10s to respond
- * 4. If timeout/reject → auto-skip to next mechanic
+ * 1. Booking is dispatched → queue starts with the first tier's mechanics, best ranked first
+ * 2. System offers the booking to the next round (1 or batchSize mechanics)
+ * 3. The round has mechanicTimeoutSeconds to respond
+ * 4. If timeout / everyone in the round rejects → next round
  * 5. If accept → Redis lock → atomic MongoDB update → isBusy=true → queue cleared
- * 6. If all exhausted → notify user "no mechanics available"
+ * 6. If the list runs out → next radius tier (PROGRESSIVE_RADIUS) or "no mechanics available"
  */
 
 const redisService = require('./redis.service');
 const socketService = require('./socket.service');
+const dispatchStrategyService = require('./dispatchStrategy.service');
+const mechanicRankingService = require('./mechanicRanking.service');
+const mechanicSearchService = require('./mechanicSearch.service');
 const Booking = require('../models/Booking');
 const Mechanic = require('../models/Mechanic');
 const RedisLock = require('../utils/redisLock');
+const promoService = require('./promo.service');
+const pricingService = require('./pricing.service');
+const bookingStateMachine = require('./bookingStateMachine.service');
 
 class BookingQueueService {
   constructor() {
     this.activeQueues = new Map(); // In-memory cache, Redis is source of truth
-    this.TIMEOUT_SECONDS = 10; // Per mechanic timeout
-    this.MAX_TOTAL_TIMEOUT_SECONDS = 90; // Total search timeout
   }
 
   /**
    * Start booking queue for a new booking
+   * @param {Object} booking - Booking document
+   * @param {Array} nearbyMechanics - Candidates, nearest first
+   * @param {Object} dispatch - { plan, tierIndex, radiusKm } from dispatchStrategy.service
    */
-  async startQueue(booking, nearbyMechanics) {
+  async startQueue(booking, nearbyMechanics, dispatch = {}) {
     const bookingId = booking._id.toString();
     
     if (nearbyMechanics.length === 0) {
@@ -42,16 +55,21 @@ class BookingQueueService {
       return;
     }
 
+    const plan = dispatch.plan || await dispatchStrategyService.buildPlan(booking);
+    const tierIndex = dispatch.tierIndex || 0;
+
     const queueData = {
       bookingId,
       booking,
-      mechanics: nearbyMechanics.map(m => ({
-        id: m._id?.toString() || m.toString(),
-        distance: m.distance || null,
-        name: m.fullName || 'Mechanic',
-        fcmToken: m.fcmToken || null,
-      })),
+      plan,
+      tierIndex,
+      radiusKm: dispatch.radiusKm || plan.radiusTiersKm[tierIndex],
+      mechanics: nearbyMechanics.map(m => this.toQueueEntry(m, tierIndex)),
       currentIndex: 0,
+      roundStartIndex: 0,
+      pending: [], // Mechanics holding the current offer
+      rounds: 0,
+      notified: 0,
       startedAt: Date.now(),
       timer: null,
       totalTimer: null,
@@ -62,7 +80,7 @@ class BookingQueueService {
     this.activeQueues.set(bookingId, queueData);
     await this.saveQueueToRedis(bookingId, queueData);
 
-    console.log(`🎯 Starting queue for booking ${bookingId} with ${nearbyMechanics.length} mechanics`);
+    console.log(`🎯 Starting ${plan.strategy} queue for booking ${bookingId} with ${nearbyMechanics.length} mechanics (batch ${plan.batchSize}, ${queueData.radiusKm}km)`);
     
     this.startTotalTimeout(bookingId);
     await this.sendToNextMechanic(bookingId);
@@ -70,45 +88,117 @@ class BookingQueueService {
     this.notifyUserQueueStatus(booking.userId.toString(), {
       bookingId,
       status: 'SEARCHING',
-      totalMechanics: nearbyMechanics.length,
+      strategy: plan.strategy,
+      totalMechanics: queueData.mechanics.length,
       currentPosition: 1,
       message: 'Finding the best mechanic for you...',
     });
   }
 
+  toQueueEntry(mechanic, tierIndex) {
+    return {
+      id: mechanic._id?.toString() || mechanic.toString(),
+      distance: mechanic.distance || null,
+      name: mechanic.fullName || 'Mechanic',
+      fcmToken: mechanic.fcmToken || null,
+      score: mechanic.score ?? null,
+      tier: tierIndex,
+    };
+  }
+
   /**
-   * Send booking request to next mechanic in queue
+   * Offer the booking to the next round of mechanics
+   * (one for SEQUENTIAL, up to plan.batchSize otherwise)
    */
   async sendToNextMechanic(bookingId) {
     const queueData = this.activeQueues.get(bookingId);
     if (!queueData) return;
 
-    const { mechanics, currentIndex, booking } = queueData;
+    const { booking, plan } = queueData;
+
+    // Fill the round, skipping mechanics who went offline or got busy
+    queueData.roundStartIndex = queueData.currentIndex;
+    const round = [];
+    while (round.length < plan.batchSize && queueData.currentIndex < queueData.mechanics.length) {
+      const candidate = queueData.mechanics[queueData.currentIndex];
+      queueData.currentIndex++;
+
+      if (await this.isMechanicAvailable(candidate.id)) {
+        round.push(candidate);
+      } else {
+        console.log(`⏭️ Mechanic ${candidate.name} no longer available, skipping...`);
+      }
+    }
+
+    if (round.length === 0) {
+      const expanded = await this.expandSearch(bookingId);
+      if (expanded) {
+        return this.sendToNextMechanic(bookingId);
+      }
 
-    if (currentIndex >= mechanics.length) {
-      console.log(`📭 All ${mechanics.length} mechanics exhausted for booking ${bookingId}`);
+      console.log(`📭 All ${queueData.mechanics.length} mechanics exhausted for booking ${bookingId}`);
       await this.handleNoMechanicsAvailable(booking);
       return;
     }
 
-    const currentMechanic = mechanics[currentIndex];
+    queueData.pending = round.map(m => m.id);
+    queueData.rounds++;
+    queueData.notified += round.length;
+    this.activeQueues.set(bookingId, queueData);
+    await this.saveQueueToRedis(bookingId, queueData);
 
-    // Fresh availability check before sending
+    const timeoutSeconds = plan.mechanicTimeoutSeconds;
+    console.log(`📤 Sending booking ${bookingId} to ${round.map(m => `${m.name} [${m.distance?.toFixed(1)}km]`).join(', ')} (round ${queueData.rounds}, ${queueData.currentIndex}/${queueData.mechanics.length})`);
+
+    for (const mechanic of round) {
+      await this.sendOffer(queueData, mechanic);
+      mechanicRankingService.recordOutcome(mechanic.id, 'offered');
+    }
+
+    await redisService.set(`booking:queue:current:${bookingId}`, {
+      mechanicIds: queueData.pending,
+      sentAt: Date.now(),
+      expiresAt: Date.now() + (timeoutSeconds * 1000),
+    }, timeoutSeconds + 5);
+
+    this.startTimeout(bookingId);
+
+    this.notifyUserQueueStatus(booking.userId.toString(), {
+      bookingId,
+      status: 'REQUESTING',
+      strategy: plan.strategy,
+      totalMechanics: queueData.mechanics.length,
+      currentPosition: queueData.roundStartIndex + 1,
+      mechanicsRequested: round.length,
+      mechanicName: round.length === 1 ? round[0].name : undefined,
+      distance: round[0].distance,
+      searchRadiusKm: queueData.radiusKm,
+      timeoutSeconds,
+      message: round.length === 1
+        ? `Requesting mechanic ${queueData.roundStartIndex + 1} of ${queueData.mechanics.length}...`
+        : `Requesting ${round.length} nearby mechanics...`,
+    });
+  }
+
+  /**
+   * Fresh availability check before an offer
+   */
+  async isMechanicAvailable(mechanicId) {
     try {
-      const freshMechanic = await Mechanic.findById(currentMechanic.id)
+      const freshMechanic = await Mechanic.findById(mechanicId)
         .select('isOnline isBusy currentBookingId').lean();
-      if (!freshMechanic || !freshMechanic.isOnline || freshMechanic.isBusy || freshMechanic.currentBookingId) {
-        console.log(`⏭️ Mechanic ${currentMechanic.name} no longer available, skipping...`);
-        queueData.currentIndex++;
-        this.activeQueues.set(bookingId, queueData);
-        await this.saveQueueToRedis(bookingId, queueData);
-        return this.sendToNextMechanic(bookingId);
-      }
+      return !!freshMechanic && freshMechanic.isOnline && !freshMechanic.isBusy && !freshMechanic.currentBookingId;
     } catch (err) {
       console.warn(`⚠️ Availability check failed: ${err.message}`);
+      return true;
     }
+  }
 
-    console.log(`📤 Sending booking ${bookingId} to ${currentMechanic.name} (${currentIndex + 1}/${mechanics.length}) [${currentMechanic.distance?.toFixed(1)}km]`);
+  /**
+   * Send the booking request to one mechanic (socket + FCM backup)
+   */
+  async sendOffer(queueData, mechanic) {
+    const { booking, plan, bookingId } = queueData;
 
     const bookingData = {
       _id: booking._id.toString(),
@@ -124,47 +214,69 @@ class BookingQueueService {
       estimatedPrice: booking.pricing?.totalAmount || booking.pricing?.estimatedTotal,
       price: booking.pricing?.mechanicEarning,
       userId: booking.userId,
-      distance: currentMechanic.distance,
+      distance: mechanic.distance,
       queueInfo: {
-        timeout: this.TIMEOUT_SECONDS,
-        isExclusive: true,
+        timeout: plan.mechanicTimeoutSeconds,
+        isExclusive: queueData.pending.length === 1,
       },
     };
 
-    socketService.emitToMechanic(currentMechanic.id, 'booking:new', bookingData);
+    socketService.emitToMechanic(mechanic.id, 'booking:new', bookingData);
 
     // FCM push backup
-    if (currentMechanic.fcmToken) {
+    if (mechanic.fcmToken) {
       try {
         const firebaseService = require('./firebase.service');
-        await firebaseService.sendNotification(currentMechanic.fcmToken, {
+        await firebaseService.sendNotification(mechanic.fcmToken, {
           title: '🔔 New Job Request!',
-          body: `${bookingData.serviceName} - ₹${bookingData.price || bookingData.estimatedPrice} (${currentMechanic.distance?.toFixed(1)}km)`,
-          data: { type: 'NEW_BOOKING', bookingId, timeout: String(this.TIMEOUT_SECONDS) },
+          body: `${bookingData.serviceName} - ₹${bookingData.price || bookingData.estimatedPrice} (${mechanic.distance?.toFixed(1)}km)`,
+          data: { type: 'NEW_BOOKING', bookingId, timeout: String(plan.mechanicTimeoutSeconds) },
         });
       } catch (fcmError) {
-        console.warn(`⚠️ FCM failed for ${currentMechanic.id}:`, fcmError.message);
+        console.warn(`⚠️ FCM failed for ${mechanic.id}:`, fcmError.message);
       }
     }
+  }
 
-    await redisService.set(`booking:queue:current:${bookingId}`, {
-      mechanicId: currentMechanic.id,
-      sentAt: Date.now(),
-      expiresAt: Date.now() + (this.TIMEOUT_SECONDS * 1000),
-    }, this.TIMEOUT_SECONDS + 5);
+  /**
+   * Append the next radius tier's mechanics if the strategy allows it
+   * @returns {Promise<boolean>} Whether new candidates were added
+   */
+  async expandSearch(bookingId) {
+    const queueData = this.activeQueues.get(bookingId);
+    if (!queueData) return false;
 
-    this.startTimeout(bookingId);
+    let next = null;
+    try {
+      next = await dispatchStrategyService.expand(queueData);
+    } catch (error) {
+      console.error(`❌ Radius expansion failed for booking ${bookingId}:`, error.message);
+    }
+    if (!next) return false;
 
-    this.notifyUserQueueStatus(booking.userId.toString(), {
+    console.log(`🔄 Expanding booking ${bookingId} to ${next.radiusKm}km: ${next.mechanics.length} new mechanics`);
+
+    queueData.mechanics.push(...next.mechanics.map(m => this.toQueueEntry(m, next.tierIndex)));
+    queueData.tierIndex = next.tierIndex;
+    queueData.radiusKm = next.radiusKm;
+    this.activeQueues.set(bookingId, queueData);
+    await this.saveQueueToRedis(bookingId, queueData);
+
+    await Booking.updateOne({ _id: bookingId }, {
+      $set: { 'dispatchInfo.searchRadiusKm': next.radiusKm, 'dispatchInfo.skillMatch': next.skillMatch },
+      $push: { 'dispatchInfo.rankings': { $each: dispatchStrategyService.toRankingRecords(next.mechanics, next.tierIndex, next.skillMatch) } },
+    });
+
+    this.notifyUserQueueStatus(queueData.booking.userId.toString(), {
       bookingId,
-      status: 'REQUESTING',
-      totalMechanics: mechanics.length,
-      currentPosition: currentIndex + 1,
-      mechanicName: currentMechanic.name,
-      distance: currentMechanic.distance,
-      timeoutSeconds: this.TIMEOUT_SECONDS,
-      message: `Requesting mechanic ${currentIndex + 1} of ${mechanics.length}...`,
+      status: 'EXPANDING',
+      strategy: queueData.plan.strategy,
+      totalMechanics: queueData.mechanics.length,
+      searchRadiusKm: next.radiusKm,
+      message: `Searching within ${next.radiusKm}km...`,
     });
+
+    return true;
   }
 
   startTimeout(bookingId) {
@@ -173,10 +285,11 @@ class BookingQueueService {
     if (queueData.timer) clearTimeout(queueData.timer);
 
     queueData.timer = setTimeout(async () => {
-      console.log(`⏰ Timeout for booking ${bookingId}`);
-      queueData.timeouts++;
+      console.log(`⏰ Timeout for booking ${bookingId} (round ${queueData.rounds})`);
+      queueData.timeouts += queueData.pending.length;
+      queueData.pending.forEach(id => mechanicRankingService.recordOutcome(id, 'timedOut'));
       await this.skipToNextMechanic(bookingId, 'timeout');
-    }, this.TIMEOUT_SECONDS * 1000);
+    }, queueData.plan.mechanicTimeoutSeconds * 1000);
 
     this.activeQueues.set(bookingId, queueData);
   }
@@ -185,6 +298,8 @@ class BookingQueueService {
     const queueData = this.activeQueues.get(bookingId);
     if (!queueData) return;
 
+    const totalTimeoutSeconds = queueData.plan.totalTimeoutSeconds;
+
     queueData.totalTimer = setTimeout(async () => {
       console.log(`⏰ TOTAL TIMEOUT for booking ${bookingId}`);
       
@@ -193,45 +308,80 @@ class BookingQueueService {
         message: 'Could not find an available mechanic. Please try again.',
         canRetry: true,
       });
+
+      // Withdraw the open offer
+      for (const mechanicId of queueData.pending) {
+        socketService.emitToMechanic(mechanicId, 'booking:timeout', { bookingId, reason: 'Time expired' });
+      }
       
-      await Booking.findByIdAndUpdate(bookingId, {
-        $set: {
-          status: 'NO_MECHANIC_AVAILABLE',
-          'dispatchInfo.totalRejections': queueData.rejections,
-          'dispatchInfo.totalTimeouts': queueData.timeouts,
-        },
-        $push: {
-          statusHistory: {
-            status: 'NO_MECHANIC_AVAILABLE',
-            timestamp: new Date(),
-            note: `Total timeout after ${this.MAX_TOTAL_TIMEOUT_SECONDS}s. ${queueData.rejections} rejections, ${queueData.timeouts} timeouts.`,
-          },
-        },
+      // Null if the booking was accepted or cancelled in the meantime
+      const expiredBooking = await bookingStateMachine.transitionWhere({ _id: bookingId }, 'NO_MECHANIC_AVAILABLE', {
+        actor: { type: 'SYSTEM' },
+        note: `Total timeout after ${totalTimeoutSeconds}s. ${queueData.rejections} rejections, ${queueData.timeouts} timeouts.`,
+        set: this.getDispatchStats(queueData),
       });
+
+      await promoService.release(expiredBooking);
       
       await this.cleanupQueue(bookingId);
-    }, this.MAX_TOTAL_TIMEOUT_SECONDS * 1000);
+    }, totalTimeoutSeconds * 1000);
 
     this.activeQueues.set(bookingId, queueData);
   }
 
+  /**
+   * dispatchInfo fields describing how the search went
+   */
+  getDispatchStats(queueData) {
+    return {
+      'dispatchInfo.strategy': queueData.plan.strategy,
+      'dispatchInfo.dispatchConfigId': queueData.plan.configId,
+      'dispatchInfo.batchSize': queueData.plan.batchSize,
+      'dispatchInfo.rounds': queueData.rounds,
+      'dispatchInfo.totalMechanicsNotified': queueData.notified,
+      'dispatchInfo.totalRejections': queueData.rejections,
+      'dispatchInfo.totalTimeouts': queueData.timeouts,
+      'dispatchInfo.searchRadiusKm': queueData.radiusKm,
+    };
+  }
+
   async handleMechanicReject(bookingId, mechanicId, reason = 'rejected') {
     const queueData = this.activeQueues.get(bookingId);
-    if (!queueData) return;
-
-    const currentMechanic = queueData.mechanics[queueData.currentIndex];
-    if (currentMechanic?.id !== mechanicId) return;
+    if (!queueData?.pending.includes(mechanicId)) return;
 
-    console.log(`❌ ${currentMechanic.name} rejected booking ${bookingId}: ${reason}`);
+    console.log(`❌ Mechanic ${mechanicId} rejected booking ${bookingId}: ${reason}`);
     queueData.rejections++;
     
     await redisService.set(`booking:reject:${bookingId}:${mechanicId}`, {
       reason, rejectedAt: Date.now(),
     }, 3600);
+    mechanicRankingService.recordOutcome(mechanicId, 'rejected');
 
-    await this.skipToNextMechanic(bookingId, reason);
+    await this.withdrawOffer(bookingId, mechanicId, reason);
   }
 
+  /**
+   * Take one mechanic out of the current round (rejected / disconnected);
+   * moves on once nobody in the round is left
+   */
+  async withdrawOffer(bookingId, mechanicId, reason) {
+    const queueData = this.activeQueues.get(bookingId);
+    if (!queueData?.pending.includes(mechanicId)) return;
+
+    queueData.pending = queueData.pending.filter(id => id !== mechanicId);
+
+    if (queueData.pending.length === 0) {
+      await this.skipToNextMechanic(bookingId, reason);
+      return;
+    }
+
+    this.activeQueues.set(bookingId, queueData);
+    await this.saveQueueToRedis(bookingId, queueData);
+  }
+
+  /**
+   * Close the current round and offer the booking to the next one
+   */
   async skipToNextMechanic(bookingId, reason) {
     const queueData = this.activeQueues.get(bookingId);
     if (!queueData) return;
@@ -241,15 +391,14 @@ class BookingQueueService {
       queueData.timer = null;
     }
 
-    const currentMechanic = queueData.mechanics[queueData.currentIndex];
-    if (currentMechanic) {
-      socketService.emitToMechanic(currentMechanic.id, 'booking:timeout', {
+    for (const mechanicId of queueData.pending) {
+      socketService.emitToMechanic(mechanicId, 'booking:timeout', {
         bookingId,
         reason: reason === 'timeout' ? 'Time expired' : 'Moved to next mechanic',
       });
     }
 
-    queueData.currentIndex++;
+    queueData.pending = [];
     this.activeQueues.set(bookingId, queueData);
     await this.saveQueueToRedis(bookingId, queueData);
     await this.sendToNextMechanic(bookingId);
@@ -269,11 +418,13 @@ class BookingQueueService {
       return { success: false, error: 'Queue not found' };
     }
 
-    const currentMechanic = queueData.mechanics[queueData.currentIndex];
-    if (currentMechanic?.id !== mechanicId) {
+    if (!queueData.pending.includes(mechanicId)) {
       return { success: false, error: 'Not your turn to accept' };
     }
 
+    const position = queueData.mechanics.findIndex(m => m.id === mechanicId) + 1;
+    const currentMechanic = queueData.mechanics[position - 1];
+
     // 🔒 LOCK 1: Booking acceptance lock
     const bookingLock = await RedisLock.lockBookingAccept(bookingId, 10);
     if (!bookingLock.acquired) {
@@ -291,31 +442,24 @@ class BookingQueueService {
       if (queueData.timer) clearTimeout(queueData.timer);
 
       // 🔒 ATOMIC DB: Only succeeds if booking is still unassigned
-      const booking = await Booking.findOneAndUpdate(
+      const booking = await bookingStateMachine.transitionWhere(
         {
           _id: bookingId,
           status: { $in: ['PENDING', 'SEARCHING'] },
           mechanicId: { $eq: null },
         },
+        'ACCEPTED',
         {
-          $set: {
+          actor: { type: 'MECHANIC', id: mechanicId },
+          note: `Accepted by mechanic (${queueData.plan.strategy}, position ${position}/${queueData.mechanics.length}, tier ${currentMechanic.tier + 1}, ${currentMechanic.distance?.toFixed(1)}km)`,
+          set: {
             mechanicId,
-            status: 'ACCEPTED',
-            acceptedAt: new Date(),
-            'dispatchInfo.assignedFromPosition': queueData.currentIndex + 1,
-            'dispatchInfo.totalRejections': queueData.rejections,
-            'dispatchInfo.totalTimeouts': queueData.timeouts,
-          },
-          $push: {
-            statusHistory: {
-              status: 'ACCEPTED',
-              timestamp: new Date(),
-              mechanicId,
-              note: `Accepted by mechanic (position ${queueData.currentIndex + 1}/${queueData.mechanics.length}, ${currentMechanic.distance?.toFixed(1)}km)`,
-            },
+            ...this.getDispatchStats(queueData),
+            'dispatchInfo.assignedFromPosition': position,
+            'dispatchInfo.matchedTier': currentMechanic.tier + 1,
+            'dispatchInfo.matchedRadiusKm': queueData.plan.radiusTiersKm[currentMechanic.tier],
           },
-        },
-        { new: true }
+        }
       );
 
       if (!booking) {
@@ -330,8 +474,21 @@ class BookingQueueService {
           lastActiveAt: new Date(),
         },
       });
+      mechanicSearchService.setBusy(mechanicId, true);
+
+      console.log(`✅ ${currentMechanic.name} accepted booking ${bookingId} (pos ${position}/${queueData.mechanics.length})`);
+      mechanicRankingService.recordOutcome(mechanicId, 'accepted');
 
-      console.log(`✅ ${currentMechanic.name} accepted booking ${bookingId} (pos ${queueData.currentIndex + 1}/${queueData.mechanics.length})`);
+      // Distance travel: the mechanic is locked in, so is the travel charge
+      let pricedBooking = null;
+      try {
+        pricedBooking = await pricingService.lockTravelCharge(booking, {
+          distanceKm: currentMechanic.distance,
+          mechanicId,
+        });
+      } catch (error) {
+        console.error(`Error locking travel charge for ${bookingId}:`, error.message);
+      }
 
       // Notify user
       socketService.emitToUser(queueData.booking.userId.toString(), 'booking:accepted', {
@@ -342,16 +499,18 @@ class BookingQueueService {
         message: 'A mechanic has accepted your request!',
       });
 
-      // Cancel for remaining mechanics
-      for (let i = queueData.currentIndex + 1; i < queueData.mechanics.length; i++) {
-        socketService.emitToMechanic(queueData.mechanics[i].id, 'booking:cancelled', {
+      // Cancel for everyone else in the round and the rest of the queue
+      const othersInRound = queueData.pending.filter(id => id !== mechanicId);
+      const notYetOffered = queueData.mechanics.slice(queueData.currentIndex).map(m => m.id);
+      for (const otherId of [...othersInRound, ...notYetOffered]) {
+        socketService.emitToMechanic(otherId, 'booking:cancelled', {
           bookingId,
           reason: 'Accepted by another mechanic',
         });
       }
 
       await this.cleanupQueue(bookingId);
-      return { success: true, booking };
+      return { success: true, booking: pricedBooking || booking };
     } finally {
       await RedisLock.release(`lock:booking:accept:${bookingId}`, bookingLock.lockValue);
       await RedisLock.release(`lock:mechanic:assign:${mechanicId}`, mechanicLock.lockValue);
@@ -361,17 +520,20 @@ class BookingQueueService {
   async handleNoMechanicsAvailable(booking) {
     const bookingId = booking._id.toString();
 
-    await Booking.findByIdAndUpdate(bookingId, {
-      $set: { status: 'NO_MECHANIC_AVAILABLE' },
-      $push: {
-        statusHistory: {
-          status: 'NO_MECHANIC_AVAILABLE',
-          timestamp: new Date(),
-          note: 'No mechanics available or all declined',
-        },
-      },
+    const expiredBooking = await bookingStateMachine.transitionWhere({ _id: bookingId }, 'NO_MECHANIC_AVAILABLE', {
+      actor: { type: 'SYSTEM' },
+      note: 'No mechanics available or all declined',
     });
 
+    // Accepted or cancelled in the meantime — nothing to tell the user
+    if (!expiredBooking) {
+      await this.cleanupQueue(bookingId);
+      return;
+    }
+
+    // Booking never got a mechanic — the promo code goes back to the user
+    await promoService.release(expiredBooking);
+
     socketService.emitToUser(booking.userId.toString(), 'booking:no-mechanic', {
       bookingId,
       message: 'Sorry, no mechanics are available right now. Please try again later.',
@@ -402,8 +564,15 @@ class BookingQueueService {
   async saveQueueToRedis(bookingId, queueData) {
     try {
       await redisService.set(`booking:queue:${bookingId}`, {
+        plan: queueData.plan,
+        tierIndex: queueData.tierIndex,
+        radiusKm: queueData.radiusKm,
         mechanics: queueData.mechanics,
         currentIndex: queueData.currentIndex,
+        roundStartIndex: queueData.roundStartIndex,
+        pending: queueData.pending,
+        rounds: queueData.rounds,
+        notified: queueData.notified,
         startedAt: queueData.startedAt,
         rejections: queueData.rejections || 0,
         timeouts: queueData.timeouts || 0,
@@ -453,8 +622,19 @@ class BookingQueueService {
             
             if (booking && queueData && booking.status === 'SEARCHING') {
               console.log(`🔄 Restoring queue for booking ${bookingId}`);
+              // Queues saved before dispatch plans existed get the booking's current plan
+              const plan = queueData.plan || await dispatchStrategyService.buildPlan(booking);
               this.activeQueues.set(bookingId, {
+                tierIndex: 0,
+                radiusKm: plan.radiusTiersKm[0],
+                rounds: 0,
+                notified: 0,
                 ...queueData,
+                plan,
+                mechanics: queueData.mechanics.map(m => ({ tier: 0, ...m })),
+                // Re-offer the round that was open when the server went down
+                currentIndex: queueData.roundStartIndex ?? queueData.currentIndex,
+                pending: [],
                 bookingId,
                 booking,
                 timer: null,
@@ -492,6 +672,7 @@ class BookingQueueService {
       await Mechanic.findByIdAndUpdate(mechanicId, {
         $set: { isBusy: false, currentBookingId: null },
       });
+      mechanicSearchService.setBusy(mechanicId, false);
       console.log(`🔓 Mechanic ${mechanicId} released`);
     } catch (err) {
       console.error(`❌ Failed to release mechanic ${mechanicId}:`, err.message);
@@ -502,8 +683,11 @@ class BookingQueueService {
     const queueData = this.activeQueues.get(bookingId);
     if (!queueData) return null;
     return {
+      strategy: queueData.plan.strategy,
+      searchRadiusKm: queueData.radiusKm,
       totalMechanics: queueData.mechanics.length,
-      currentPosition: queueData.currentIndex + 1,
+      currentPosition: queueData.roundStartIndex + 1,
+      pendingMechanics: queueData.pending.length,
       remainingMechanics: queueData.mechanics.length - queueData.currentIndex,
       rejections: queueData.rejections,
       timeouts: queueData.timeouts,
@@ -0,0 +1,242 @@
+/**
+ * Booking State Machine
+ *
+ * The only place booking.status changes after creation. A transition:
+ *   1. checks the move is legal for the actor (USER, MECHANIC, SYSTEM, ADMIN)
+ *   2. sets the status timestamp (acceptedAt, startedAt, cancelledAt, ...)
+ *   3. appends statusHistory with the previous status and the actor
+ *   4. emits through bookingEventEmitter once the change is saved
+ *
+ * Illegal moves throw a 409 AppError with errors.code INVALID_STATUS_TRANSITION
+ * (TRANSITION_PRECONDITION_FAILED when the booking isn't ready, e.g. no OTP).
+ *
+ * transition() works on a loaded document. transitionWhere() is for claims
+ * that must not race (dispatch accepts, scheduled dispatch, search timeouts):
+ * it only writes if the booking still matches the filter and the status it
+ * was read with.
+ */
+
+const Booking = require('../models/Booking');
+const bookingEventEmitter = require('./bookingEventEmitter.service');
+const { AppError } = require('../middleware/error.middleware');
+
+const ACTORS = ['USER', 'MECHANIC', 'SYSTEM', 'ADMIN'];
+
+const STATUSES = [
+  'SCHEDULED', 'PENDING', 'SEARCHING', 'ASSIGNED', 'ACCEPTED', 'EN_ROUTE',
+  'ARRIVED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'EXPIRED', 'NO_MECHANIC_AVAILABLE',
+];
+
+// Legal moves per actor: from → [to]
+const TRANSITIONS = {
+  USER: {
+    // Cancel any time before work starts
+    SCHEDULED: ['CANCELLED'],
+    PENDING: ['CANCELLED'],
+    SEARCHING: ['CANCELLED'],
+    ASSIGNED: ['CANCELLED'],
+    ACCEPTED: ['CANCELLED'],
+    EN_ROUTE: ['CANCELLED'],
+    ARRIVED: ['CANCELLED'],
+  },
+  MECHANIC: {
+    PENDING: ['ACCEPTED'],
+    SEARCHING: ['ACCEPTED'],
+    // Accept, decline (back to search) or cancel — nothing further until accepted
+    ASSIGNED: ['ACCEPTED', 'SEARCHING', 'CANCELLED'],
+    // IN_PROGRESS straight from ACCEPTED/EN_ROUTE is fine once the OTP is verified
+    ACCEPTED: ['EN_ROUTE', 'ARRIVED', 'IN_PROGRESS', 'CANCELLED'],
+    EN_ROUTE: ['ARRIVED', 'IN_PROGRESS', 'CANCELLED'],
+    ARRIVED: ['IN_PROGRESS', 'CANCELLED'],
+    IN_PROGRESS: ['COMPLETED'],
+  },
+  SYSTEM: {
+    // EXPIRED: slot long gone before it could be dispatched (e.g. an outage)
+    SCHEDULED: ['SEARCHING', 'EXPIRED'],
+    PENDING: ['NO_MECHANIC_AVAILABLE'],
+    SEARCHING: ['NO_MECHANIC_AVAILABLE'],
+  },
+  // Admins can correct any booking; only the targets are restricted
+  ADMIN: Object.fromEntries(STATUSES.map(status => [status, [
+    'PENDING', 'SEARCHING', 'ASSIGNED', 'ACCEPTED', 'EN_ROUTE', 'ARRIVED',
+    'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'EXPIRED',
+  ].filter(to => to !== status)])),
+};
+
+// Timestamp set when a booking enters the status
+const TIMESTAMPS = {
+  SEARCHING: 'searchStartedAt',
+  ASSIGNED: 'assignedAt',
+  ACCEPTED: 'acceptedAt',
+  EN_ROUTE: 'enRouteAt',
+  ARRIVED: 'arrivedAt',
+  IN_PROGRESS: 'startedAt',
+  COMPLETED: 'completedAt',
+  CANCELLED: 'cancelledAt',
+};
+
+// Checks on the booking itself before entering a status (admins skip these)
+const PRECONDITIONS = {
+  IN_PROGRESS: (booking) => (booking.otpVerifiedAt ? null : 'OTP verification is required to start service'),
+};
+
+// Fields transitionWhere() reads to build the change and check PRECONDITIONS
+const CURRENT_FIELDS = 'status startedAt otpVerifiedAt';
+
+class BookingStateMachine {
+  constructor() {
+    this.STATUSES = STATUSES;
+  }
+
+  /**
+   * Whether actorType may move a booking from → to
+   */
+  canTransition(from, to, actorType) {
+    return Boolean(TRANSITIONS[actorType]?.[from]?.includes(to));
+  }
+
+  /**
+   * Throw the uniform error unless the move is legal
+   */
+  assertTransition(from, to, actorType) {
+    if (!ACTORS.includes(actorType)) {
+      throw new AppError(`Unknown actor: ${actorType}`, 500);
+    }
+    if (!STATUSES.includes(to)) {
+      throw new AppError(`Unknown booking status: ${to}`, 400, { code: 'INVALID_STATUS', to });
+    }
+    if (!this.canTransition(from, to, actorType)) {
+      throw this.invalidTransition(from, to, actorType);
+    }
+  }
+
+  /**
+   * Throw unless the booking is ready to enter `to`
+   */
+  assertPreconditions(booking, from, to, actorType) {
+    if (actorType === 'ADMIN' || !PRECONDITIONS[to]) return;
+
+    const failure = PRECONDITIONS[to](booking);
+    if (failure) {
+      throw new AppError(failure, 409, { code: 'TRANSITION_PRECONDITION_FAILED', from, to });
+    }
+  }
+
+  invalidTransition(from, to, actorType) {
+    return new AppError(`Cannot change status from ${from} to ${to}`, 409, {
+      code: 'INVALID_STATUS_TRANSITION',
+      from,
+      to,
+      actor: actorType,
+    });
+  }
+
+  /**
+   * Fields written when entering `to`, plus the statusHistory entry
+   */
+  buildChange(booking, from, to, { actor, note, reason }) {
+    const now = new Date();
+    const fields = { status: to };
+
+    if (TIMESTAMPS[to]) fields[TIMESTAMPS[to]] = now;
+
+    if (to === 'COMPLETED' && booking?.startedAt) {
+      fields.actualDuration = Math.round((now - booking.startedAt) / 60000);
+    }
+    if (to === 'CANCELLED') {
+      fields.cancelledBy = actor.type;
+      fields.cancellationReason = reason || `Cancelled by ${actor.type.toLowerCase()}`;
+    }
+
+    const entry = {
+      status: to,
+      from,
+      timestamp: now,
+      note: note || reason,
+      actor: { type: actor.type, id: actor.id || null },
+    };
+
+    return { fields, entry };
+  }
+
+  /**
+   * Apply a transition to a loaded booking without saving it — for callers
+   * that save the booking as part of something larger (payment confirmation).
+   * Call emitChange() once it is saved.
+   *
+   * @param {Object} options
+   *   actor  - { type: 'USER' | 'MECHANIC' | 'SYSTEM' | 'ADMIN', id }
+   *   note   - statusHistory note
+   *   reason - cancellation reason (CANCELLED)
+   *   set    - extra fields to set with the status
+   * @returns {String} previous status
+   */
+  apply(booking, to, options) {
+    const from = booking.status;
+    this.assertTransition(from, to, options.actor.type);
+    this.assertPreconditions(booking, from, to, options.actor.type);
+
+    const { fields, entry } = this.buildChange(booking, from, to, options);
+    booking.set({ ...fields, ...options.set });
+    booking.statusHistory.push(entry);
+
+    return from;
+  }
+
+  /**
+   * Move a loaded booking to `to`, save it and emit
+   * @param {Object} options - see apply(); mechanic - Mechanic doc for the event
+   * @returns {Object} saved booking
+   */
+  async transition(booking, to, options) {
+    const from = this.apply(booking, to, options);
+    await booking.save();
+
+    this.emitChange(booking, from, options);
+    return booking;
+  }
+
+  /**
+   * Atomic transition for a booking matching `filter`. The status is re-checked
+   * in the write, so of two racing claims exactly one succeeds.
+   *
+   * @param {Object} filter - must identify one booking; may narrow status
+   * @param {Object} options - see apply()
+   * @returns {Object|null} updated booking, or null if no booking matches or
+   *   its status can no longer move to `to` (claimed, cancelled, ...)
+   * @throws {AppError} 409 TRANSITION_PRECONDITION_FAILED, as apply()
+   */
+  async transitionWhere(filter, to, options) {
+    const current = await Booking.findOne(filter).select(CURRENT_FIELDS);
+    if (!current || !this.canTransition(current.status, to, options.actor.type)) {
+      return null;
+    }
+
+    const from = current.status;
+    this.assertPreconditions(current, from, to, options.actor.type);
+    const { fields, entry } = this.buildChange(current, from, to, options);
+
+    const booking = await Booking.findOneAndUpdate(
+      { ...filter, status: from },
+      {
+        $set: { ...fields, ...options.set },
+        $push: { statusHistory: entry },
+      },
+      { new: true }
+    );
+
+    if (booking) {
+      this.emitChange(booking, from, options);
+    }
+    return booking;
+  }
+
+  /**
+   * Announce a saved transition
+   */
+  emitChange(booking, from, { actor, mechanic = null }) {
+    bookingEventEmitter.emitStatusTransition(booking, from, actor, mechanic);
+  }
+}
+
+module.exports = new BookingStateMachine();
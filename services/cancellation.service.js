@@ -0,0 +1,275 @@
+/**
+ * Cancellation Service
+ *
+ * Computes and settles the fee for a user cancellation.
+ *
+ * Policy: the most specific ACTIVE CancellationPolicy for the booking
+ * (region+service → service → region → global), else DEFAULT_POLICY.
+ * Rule: the rule for the booking's current status with the highest
+ * afterMinutes that has elapsed since acceptedAt. No rule = free.
+ *   fee = fixedFee (+ pricing.travelCharge if includeTravelCharge)
+ *
+ * Settlement: netted against the refund when the user paid upfront, the
+ * rest charged from the wallet (up to its balance). The mechanic's share of
+ * what was collected is queued as a CANCELLATION_FEE earning.
+ *
+ * Mechanic cancellations never cost the user anything. Every way a mechanic
+ * cancels (REST cancel, status update, socket) goes through cancelByMechanic()
+ * so the promo code and payment always go back.
+ */
+
+const Booking = require('../models/Booking');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const refundService = require('./refund.service');
+const promoService = require('./promo.service');
+const bookingStateMachine = require('./bookingStateMachine.service');
+const walletController = require('../controller/wallet.controller');
+const notificationController = require('../controller/notification.controller');
+const queueService = require('./queue.service');
+const { roundAmount } = require('../utils/pricingEngine');
+
+// Used when no policy is configured for the booking
+const DEFAULT_POLICY = {
+  _id: null,
+  name: 'Default',
+  mechanicSharePercent: 80,
+  rules: [
+    { bookingStatus: 'ASSIGNED', afterMinutes: 5, fixedFee: 30, includeTravelCharge: false },
+    { bookingStatus: 'ACCEPTED', afterMinutes: 5, fixedFee: 30, includeTravelCharge: false },
+    { bookingStatus: 'EN_ROUTE', afterMinutes: 0, fixedFee: 50, includeTravelCharge: false },
+    { bookingStatus: 'ARRIVED', afterMinutes: 0, fixedFee: 50, includeTravelCharge: true },
+  ],
+};
+
+class CancellationService {
+  constructor() {
+    this.DEFAULT_POLICY = DEFAULT_POLICY;
+  }
+
+  /**
+   * Most specific active policy for a booking
+   * @param {Object} booking - Booking document
+   * @returns {Promise<Object>} Policy document or DEFAULT_POLICY
+   */
+  async resolvePolicy(booking) {
+    const regionId = booking.regionId || null;
+    const serviceId = booking.serviceId?._id || booking.serviceId || null;
+
+    const policies = await CancellationPolicy.find({
+      status: 'ACTIVE',
+      regionId: { $in: [regionId, null] },
+      serviceId: { $in: [serviceId, null] },
+    });
+
+    // Service match outranks region match
+    const specificity = (policy) => (policy.serviceId ? 2 : 0) + (policy.regionId ? 1 : 0);
+    policies.sort((a, b) => specificity(b) - specificity(a));
+
+    return policies[0] || DEFAULT_POLICY;
+  }
+
+  /**
+   * Fee for cancelling a booking right now
+   * @param {Object} booking - Booking document (status before cancelling)
+   * @param {Object} options - { cancelledBy: 'USER' | 'MECHANIC' | 'ADMIN', now }
+   * @returns {Promise<Object>} Fee breakdown
+   */
+  async calculateFee(booking, { cancelledBy = 'USER', now = new Date() } = {}) {
+    const minutesSinceAccepted = booking.acceptedAt
+      ? Math.max(Math.floor((now - booking.acceptedAt) / 60000), 0)
+      : 0;
+
+    const fee = {
+      amount: 0,
+      fixedFee: 0,
+      travelCharge: 0,
+      bookingStatus: booking.status,
+      minutesSinceAccepted,
+      mechanicSharePercent: 0,
+      policyId: null,
+      policyName: null,
+    };
+
+    if (cancelledBy !== 'USER') {
+      return { ...fee, reason: 'No fee when the booking is not cancelled by the user' };
+    }
+
+    const policy = await this.resolvePolicy(booking);
+    const rule = policy.rules
+      .filter(r => r.bookingStatus === booking.status && r.afterMinutes <= minutesSinceAccepted)
+      .sort((a, b) => b.afterMinutes - a.afterMinutes)[0];
+
+    fee.policyId = policy._id;
+    fee.policyName = policy.name;
+    fee.mechanicSharePercent = policy.mechanicSharePercent;
+
+    if (!rule) {
+      return { ...fee, reason: 'Free cancellation' };
+    }
+
+    fee.fixedFee = rule.fixedFee;
+    fee.travelCharge = rule.includeTravelCharge ? (booking.pricing?.travelCharge || 0) : 0;
+    fee.amount = roundAmount(Math.min(fee.fixedFee + fee.travelCharge, booking.pricing?.totalAmount || 0));
+    fee.reason = rule.afterMinutes > 0
+      ? `Cancelled while ${booking.status} after ${rule.afterMinutes} minutes`
+      : `Cancelled while ${booking.status}`;
+
+    return fee;
+  }
+
+  /**
+   * Collect the fee, refund the rest and credit the mechanic's share
+   * @param {Object} booking - Booking document (already CANCELLED)
+   * @param {Object} fee - Result of calculateFee()
+   * @returns {Promise<Object>} { fee, refund }
+   */
+  async settle(booking, fee) {
+    const userId = booking.userId?._id || booking.userId;
+    let collected = 0;
+    let method = 'NONE';
+    let refund = null;
+
+    // 1. Net against what the user already paid
+    if (['PAID', 'PARTIALLY_PAID'].includes(booking.paymentStatus)) {
+      const refundable = await refundService.getRefundableAmount(booking);
+      const fromRefund = Math.min(fee.amount, refundable.total);
+      collected = roundAmount(collected + fromRefund);
+      if (fromRefund > 0) method = 'REFUND_DEDUCTION';
+
+      const refundAmount = roundAmount(refundable.total - fromRefund);
+      if (refundAmount > 0) {
+        refund = await refundService.refundBooking(booking, {
+          amount: refundAmount,
+          reason: fromRefund > 0
+            ? `Booking cancellation refund (₹${fromRefund} cancellation fee deducted)`
+            : 'Booking cancellation refund',
+          source: 'CANCELLATION',
+          initiatedBy: 'USER',
+        });
+      }
+    }
+
+    // 2. Whatever is left comes from the wallet
+    const remaining = roundAmount(fee.amount - collected);
+    if (remaining > 0) {
+      const { charged } = await walletController.chargeCancellationFee(userId, remaining, booking._id.toString());
+      collected = roundAmount(collected + charged);
+      if (charged > 0 && method === 'NONE') method = 'WALLET';
+    }
+
+    // 3. Mechanic's share of what was actually collected
+    const mechanicShare = booking.mechanicId && collected > 0
+      ? roundAmount((collected * fee.mechanicSharePercent) / 100)
+      : 0;
+
+    if (mechanicShare > 0) {
+      await queueService.queuePaymentProcess('earning', {
+        bookingId: booking._id,
+        bookingCode: booking.bookingId,
+        mechanicId: booking.mechanicId?._id || booking.mechanicId,
+        grossAmount: mechanicShare,
+        platformFeePercent: 0, // Platform keeps the rest of the fee
+        type: 'CANCELLATION_FEE',
+        serviceDetails: {
+          name: booking.serviceSnapshot?.name || 'Service',
+          category: booking.serviceSnapshot?.categoryName || 'General',
+        },
+        location: {
+          address: booking.location?.address || '',
+        },
+      }, { jobId: `earning:${booking._id}:CANCELLATION_FEE` });
+    }
+
+    const cancellationFee = {
+      amount: fee.amount,
+      collected,
+      outstanding: roundAmount(fee.amount - collected),
+      method,
+      mechanicShare,
+      policyId: fee.policyId,
+      chargedAt: fee.amount > 0 ? new Date() : undefined,
+    };
+
+    await Booking.updateOne({ _id: booking._id }, { $set: { cancellationFee } });
+    booking.cancellationFee = cancellationFee;
+
+    return {
+      fee: { ...fee, ...cancellationFee },
+      refund,
+    };
+  }
+
+  /**
+   * Cancel a booking on the mechanic's behalf (before work starts): promo
+   * code released, full refund, mechanic freed, user notified
+   * @param {Object} booking - Booking document assigned to the mechanic
+   * @param {Object} options - { mechanicId, reason }
+   * @returns {Promise<Object>} { cancellationFee } — always free for the user
+   */
+  async cancelByMechanic(booking, { mechanicId, reason } = {}) {
+    const cancelReason = reason || 'Cancelled by mechanic';
+    const userId = (booking.userId?._id || booking.userId).toString();
+
+    await bookingStateMachine.transition(booking, 'CANCELLED', {
+      actor: { type: 'MECHANIC', id: mechanicId },
+      reason: cancelReason,
+      set: { cancelReason },
+    });
+
+    // Not the user's fault — the promo code goes back to them
+    await promoService.release(booking);
+
+    // No fee for the user — full refund of anything they paid upfront
+    const cancellationFee = await this.calculateFee(booking, { cancelledBy: 'MECHANIC' });
+    if (['PAID', 'PARTIALLY_PAID'].includes(booking.paymentStatus)) {
+      try {
+        await refundService.refundBooking(booking, {
+          reason: 'Booking cancelled by mechanic',
+          source: 'CANCELLATION',
+          initiatedBy: 'MECHANIC',
+        });
+      } catch (error) {
+        console.error(`❌ Refund failed for cancelled booking ${booking.bookingId}:`, error.message);
+      }
+    }
+
+    // Lazy requires — both load the socket layer, which calls back into here
+    const bookingQueueService = require('./bookingQueue.service');
+    const socketService = require('./socket.service');
+
+    await bookingQueueService.releaseMechanic(mechanicId?.toString());
+
+    if (socketService.isConnected) {
+      socketService.emitToUser(userId, 'booking:cancelled', {
+        bookingId: booking._id,
+        bookingNumber: booking.bookingId,
+        cancelledBy: 'mechanic',
+        reason: reason || 'Mechanic cancelled the service',
+      });
+    }
+
+    await queueService.queueNotification('push', {
+      recipientId: userId,
+      recipientModel: 'User',
+      template: 'sendBookingCancellationNotification',
+      args: [{
+        bookingId: booking._id.toString(),
+        serviceName: booking.serviceSnapshot?.name || 'Service',
+        reason: reason || 'Mechanic cancelled the service',
+        cancelledBy: 'mechanic',
+      }, 'user'],
+    }, { jobId: `push:booking-cancelled:${booking._id}:user` });
+
+    await notificationController.queueBookingNotification(
+      `booking-cancelled:${booking._id}:user`,
+      userId,
+      'Booking Cancelled',
+      `Your booking #${booking.bookingId} has been cancelled by the mechanic.`,
+      booking._id
+    );
+
+    return { cancellationFee };
+  }
+}
+
+module.exports = new CancellationService();
@@ -0,0 +1,218 @@
+/**
+ * Dispatch Strategy Service
+ *
+ * Decides how bookingQueue.service offers a booking to mechanics:
+ * which DispatchConfig applies, how many mechanics get each offer, how long
+ * offers stay open and whether the search radius widens mid-search.
+ *
+ * A strategy is { batchSize(plan), expandOnExhaust }:
+ * - batchSize: mechanics offered the booking per round
+ * - expandOnExhaust: search the next radius tier when the candidate list
+ *   runs out, instead of giving up
+ * New strategies can be added with registerStrategy().
+ *
+ * Candidates within a tier are ordered by mechanicRanking.service score.
+ */
+
+const DispatchConfig = require('../models/DispatchConfig');
+const Service = require('../models/Service');
+const mechanicRankingService = require('./mechanicRanking.service');
+const mechanicSearchService = require('./mechanicSearch.service');
+
+// Candidates kept per tier after ranking
+const MAX_QUEUE_SIZE = 20;
+
+// Skill-matching passes per tier, strict first, for each fallback policy
+const SKILL_PASSES = {
+  NONE: ['STRICT'],
+  ALLOW_UNLISTED: ['STRICT', 'ALLOW_UNLISTED'],
+  ANY_SKILL: ['STRICT', 'ANY_SKILL'],
+};
+
+// Used when no DispatchConfig matches the booking (matches the old round-robin)
+const DEFAULT_CONFIG = {
+  _id: null,
+  name: 'Default',
+  strategy: 'SEQUENTIAL',
+  batchSize: 1,
+  mechanicTimeoutSeconds: 10,
+  totalTimeoutSeconds: 90,
+  radiusTiersKm: [5, 10],
+  // Strict skill matching; relaxing it is a per-region DispatchConfig choice
+  skillFallback: 'NONE',
+  rankingWeights: mechanicRankingService.DEFAULT_WEIGHTS,
+};
+
+class DispatchStrategyService {
+  constructor() {
+    this.DEFAULT_CONFIG = DEFAULT_CONFIG;
+    this.strategies = new Map();
+
+    this.registerStrategy('SEQUENTIAL', {
+      batchSize: () => 1,
+      expandOnExhaust: false,
+    });
+    this.registerStrategy('BATCHED', {
+      batchSize: (plan) => plan.batchSize,
+      expandOnExhaust: false,
+    });
+    this.registerStrategy('PROGRESSIVE_RADIUS', {
+      batchSize: (plan) => plan.batchSize,
+      expandOnExhaust: true,
+    });
+  }
+
+  registerStrategy(name, strategy) {
+    this.strategies.set(name, strategy);
+  }
+
+  getStrategy(name) {
+    return this.strategies.get(name) || this.strategies.get('SEQUENTIAL');
+  }
+
+  /**
+   * Most specific active config for a booking
+   * @param {Object} booking - Booking document
+   * @returns {Promise<Object>} DispatchConfig document or DEFAULT_CONFIG
+   */
+  async resolveConfig(booking) {
+    const regionId = booking.regionId || null;
+    const serviceId = booking.serviceId?._id || booking.serviceId || null;
+
+    const configs = await DispatchConfig.find({
+      status: 'ACTIVE',
+      regionId: { $in: [regionId, null] },
+      serviceId: { $in: [serviceId, null] },
+    });
+
+    // Service match outranks region match
+    const specificity = (config) => (config.serviceId ? 2 : 0) + (config.regionId ? 1 : 0);
+    configs.sort((a, b) => specificity(b) - specificity(a));
+
+    return configs[0] || DEFAULT_CONFIG;
+  }
+
+  /**
+   * Dispatch plan for a booking — plain data, persisted with the queue
+   * @param {Object} booking - Booking document
+   * @returns {Promise<Object>} Plan
+   */
+  async buildPlan(booking) {
+    const config = await this.resolveConfig(booking);
+    const strategy = this.strategies.has(config.strategy) ? config.strategy : 'SEQUENTIAL';
+
+    const serviceId = booking.serviceId?._id || booking.serviceId || null;
+    const service = serviceId ? await Service.findById(serviceId).select('categoryId').lean() : null;
+
+    const radiusTiersKm = [...(config.radiusTiersKm?.length ? config.radiusTiersKm : DEFAULT_CONFIG.radiusTiersKm)]
+      .sort((a, b) => a - b);
+
+    const plan = {
+      strategy,
+      configId: config._id ? config._id.toString() : null,
+      batchSize: config.batchSize || 1,
+      mechanicTimeoutSeconds: config.mechanicTimeoutSeconds || DEFAULT_CONFIG.mechanicTimeoutSeconds,
+      totalTimeoutSeconds: config.totalTimeoutSeconds || DEFAULT_CONFIG.totalTimeoutSeconds,
+      radiusTiersKm,
+      skillMatch: {
+        serviceId: serviceId ? serviceId.toString() : null,
+        categoryId: service?.categoryId ? service.categoryId.toString() : null,
+      },
+      skillFallback: SKILL_PASSES[config.skillFallback] ? config.skillFallback : DEFAULT_CONFIG.skillFallback,
+      rankingWeights: {
+        ...DEFAULT_CONFIG.rankingWeights,
+        ...(config.rankingWeights?.toObject ? config.rankingWeights.toObject() : config.rankingWeights),
+      },
+    };
+    plan.batchSize = this.getStrategy(strategy).batchSize(plan);
+
+    return plan;
+  }
+
+  /**
+   * Search radius tiers from `fromTier` until one yields new mechanics,
+   * ranked best first and trimmed to MAX_QUEUE_SIZE.
+   * Within a tier, mechanics qualified for the service are tried first; the
+   * plan's skillFallback decides whether (and how) to relax that.
+   * @param {Object} booking - Booking document
+   * @param {Object} plan - Result of buildPlan()
+   * @param {number} fromTier - First tier index to search
+   * @param {Array<string>} excludeIds - Mechanics already in the queue
+   * @returns {Promise<Object>} { mechanics, tierIndex, radiusKm, skillMatch }
+   */
+  async findCandidates(booking, plan, fromTier = 0, excludeIds = []) {
+    const [longitude, latitude] = booking.location.coordinates;
+    const vehicleType = booking.vehicleDetails?.type || 'CAR';
+    const excluded = new Set(excludeIds);
+    const skillMatch = plan.skillMatch || {};
+    const passes = SKILL_PASSES[plan.skillFallback] || SKILL_PASSES[DEFAULT_CONFIG.skillFallback];
+
+    let tierIndex = fromTier;
+    for (; tierIndex < plan.radiusTiersKm.length; tierIndex++) {
+      const radiusKm = plan.radiusTiersKm[tierIndex];
+
+      for (const pass of passes) {
+        const skillFilter = pass === 'ANY_SKILL' ? null : mechanicSearchService.buildSkillFilter(skillMatch, pass);
+        const found = (await mechanicSearchService.findNearby(latitude, longitude, vehicleType, radiusKm, skillFilter))
+          .filter(m => !excluded.has(m._id.toString()));
+
+        if (found.length === 0) continue;
+
+        if (pass !== 'STRICT') {
+          console.warn(`⚠️ Skill fallback ${pass} for booking ${booking.bookingId || booking._id}: no mechanic within ${radiusKm}km lists service ${skillMatch.serviceId} or category ${skillMatch.categoryId}`);
+        }
+
+        const ranked = await mechanicRankingService.rank(booking, found, {
+          weights: plan.rankingWeights || DEFAULT_CONFIG.rankingWeights,
+          radiusKm,
+          categoryId: skillMatch.categoryId,
+        });
+        return { mechanics: ranked.slice(0, MAX_QUEUE_SIZE), tierIndex, radiusKm, skillMatch: pass };
+      }
+
+      if (tierIndex + 1 < plan.radiusTiersKm.length) {
+        console.log(`🔄 No new mechanics in ${radiusKm}km, expanding to ${plan.radiusTiersKm[tierIndex + 1]}km...`);
+      }
+    }
+
+    const lastTier = plan.radiusTiersKm.length - 1;
+    return { mechanics: [], tierIndex: lastTier, radiusKm: plan.radiusTiersKm[lastTier], skillMatch: null };
+  }
+
+  /**
+   * Ranking audit entries for dispatchInfo.rankings
+   */
+  toRankingRecords(mechanics, tierIndex, skillMatch) {
+    return mechanics.map((m, i) => ({
+      mechanicId: m._id,
+      tier: tierIndex + 1,
+      skillMatch,
+      position: i + 1,
+      score: m.score,
+      distanceKm: m.distance,
+      breakdown: m.scoreBreakdown,
+    }));
+  }
+
+  /**
+   * Widen the search after the queue ran out of mechanics
+   * @param {Object} queueData - Queue state from bookingQueue.service
+   * @returns {Promise<Object|null>} Next tier's candidates, or null to give up
+   */
+  async expand(queueData) {
+    const { plan } = queueData;
+    if (!this.getStrategy(plan.strategy).expandOnExhaust) return null;
+    if (queueData.tierIndex + 1 >= plan.radiusTiersKm.length) return null;
+
+    const next = await this.findCandidates(
+      queueData.booking,
+      plan,
+      queueData.tierIndex + 1,
+      queueData.mechanics.map(m => m.id)
+    );
+
+    return next.mechanics.length > 0 ? next : null;
+  }
+}
+
+module.exports = new DispatchStrategyService();
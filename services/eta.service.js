@@ -0,0 +1,156 @@
+/**
+ * ETA Service
+ *
+ * Turns each mechanic location update into an ETA for the user's active
+ * booking (ACCEPTED / EN_ROUTE), and watches the arrival geofence.
+ *
+ *   distance  straight line × ROAD_FACTOR (roads are rarely straight)
+ *   speed     the device speed when the mechanic is moving towards the
+ *             booking (heading within 90° of the bearing), blended with
+ *             AVERAGE_SPEED_KMPH to smooth stop-start traffic; the average
+ *             alone otherwise
+ *
+ * Inside GEOFENCE_RADIUS_METERS the mechanic app is prompted once to mark
+ * ARRIVED. Geofence entry, the closest approach and the distance at the
+ * moment ARRIVED was marked are stored on booking.arrival.
+ */
+
+const Booking = require('../models/Booking');
+const { calculateDistance, calculateBearing } = require('../utils/geo');
+
+const AVERAGE_SPEED_KMPH = parseFloat(process.env.ETA_AVERAGE_SPEED_KMPH) || 20;
+const GEOFENCE_RADIUS_METERS = parseInt(process.env.ARRIVAL_GEOFENCE_METERS) || 100;
+const ROAD_FACTOR = 1.3;
+const MIN_MOVING_SPEED_KMPH = 5; // Below this the device speed is GPS noise
+
+// Location is recorded (and can be tracked) from acceptance until work ends
+const TRACKED_STATUSES = ['ACCEPTED', 'EN_ROUTE', 'ARRIVED', 'IN_PROGRESS'];
+const ETA_STATUSES = ['ACCEPTED', 'EN_ROUTE'];
+
+class EtaService {
+  constructor() {
+    this.GEOFENCE_RADIUS_METERS = GEOFENCE_RADIUS_METERS;
+    this.TRACKED_STATUSES = TRACKED_STATUSES;
+  }
+
+  /**
+   * ETA from a position to the booking location
+   * @param {Object} from - { lat, lng, speed (m/s), heading (degrees) }
+   * @param {Object} to - { lat, lng }
+   * @returns {Object} { distanceMeters, distanceKm, minutes, speedKmph, speedSource }
+   */
+  estimate(from, to) {
+    const straightKm = calculateDistance(from.lat, from.lng, to.lat, to.lng) ?? 0;
+    const distanceKm = straightKm * ROAD_FACTOR;
+
+    let speedKmph = AVERAGE_SPEED_KMPH;
+    let speedSource = 'AVERAGE';
+
+    const deviceKmph = Number.isFinite(from.speed) ? from.speed * 3.6 : null;
+    if (deviceKmph !== null && deviceKmph >= MIN_MOVING_SPEED_KMPH && this.isHeadingTowards(from, to)) {
+      speedKmph = (deviceKmph + AVERAGE_SPEED_KMPH) / 2;
+      speedSource = 'DEVICE';
+    }
+
+    return {
+      distanceMeters: Math.round(straightKm * 1000),
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      minutes: Math.ceil((distanceKm / speedKmph) * 60),
+      speedKmph: Math.round(speedKmph),
+      speedSource,
+    };
+  }
+
+  /**
+   * Whether the heading points roughly at the destination (no heading = yes)
+   */
+  isHeadingTowards(from, to) {
+    if (!Number.isFinite(from.heading) || from.heading < 0) return true;
+
+    const bearing = calculateBearing(from.lat, from.lng, to.lat, to.lng);
+    const diff = Math.abs(((from.heading - bearing + 540) % 360) - 180);
+    return diff < 90;
+  }
+
+  /**
+   * Record a location update against the mechanic's active booking
+   * @param {String} mechanicId
+   * @param {Object} position - { latitude, longitude, heading, speed }
+   * @returns {Object|null} { booking, eta, suggestArrival } — null if the
+   *   mechanic has no booking being tracked
+   */
+  async handleLocationUpdate(mechanicId, position) {
+    const [latitude, longitude, heading, speed] = [
+      position.latitude, position.longitude, position.heading, position.speed,
+    ].map(value => (value === undefined || value === null ? NaN : Number(value)));
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+    const booking = await Booking.findOne({
+      mechanicId,
+      status: { $in: TRACKED_STATUSES },
+    }).select('bookingId userId status location arrival trail');
+
+    const [bookingLng, bookingLat] = booking?.location?.coordinates || [];
+    if (!booking || bookingLat === undefined) return null;
+
+    const eta = this.estimate(
+      { lat: latitude, lng: longitude, speed, heading },
+      { lat: bookingLat, lng: bookingLng }
+    );
+    const now = new Date();
+    const insideGeofence = eta.distanceMeters <= GEOFENCE_RADIUS_METERS;
+    const showEta = ETA_STATUSES.includes(booking.status);
+
+    const $set = {
+      mechanicLocation: {
+        type: 'Point',
+        coordinates: [longitude, latitude],
+        updatedAt: now,
+      },
+      'arrival.geofenceRadiusMeters': GEOFENCE_RADIUS_METERS,
+    };
+    if (showEta) {
+      $set.estimatedArrival = insideGeofence ? 0 : eta.minutes;
+      $set.distanceRemainingKm = eta.distanceKm;
+    }
+
+    const suggestArrival = showEta && insideGeofence && !booking.arrival?.suggestedAt;
+    if (insideGeofence && !booking.arrival?.enteredAt) {
+      $set['arrival.enteredAt'] = now;
+      $set['arrival.enteredDistanceMeters'] = eta.distanceMeters;
+    }
+    if (suggestArrival) {
+      $set['arrival.suggestedAt'] = now;
+    }
+
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $set, $min: { 'arrival.closestDistanceMeters': eta.distanceMeters } }
+    );
+
+    return { booking, eta: showEta ? eta : null, suggestArrival, insideGeofence };
+  }
+
+  /**
+   * booking.arrival fields for the moment the mechanic marks ARRIVED, from
+   * the last reported location. Pass as `set` to the ARRIVED transition.
+   */
+  arrivalCheck(booking) {
+    const [mechanicLng, mechanicLat] = booking.mechanicLocation?.coordinates || [];
+    const [bookingLng, bookingLat] = booking.location?.coordinates || [];
+    if (mechanicLat === undefined || bookingLat === undefined) return {};
+
+    const distanceKm = calculateDistance(mechanicLat, mechanicLng, bookingLat, bookingLng) ?? 0;
+    const distanceMeters = Math.round(distanceKm * 1000);
+
+    return {
+      'arrival.geofenceRadiusMeters': GEOFENCE_RADIUS_METERS,
+      'arrival.markedDistanceMeters': distanceMeters,
+      'arrival.markedWithinGeofence': distanceMeters <= GEOFENCE_RADIUS_METERS,
+      'arrival.markedLocationAt': booking.mechanicLocation.updatedAt,
+      estimatedArrival: 0,
+    };
+  }
+}
+
+module.exports = new EtaService();
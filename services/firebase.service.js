@@ -309,6 +309,48 @@ const sendPaymentReminderNotification = async (token, details) => {
   return sendPushNotification(token, notification, data);
 };
 
+/**
+ * Send scheduled booking reminder to user
+ * @param {string} token - User's FCM token
+ * @param {object} details - Booking and slot details
+ */
+const sendScheduledBookingReminderNotification = async (token, details) => {
+  const notification = {
+    title: '🗓️ Upcoming Service',
+    body: `Your ${details.serviceName} is scheduled for ${details.slotLabel}. We'll start finding a mechanic shortly before.`,
+  };
+
+  const data = {
+    type: 'SCHEDULED_BOOKING_REMINDER',
+    bookingId: details.bookingId,
+    scheduledAt: details.scheduledAt,
+  };
+
+  return sendPushNotification(token, notification, data);
+};
+
+/**
+ * Service reminder — opens a booking pre-filled with the service and vehicle
+ * @param {string} token - User's FCM token
+ * @param {object} details - { serviceId, serviceName, vehicleId, vehicleLabel, addressId, deepLink }
+ */
+const sendServiceReminderNotification = async (token, details) => {
+  const notification = {
+    title: `🔧 ${details.serviceName} due`,
+    body: `Your ${details.vehicleLabel} is due for ${details.serviceName}. Tap to book.`,
+  };
+
+  const data = {
+    type: 'SERVICE_REMINDER',
+    deepLink: details.deepLink,
+    serviceId: details.serviceId,
+    vehicleId: details.vehicleId,
+    ...(details.addressId && { addressId: details.addressId }),
+  };
+
+  return sendPushNotification(token, notification, data);
+};
+
 module.exports = {
   initializeFirebase,
   sendPushNotification,
@@ -319,4 +361,6 @@ module.exports = {
   sendJobCompletedNotification,
   sendMechanicArrivedNotification,
   sendPaymentReminderNotification,
+  sendScheduledBookingReminderNotification,
+  sendServiceReminderNotification,
 };
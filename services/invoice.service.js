@@ -0,0 +1,364 @@
+/**
+ * Invoice Service
+ *
+ * Issues GST tax invoices for paid bookings and credit notes against them.
+ *
+ * - Numbering: one series for invoices and one for credit notes, restarting
+ *   every financial year (April–March, IST). Numbers look like
+ *   INV26-27/000042 and CN26-27/000003 — GST allows at most 16
+ *   characters, so prefixes are kept to three (15 at most).
+ * - Tax split: CGST + SGST (half the rate each) when the booking's region is
+ *   in the supplier's state, IGST otherwise. Bookings without a region are
+ *   treated as intra-state.
+ * - Amounts mirror booking.pricing exactly (see utils/pricingEngine): GST is
+ *   charged on the service price, travel is untaxed, and the discount comes
+ *   off the total.
+ * - Credit notes credit part or all of an invoice, usually for a refund. The
+ *   tax is reversed pro rata, and an invoice can never be credited beyond its
+ *   total.
+ *
+ * The invoice is issued by the 'invoice' step of the booking completion saga
+ * (services/bookingCompletion), so a failed attempt is retried by the
+ * reconciler. PDFs are rendered on request by utils/invoicePdf.
+ */
+
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const InvoiceCounter = require('../models/InvoiceCounter');
+const Region = require('../models/Region');
+const Refund = require('../models/Refund');
+const User = require('../models/User');
+const bookingPaymentService = require('./bookingPayment.service');
+const RedisLock = require('../utils/redisLock');
+const { roundAmount } = require('../utils/pricingEngine');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const { AppError } = require('../middleware/error.middleware');
+
+const INVOICE_PREFIX = (process.env.INVOICE_PREFIX || 'INV').slice(0, 3);
+const CREDIT_NOTE_PREFIX = (process.env.INVOICE_CREDIT_NOTE_PREFIX || 'CN').slice(0, 3);
+const SAC_CODE = process.env.INVOICE_SAC_CODE || '9987'; // Maintenance and repair services
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const normalizeState = (state) => (state || '').trim().toLowerCase();
+
+class InvoiceService {
+  /**
+   * Financial year a date falls in, e.g. '2026-27' for 1 Apr 2026 – 31 Mar 2027
+   */
+  financialYear(date = new Date()) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Allocate the next number in a series
+   * @returns {Promise<Object>} { invoiceNumber, financialYear, sequence }
+   */
+  async nextNumber(type, issuedAt) {
+    const financialYear = this.financialYear(issuedAt);
+    const sequence = await InvoiceCounter.next(`${type}:${financialYear}`);
+    const prefix = type === 'CREDIT_NOTE' ? CREDIT_NOTE_PREFIX : INVOICE_PREFIX;
+
+    return {
+      invoiceNumber: `${prefix}${financialYear.slice(2)}/${String(sequence).padStart(6, '0')}`,
+      financialYear,
+      sequence,
+    };
+  }
+
+  /**
+   * When the booking was settled — the later of the user's last payment and
+   * the mechanic's collection (legacy bookings: completion)
+   */
+  getPaidAt(booking) {
+    const { paidAt, collectedAt } = booking.paymentDetails || {};
+    const dates = [paidAt, collectedAt].filter(Boolean).map(date => new Date(date));
+    if (!dates.length) return booking.completedAt;
+    return new Date(Math.max(...dates));
+  }
+
+  /**
+   * The platform's registration, printed on every document
+   */
+  getSupplier() {
+    return {
+      name: process.env.INVOICE_SUPPLIER_NAME || 'MecFinder',
+      gstin: process.env.INVOICE_SUPPLIER_GSTIN || undefined,
+      address: process.env.INVOICE_SUPPLIER_ADDRESS || undefined,
+      state: process.env.INVOICE_SUPPLIER_STATE || undefined,
+    };
+  }
+
+  /**
+   * INTRA_STATE (CGST + SGST) or INTER_STATE (IGST)
+   */
+  getTaxType(supplierState, placeOfSupply) {
+    if (!supplierState || !placeOfSupply) return 'INTRA_STATE';
+    return normalizeState(supplierState) === normalizeState(placeOfSupply) ? 'INTRA_STATE' : 'INTER_STATE';
+  }
+
+  /**
+   * Split a GST amount by tax type. CGST takes the odd paisa.
+   */
+  splitTax(taxType, gstPercent, gstAmount) {
+    if (taxType === 'INTER_STATE') {
+      return {
+        cgstPercent: 0, cgstAmount: 0,
+        sgstPercent: 0, sgstAmount: 0,
+        igstPercent: gstPercent, igstAmount: roundAmount(gstAmount),
+      };
+    }
+
+    const cgstAmount = Math.ceil(Math.round(gstAmount * 100) / 2) / 100;
+    return {
+      cgstPercent: gstPercent / 2, cgstAmount,
+      sgstPercent: gstPercent / 2, sgstAmount: roundAmount(gstAmount - cgstAmount),
+      igstPercent: 0, igstAmount: 0,
+    };
+  }
+
+  /**
+   * Issue the invoice for a paid booking. Safe to repeat — returns the
+   * existing invoice if there is one.
+   * @param {Object|String} bookingOrId
+   * @returns {Promise<Object>} { invoice, created }
+   */
+  async issueForBooking(bookingOrId) {
+    const bookingId = bookingOrId._id || bookingOrId;
+
+    const existing = await Invoice.findOne({ bookingId, type: 'INVOICE' });
+    if (existing) return { invoice: existing, created: false };
+
+    const lockKey = `lock:invoice:${bookingId}`;
+    const lock = await RedisLock.acquire(lockKey, 30);
+    if (!lock.acquired) {
+      throw new AppError('Invoice is already being issued for this booking', 409);
+    }
+
+    try {
+      // Re-check under the lock so a concurrent issue doesn't burn a number
+      const issued = await Invoice.findOne({ bookingId, type: 'INVOICE' });
+      if (issued) return { invoice: issued, created: false };
+
+      const booking = await Booking.findById(bookingId);
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+      if (booking.status !== 'COMPLETED' || !bookingPaymentService.isSettled(booking)) {
+        throw new AppError('Invoices are issued once a booking is completed and paid', 400);
+      }
+
+      const invoice = await this.createInvoice(booking);
+      console.log(`🧾 Invoice ${invoice.invoiceNumber} issued for booking ${booking.bookingId}`);
+      return { invoice, created: true };
+    } finally {
+      await RedisLock.release(lockKey, lock.lockValue);
+    }
+  }
+
+  async createInvoice(booking) {
+    const [region, user] = await Promise.all([
+      booking.regionId ? Region.findById(booking.regionId).select('state') : null,
+      User.findById(booking.userId).select('name phone email'),
+    ]);
+
+    const supplier = this.getSupplier();
+    const placeOfSupply = region?.state || supplier.state;
+    const taxType = this.getTaxType(supplier.state, placeOfSupply);
+
+    const pricing = booking.pricing || {};
+    const gstPercent = pricing.gstPercent || 0;
+    const serviceName = booking.serviceSnapshot?.name || 'Vehicle service';
+
+    const items = [
+      { description: serviceName, sacCode: SAC_CODE, amount: roundAmount(pricing.basePrice), gstPercent },
+    ];
+    if (pricing.travelCharge > 0) {
+      items.push({ description: 'Travel charge', sacCode: SAC_CODE, amount: roundAmount(pricing.travelCharge), gstPercent: 0 });
+    }
+
+    const tax = this.splitTax(taxType, gstPercent, pricing.gstAmount || 0);
+    const issuedAt = new Date();
+
+    const invoice = await Invoice.create({
+      ...(await this.nextNumber('INVOICE', issuedAt)),
+      type: 'INVOICE',
+      issuedAt,
+      bookingId: booking._id,
+      bookingCode: booking.bookingId,
+      userId: booking.userId,
+      mechanicId: booking.mechanicId,
+      regionId: booking.regionId,
+      supplier,
+      customer: {
+        name: user?.name,
+        phone: user?.phone,
+        email: user?.email,
+        address: booking.location?.address,
+      },
+      placeOfSupply,
+      taxType,
+      items,
+      amounts: {
+        taxableValue: roundAmount(pricing.basePrice),
+        ...tax,
+        totalTax: roundAmount(tax.cgstAmount + tax.sgstAmount + tax.igstAmount),
+        otherCharges: roundAmount(pricing.travelCharge),
+        discount: roundAmount(pricing.discount),
+        totalAmount: roundAmount(pricing.totalAmount),
+      },
+      payment: {
+        method: booking.paymentMethod,
+        paidAt: this.getPaidAt(booking),
+      },
+    });
+
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $set: { invoice: { invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, issuedAt } } }
+    );
+
+    return invoice;
+  }
+
+  /**
+   * Credit part or all of a booking's invoice
+   * @param {Object|String} bookingOrId
+   * @param {Object} options
+   *   refundId - the refund being documented (amount defaults to the refund's)
+   *   amount   - tax-inclusive amount to credit
+   *   reason
+   *   adminId  - issuing admin
+   * @returns {Promise<Object>} credit note
+   */
+  async issueCreditNote(bookingOrId, { refundId, amount, reason, adminId } = {}) {
+    const bookingId = bookingOrId._id || bookingOrId;
+
+    let refund = null;
+    if (refundId) {
+      refund = await Refund.findOne({ _id: refundId, bookingId });
+      if (!refund) {
+        throw new AppError('Refund not found for this booking', 404);
+      }
+      if (refund.status === 'FAILED') {
+        throw new AppError('Refund failed — nothing to credit', 400);
+      }
+      if (refund.source === 'OVERPAYMENT') {
+        throw new AppError('Overpayment refunds were never invoiced — nothing to credit', 400);
+      }
+      if (await Invoice.exists({ refundId: refund._id })) {
+        throw new AppError('A credit note has already been issued for this refund', 409);
+      }
+    }
+
+    const { invoice } = await this.issueForBooking(bookingId);
+
+    const creditAmount = roundAmount(amount ?? refund?.amount ?? 0);
+    if (creditAmount <= 0) {
+      throw new AppError('Credit amount must be greater than zero', 400);
+    }
+
+    // Reserve the amount first so two credit notes can't over-credit the invoice
+    const reserved = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, creditedAmount: { $lte: roundAmount(invoice.amounts.totalAmount - creditAmount) } },
+      { $inc: { creditedAmount: creditAmount } },
+      { new: true }
+    );
+    if (!reserved) {
+      const remaining = roundAmount(invoice.amounts.totalAmount - (await Invoice.findById(invoice._id)).creditedAmount);
+      throw new AppError(`Only ₹${remaining} of invoice ${invoice.invoiceNumber} can still be credited`, 400);
+    }
+
+    try {
+      const creditNote = await Invoice.create({
+        ...(await this.nextNumber('CREDIT_NOTE', new Date())),
+        ...this.buildCreditNote(invoice, creditAmount),
+        refundId: refund?._id,
+        reason: reason || refund?.reason || 'Refund',
+        issuedByAdmin: adminId,
+      });
+
+      console.log(`🧾 Credit note ${creditNote.invoiceNumber} for ₹${creditAmount} against ${invoice.invoiceNumber}`);
+      return creditNote;
+    } catch (error) {
+      await Invoice.updateOne({ _id: invoice._id }, { $inc: { creditedAmount: -creditAmount } });
+      if (error.code === 11000 && refund) {
+        throw new AppError('A credit note has already been issued for this refund', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Credit note fields for `creditAmount` of an invoice — every component
+   * scaled by the same ratio, with the discount absorbing rounding so the
+   * total is exact
+   */
+  buildCreditNote(invoice, creditAmount) {
+    const { amounts } = invoice;
+    const ratio = amounts.totalAmount > 0 ? creditAmount / amounts.totalAmount : 0;
+    const scale = (value) => roundAmount((value || 0) * ratio);
+
+    const taxableValue = scale(amounts.taxableValue);
+    const otherCharges = scale(amounts.otherCharges);
+    const gstPercent = amounts.igstPercent || amounts.cgstPercent + amounts.sgstPercent;
+    const tax = this.splitTax(invoice.taxType, gstPercent, scale(amounts.totalTax));
+    const totalTax = roundAmount(tax.cgstAmount + tax.sgstAmount + tax.igstAmount);
+
+    return {
+      type: 'CREDIT_NOTE',
+      issuedAt: new Date(),
+      invoiceId: invoice._id,
+      bookingId: invoice.bookingId,
+      bookingCode: invoice.bookingCode,
+      userId: invoice.userId,
+      mechanicId: invoice.mechanicId,
+      regionId: invoice.regionId,
+      supplier: invoice.supplier,
+      customer: invoice.customer,
+      placeOfSupply: invoice.placeOfSupply,
+      taxType: invoice.taxType,
+      items: invoice.items.map(item => ({
+        description: item.description,
+        sacCode: item.sacCode,
+        amount: scale(item.amount),
+        gstPercent: item.gstPercent,
+      })),
+      amounts: {
+        taxableValue,
+        ...tax,
+        totalTax,
+        otherCharges,
+        discount: roundAmount(Math.max(taxableValue + totalTax + otherCharges - creditAmount, 0)),
+        totalAmount: creditAmount,
+      },
+      payment: invoice.payment,
+    };
+  }
+
+  /**
+   * A booking's invoice and its credit notes
+   * @returns {Promise<Object>} { invoice, creditNotes } — invoice is null if not issued yet
+   */
+  async getForBooking(bookingId) {
+    const [invoice, creditNotes] = await Promise.all([
+      Invoice.findOne({ bookingId, type: 'INVOICE' }),
+      Invoice.find({ bookingId, type: 'CREDIT_NOTE' }).sort({ issuedAt: 1 }),
+    ]);
+    return { invoice, creditNotes };
+  }
+
+  /**
+   * PDF of an invoice or credit note
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdf(document) {
+    const original = document.type === 'CREDIT_NOTE'
+      ? await Invoice.findById(document.invoiceId).select('invoiceNumber issuedAt')
+      : null;
+    return renderInvoicePdf(document, { original });
+  }
+}
+
+module.exports = new InvoiceService();
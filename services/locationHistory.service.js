@@ -0,0 +1,220 @@
+/**
+ * Location History Service
+ *
+ * Records the mechanic's breadcrumb trail for a booking while it is tracked
+ * (ACCEPTED → IN_PROGRESS) so distance disputes and "mechanic never came"
+ * complaints can be checked against where the mechanic actually went.
+ *
+ * Downsampling — a socket update becomes a point when:
+ *   - it is the first one, or the booking status changed since the last, or
+ *   - MIN_INTERVAL_SECONDS have passed and the mechanic moved MIN_DISTANCE_METERS, or
+ *   - MAX_INTERVAL_SECONDS have passed (a standing mechanic still leaves a trace)
+ * Fixes with a reported accuracy worse than MAX_ACCURACY_METERS are ignored,
+ * and a point implying more than MAX_PLAUSIBLE_SPEED_KMPH from the last one is
+ * dropped as a GPS jump (counted in booking.trail.rejectedJumps).
+ *
+ * Points live in BookingLocationPing (time-series, TTL). Running totals are
+ * kept on booking.trail, and complaints snapshot a summary, so both survive
+ * the points expiring.
+ */
+
+const Booking = require('../models/Booking');
+const BookingLocationPing = require('../models/BookingLocationPing');
+const { calculateDistance } = require('../utils/geo');
+
+const MIN_INTERVAL_SECONDS = parseInt(process.env.LOCATION_HISTORY_MIN_INTERVAL_SECONDS) || 10;
+const MAX_INTERVAL_SECONDS = parseInt(process.env.LOCATION_HISTORY_MAX_INTERVAL_SECONDS) || 60;
+const MIN_DISTANCE_METERS = parseInt(process.env.LOCATION_HISTORY_MIN_DISTANCE_METERS) || 25;
+const MAX_ACCURACY_METERS = 100;
+const MAX_PLAUSIBLE_SPEED_KMPH = 150;
+const JUMP_MIN_METERS = 300; // Short hops at high implied speed are just timing noise
+
+const DEFAULT_MAX_POINTS = 500;
+const MAX_POINTS_LIMIT = 2000;
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? NaN : Number(value));
+const metersBetween = (a, b) => Math.round((calculateDistance(a.lat, a.lng, b.lat, b.lng) ?? 0) * 1000);
+
+class LocationHistoryService {
+  /**
+   * Record a location update against a tracked booking, if it passes downsampling
+   * @param {Object} booking - with _id, status, trail
+   * @param {String} mechanicId
+   * @param {Object} position - { latitude, longitude, heading, speed, accuracy }
+   * @returns {Object|null} the stored point, or null if skipped
+   */
+  async record(booking, mechanicId, position) {
+    const lat = toNumber(position.latitude);
+    const lng = toNumber(position.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    const accuracy = toNumber(position.accuracy);
+    if (Number.isFinite(accuracy) && accuracy > MAX_ACCURACY_METERS) return null;
+
+    const now = new Date();
+    const last = booking.trail?.lastPoint?.recordedAt ? booking.trail.lastPoint : null;
+    let distanceMeters = 0;
+
+    if (last) {
+      const elapsedSeconds = (now - last.recordedAt) / 1000;
+      const statusChanged = last.status !== booking.status;
+      distanceMeters = metersBetween(last, { lat, lng });
+
+      if (!statusChanged) {
+        if (elapsedSeconds < MIN_INTERVAL_SECONDS) return null;
+        if (distanceMeters < MIN_DISTANCE_METERS && elapsedSeconds < MAX_INTERVAL_SECONDS) return null;
+      }
+
+      const impliedKmph = (distanceMeters / Math.max(elapsedSeconds, 1)) * 3.6;
+      if (distanceMeters >= JUMP_MIN_METERS && impliedKmph > MAX_PLAUSIBLE_SPEED_KMPH) {
+        await Booking.updateOne({ _id: booking._id }, { $inc: { 'trail.rejectedJumps': 1 } });
+        return null;
+      }
+    }
+
+    const point = {
+      lat,
+      lng,
+      status: booking.status,
+      recordedAt: now,
+    };
+
+    // Guarded on the last point we read, so two racing updates add one point
+    const { modifiedCount } = await Booking.updateOne(
+      { _id: booking._id, 'trail.lastPoint.recordedAt': last ? last.recordedAt : null },
+      {
+        $set: {
+          'trail.lastPoint': point,
+          ...(!last && { 'trail.startedAt': now }),
+        },
+        $inc: {
+          'trail.pointCount': 1,
+          'trail.distanceMeters': distanceMeters,
+        },
+      }
+    );
+    if (!modifiedCount) return null;
+
+    const heading = toNumber(position.heading);
+    const speed = toNumber(position.speed);
+
+    return BookingLocationPing.create({
+      meta: { bookingId: booking._id, mechanicId },
+      ...point,
+      ...(Number.isFinite(heading) && heading >= 0 && { heading }),
+      ...(Number.isFinite(speed) && speed >= 0 && { speed }),
+      ...(Number.isFinite(accuracy) && { accuracy }),
+      distanceFromPreviousMeters: distanceMeters,
+    });
+  }
+
+  /**
+   * Recorded points for a booking, oldest first
+   */
+  async getPoints(bookingId) {
+    return BookingLocationPing.find({ 'meta.bookingId': bookingId })
+      .sort({ recordedAt: 1 })
+      .select('-_id lat lng heading speed accuracy status recordedAt distanceFromPreviousMeters')
+      .lean();
+  }
+
+  /**
+   * Trail for display: summary plus points thinned to maxPoints
+   * @param {Object} booking - Booking document
+   * @param {Object} options - { maxPoints }
+   */
+  async getTrail(booking, { maxPoints } = {}) {
+    const points = await this.getPoints(booking._id);
+    const limit = Math.min(Math.max(parseInt(maxPoints) || DEFAULT_MAX_POINTS, 2), MAX_POINTS_LIMIT);
+
+    return {
+      summary: this.summarize(booking, points),
+      points: this.thin(points, limit),
+    };
+  }
+
+  /**
+   * Summary for a booking by id (complaints)
+   * @returns {Object|null} null if the booking doesn't exist
+   */
+  async getSummary(bookingId) {
+    const booking = await Booking.findById(bookingId).select('location arrival trail');
+    if (!booking) return null;
+
+    return this.summarize(booking, await this.getPoints(bookingId));
+  }
+
+  /**
+   * Distance and timing of the trail, per status, and how close it came
+   * to the booking location
+   */
+  summarize(booking, points) {
+    const [bookingLng, bookingLat] = booking.location?.coordinates || [];
+    const destination = bookingLat === undefined ? null : { lat: bookingLat, lng: bookingLng };
+
+    const byStatus = {};
+    let distanceMeters = 0;
+    let closestDistanceMeters = null;
+
+    for (const point of points) {
+      const stepMeters = point.distanceFromPreviousMeters || 0;
+      distanceMeters += stepMeters;
+
+      const status = point.status || 'UNKNOWN';
+      byStatus[status] = byStatus[status] || { points: 0, distanceKm: 0 };
+      byStatus[status].points += 1;
+      byStatus[status].distanceKm += stepMeters / 1000;
+
+      if (destination) {
+        const away = metersBetween(point, destination);
+        if (closestDistanceMeters === null || away < closestDistanceMeters) {
+          closestDistanceMeters = away;
+        }
+      }
+    }
+
+    for (const entry of Object.values(byStatus)) {
+      entry.distanceKm = Math.round(entry.distanceKm * 100) / 100;
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const trail = booking.trail || {};
+
+    return {
+      pointCount: points.length,
+      distanceKm: Math.round(distanceMeters / 10) / 100,
+      // Running totals on the booking — still there once the points have expired
+      recordedPointCount: trail.pointCount || 0,
+      recordedDistanceKm: Math.round((trail.distanceMeters || 0) / 10) / 100,
+      pointsExpired: points.length === 0 && (trail.pointCount || 0) > 0,
+      rejectedJumps: trail.rejectedJumps || 0,
+      firstPointAt: first?.recordedAt || null,
+      lastPointAt: last?.recordedAt || null,
+      durationMinutes: first ? Math.round((last.recordedAt - first.recordedAt) / 60000) : 0,
+      start: first ? { lat: first.lat, lng: first.lng } : null,
+      end: last ? { lat: last.lat, lng: last.lng } : null,
+      closestDistanceMeters: closestDistanceMeters ?? booking.arrival?.closestDistanceMeters ?? null,
+      enteredGeofenceAt: booking.arrival?.enteredAt || null,
+      markedArrivedDistanceMeters: booking.arrival?.markedDistanceMeters ?? null,
+      markedWithinGeofence: booking.arrival?.markedWithinGeofence ?? null,
+      byStatus,
+    };
+  }
+
+  /**
+   * Evenly spaced subset of points, always keeping the first and last
+   */
+  thin(points, maxPoints) {
+    if (points.length <= maxPoints) return points;
+
+    const step = (points.length - 1) / (maxPoints - 1);
+    const thinned = [];
+    for (let i = 0; i < maxPoints; i++) {
+      thinned.push(points[Math.round(i * step)]);
+    }
+    return thinned;
+  }
+}
+
+module.exports = new LocationHistoryService();
@@ -0,0 +1,209 @@
+/**
+ * Mechanic Ranking Service
+ *
+ * Orders dispatch candidates by a 0–100 score instead of distance alone.
+ * Each component is normalised to 0–1, then weighted by the booking's
+ * DispatchConfig.rankingWeights:
+ *
+ *   distance     1 − distance / search radius
+ *   rating       ratingAverage / 5 (unrated mechanics get RATING_PRIOR)
+ *   title        position of currentTitle in the NEW → MASTER ladder
+ *   acceptance   share of last week's offers accepted rather than rejected
+ *                or left to time out (outcomes recorded by the dispatch
+ *                queue alongside its booking:reject:* keys), smoothed
+ *                towards ACCEPTANCE_PRIOR for mechanics with few offers
+ *   complaints   1 / (1 + open complaints)
+ *   serviceMatch 1 if servicesOffered lists the booked service, 0.8 if only
+ *                its category is listed, 0.5 if the mechanic hasn't listed
+ *                any skills, 0 if they list only other ones
+ *
+ *   score = 100 × Σ(weight × component) / Σ(weight)
+ *
+ * The per-component breakdown is returned with each candidate so dispatch
+ * can store it on the booking.
+ */
+
+const mongoose = require('mongoose');
+const Mechanic = require('../models/Mechanic');
+const ServiceComplaint = require('../models/ServiceComplaint');
+const redisService = require('./redis.service');
+
+const DEFAULT_WEIGHTS = {
+  distance: 40,
+  rating: 20,
+  title: 5,
+  acceptance: 15,
+  complaints: 10,
+  serviceMatch: 10,
+};
+
+const RATING_PRIOR = 3.5;
+const ACCEPTANCE_PRIOR = 0.7;
+const ACCEPTANCE_PRIOR_OFFERS = 5; // Offers' worth of weight given to the prior
+
+const TITLE_LADDER = Mechanic.schema.path('currentTitle').enumValues;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+class MechanicRankingService {
+  constructor() {
+    this.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+  }
+
+  /**
+   * Score and sort candidates, best first
+   * @param {Object} booking - Booking document
+   * @param {Array} mechanics - Candidates from mechanicSearch.findNearby (with distance)
+   * @param {Object} options - { weights, radiusKm, categoryId }
+   * @returns {Promise<Array>} Candidates with score and scoreBreakdown
+   */
+  async rank(booking, mechanics, { weights = DEFAULT_WEIGHTS, radiusKm, categoryId } = {}) {
+    if (mechanics.length === 0) return [];
+
+    const mechanicIds = mechanics.map(m => m._id.toString());
+    const [dispatchStats, openComplaints] = await Promise.all([
+      this.getDispatchStats(mechanicIds),
+      this.getOpenComplaintCounts(mechanicIds),
+    ]);
+
+    const serviceId = (booking.serviceId?._id || booking.serviceId)?.toString();
+    const maxDistance = radiusKm || Math.max(...mechanics.map(m => m.distance || 0), 1);
+
+    const ranked = mechanics.map((mechanic) => {
+      const id = mechanic._id.toString();
+      const components = {
+        distance: this.distanceComponent(mechanic.distance, maxDistance),
+        rating: this.ratingComponent(mechanic),
+        title: this.titleComponent(mechanic.currentTitle),
+        acceptance: this.acceptanceComponent(dispatchStats[id]),
+        complaints: this.complaintsComponent(openComplaints[id] || 0),
+        serviceMatch: this.serviceMatchComponent(mechanic, serviceId, categoryId?.toString()),
+      };
+
+      const { score, breakdown } = this.combine(components, weights);
+      return { ...mechanic, score, scoreBreakdown: breakdown };
+    });
+
+    // Highest score first; nearer mechanic wins a tie
+    return ranked.sort((a, b) => (b.score - a.score) || ((a.distance || 0) - (b.distance || 0)));
+  }
+
+  /**
+   * Weighted sum of normalised components
+   * @returns {Object} { score, breakdown: { [component]: { raw, value, weight, points } } }
+   */
+  combine(components, weights) {
+    const totalWeight = Object.keys(components)
+      .reduce((sum, key) => sum + Math.max(weights[key] ?? DEFAULT_WEIGHTS[key], 0), 0) || 1;
+
+    const breakdown = {};
+    let score = 0;
+
+    for (const [key, { raw, value }] of Object.entries(components)) {
+      const weight = Math.max(weights[key] ?? DEFAULT_WEIGHTS[key], 0);
+      const points = (100 * weight * value) / totalWeight;
+      breakdown[key] = { raw, value: round(value), weight, points: round(points, 2) };
+      score += points;
+    }
+
+    return { score: round(score, 2), breakdown };
+  }
+
+  distanceComponent(distance, maxDistance) {
+    if (distance === null || distance === undefined) {
+      return { raw: null, value: 0.5 };
+    }
+    return { raw: round(distance, 2), value: Math.min(Math.max(1 - distance / maxDistance, 0), 1) };
+  }
+
+  ratingComponent(mechanic) {
+    const rating = mechanic.ratingCount > 0 ? mechanic.ratingAverage : RATING_PRIOR;
+    return { raw: mechanic.ratingCount > 0 ? mechanic.ratingAverage : null, value: Math.min(rating / 5, 1) };
+  }
+
+  titleComponent(title) {
+    const index = Math.max(TITLE_LADDER.indexOf(title || 'NEW'), 0);
+    return { raw: title || 'NEW', value: index / (TITLE_LADDER.length - 1) };
+  }
+
+  acceptanceComponent(stats = { offered: 0, accepted: 0, rejected: 0, timedOut: 0 }) {
+    // Offers still open (or lost to another mechanic in a batch) count as neither
+    const declined = stats.rejected + stats.timedOut;
+    const decided = stats.accepted + declined;
+    const value = (stats.accepted + ACCEPTANCE_PRIOR * ACCEPTANCE_PRIOR_OFFERS) / (decided + ACCEPTANCE_PRIOR_OFFERS);
+
+    return {
+      raw: { ...stats, rate: decided > 0 ? round(stats.accepted / decided) : null },
+      value,
+    };
+  }
+
+  complaintsComponent(openComplaints) {
+    return { raw: openComplaints, value: 1 / (1 + openComplaints) };
+  }
+
+  serviceMatchComponent(mechanic, serviceId, categoryId) {
+    const services = mechanic.servicesOffered || [];
+    const categories = mechanic.serviceCategoriesOffered || [];
+
+    if (serviceId && services.some(s => s.serviceId?.toString() === serviceId)) {
+      return { raw: 'SERVICE', value: 1 };
+    }
+    if (categoryId && categories.some(c => c.categoryId?.toString() === categoryId)) {
+      return { raw: 'CATEGORY', value: 0.8 };
+    }
+    if (!services.length && !categories.length) {
+      return { raw: 'UNLISTED', value: 0.5 };
+    }
+    return { raw: 'NONE', value: 0 };
+  }
+
+  /**
+   * Rolling dispatch outcomes from Redis (empty without Redis)
+   */
+  async getDispatchStats(mechanicIds) {
+    if (!redisService.isConnected || !redisService.client) return {};
+    try {
+      return await redisService.getDispatchStats(mechanicIds);
+    } catch (error) {
+      console.warn(`⚠️ Could not load dispatch stats: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Open (OPEN / IN_REVIEW) complaints per mechanic
+   */
+  async getOpenComplaintCounts(mechanicIds) {
+    const counts = await ServiceComplaint.aggregate([
+      {
+        $match: {
+          mechanicId: { $in: mechanicIds.map(id => new mongoose.Types.ObjectId(id)) },
+          status: { $in: ['OPEN', 'IN_REVIEW'] },
+        },
+      },
+      { $group: { _id: '$mechanicId', count: { $sum: 1 } } },
+    ]);
+
+    return counts.reduce((acc, { _id, count }) => {
+      acc[_id.toString()] = count;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Record how a mechanic responded to an offer (best-effort)
+   * @param {string} mechanicId
+   * @param {string} outcome - 'offered' | 'accepted' | 'rejected' | 'timedOut'
+   */
+  async recordOutcome(mechanicId, outcome) {
+    if (!redisService.isConnected || !redisService.client) return;
+    try {
+      await redisService.recordDispatchOutcome(mechanicId, outcome);
+    } catch (error) {
+      console.warn(`⚠️ Could not record dispatch outcome for ${mechanicId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new MechanicRankingService();
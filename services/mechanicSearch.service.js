@@ -0,0 +1,261 @@
+/**
+ * Mechanic Search Service
+ *
+ * Candidate search for dispatch.
+ *
+ * HOT PATH (Redis up):
+ * 1. GEOSEARCH on mechanic:locations (kept fresh by socket location pings)
+ * 2. Drop members without a mechanic:online:* presence key — and prune them
+ *    from the GEO set, they went offline without cleaning up
+ * 3. Drop members in the mechanic:busy set
+ * 4. Hydrate the rest from Mongo in ONE query that re-applies the
+ *    availability / vehicle / skill filters (Mongo stays the source of truth)
+ *
+ * FALLBACK (Redis down or erroring): MongoDB $nearSphere, then Haversine for
+ * mechanics still on the legacy lastLocation schema.
+ *
+ * Filters: ACTIVE, online, not busy, no current booking, supports the vehicle
+ * type, plus the optional skill clause (see buildSkillFilter). Vehicle type is
+ * never relaxed — any skill fallback is decided by the caller's dispatch plan.
+ */
+
+const Mechanic = require('../models/Mechanic');
+const redisService = require('./redis.service');
+const { calculateDistance } = require('../utils/geo');
+
+// Pool handed to ranking, and the fields ranking needs
+const CANDIDATE_POOL_SIZE = 50;
+const CANDIDATE_FIELDS = '_id fullName phone profilePhoto ratingAverage ratingCount currentTitle servicesOffered serviceCategoriesOffered location lastLocation fcmToken vehicleTypes address';
+
+// GEO members fetched per search — presence/busy filtering thins this out
+const GEO_SEARCH_COUNT = CANDIDATE_POOL_SIZE * 3;
+
+class MechanicSearchService {
+  constructor() {
+    this.CANDIDATE_POOL_SIZE = CANDIDATE_POOL_SIZE;
+  }
+
+  /**
+   * Find available mechanics near a point
+   * @returns {Promise<Array>} Plain mechanic objects with `distance` (km),
+   *   nearest first, max CANDIDATE_POOL_SIZE (dispatch re-orders by ranking)
+   */
+  async findNearby(latitude, longitude, vehicleType, radiusKm = 5, skillFilter = null) {
+    console.log(`🔍 Finding mechanics: lat=${latitude}, lng=${longitude}, vehicle=${vehicleType}, radius=${radiusKm}km${skillFilter ? ', skill-filtered' : ''}`);
+
+    if (redisService.isConnected && redisService.client) {
+      try {
+        return await this.searchRedis(latitude, longitude, vehicleType, radiusKm, skillFilter);
+      } catch (error) {
+        console.warn(`⚠️ Redis geo search failed, falling back to MongoDB: ${error.message}`);
+      }
+    }
+
+    return this.searchMongo(latitude, longitude, vehicleType, radiusKm, skillFilter);
+  }
+
+  /**
+   * Mongo filter for a mechanic who can take this job right now
+   */
+  availabilityFilter(vehicleType, skillFilter) {
+    return {
+      status: 'ACTIVE',
+      isOnline: true,
+      isBusy: false,
+      currentBookingId: null, // Not assigned to any active booking
+      vehicleTypes: vehicleType,
+      ...(skillFilter || {}),
+    };
+  }
+
+  /**
+   * Redis GEO → presence → busy → one Mongo hydrate
+   */
+  async searchRedis(latitude, longitude, vehicleType, radiusKm, skillFilter) {
+    const members = await redisService.getNearbyMechanics(longitude, latitude, radiusKm, GEO_SEARCH_COUNT);
+    if (members.length === 0) {
+      console.log(`📋 [Redis] No mechanics within ${radiusKm}km`);
+      return [];
+    }
+
+    const ids = members.map(m => m.member);
+    const [present, busy] = await Promise.all([
+      redisService.getMechanicsPresence(ids),
+      redisService.getMechanicsBusy(ids),
+    ]);
+
+    const stale = ids.filter((id, i) => !present[i]);
+    if (stale.length > 0) {
+      console.log(`🧹 [Redis] Pruning ${stale.length} stale mechanic locations`);
+      redisService.pruneMechanicLocations(stale).catch((err) => {
+        console.warn(`⚠️ Failed to prune stale mechanic locations: ${err.message}`);
+      });
+    }
+
+    const distances = new Map();
+    members.forEach((m, i) => {
+      if (present[i] && !busy[i]) distances.set(m.member, parseFloat(m.distance));
+    });
+
+    if (distances.size === 0) {
+      console.log(`📋 [Redis] ${members.length} mechanics within ${radiusKm}km, none online and free`);
+      return [];
+    }
+
+    const mechanics = await Mechanic.find({
+      _id: { $in: [...distances.keys()] },
+      ...this.availabilityFilter(vehicleType, skillFilter),
+    }).select(CANDIDATE_FIELDS);
+
+    const result = mechanics
+      .map(m => ({ ...m.toObject(), distance: distances.get(m._id.toString()) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, CANDIDATE_POOL_SIZE);
+
+    console.log(`✅ [Redis] ${result.length} mechanics within ${radiusKm}km (${members.length} in geo index, ${distances.size} online and free)`);
+    return result;
+  }
+
+  /**
+   * MongoDB $nearSphere, then Haversine over legacy lastLocation
+   */
+  async searchMongo(latitude, longitude, vehicleType, radiusKm, skillFilter) {
+    try {
+      const radiusMeters = radiusKm * 1000;
+      const baseFilter = this.availabilityFilter(vehicleType, skillFilter);
+
+      // ═══════════════════════════════════════════════════════════
+      // PRIMARY: MongoDB $nearSphere with 2dsphere index
+      // This is O(log n) with the index vs O(n) with JS Haversine
+      // ═══════════════════════════════════════════════════════════
+      let mechanics = [];
+
+      try {
+        mechanics = await Mechanic.find({
+          ...baseFilter,
+          location: {
+            $nearSphere: {
+              $geometry: {
+                type: 'Point',
+                coordinates: [longitude, latitude], // GeoJSON: [lng, lat]
+              },
+              $maxDistance: radiusMeters, // meters
+            },
+          },
+        })
+          .select(CANDIDATE_FIELDS)
+          .limit(CANDIDATE_POOL_SIZE);
+
+        console.log(`📋 [GeoJSON] Found ${mechanics.length} mechanics within ${radiusKm}km for ${vehicleType}`);
+      } catch (geoError) {
+        console.warn(`⚠️ GeoJSON $nearSphere query failed (index may not exist yet): ${geoError.message}`);
+        mechanics = [];
+      }
+
+      // ═══════════════════════════════════════════════════════════
+      // FALLBACK: Haversine distance calculation (for mechanics still on legacy schema)
+      // This runs ONLY if $nearSphere returned 0 results
+      // ═══════════════════════════════════════════════════════════
+      if (mechanics.length === 0) {
+        console.log(`🔄 GeoJSON returned 0 results, trying Haversine fallback...`);
+
+        const legacyMechanics = await Mechanic.find({
+          ...baseFilter,
+          'lastLocation.lat': { $exists: true, $ne: null },
+          'lastLocation.lng': { $exists: true, $ne: null },
+        })
+          .select(CANDIDATE_FIELDS)
+          .limit(50);
+
+        console.log(`📋 [Haversine] Found ${legacyMechanics.length} online legacy mechanics`);
+
+        const mechanicsWithDistance = legacyMechanics
+          .map(m => {
+            const dist = calculateDistance(
+              latitude, longitude,
+              m.lastLocation?.lat, m.lastLocation?.lng
+            );
+            return { ...m.toObject(), distance: dist };
+          })
+          .filter(m => m.distance !== null && m.distance <= radiusKm)
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, CANDIDATE_POOL_SIZE);
+
+        console.log(`✅ [Haversine] ${mechanicsWithDistance.length} mechanics within ${radiusKm}km`);
+        return mechanicsWithDistance;
+      }
+
+      // Calculate distances for GeoJSON results (for display/sorting info)
+      const result = mechanics.map(m => {
+        const mLat = m.location?.coordinates?.[1] || m.lastLocation?.lat;
+        const mLng = m.location?.coordinates?.[0] || m.lastLocation?.lng;
+        return {
+          ...m.toObject(),
+          distance: calculateDistance(latitude, longitude, mLat, mLng),
+        };
+      });
+
+      console.log(`✅ ${result.length} mechanics within ${radiusKm}km radius`);
+      return result;
+    } catch (error) {
+      console.error('❌ Error finding nearby mechanics:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Mongo clause for mechanics qualified to do a service
+   * @param {Object} match - { serviceId, categoryId }
+   * @param {string} mode - 'STRICT': lists the service or its category
+   *                        'ALLOW_UNLISTED': STRICT, or hasn't listed any skills yet
+   * @returns {Object|null} Filter to merge into the mechanic query (null = no skill filter)
+   */
+  buildSkillFilter({ serviceId, categoryId } = {}, mode = 'STRICT') {
+    if (!serviceId && !categoryId) return null;
+
+    const qualified = [];
+    if (serviceId) qualified.push({ 'servicesOffered.serviceId': serviceId });
+    if (categoryId) qualified.push({ 'serviceCategoriesOffered.categoryId': categoryId });
+
+    if (mode === 'ALLOW_UNLISTED') {
+      qualified.push({
+        'servicesOffered.0': { $exists: false },
+        'serviceCategoriesOffered.0': { $exists: false },
+      });
+    }
+
+    return { $or: qualified };
+  }
+
+  /**
+   * Take a mechanic out of the hot path when they go offline — presence key
+   * and GEO member (busy state is left alone, they may still have a job)
+   */
+  async removeMechanic(mechanicId) {
+    if (!redisService.isConnected || !redisService.client) return;
+    try {
+      await redisService.setMechanicOffline(mechanicId);
+      await redisService.removeMechanicLocation(mechanicId);
+    } catch (error) {
+      console.warn(`⚠️ Failed to remove mechanic ${mechanicId} from Redis: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mirror Mechanic.isBusy into the Redis busy set (best-effort)
+   */
+  async setBusy(mechanicId, isBusy) {
+    if (!mechanicId || !redisService.isConnected || !redisService.client) return;
+    try {
+      if (isBusy) {
+        await redisService.markMechanicBusy(mechanicId);
+      } else {
+        await redisService.markMechanicFree(mechanicId);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Failed to update busy state for ${mechanicId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new MechanicSearchService();
@@ -51,6 +51,27 @@ class NotificationService {
     });
   }
 
+  /**
+   * Send scheduled booking reminder notification
+   */
+  static async sendScheduledBookingReminderNotification(userId, booking, slotLabel) {
+    return Notification.createNotification({
+      userId,
+      userModel: 'User',
+      type: 'REMINDER',
+      priority: 'HIGH',
+      title: '🗓️ Upcoming Service',
+      body: `Your ${booking.serviceSnapshot?.name || 'service'} is scheduled for ${slotLabel}. We'll start finding a mechanic shortly before.`,
+      data: {
+        action: 'SCHEDULED_BOOKING_REMINDER',
+        bookingId: booking._id,
+        scheduledAt: booking.scheduledAt,
+      },
+      actionUrl: `/booking/${booking._id}`,
+      expiresAt: booking.scheduledAt,
+    });
+  }
+
   /**
    * Send mechanic assigned notification
    */
@@ -250,6 +271,30 @@ class NotificationService {
     });
   }
 
+  /**
+   * Send "time to service your vehicle again" reminder
+   * @param {Object} reminder - { serviceId, serviceName, vehicleId, vehicleLabel, addressId, dueAt, deepLink }
+   */
+  static async sendServiceReminderNotification(userId, reminder) {
+    return Notification.createNotification({
+      userId,
+      userModel: 'User',
+      type: 'REMINDER',
+      priority: 'NORMAL',
+      title: `🔧 ${reminder.serviceName} due`,
+      body: `Your ${reminder.vehicleLabel} is due for ${reminder.serviceName}. Book now and we'll send a mechanic to you.`,
+      data: {
+        action: 'SERVICE_REMINDER',
+        serviceId: reminder.serviceId,
+        vehicleId: reminder.vehicleId,
+        addressId: reminder.addressId,
+        dueAt: reminder.dueAt,
+      },
+      actionUrl: reminder.deepLink,
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // Expires in 30 days
+    });
+  }
+
   /**
    * Send reward points notification
    */
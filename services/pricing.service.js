@@ -0,0 +1,319 @@
+/**
+ * Pricing Service
+ *
+ * Resolves the price of a service for a booking location:
+ * 1. Region — explicit regionId, else the nearest ACTIVE region whose
+ *    serviceRadiusKm covers the coordinates
+ * 2. RegionPricing row for (serviceId, regionId) if ACTIVE
+ * 3. Fallback: Service.basePrice with default GST / platform fee / travel
+ *
+ * Used by createBooking and GET /api/pricing/calculate so the quote shown
+ * in the app is exactly what gets charged. The arithmetic itself lives in
+ * utils/pricingEngine.
+ *
+ * Regions with distance-based travel (Region.travelPricing DISTANCE) quote a
+ * range: the travel charge from 0 km up to the widest dispatch radius. The
+ * booking is priced at the top of the range, and lockTravelCharge() settles
+ * it on the accepted mechanic's distance — the user only ever sees the price
+ * go down.
+ */
+
+const mongoose = require('mongoose');
+const Region = require('../models/Region');
+const RegionPricing = require('../models/RegionPricing');
+const Service = require('../models/Service');
+const Booking = require('../models/Booking');
+const Mechanic = require('../models/Mechanic');
+const dispatchStrategyService = require('./dispatchStrategy.service');
+const pricingEngine = require('../utils/pricingEngine');
+const { calculateDistance } = require('../utils/geo');
+
+// Upper bound for the region geo lookup (largest serviceRadiusKm we expect)
+const MAX_REGION_LOOKUP_KM = 100;
+
+class PricingService {
+  /**
+   * Resolve the region for a booking
+   * @param {Object} params - { regionId, latitude, longitude }
+   * @returns {Promise<Object|null>} Region document or null
+   */
+  async resolveRegion({ regionId, latitude, longitude } = {}) {
+    if (regionId) {
+      if (!mongoose.Types.ObjectId.isValid(regionId)) return null;
+      return Region.findOne({ _id: regionId, status: 'ACTIVE' });
+    }
+
+    if (latitude === undefined || longitude === undefined) return null;
+
+    try {
+      const [region] = await Region.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [Number(longitude), Number(latitude)] },
+            distanceField: 'distanceMeters',
+            maxDistance: MAX_REGION_LOOKUP_KM * 1000,
+            query: { status: 'ACTIVE' },
+            spherical: true,
+          },
+        },
+        {
+          $match: {
+            $expr: {
+              $lte: ['$distanceMeters', { $multiply: [{ $ifNull: ['$serviceRadiusKm', 25] }, 1000] }],
+            },
+          },
+        },
+        { $limit: 1 },
+      ]);
+
+      return region ? Region.hydrate(region) : null;
+    } catch (error) {
+      // $geoNear needs the 2dsphere index — treat a failure as "no region"
+      console.warn(`⚠️ Region lookup failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the pricing inputs for a service at a location
+   * @param {Object} params - { service | serviceId, regionId, latitude, longitude }
+   * @returns {Promise<Object>} { service, region, source, inputs, travel } —
+   *   travel is null unless the region charges travel by distance, in which
+   *   case inputs.travelCharge is the top of its range
+   */
+  async resolvePricing(params) {
+    const resolved = await this.resolveBasePricing(params);
+    if (!resolved.service) {
+      return { ...resolved, travel: null };
+    }
+
+    const travel = await this.estimateTravel(resolved.region, resolved.service._id);
+    if (!travel) {
+      return { ...resolved, travel: null };
+    }
+
+    return {
+      ...resolved,
+      inputs: { ...resolved.inputs, travelCharge: travel.maxCharge },
+      travel,
+    };
+  }
+
+  /**
+   * Pricing inputs with the flat travel charge
+   */
+  async resolveBasePricing({ service, serviceId, regionId, latitude, longitude }) {
+    const resolvedService = service || await Service.findById(serviceId);
+    if (!resolvedService) {
+      return { service: null, region: null, source: null, inputs: null };
+    }
+
+    const region = await this.resolveRegion({ regionId, latitude, longitude });
+
+    if (region) {
+      const regionPricing = await RegionPricing.findOne({
+        serviceId: resolvedService._id,
+        regionId: region._id,
+        status: 'ACTIVE',
+      });
+
+      if (regionPricing) {
+        return {
+          service: resolvedService,
+          region,
+          source: 'REGION_PRICING',
+          inputs: {
+            basePrice: regionPricing.basePrice,
+            gstPercent: regionPricing.gstPercent,
+            platformFeePercent: regionPricing.platformFeePercent,
+            travelCharge: regionPricing.travelCharge,
+          },
+        };
+      }
+    }
+
+    return {
+      service: resolvedService,
+      region,
+      source: 'SERVICE_BASE_PRICE',
+      inputs: {
+        basePrice: resolvedService.basePrice,
+        ...pricingEngine.DEFAULTS,
+      },
+    };
+  }
+
+  /**
+   * Travel charge range for a region that prices travel by distance
+   * @param {Object|null} region - Region document
+   * @param {ObjectId} serviceId - for the dispatch config (search radius)
+   * @returns {Promise<Object|null>} { mode, minCharge, maxCharge, maxDistanceKm, rates }
+   */
+  async estimateTravel(region, serviceId) {
+    const travelPricing = region?.travelPricing;
+    if (travelPricing?.mode !== 'DISTANCE') return null;
+
+    const config = await dispatchStrategyService.resolveConfig({ regionId: region._id, serviceId });
+    const maxDistanceKm = Math.max(...(config.radiusTiersKm?.length ? config.radiusTiersKm : [0]));
+
+    const rates = {
+      baseCharge: travelPricing.baseCharge || 0,
+      slabs: (travelPricing.slabs || []).map(({ upToKm, ratePerKm }) => ({ upToKm, ratePerKm })),
+      maxCharge: travelPricing.maxCharge,
+    };
+
+    return {
+      mode: 'DISTANCE',
+      minCharge: pricingEngine.calculateTravelCharge(0, rates),
+      maxCharge: pricingEngine.calculateTravelCharge(maxDistanceKm, rates),
+      maxDistanceKm,
+      rates,
+    };
+  }
+
+  /**
+   * pricing.travel for a new booking: the range plus the totals at either end
+   * @param {Object} travel - from estimateTravel()
+   * @param {Object} inputs - resolved pricing inputs
+   * @param {Number} discount
+   */
+  buildTravelSnapshot(travel, inputs, discount = 0) {
+    if (!travel) return undefined;
+
+    return {
+      ...travel,
+      minTotal: this.calculateBreakdown({ ...inputs, travelCharge: travel.minCharge }, discount).totalAmount,
+      maxTotal: this.calculateBreakdown({ ...inputs, travelCharge: travel.maxCharge }, discount).totalAmount,
+    };
+  }
+
+  /**
+   * Whether the booking's price can still change (distance travel not locked)
+   */
+  isTravelPending(booking) {
+    return booking.pricing?.travel?.mode === 'DISTANCE' && !booking.pricing.travel.lockedAt;
+  }
+
+  /**
+   * Price travel on the accepted mechanic's distance and recalculate the
+   * booking's pricing, then tell the user the final amount. Runs once per
+   * booking; a no-op for flat travel.
+   *
+   * @param {Object} booking - Booking document (after the ACCEPTED transition)
+   * @param {Object} options
+   *   distanceKm - the mechanic's distance, if the caller knows it (dispatch)
+   *   mechanicId - otherwise measured from the mechanic's last location
+   * @returns {Promise<Object|null>} updated booking, or null if nothing changed
+   */
+  async lockTravelCharge(booking, { distanceKm, mechanicId } = {}) {
+    if (!this.isTravelPending(booking)) return null;
+
+    const { pricing } = booking;
+    let distance = Number.isFinite(distanceKm) ? distanceKm : null;
+
+    if (distance === null && mechanicId) {
+      const mechanic = await Mechanic.findById(mechanicId).select('location lastLocation');
+      const [mechanicLng, mechanicLat] = mechanic?.location?.coordinates?.length
+        ? mechanic.location.coordinates
+        : [mechanic?.lastLocation?.lng, mechanic?.lastLocation?.lat];
+      const [bookingLng, bookingLat] = booking.location?.coordinates || [];
+      distance = calculateDistance(mechanicLat, mechanicLng, bookingLat, bookingLng);
+    }
+
+    // No usable distance — the quoted maximum stands
+    const travelCharge = distance === null
+      ? pricing.travelCharge
+      : pricingEngine.calculateTravelCharge(distance, pricing.travel.rates);
+
+    const breakdown = this.calculateBreakdown({
+      basePrice: pricing.basePrice,
+      gstPercent: pricing.gstPercent,
+      platformFeePercent: pricing.platformFeePercent,
+      travelCharge,
+    }, booking.promo?.releasedAt ? 0 : (booking.promo?.discount ?? pricing.discount));
+
+    const $set = { 'pricing.travel.lockedAt': new Date() };
+    for (const [field, value] of Object.entries(breakdown)) {
+      $set[`pricing.${field}`] = value;
+    }
+    if (distance !== null) {
+      $set['pricing.travel.distanceKm'] = Math.round(distance * 100) / 100;
+    }
+
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'pricing.travel.lockedAt': null },
+      { $set },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    this.notifyFinalPrice(updated, pricing.totalAmount);
+    return updated;
+  }
+
+  /**
+   * Final amount to the user (socket + push)
+   */
+  notifyFinalPrice(booking, previousTotal) {
+    const { pricing } = booking;
+    const distanceText = pricing.travel.distanceKm !== undefined ? ` for ${pricing.travel.distanceKm} km` : '';
+    const message = `Travel charge is ₹${pricing.travelCharge}${distanceText}. Your total is ₹${pricing.totalAmount}.`;
+
+    // Lazy requires — both sit above this service
+    const socketService = require('./socket.service');
+    if (socketService.isConnected) {
+      socketService.emitToUser(booking.userId.toString(), 'booking:price_final', {
+        bookingId: booking._id,
+        bookingCode: booking.bookingId,
+        travelCharge: pricing.travelCharge,
+        distanceKm: pricing.travel.distanceKm,
+        totalAmount: pricing.totalAmount,
+        previousTotal,
+        pricing,
+        message,
+      });
+    }
+
+    const notificationController = require('../controller/notification.controller');
+    notificationController.queueBookingNotification(
+      `travel-charge:${booking._id}`,
+      booking.userId,
+      'Final Price',
+      message,
+      booking._id
+    ).catch(error => console.error('Error queueing final price notification:', error.message));
+  }
+
+  /**
+   * Booking price breakdown from resolved inputs
+   * @param {Object} inputs - { basePrice, gstPercent, platformFeePercent, travelCharge }
+   * @param {Number} discount - Discount amount
+   * @returns {Object} Versioned breakdown (see utils/pricingEngine)
+   */
+  calculateBreakdown(inputs, discount = 0) {
+    return pricingEngine.calculate({ ...inputs, discount });
+  }
+
+  /**
+   * Resolve and price a service at a location in one call
+   * @param {Object} params - Same as resolvePricing
+   * @returns {Promise<Object>} { service, region, source, pricing }
+   */
+  async quote(params) {
+    const resolved = await this.resolvePricing(params);
+    if (!resolved.service) {
+      return { ...resolved, pricing: null };
+    }
+
+    return {
+      ...resolved,
+      pricing: {
+        ...this.calculateBreakdown(resolved.inputs),
+        source: resolved.source,
+        ...(resolved.travel && { travel: this.buildTravelSnapshot(resolved.travel, resolved.inputs) }),
+      },
+    };
+  }
+}
+
+module.exports = new PricingService();
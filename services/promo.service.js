@@ -0,0 +1,261 @@
+/**
+ * Promo Service
+ *
+ * Validates and redeems promo codes against bookings. A code is either:
+ * - an admin Coupon (expiry, minOrderAmount, maxDiscountAmount, per-user and total limits)
+ * - a reward coupon from UserReward.redeemedRewards (RWD...)
+ *
+ * Flow: evaluate() is read-only and returns the discount; redeem() writes the
+ * usage atomically (conditional update, so limits hold under concurrency);
+ * release() rolls the usage back when a booking dies before work starts.
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Reward = require('../models/Reward');
+const UserReward = require('../models/UserReward');
+const Booking = require('../models/Booking');
+const { roundAmount } = require('../utils/pricingEngine');
+
+class PromoService {
+  /**
+   * Validate a code for a user and order amount (no writes)
+   * @param {String} code - Promo code as entered
+   * @param {String} userId - User applying the code
+   * @param {Number} orderAmount - Amount before discount
+   * @param {Object} context - { serviceId, categoryId } for reward applicability
+   * @returns {Promise<Object>} { valid, message } or { valid, type, code, discount, couponId, rewardId }
+   */
+  async evaluate(code, userId, orderAmount, context = {}) {
+    if (!code) return { valid: false, message: 'Promo code is required' };
+    const normalizedCode = String(code).trim().toUpperCase();
+
+    const coupon = await Coupon.findOne({ code: normalizedCode });
+    if (coupon) {
+      return this.evaluateCoupon(coupon, userId, orderAmount);
+    }
+
+    return this.evaluateRewardCoupon(normalizedCode, userId, orderAmount, context);
+  }
+
+  /**
+   * Validate an admin coupon
+   */
+  evaluateCoupon(coupon, userId, orderAmount) {
+    const now = new Date();
+
+    if (!coupon.isActive) {
+      return { valid: false, message: 'Coupon is no longer active' };
+    }
+    if (coupon.validFrom && now < coupon.validFrom) {
+      return { valid: false, message: 'Coupon is not valid yet' };
+    }
+    if (now > coupon.expiresAt) {
+      return { valid: false, message: 'Coupon has expired' };
+    }
+    if (orderAmount < coupon.minOrderAmount) {
+      return { valid: false, message: `Minimum order amount is ₹${coupon.minOrderAmount}` };
+    }
+
+    const userUsageCount = coupon.usageLog.filter(log => log.userId?.toString() === userId.toString()).length;
+    if (userUsageCount >= coupon.maxUsagePerUser) {
+      return { valid: false, message: `You have reached the maximum usage limit for this coupon (${coupon.maxUsagePerUser} times)` };
+    }
+    if (coupon.maxTotalUsage && coupon.currentUsage >= coupon.maxTotalUsage) {
+      return { valid: false, message: 'Coupon usage limit reached' };
+    }
+
+    let discount = coupon.discountType === 'PERCENTAGE'
+      ? (orderAmount * coupon.discountValue) / 100
+      : coupon.discountValue;
+
+    if (coupon.maxDiscountAmount && discount > coupon.maxDiscountAmount) {
+      discount = coupon.maxDiscountAmount;
+    }
+
+    return {
+      valid: true,
+      type: 'COUPON',
+      code: coupon.code,
+      couponId: coupon._id,
+      discount: roundAmount(Math.min(discount, orderAmount)),
+    };
+  }
+
+  /**
+   * Validate a reward coupon from the user's redeemed rewards
+   */
+  async evaluateRewardCoupon(code, userId, orderAmount, context = {}) {
+    const userReward = await UserReward.findOne({ userId });
+    const redemption = userReward?.redeemedRewards.find(
+      r => r.couponCode === code && r.status === 'ACTIVE'
+    );
+
+    if (!redemption) {
+      return { valid: false, message: 'Invalid coupon code' };
+    }
+    if (redemption.expiresAt && new Date() > redemption.expiresAt) {
+      return { valid: false, message: 'Coupon has expired' };
+    }
+
+    const reward = redemption.rewardId ? await Reward.findById(redemption.rewardId) : null;
+
+    if (reward?.minBookingAmount && orderAmount < reward.minBookingAmount) {
+      return { valid: false, message: `Minimum booking amount is ₹${reward.minBookingAmount}` };
+    }
+
+    const restrictedToServices = reward?.applicableServices?.length > 0;
+    const restrictedToCategories = reward?.applicableCategories?.length > 0;
+    if (restrictedToServices || restrictedToCategories) {
+      const matchesService = restrictedToServices && context.serviceId &&
+        reward.applicableServices.some(id => id.toString() === context.serviceId.toString());
+      const matchesCategory = restrictedToCategories && context.categoryId &&
+        reward.applicableCategories.some(id => id.toString() === context.categoryId.toString());
+      if (!matchesService && !matchesCategory) {
+        return { valid: false, message: 'This reward is not applicable to the selected service' };
+      }
+    }
+
+    let discount = redemption.value;
+    if (reward?.valueType === 'PERCENTAGE') {
+      discount = (orderAmount * redemption.value) / 100;
+      if (reward.maxValue) {
+        discount = Math.min(discount, reward.maxValue);
+      }
+    }
+
+    return {
+      valid: true,
+      type: 'REWARD',
+      code,
+      rewardId: redemption.rewardId,
+      discount: roundAmount(Math.min(discount, orderAmount)),
+    };
+  }
+
+  /**
+   * Atomically record usage of an evaluated code against a booking
+   * @param {Object} evaluation - Result of evaluate() with valid = true
+   * @param {String} userId - User applying the code
+   * @param {ObjectId} bookingId - Booking _id (may be pre-generated before create)
+   * @returns {Promise<Boolean>} false if a limit was hit in the meantime
+   */
+  async redeem(evaluation, userId, bookingId) {
+    const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+    const now = new Date();
+
+    if (evaluation.type === 'COUPON') {
+      const result = await Coupon.updateOne(
+        {
+          _id: evaluation.couponId,
+          isActive: true,
+          expiresAt: { $gt: now },
+          $and: [
+            {
+              $or: [
+                { maxTotalUsage: null },
+                { $expr: { $lt: ['$currentUsage', '$maxTotalUsage'] } },
+              ],
+            },
+            {
+              $expr: {
+                $lt: [
+                  { $size: { $filter: { input: '$usageLog', cond: { $eq: ['$$this.userId', userObjectId] } } } },
+                  '$maxUsagePerUser',
+                ],
+              },
+            },
+          ],
+        },
+        {
+          $inc: { currentUsage: 1 },
+          $push: {
+            usageLog: {
+              userId: userObjectId,
+              bookingId,
+              usedAt: now,
+              discountGiven: evaluation.discount,
+            },
+          },
+        }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    if (evaluation.type === 'REWARD') {
+      const result = await UserReward.updateOne(
+        {
+          userId: userObjectId,
+          redeemedRewards: { $elemMatch: { couponCode: evaluation.code, status: 'ACTIVE' } },
+        },
+        {
+          $set: {
+            'redeemedRewards.$.status': 'USED',
+            'redeemedRewards.$.usedOnBooking': bookingId,
+            'redeemedRewards.$.usedAt': now,
+          },
+        }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    return false;
+  }
+
+  /**
+   * Roll back promo usage for a booking (idempotent)
+   * Called when a booking is cancelled or dies before work starts.
+   * @param {Object} booking - Booking document
+   */
+  async release(booking) {
+    if (!booking?.promo?.type || booking.promo.releasedAt) return;
+
+    try {
+      // Claim the release first so concurrent cancels cannot double-decrement
+      const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, 'promo.releasedAt': null },
+        { $set: { 'promo.releasedAt': new Date() } },
+        { new: true }
+      );
+      if (!claimed) return;
+
+      await this.releaseUsage(booking.promo, booking._id, booking.userId?._id || booking.userId);
+      booking.promo.releasedAt = claimed.promo.releasedAt;
+    } catch (error) {
+      console.error(`❌ Failed to release promo for booking ${booking._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Undo the usage written by redeem()
+   * @param {Object} promo - { type, code, couponId }
+   * @param {ObjectId} bookingId - Booking the usage was recorded against
+   * @param {String} userId - Owner of a reward coupon
+   */
+  async releaseUsage(promo, bookingId, userId) {
+    if (promo.type === 'COUPON') {
+      await Coupon.updateOne(
+        { _id: promo.couponId, 'usageLog.bookingId': bookingId },
+        {
+          $pull: { usageLog: { bookingId } },
+          $inc: { currentUsage: -1 },
+        }
+      );
+    } else if (promo.type === 'REWARD') {
+      await UserReward.updateOne(
+        {
+          userId,
+          redeemedRewards: { $elemMatch: { couponCode: promo.code, usedOnBooking: bookingId } },
+        },
+        {
+          $set: { 'redeemedRewards.$.status': 'ACTIVE' },
+          $unset: { 'redeemedRewards.$.usedOnBooking': '', 'redeemedRewards.$.usedAt': '' },
+        }
+      );
+    }
+
+    console.log(`🎟️ Released promo ${promo.code} for booking ${bookingId}`);
+  }
+}
+
+module.exports = new PromoService();
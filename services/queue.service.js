@@ -1,6 +1,12 @@
 /**
  * Job Queue Service using Bull
  * Handles background tasks like notifications, emails, and heavy processing
+ *
+ * Jobs are named (e.g. notifications/push, payments/earning) and processed by
+ * the worker process (workers/index.js) using workers/processors.js.
+ * Pass a jobId built from the business key (booking, user, event) so the same
+ * side effect is never queued twice. In mock mode (no Redis) the processor
+ * runs inline in the calling process instead.
  */
 const Queue = require('bull');
 
@@ -38,73 +44,117 @@ const emailQueue = createQueue('emails');
 const paymentQueue = createQueue('payments');
 const bookingQueue = createQueue('bookings');
 
-/**
- * Queue a notification to be sent
- */
-const queueNotification = async (data) => {
-  if (!notificationQueue) {
-    // Fallback: execute immediately if queue not available
-    console.log('📱 Sending notification (sync):', data.title);
-    return { id: 'sync-' + Date.now() };
-  }
-  
-  const job = await notificationQueue.add(data, {
+// Per-queue job options. Failed payment jobs are kept until an admin
+// retries or removes them; the rest keep the most recent failures.
+const JOB_OPTIONS = {
+  notifications: {
     attempts: 3,
     backoff: {
       type: 'exponential',
       delay: 2000,
     },
     removeOnComplete: 100, // Keep last 100 completed jobs
-    removeOnFail: 50,      // Keep last 50 failed jobs
-  });
-  
-  return { id: job.id };
-};
-
-/**
- * Queue an email to be sent
- */
-const queueEmail = async (data) => {
-  if (!emailQueue) {
-    console.log('📧 Sending email (sync):', data.to);
-    return { id: 'sync-' + Date.now() };
-  }
-  
-  const job = await emailQueue.add(data, {
+    removeOnFail: 500,     // Keep last 500 failed jobs
+  },
+  emails: {
     attempts: 3,
     backoff: {
       type: 'exponential',
       delay: 3000,
     },
     removeOnComplete: 100,
-    removeOnFail: 50,
-  });
-  
-  return { id: job.id };
-};
-
-/**
- * Queue a payment processing job
- */
-const queuePaymentProcess = async (data) => {
-  if (!paymentQueue) {
-    console.log('💰 Processing payment (sync):', data.bookingId);
-    return { id: 'sync-' + Date.now() };
-  }
-  
-  const job = await paymentQueue.add(data, {
+    removeOnFail: 500,
+  },
+  payments: {
     attempts: 5,
     backoff: {
       type: 'exponential',
       delay: 5000,
     },
     removeOnComplete: 200,
-    removeOnFail: 100,
+    removeOnFail: false,
+  },
+};
+
+const queues = {
+  notifications: notificationQueue,
+  emails: emailQueue,
+  payments: paymentQueue,
+  bookings: bookingQueue,
+};
+
+/**
+ * Mock mode: run the worker's processor for this job in-process.
+ * Failures are logged, not thrown — callers treat queued work as fire-and-forget.
+ */
+const runInline = async (queueName, name, data, jobId) => {
+  const id = jobId || `sync-${Date.now()}`;
+
+  // Lazy require — processors pull in controllers that use this service
+  const processors = require('../workers/processors');
+  const processor = processors[queueName]?.[name];
+  if (!processor) {
+    console.warn(`⚠️ No processor for ${queueName}/${name}, dropping job ${id}`);
+    return { id };
+  }
+
+  try {
+    await processor(data, { id, name, attemptsMade: 0 });
+  } catch (error) {
+    console.error(`❌ Job ${id} (${queueName}/${name}) failed inline:`, error.message);
+  }
+
+  return { id };
+};
+
+/**
+ * Add a named job to a queue
+ * @param {string} queueName - notifications | emails | payments
+ * @param {string} name - Job name (see workers/processors.js)
+ * @param {Object} data - Job payload (must be JSON-serialisable)
+ * @param {string} [jobId] - Idempotency key; adding an existing id is a no-op
+ * @param {number} [delay] - ms before the job runs (mock mode: in-process timer)
+ */
+const addJob = async (queueName, name, data, jobId, delay) => {
+  const queue = queues[queueName];
+  if (!queue) {
+    if (delay > 0) {
+      setTimeout(() => runInline(queueName, name, data, jobId), delay).unref();
+      return { id: jobId || `sync-${Date.now()}` };
+    }
+    return runInline(queueName, name, data, jobId);
+  }
+
+  const job = await queue.add(name, data, {
+    ...JOB_OPTIONS[queueName],
+    ...(jobId && { jobId }),
+    ...(delay > 0 && { delay }),
   });
-  
+
   return { id: job.id };
 };
 
+/**
+ * Queue a notification (FCM push or in-app)
+ */
+const queueNotification = async (name, data, { jobId, delay } = {}) => {
+  return addJob('notifications', name, data, jobId, delay);
+};
+
+/**
+ * Queue an email to be sent
+ */
+const queueEmail = async (name, data, { jobId } = {}) => {
+  return addJob('emails', name, data, jobId);
+};
+
+/**
+ * Queue a payment side effect (earnings, referral, reward points)
+ */
+const queuePaymentProcess = async (name, data, { jobId } = {}) => {
+  return addJob('payments', name, data, jobId);
+};
+
 /**
  * Queue a booking broadcast to nearby mechanics
  */
@@ -127,41 +177,93 @@ const queueBookingBroadcast = async (data) => {
 };
 
 /**
- * Process notification jobs
+ * Schedule a delayed job on the bookings queue (scheduled dispatch, reminders)
+ * Returns null in mock mode so the caller can fall back to an in-process timer.
+ * A fixed jobId makes re-scheduling the same job a no-op.
  */
-const processNotifications = (processor) => {
-  if (!notificationQueue) return;
+const scheduleBookingJob = async (name, data, { delay, jobId }) => {
+  if (!bookingQueue) {
+    return null;
+  }
   
-  notificationQueue.process(async (job) => {
-    console.log(`📱 Processing notification job ${job.id}`);
-    await processor(job.data);
+  const job = await bookingQueue.add(name, data, {
+    delay: Math.max(delay, 0),
+    jobId,
+    attempts: 3,
+    backoff: {
+      type: 'fixed',
+      delay: 5000,
+    },
+    removeOnComplete: 50,
+    removeOnFail: 50,
   });
+  
+  return { id: job.id };
 };
 
 /**
- * Process email jobs
+ * Run a job every `every` ms, or on `cron` (in `tz`) when given. Bull keys
+ * repeatable jobs by name and schedule, so calling this on every start is safe.
+ * Returns null in mock mode so the caller can fall back to an in-process interval.
  */
-const processEmails = (processor) => {
-  if (!emailQueue) return;
-  
-  emailQueue.process(async (job) => {
-    console.log(`📧 Processing email job ${job.id}`);
-    await processor(job.data);
+const scheduleRepeatingJob = async (queueName, name, every, { cron, tz } = {}) => {
+  const queue = queues[queueName];
+  if (!queue) return null;
+
+  const job = await queue.add(name, {}, {
+    repeat: cron ? { cron, ...(tz && { tz }) } : { every },
+    removeOnComplete: 10,
+    removeOnFail: 50,
   });
+
+  return { id: job.id };
 };
 
 /**
- * Process payment jobs
+ * Remove a pending job from the bookings queue
  */
-const processPayments = (processor) => {
-  if (!paymentQueue) return;
+const removeBookingJob = async (jobId) => {
+  if (!bookingQueue || !jobId) return false;
   
-  paymentQueue.process(async (job) => {
-    console.log(`💰 Processing payment job ${job.id}`);
-    await processor(job.data);
-  });
+  const job = await bookingQueue.getJob(jobId);
+  if (!job) return false;
+  
+  await job.remove();
+  return true;
+};
+
+/**
+ * Register a processor per job name on a queue
+ * @param {string} queueName
+ * @param {Object} processors - { [jobName]: async (data, job) => {} }
+ */
+const registerProcessors = (queueName, processors) => {
+  const queue = queues[queueName];
+  if (!queue) return;
+
+  for (const [name, processor] of Object.entries(processors)) {
+    queue.process(name, async (job) => {
+      console.log(`⚙️ Processing ${queueName}/${name} job ${job.id} (attempt ${job.attemptsMade + 1})`);
+      return processor(job.data, job);
+    });
+  }
 };
 
+/**
+ * Process notification jobs
+ */
+const processNotifications = (processors) => registerProcessors('notifications', processors);
+
+/**
+ * Process email jobs
+ */
+const processEmails = (processors) => registerProcessors('emails', processors);
+
+/**
+ * Process payment jobs
+ */
+const processPayments = (processors) => registerProcessors('payments', processors);
+
 /**
  * Process booking jobs
  */
@@ -174,20 +276,31 @@ const processBookings = (processor) => {
   });
 };
 
+/**
+ * Process scheduled booking jobs
+ * @param {Object} handlers - { dispatch, remind } keyed by job name below
+ */
+const processScheduledBookings = ({ dispatch, remind }) => {
+  if (!bookingQueue) return;
+  
+  bookingQueue.process('dispatch-scheduled', async (job) => {
+    console.log(`🗓️ Processing scheduled dispatch job ${job.id}`);
+    await dispatch(job.data);
+  });
+  
+  bookingQueue.process('scheduled-reminder', async (job) => {
+    console.log(`⏰ Processing scheduled reminder job ${job.id}`);
+    await remind(job.data);
+  });
+};
+
 /**
  * Get queue health stats
  */
 const getQueueStats = async () => {
   const stats = {};
   
-  const queues = [
-    { name: 'notifications', queue: notificationQueue },
-    { name: 'emails', queue: emailQueue },
-    { name: 'payments', queue: paymentQueue },
-    { name: 'bookings', queue: bookingQueue },
-  ];
-  
-  for (const { name, queue } of queues) {
+  for (const [name, queue] of Object.entries(queues)) {
     if (queue) {
       const [waiting, active, completed, failed] = await Promise.all([
         queue.getWaitingCount(),
@@ -205,13 +318,67 @@ const getQueueStats = async () => {
   return stats;
 };
 
+/**
+ * Queue by name
+ * @returns {Queue|null|undefined} null in mock mode, undefined if unknown
+ */
+const getQueue = (queueName) => queues[queueName];
+
+const serializeJob = (job) => ({
+  id: job.id,
+  name: job.name,
+  data: job.data,
+  attemptsMade: job.attemptsMade,
+  maxAttempts: job.opts?.attempts || 1,
+  failedReason: job.failedReason,
+  stacktrace: job.stacktrace,
+  createdAt: new Date(job.timestamp),
+  processedAt: job.processedOn ? new Date(job.processedOn) : null,
+  failedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+});
+
+/**
+ * Failed jobs on a queue, most recent first
+ * @returns {Promise<Object>} { jobs, total }
+ */
+const getFailedJobs = async (queueName, { start = 0, end = 19 } = {}) => {
+  const queue = queues[queueName];
+  const [jobs, total] = await Promise.all([
+    queue.getFailed(start, end),
+    queue.getFailedCount(),
+  ]);
+
+  return { jobs: jobs.filter(Boolean).map(serializeJob), total };
+};
+
+/**
+ * Move a failed job back to waiting
+ * @returns {Promise<Object|null>} The job, or null if it isn't a failed job on this queue
+ */
+const retryFailedJob = async (queueName, jobId) => {
+  const job = await queues[queueName].getJob(jobId);
+  if (!job || !(await job.isFailed())) return null;
+
+  await job.retry();
+  return serializeJob(job);
+};
+
+/**
+ * Retry every failed job on a queue
+ * @returns {Promise<number>} Jobs retried
+ */
+const retryAllFailedJobs = async (queueName) => {
+  const jobs = (await queues[queueName].getFailed()).filter(Boolean);
+  await Promise.all(jobs.map(job => job.retry()));
+  return jobs.length;
+};
+
 /**
  * Graceful shutdown
  */
 const closeQueues = async () => {
-  const queues = [notificationQueue, emailQueue, paymentQueue, bookingQueue];
   await Promise.all(
-    queues.filter(q => q).map(q => q.close())
+    Object.values(queues).filter(q => q).map(q => q.close())
   );
   console.log('✅ All queues closed');
 };
@@ -221,10 +388,18 @@ module.exports = {
   queueEmail,
   queuePaymentProcess,
   queueBookingBroadcast,
+  scheduleBookingJob,
+  scheduleRepeatingJob,
+  removeBookingJob,
   processNotifications,
   processEmails,
   processPayments,
   processBookings,
+  processScheduledBookings,
   getQueueStats,
+  getQueue,
+  getFailedJobs,
+  retryFailedJob,
+  retryAllFailedJobs,
   closeQueues,
 };
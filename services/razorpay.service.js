@@ -279,6 +279,7 @@ class RazorpayService {
           currency: order.currency,
           status: order.status,
           attempts: order.attempts,
+          notes: order.notes || {},
           createdAt: new Date(order.created_at * 1000),
         },
       };
@@ -236,21 +236,105 @@ class RedisService {
     await this.delete(`mechanic:location:${mechanicId}`);
   }
 
-  async getNearbyMechanics(longitude, latitude, radiusKm = 10) {
-    const results = await this.client.geoSearch('mechanic:locations', {
+  // Nearest first: [{ member, distance (km, string), coordinates: { longitude, latitude } }]
+  async getNearbyMechanics(longitude, latitude, radiusKm = 10, count = 100) {
+    const results = await this.client.geoSearchWith('mechanic:locations', {
       longitude,
       latitude,
     }, {
       radius: radiusKm,
       unit: 'km',
-    }, {
-      WITHDIST: true,
-      WITHCOORD: true,
+    }, ['WITHDIST', 'WITHCOORD'], {
       SORT: 'ASC',
+      COUNT: count,
     });
     return results;
   }
 
+  // Which of these mechanics still have a live mechanic:online:* presence key
+  async getMechanicsPresence(mechanicIds) {
+    if (mechanicIds.length === 0) return [];
+    const values = await this.client.mGet(mechanicIds.map(id => `mechanic:online:${id}`));
+    return values.map(value => value !== null);
+  }
+
+  // Busy set — mirrors Mechanic.isBusy so search can skip busy mechanics without Mongo
+  async markMechanicBusy(mechanicId) {
+    await this.client.sAdd('mechanic:busy', mechanicId.toString());
+  }
+
+  async markMechanicFree(mechanicId) {
+    await this.client.sRem('mechanic:busy', mechanicId.toString());
+  }
+
+  async getMechanicsBusy(mechanicIds) {
+    if (mechanicIds.length === 0) return [];
+    const flags = await this.client.smIsMember('mechanic:busy', mechanicIds);
+    return flags.map(Boolean);
+  }
+
+  // Drop GEO members (mechanics that went offline without cleaning up)
+  async pruneMechanicLocations(mechanicIds) {
+    if (mechanicIds.length === 0) return;
+    await this.client.zRem('mechanic:locations', mechanicIds);
+  }
+
+  // Dispatch outcomes per mechanic (offered / accepted / rejected / timedOut),
+  // kept for a rolling week — feeds the acceptance rate used in ranking
+  async recordDispatchOutcome(mechanicId, outcome) {
+    const key = `mechanic:dispatch:stats:${mechanicId}`;
+    await this.client.hIncrBy(key, outcome, 1);
+    await this.client.expire(key, 7 * 24 * 3600);
+  }
+
+  async getDispatchStats(mechanicIds) {
+    const stats = await Promise.all(
+      mechanicIds.map(id => this.client.hGetAll(`mechanic:dispatch:stats:${id}`))
+    );
+    return mechanicIds.reduce((acc, id, i) => {
+      const s = stats[i] || {};
+      acc[id] = {
+        offered: parseInt(s.offered) || 0,
+        accepted: parseInt(s.accepted) || 0,
+        rejected: parseInt(s.rejected) || 0,
+        timedOut: parseInt(s.timedOut) || 0,
+      };
+      return acc;
+    }, {});
+  }
+
+  // Socket event outbox per recipient (see services/socketOutbox.service):
+  // outbox:seq:<recipient> counter, outbox:events:<recipient> sorted set by seq
+  async appendOutboxEvent(recipient, entry, { maxEvents, ttlSeconds, seqTtlSeconds }) {
+    const seqKey = `outbox:seq:${recipient}`;
+    const eventsKey = `outbox:events:${recipient}`;
+
+    const seq = await this.client.incr(seqKey);
+    await this.client.multi()
+      .zAdd(eventsKey, { score: seq, value: JSON.stringify({ ...entry, seq }) })
+      .zRemRangeByRank(eventsKey, 0, -(maxEvents + 1))
+      .expire(eventsKey, ttlSeconds)
+      .expire(seqKey, seqTtlSeconds)
+      .exec();
+
+    return seq;
+  }
+
+  async getOutboxSeq(recipient) {
+    return parseInt(await this.client.get(`outbox:seq:${recipient}`)) || 0;
+  }
+
+  // Events with seq in (afterSeq, upToSeq]
+  async getOutboxEvents(recipient, afterSeq, upToSeq = '+inf') {
+    const values = await this.client.zRangeByScore(`outbox:events:${recipient}`, `(${afterSeq}`, upToSeq);
+    return values.map(value => JSON.parse(value));
+  }
+
+  // Acked — everything up to and including seq
+  async ackOutboxEvents(recipient, seq) {
+    await this.client.zRemRangeByScore(`outbox:events:${recipient}`, '-inf', seq);
+  }
+
   // Cleanup
   async disconnect() {
     if (this.client) {
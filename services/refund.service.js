@@ -0,0 +1,310 @@
+/**
+ * Refund Service
+ *
+ * Moves money back for cancelled or disputed bookings and keeps one Refund
+ * record per refund. A refund is split across the legs the booking was paid
+ * with:
+ * - online leg → razorpayService.initiateRefund on the original payment
+ *   (async — settled by the refund.processed / refund.failed webhook)
+ * - wallet leg → walletController.creditRefund (instant). Covers the
+ *   wallet-paid part and, for complaint refunds, anything paid in cash.
+ *
+ * The online leg is refunded first so money goes back to where it came from.
+ * Online payments a booking didn't need are returned with refundOverpayment()
+ * and kept out of the paid/refunded totals.
+ * Split payments (services/bookingPayment.service) unwind the same way: the
+ * online part to the card/UPI, the wallet and cash parts to the wallet.
+ * After every refund Booking.paymentStatus becomes REFUNDED (everything paid
+ * has been refunded) or PARTIALLY_PAID (part of it has).
+ */
+
+const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const razorpayService = require('./razorpay.service');
+const walletController = require('../controller/wallet.controller');
+const RedisLock = require('../utils/redisLock');
+const { roundAmount } = require('../utils/pricingEngine');
+
+const PAID_STATUSES = ['PAID', 'PARTIALLY_PAID', 'REFUNDED'];
+
+class RefundService {
+  /**
+   * What the user paid, per leg
+   * @param {Object} booking - Booking document
+   * @returns {Object} { online, wallet, cash, total }
+   */
+  getPaidAmounts(booking) {
+    const details = booking.paymentDetails || {};
+    let online = details.onlineAmount || 0;
+    let wallet = details.walletAmount || 0;
+    let cash = details.cashAmount || 0;
+
+    // Bookings paid before per-leg amounts were recorded
+    if (!online && !wallet && !cash && PAID_STATUSES.includes(booking.paymentStatus)) {
+      const total = booking.pricing?.totalAmount || 0;
+      if (details.razorpayPaymentId) online = total;
+      else if (booking.paymentMethod === 'WALLET') wallet = total;
+      else cash = total;
+    }
+
+    return { online, wallet, cash, total: roundAmount(online + wallet + cash) };
+  }
+
+  /**
+   * Already refunded (or in flight), per leg — failed legs don't count
+   * @param {ObjectId} bookingId
+   * @returns {Promise<Object>} { online, wallet, total }
+   */
+  async getRefundedAmounts(bookingId) {
+    const refunds = await Refund.find({ bookingId, source: { $ne: 'OVERPAYMENT' } });
+    const sumLeg = (leg) => refunds.reduce(
+      (sum, refund) => sum + (refund[leg].status !== 'FAILED' ? refund[leg].amount : 0),
+      0
+    );
+
+    const online = roundAmount(sumLeg('online'));
+    const wallet = roundAmount(sumLeg('wallet'));
+    return { online, wallet, total: roundAmount(online + wallet) };
+  }
+
+  /**
+   * Amount that can still be refunded on a booking
+   * @param {Object} booking - Booking document
+   * @returns {Promise<Object>} { total, online } remaining
+   */
+  async getRefundableAmount(booking) {
+    const paid = this.getPaidAmounts(booking);
+    const refunded = await this.getRefundedAmounts(booking._id);
+
+    return {
+      total: Math.max(roundAmount(paid.total - refunded.total), 0),
+      online: Math.max(roundAmount(paid.online - refunded.online), 0),
+    };
+  }
+
+  /**
+   * Refund a booking (full by default, partial when amount is given)
+   * @param {Object} booking - Booking document
+   * @param {Object} options - { amount, reason, source, initiatedBy, initiatedByAdmin, complaintId }
+   * @returns {Promise<Object|null>} Refund document, or null if nothing is refundable
+   */
+  async refundBooking(booking, options = {}) {
+    const lockKey = `lock:booking:refund:${booking._id}`;
+
+    const { locked, result } = await RedisLock.withLock(lockKey, () => this.createRefund(booking, options), 30);
+    if (locked) {
+      throw new Error('A refund for this booking is already in progress');
+    }
+
+    return result;
+  }
+
+  /**
+   * Return (part of) an online payment the booking didn't need. Idempotent
+   * per Razorpay payment.
+   * @param {Object} booking - Booking document
+   * @param {Object} payment - { paymentId, amount, reason }
+   * @returns {Promise<Object>} Refund document
+   */
+  async refundOverpayment(booking, { paymentId, amount, reason = 'Booking was already paid' }) {
+    const filter = { source: 'OVERPAYMENT', 'online.razorpayPaymentId': paymentId };
+
+    // Redelivered webhook, or verify-payment after the webhook — only a failed gateway call is retried
+    let refund = await Refund.findOne(filter);
+    if (refund && refund.online.status !== 'FAILED') return refund;
+
+    if (!refund) {
+      try {
+        refund = await Refund.create({
+          bookingId: booking._id,
+          userId: booking.userId?._id || booking.userId,
+          amount: roundAmount(amount),
+          reason,
+          source: 'OVERPAYMENT',
+          online: { amount: roundAmount(amount), razorpayPaymentId: paymentId },
+        });
+      } catch (error) {
+        // Lost the race to the other caller
+        if (error.code === 11000) return Refund.findOne(filter);
+        throw error;
+      }
+    }
+
+    await this.processOnlineLeg(refund, booking);
+    refund.syncStatus();
+    await refund.save();
+
+    console.log(`💸 Overpayment refund ${refund.refundId} for booking ${booking.bookingId}: ₹${refund.amount} of payment ${paymentId} → ${refund.status}`);
+    return refund;
+  }
+
+  /**
+   * Create and process a refund (caller holds the booking refund lock)
+   */
+  async createRefund(booking, options) {
+    const {
+      amount,
+      reason = 'Booking refund',
+      source = 'CANCELLATION',
+      initiatedBy = 'SYSTEM',
+      initiatedByAdmin,
+      complaintId,
+    } = options;
+
+    const refundable = await this.getRefundableAmount(booking);
+    const refundAmount = roundAmount(Math.min(amount ?? refundable.total, refundable.total));
+
+    if (refundAmount <= 0) {
+      return null;
+    }
+
+    const onlineAmount = booking.paymentDetails?.razorpayPaymentId
+      ? Math.min(refundAmount, refundable.online)
+      : 0;
+    const walletAmount = roundAmount(refundAmount - onlineAmount);
+
+    const refund = await Refund.create({
+      bookingId: booking._id,
+      userId: booking.userId?._id || booking.userId,
+      complaintId,
+      amount: refundAmount,
+      reason,
+      source,
+      initiatedBy,
+      initiatedByAdmin,
+      online: {
+        amount: onlineAmount,
+        razorpayPaymentId: onlineAmount > 0 ? booking.paymentDetails.razorpayPaymentId : undefined,
+      },
+      wallet: { amount: walletAmount },
+    });
+
+    if (walletAmount > 0) {
+      await this.processWalletLeg(refund, booking);
+    }
+    if (onlineAmount > 0) {
+      await this.processOnlineLeg(refund, booking);
+    }
+
+    refund.syncStatus();
+    await refund.save();
+    await this.syncBookingPaymentStatus(booking);
+
+    console.log(`💸 Refund ${refund.refundId} for booking ${booking.bookingId}: ₹${refundAmount} (online ₹${onlineAmount}, wallet ₹${walletAmount}) → ${refund.status}`);
+    return refund;
+  }
+
+  /**
+   * Credit the wallet leg
+   */
+  async processWalletLeg(refund, booking) {
+    try {
+      const { transaction } = await walletController.creditRefund(
+        refund.userId,
+        refund.wallet.amount,
+        booking._id.toString(),
+        refund.reason
+      );
+      refund.wallet.status = 'COMPLETED';
+      refund.wallet.walletTransactionId = transaction._id;
+      refund.wallet.completedAt = new Date();
+    } catch (error) {
+      console.error(`❌ Wallet refund failed for ${refund.refundId}:`, error.message);
+      refund.wallet.status = 'FAILED';
+      refund.wallet.failureReason = error.message;
+    }
+  }
+
+  /**
+   * Start the online leg with Razorpay
+   */
+  async processOnlineLeg(refund, booking) {
+    const result = await razorpayService.initiateRefund(
+      refund.online.razorpayPaymentId,
+      refund.online.amount,
+      {
+        bookingId: booking._id.toString(),
+        refundId: refund.refundId,
+        reason: refund.reason,
+      }
+    );
+
+    if (!result.success) {
+      refund.online.status = 'FAILED';
+      refund.online.failureReason = result.error;
+      return;
+    }
+
+    refund.online.razorpayRefundId = result.refund.id;
+    if (result.refund.status === 'processed') {
+      refund.online.status = 'COMPLETED';
+      refund.online.completedAt = new Date();
+    } else {
+      refund.online.status = 'PROCESSING';
+    }
+  }
+
+  /**
+   * Settle the online leg from a Razorpay refund.* webhook
+   * @param {Object} razorpayRefund - Refund entity from the webhook
+   * @param {Boolean} succeeded - refund.processed (true) or refund.failed (false)
+   * @returns {Promise<Object|null>} Updated Refund, or null if unknown
+   */
+  async settleOnlineRefund(razorpayRefund, succeeded) {
+    const refund = await Refund.findOne({ 'online.razorpayRefundId': razorpayRefund.id });
+    if (!refund) return null;
+
+    const targetStatus = succeeded ? 'COMPLETED' : 'FAILED';
+    if (refund.online.status === targetStatus) return refund;
+
+    refund.online.status = targetStatus;
+    if (succeeded) {
+      refund.online.completedAt = new Date();
+    } else {
+      refund.online.failureReason = razorpayRefund.error_description || 'Refund failed at gateway';
+    }
+
+    refund.syncStatus();
+    await refund.save();
+
+    const booking = await Booking.findById(refund.bookingId);
+    if (booking) {
+      await this.syncBookingPaymentStatus(booking);
+    }
+
+    return refund;
+  }
+
+  /**
+   * Set Booking.paymentStatus from paid vs refunded totals
+   */
+  async syncBookingPaymentStatus(booking) {
+    const paid = this.getPaidAmounts(booking);
+    const refunded = await this.getRefundedAmounts(booking._id);
+
+    let paymentStatus = booking.paymentStatus;
+    if (refunded.total > 0) {
+      paymentStatus = refunded.total >= paid.total ? 'REFUNDED' : 'PARTIALLY_PAID';
+    } else if (['REFUNDED', 'PARTIALLY_PAID'].includes(paymentStatus) && paid.total > 0) {
+      // Every refund failed — back to what the legs cover (a split payment
+      // may still have a part due)
+      paymentStatus = paid.total >= roundAmount(booking.pricing?.totalAmount) ? 'PAID' : 'PARTIALLY_PAID';
+    }
+
+    if (paymentStatus !== booking.paymentStatus) {
+      await Booking.updateOne({ _id: booking._id }, { $set: { paymentStatus } });
+      booking.paymentStatus = paymentStatus;
+    }
+
+    return paymentStatus;
+  }
+
+  /**
+   * Refunds for a booking, newest first
+   */
+  async getBookingRefunds(bookingId) {
+    return Refund.find({ bookingId }).sort({ createdAt: -1 });
+  }
+}
+
+module.exports = new RefundService();
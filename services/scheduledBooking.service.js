@@ -0,0 +1,390 @@
+/**
+ * Scheduled Booking Service
+ *
+ * Bookings for a slot further out than DISPATCH_LEAD_MINUTES are created as
+ * SCHEDULED and left alone until shortly before the slot:
+ * - a delayed 'dispatch-scheduled' job on the Bull bookings queue moves the
+ *   booking to SEARCHING and hands it to bookingQueueService.startQueue
+ * - 'scheduled-reminder' jobs notify the user ahead of the slot
+ *
+ * Jobs carry the slot they were created for, so a job left over from before
+ * a reschedule finds a different scheduledAt and does nothing.
+ *
+ * Without Redis (queue mock mode) the same handlers run on in-process timers;
+ * restore() re-arms them on startup from the SCHEDULED bookings in Mongo.
+ *
+ * A booking whose slot passed more than STALE_GRACE_MINUTES ago before it
+ * could be dispatched (server down, queue backed up) is EXPIRED instead: the
+ * user is told, the promo code released and any upfront payment refunded.
+ */
+
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const queueService = require('./queue.service');
+const socketService = require('./socket.service');
+const firebaseService = require('./firebase.service');
+const NotificationService = require('./notification.service');
+const bookingStateMachine = require('./bookingStateMachine.service');
+const promoService = require('./promo.service');
+const refundService = require('./refund.service');
+const notificationController = require('../controller/notification.controller');
+
+// Start looking for a mechanic this long before the slot
+const DISPATCH_LEAD_MINUTES = parseInt(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES) || 30;
+// Remind the user this long before the slot (skipped if already past)
+const REMINDER_OFFSETS_MINUTES = [24 * 60, 60];
+const MAX_ADVANCE_DAYS = 7;
+// Two bookings closer than this to each other count as the same time window
+const SLOT_WINDOW_MINUTES = 120;
+// Still dispatch a booking this long after its slot; later than that it expires
+const STALE_GRACE_MINUTES = parseInt(process.env.SCHEDULED_STALE_GRACE_MINUTES) || 30;
+
+const ACTIVE_STATUSES = ['PENDING', 'SEARCHING', 'ASSIGNED', 'ACCEPTED', 'EN_ROUTE', 'ARRIVED', 'IN_PROGRESS'];
+
+const MINUTE_MS = 60 * 1000;
+
+class ScheduledBookingService {
+  constructor() {
+    this.DISPATCH_LEAD_MINUTES = DISPATCH_LEAD_MINUTES;
+    this.SLOT_WINDOW_MINUTES = SLOT_WINDOW_MINUTES;
+    this.timers = new Map(); // bookingId -> [timeout] (mock mode only)
+  }
+
+  /**
+   * Check a requested slot
+   * @param {Date|string} scheduledAt
+   * @returns {string|null} Error message, or null if the slot is acceptable
+   */
+  validateSlot(scheduledAt) {
+    const slot = new Date(scheduledAt);
+
+    if (isNaN(slot.getTime())) {
+      return 'Invalid scheduled time';
+    }
+    if (slot <= new Date()) {
+      return 'Scheduled time must be in the future';
+    }
+    if (slot - Date.now() > MAX_ADVANCE_DAYS * 24 * 60 * MINUTE_MS) {
+      return `Bookings can be scheduled at most ${MAX_ADVANCE_DAYS} days ahead`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a slot is far enough out to hold the booking until later
+   * (closer slots are dispatched right away like an instant booking)
+   */
+  shouldDefer(scheduledAt) {
+    if (!scheduledAt) return false;
+    return new Date(scheduledAt) - Date.now() > DISPATCH_LEAD_MINUTES * MINUTE_MS;
+  }
+
+  /**
+   * A booking of the user's that occupies the same time window as `slot`
+   * - SCHEDULED bookings conflict when their slot is within SLOT_WINDOW_MINUTES
+   * - active bookings conflict when `slot` itself is within the window from now
+   * @param {string} userId
+   * @param {Date} slot - Requested slot (now for instant bookings)
+   * @param {string} [excludeId] - Booking being rescheduled
+   */
+  async findConflictingBooking(userId, slot, excludeId) {
+    const windowMs = SLOT_WINDOW_MINUTES * MINUTE_MS;
+    const filter = {
+      userId,
+      $or: [
+        {
+          status: 'SCHEDULED',
+          scheduledAt: {
+            $gt: new Date(slot.getTime() - windowMs),
+            $lt: new Date(slot.getTime() + windowMs),
+          },
+        },
+      ],
+    };
+
+    if (slot.getTime() - Date.now() < windowMs) {
+      filter.$or.push({ status: { $in: ACTIVE_STATUSES } });
+    }
+    if (excludeId) {
+      filter._id = { $ne: excludeId };
+    }
+
+    return Booking.findOne(filter).select('bookingId status scheduledAt');
+  }
+
+  /**
+   * Queue the dispatch and reminder jobs for a SCHEDULED booking
+   * @param {Object} booking - Booking document
+   */
+  async schedule(booking) {
+    const bookingId = booking._id.toString();
+    const slot = new Date(booking.scheduledAt);
+    const slotTs = slot.getTime();
+    const dispatchAt = new Date(slotTs - DISPATCH_LEAD_MINUTES * MINUTE_MS);
+    const data = { bookingId, scheduledAt: slot.toISOString() };
+
+    const dispatchJobId = `dispatch-${bookingId}-${slotTs}`;
+    await this.enqueue('dispatch-scheduled', data, dispatchAt, dispatchJobId);
+
+    const reminderJobIds = [];
+    for (const minutesBefore of REMINDER_OFFSETS_MINUTES) {
+      const remindAt = new Date(slotTs - minutesBefore * MINUTE_MS);
+      if (remindAt <= new Date()) continue;
+
+      const jobId = `reminder-${bookingId}-${slotTs}-${minutesBefore}`;
+      await this.enqueue('scheduled-reminder', { ...data, minutesBefore }, remindAt, jobId);
+      reminderJobIds.push(jobId);
+    }
+
+    booking.schedule = {
+      ...(booking.schedule?.toObject ? booking.schedule.toObject() : booking.schedule),
+      dispatchAt,
+      dispatchJobId,
+      reminderJobIds,
+    };
+    await booking.save();
+
+    console.log(`🗓️ Booking ${booking.bookingId} scheduled for ${slot.toISOString()}, dispatch at ${dispatchAt.toISOString()}`);
+  }
+
+  /**
+   * Drop pending jobs for a booking (cancel / reschedule)
+   * @param {Object} booking - Booking document
+   */
+  async unschedule(booking) {
+    const bookingId = booking._id.toString();
+    const jobIds = [booking.schedule?.dispatchJobId, ...(booking.schedule?.reminderJobIds || [])]
+      .filter(Boolean);
+
+    for (const jobId of jobIds) {
+      try {
+        await queueService.removeBookingJob(jobId);
+      } catch (error) {
+        // A stale job is harmless — its handler re-checks the booking
+        console.warn(`⚠️ Could not remove job ${jobId}:`, error.message);
+      }
+    }
+
+    const timers = this.timers.get(bookingId) || [];
+    timers.forEach(clearTimeout);
+    this.timers.delete(bookingId);
+  }
+
+  /**
+   * Add a delayed job, or arm a local timer when queues are in mock mode
+   */
+  async enqueue(name, data, runAt, jobId) {
+    const delay = Math.max(runAt - Date.now(), 0);
+    const job = await queueService.scheduleBookingJob(name, data, { delay, jobId });
+    if (job) return;
+
+    const handler = name === 'dispatch-scheduled' ? this.dispatch : this.remind;
+    const timer = setTimeout(() => {
+      handler.call(this, data).catch((error) => {
+        console.error(`❌ Scheduled ${name} for booking ${data.bookingId} failed:`, error.message);
+      });
+    }, delay);
+    timer.unref?.();
+
+    const timers = this.timers.get(data.bookingId) || [];
+    timers.push(timer);
+    this.timers.set(data.bookingId, timers);
+  }
+
+  /**
+   * Job handler: SCHEDULED → SEARCHING and start the mechanic queue
+   * @param {Object} data - { bookingId, scheduledAt }
+   */
+  async dispatch({ bookingId, scheduledAt }) {
+    if (this.isStale(scheduledAt)) {
+      return this.expire({ bookingId, scheduledAt });
+    }
+
+    // Claim atomically — a cancelled or rescheduled booking won't match
+    const booking = await bookingStateMachine.transitionWhere(
+      { _id: bookingId, status: 'SCHEDULED', scheduledAt: new Date(scheduledAt) },
+      'SEARCHING',
+      {
+        actor: { type: 'SYSTEM' },
+        note: 'Scheduled slot approaching, searching for nearby mechanics',
+      }
+    );
+
+    if (!booking) {
+      console.log(`ℹ️ Skipping scheduled dispatch for ${bookingId} (no longer scheduled for this slot)`);
+      return null;
+    }
+
+    this.timers.delete(bookingId);
+
+    if (socketService.isConnected) {
+      socketService.emitToUser(booking.userId.toString(), 'booking:status', {
+        bookingId: booking._id.toString(),
+        status: 'SEARCHING',
+        scheduledAt: booking.scheduledAt,
+        message: 'Finding a mechanic for your scheduled service',
+      });
+    }
+
+    // Lazy require — the booking controller depends on this service
+    const { dispatchToNearbyMechanics } = require('../controller/booking.controller');
+    const mechanics = await dispatchToNearbyMechanics(booking);
+
+    console.log(`🗓️ Dispatched scheduled booking ${booking.bookingId} to ${mechanics.length} mechanics`);
+    return booking;
+  }
+
+  /**
+   * Slot passed too long ago to still send a mechanic
+   */
+  isStale(scheduledAt) {
+    return Date.now() - new Date(scheduledAt).getTime() > STALE_GRACE_MINUTES * MINUTE_MS;
+  }
+
+  /**
+   * SCHEDULED → EXPIRED for a slot missed while we were down; gives the
+   * promo code and any upfront payment back and tells the user
+   * @param {Object} data - { bookingId, scheduledAt }
+   */
+  async expire({ bookingId, scheduledAt }) {
+    const booking = await bookingStateMachine.transitionWhere(
+      { _id: bookingId, status: 'SCHEDULED', scheduledAt: new Date(scheduledAt) },
+      'EXPIRED',
+      {
+        actor: { type: 'SYSTEM' },
+        note: 'Scheduled slot passed before a mechanic could be dispatched',
+      }
+    );
+
+    if (!booking) return null;
+
+    await this.unschedule(booking);
+    await promoService.release(booking);
+
+    if (['PAID', 'PARTIALLY_PAID'].includes(booking.paymentStatus)) {
+      try {
+        await refundService.refundBooking(booking, {
+          reason: 'Scheduled booking expired',
+          source: 'CANCELLATION',
+          initiatedBy: 'SYSTEM',
+        });
+      } catch (error) {
+        console.error(`❌ Refund failed for expired booking ${booking.bookingId}:`, error.message);
+      }
+    }
+
+    const userId = booking.userId.toString();
+    const message = 'We could not send a mechanic for your scheduled slot. Any payment has been refunded — please book again.';
+
+    if (socketService.isConnected) {
+      socketService.emitToUser(userId, 'booking:status', {
+        bookingId: booking._id.toString(),
+        status: 'EXPIRED',
+        scheduledAt: booking.scheduledAt,
+        message,
+      });
+    }
+
+    await queueService.queueNotification('push', {
+      recipientId: userId,
+      recipientModel: 'User',
+      template: 'sendBookingCancellationNotification',
+      args: [{
+        bookingId: booking._id.toString(),
+        serviceName: booking.serviceSnapshot?.name || 'Service',
+        reason: 'Scheduled slot missed',
+        cancelledBy: 'system',
+      }, 'user'],
+    }, { jobId: `push:booking-expired:${booking._id}:user` });
+
+    await notificationController.queueBookingNotification(
+      `booking-expired:${booking._id}:user`,
+      booking.userId,
+      'Scheduled Booking Expired',
+      message,
+      booking._id
+    );
+
+    console.log(`⌛ Scheduled booking ${booking.bookingId} expired — slot ${booking.scheduledAt.toISOString()} was missed`);
+    return booking;
+  }
+
+  /**
+   * Job handler: remind the user about an upcoming booking
+   * @param {Object} data - { bookingId, scheduledAt, minutesBefore }
+   */
+  async remind({ bookingId, scheduledAt, minutesBefore }) {
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        status: 'SCHEDULED',
+        scheduledAt: new Date(scheduledAt),
+        'schedule.remindersSent': { $ne: minutesBefore },
+      },
+      { $addToSet: { 'schedule.remindersSent': minutesBefore } },
+      { new: true }
+    );
+
+    if (!booking) return null;
+
+    const slotLabel = booking.scheduledAt.toLocaleString('en-IN', {
+      timeZone: 'Asia/Kolkata',
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    });
+
+    await NotificationService.sendScheduledBookingReminderNotification(booking.userId, booking, slotLabel);
+
+    const user = await User.findById(booking.userId).select('fcmToken');
+    if (user?.fcmToken) {
+      await firebaseService.sendScheduledBookingReminderNotification(user.fcmToken, {
+        bookingId: booking._id.toString(),
+        serviceName: booking.serviceSnapshot?.name || 'service',
+        scheduledAt: booking.scheduledAt.toISOString(),
+        slotLabel,
+      });
+    }
+
+    return booking;
+  }
+
+  /**
+   * Register queue processors and re-arm anything scheduled before a restart
+   */
+  async initialize() {
+    queueService.processScheduledBookings({
+      dispatch: (data) => this.dispatch(data),
+      remind: (data) => this.remind(data),
+    });
+
+    await this.restore();
+  }
+
+  /**
+   * Re-queue SCHEDULED bookings (idempotent — job ids are fixed per slot)
+   * and dispatch any whose dispatch time passed while we were down (or
+   * expire them, if the slot itself is long gone — see dispatch())
+   */
+  async restore() {
+    const bookings = await Booking.find({ status: 'SCHEDULED' });
+
+    for (const booking of bookings) {
+      try {
+        if (!this.shouldDefer(booking.scheduledAt)) {
+          await this.dispatch({ bookingId: booking._id, scheduledAt: booking.scheduledAt });
+        } else {
+          await this.schedule(booking);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to restore scheduled booking ${booking.bookingId}:`, error.message);
+      }
+    }
+
+    if (bookings.length > 0) {
+      console.log(`✅ Restored ${bookings.length} scheduled bookings`);
+    }
+  }
+}
+
+module.exports = new ScheduledBookingService();
@@ -0,0 +1,336 @@
+/**
+ * Service Reminder Service
+ *
+ * Reminds users to book a service again for a garage vehicle. A Service with
+ * reminderIntervalDays is due that many days after the vehicle's last
+ * COMPLETED booking for it. Bookings are tied to a vehicle by
+ * vehicleDetails.vehicleId, or by registration number for bookings made
+ * before the vehicle was saved.
+ *
+ * run() is the daily job: each due (vehicle, service) gets one in-app
+ * notification and one push, with a deep link that opens a booking
+ * pre-filled with the service, vehicle and last address. A reminder is sent
+ * once per completed booking (UserVehicle.reminders.log), so booking the
+ * service again is what re-arms it. Users can snooze a vehicle or opt it out.
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const UserVehicle = require('../models/UserVehicle');
+const UserAddress = require('../models/UserAddress');
+const NotificationService = require('./notification.service');
+const queueService = require('./queue.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_CRON = process.env.SERVICE_REMINDER_CRON || '0 10 * * *'; // 10 AM
+const REMINDER_TZ = 'Asia/Kolkata';
+const DUE_WINDOW_DAYS = 30; // Past this, a missed reminder is no longer sent
+const MAX_LOG_ENTRIES = 50;
+const MAX_SNOOZE_DAYS = 90;
+
+const vehicleLabel = (vehicle) =>
+  vehicle.nickname || [vehicle.make, vehicle.model].filter(Boolean).join(' ') || vehicle.registrationNumber || 'vehicle';
+
+class ServiceReminderService {
+  constructor() {
+    this.MAX_SNOOZE_DAYS = MAX_SNOOZE_DAYS;
+    this.timer = null;
+  }
+
+  /**
+   * Schedule the daily run (in the worker when Redis is configured)
+   */
+  async initialize() {
+    const job = await queueService.scheduleRepeatingJob('notifications', 'service-reminders', DAY_MS, {
+      cron: REMINDER_CRON,
+      tz: REMINDER_TZ,
+    });
+    if (job) return;
+
+    if (this.timer) clearInterval(this.timer);
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('❌ Service reminders failed:', error.message));
+    }, DAY_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Send every reminder that is due
+   * @returns {Promise<Object>} { due, sent }
+   */
+  async run(now = new Date()) {
+    const due = await this.findDue(now);
+    let sent = 0;
+
+    for (const candidate of due) {
+      try {
+        if (await this.send(candidate, now)) sent++;
+      } catch (error) {
+        console.error(`❌ Service reminder for vehicle ${candidate.vehicle._id} failed:`, error.message);
+      }
+    }
+
+    console.log(`🔧 Service reminders: ${sent} sent, ${due.length} due`);
+    return { due: due.length, sent };
+  }
+
+  /**
+   * (vehicle, service) pairs whose reminder falls due within the last
+   * DUE_WINDOW_DAYS and that haven't been reminded for their last booking
+   */
+  async findDue(now = new Date()) {
+    const services = await Service.find({ reminderIntervalDays: { $gte: 1 }, status: 'ACTIVE' })
+      .select('name reminderIntervalDays');
+    if (!services.length) return [];
+
+    const longestInterval = Math.max(...services.map(service => service.reminderIntervalDays));
+    const servicings = await this.latestServicings({
+      serviceId: { $in: services.map(service => service._id) },
+      completedAt: { $gte: new Date(now - (longestInterval + DUE_WINDOW_DAYS) * DAY_MS) },
+    });
+
+    const servicesById = new Map(services.map(service => [service._id.toString(), service]));
+
+    return servicings
+      .map(servicing => {
+        const service = servicesById.get(servicing.serviceId.toString());
+        return { ...servicing, service, dueAt: this.dueDate(servicing.completedAt, service) };
+      })
+      .filter(({ vehicle, service, lastBookingId, dueAt }) =>
+        dueAt <= now
+        && now - dueAt <= DUE_WINDOW_DAYS * DAY_MS
+        && !this.isMuted(vehicle, now)
+        && !this.wasReminded(vehicle, service._id, lastBookingId)
+      );
+  }
+
+  /**
+   * Latest completed booking per (garage vehicle, service)
+   * @param {Object} match - extra Booking filter (no top-level $and)
+   * @returns {Promise<Array>} [{ vehicle, serviceId, completedAt, lastBookingId, addressId }]
+   */
+  async latestServicings(match) {
+    const groups = await Booking.aggregate([
+      {
+        $match: {
+          status: 'COMPLETED',
+          completedAt: { $ne: null },
+          $and: [{
+            $or: [
+              { 'vehicleDetails.vehicleId': { $ne: null } },
+              { 'vehicleDetails.registrationNumber': { $type: 'string' } },
+            ],
+          }],
+          ...match,
+        },
+      },
+      { $sort: { completedAt: -1 } },
+      {
+        $group: {
+          _id: {
+            userId: '$userId',
+            serviceId: '$serviceId',
+            vehicleId: '$vehicleDetails.vehicleId',
+            registrationNumber: '$vehicleDetails.registrationNumber',
+          },
+          completedAt: { $first: '$completedAt' },
+          lastBookingId: { $first: '$_id' },
+          addressId: { $first: '$location.addressId' },
+        },
+      },
+    ]);
+    if (!groups.length) return [];
+
+    const vehicles = await UserVehicle.find({
+      $or: [
+        { _id: { $in: groups.map(group => group._id.vehicleId).filter(Boolean) } },
+        ...groups
+          .filter(group => group._id.registrationNumber)
+          .map(group => ({ userId: group._id.userId, registrationNumber: group._id.registrationNumber })),
+      ],
+    });
+
+    const byId = new Map(vehicles.map(vehicle => [vehicle._id.toString(), vehicle]));
+    const byRegistration = new Map(vehicles
+      .filter(vehicle => vehicle.registrationNumber)
+      .map(vehicle => [`${vehicle.userId}:${vehicle.registrationNumber}`, vehicle]));
+
+    // A vehicle can match groups by id and by registration — keep the latest per service
+    const latest = new Map();
+    for (const group of groups) {
+      const { userId, serviceId, vehicleId, registrationNumber } = group._id;
+      const vehicle = (vehicleId && byId.get(vehicleId.toString()))
+        || (registrationNumber && byRegistration.get(`${userId}:${registrationNumber}`));
+      if (!vehicle || !vehicle.userId.equals(userId)) continue;
+
+      const key = `${vehicle._id}:${serviceId}`;
+      if (latest.has(key) && latest.get(key).completedAt >= group.completedAt) continue;
+
+      latest.set(key, {
+        vehicle,
+        serviceId,
+        completedAt: group.completedAt,
+        lastBookingId: group.lastBookingId,
+        addressId: group.addressId || null,
+      });
+    }
+
+    return [...latest.values()];
+  }
+
+  /**
+   * Claim the reminder on the vehicle, then notify. The claim is what stops a
+   * second run (or a retried job) from sending it twice.
+   * @returns {Promise<Boolean>} whether the reminder was sent
+   */
+  async send({ vehicle, service, lastBookingId, addressId, dueAt }, now = new Date()) {
+    const claimed = await UserVehicle.findOneAndUpdate(
+      {
+        _id: vehicle._id,
+        'reminders.optedOut': { $ne: true },
+        $or: [{ 'reminders.snoozedUntil': null }, { 'reminders.snoozedUntil': { $lte: now } }],
+        'reminders.log': { $not: { $elemMatch: { serviceId: service._id, lastBookingId } } },
+      },
+      {
+        $push: {
+          'reminders.log': {
+            $each: [{ serviceId: service._id, lastBookingId, dueAt, sentAt: now }],
+            $slice: -MAX_LOG_ENTRIES,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) return false;
+
+    // Only pre-fill an address the user still has
+    const prefillAddressId = addressId && await UserAddress.exists({ _id: addressId, userId: vehicle.userId })
+      ? addressId.toString()
+      : undefined;
+
+    const reminder = {
+      serviceId: service._id.toString(),
+      serviceName: service.name,
+      vehicleId: vehicle._id.toString(),
+      vehicleLabel: vehicleLabel(vehicle),
+      addressId: prefillAddressId,
+      dueAt,
+      deepLink: this.buildDeepLink({
+        serviceId: service._id,
+        vehicleId: vehicle._id,
+        addressId: prefillAddressId,
+      }),
+    };
+
+    await NotificationService.sendServiceReminderNotification(vehicle.userId, reminder);
+
+    queueService.queueNotification('push', {
+      recipientId: vehicle.userId.toString(),
+      recipientModel: 'User',
+      template: 'sendServiceReminderNotification',
+      args: [reminder],
+    }, {
+      jobId: `service-reminder:${vehicle._id}:${service._id}:${lastBookingId}`,
+    }).catch(error => console.error('Error queueing service reminder push:', error.message));
+
+    return true;
+  }
+
+  /**
+   * App route for a pre-filled booking
+   */
+  buildDeepLink({ serviceId, vehicleId, addressId }) {
+    const params = new URLSearchParams({ serviceId: serviceId.toString(), vehicleId: vehicleId.toString() });
+    if (addressId) params.set('addressId', addressId.toString());
+    return `/booking/new?${params}`;
+  }
+
+  /**
+   * Reminder settings and due dates for one vehicle
+   */
+  async getUpcoming(vehicle, now = new Date()) {
+    const services = await Service.find({ reminderIntervalDays: { $gte: 1 } })
+      .select('name icon reminderIntervalDays');
+    const servicesById = new Map(services.map(service => [service._id.toString(), service]));
+
+    const servicings = services.length
+      ? await this.latestServicings({
+        userId: new mongoose.Types.ObjectId(vehicle.userId.toString()),
+        serviceId: { $in: services.map(service => service._id) },
+        $or: [
+          { 'vehicleDetails.vehicleId': vehicle._id },
+          ...(vehicle.registrationNumber ? [{ 'vehicleDetails.registrationNumber': vehicle.registrationNumber }] : []),
+        ],
+      })
+      : [];
+
+    const upcoming = servicings
+      .filter(servicing => servicing.vehicle._id.equals(vehicle._id))
+      .map(({ serviceId, completedAt, lastBookingId }) => {
+        const service = servicesById.get(serviceId.toString());
+        const dueAt = this.dueDate(completedAt, service);
+        const sent = (vehicle.reminders?.log || [])
+          .find(entry => entry.serviceId?.equals(serviceId) && entry.lastBookingId?.equals(lastBookingId));
+
+        return {
+          service: { id: service._id, name: service.name, icon: service.icon },
+          intervalDays: service.reminderIntervalDays,
+          lastServicedAt: completedAt,
+          lastBookingId,
+          dueAt,
+          overdue: dueAt <= now,
+          remindedAt: sent?.sentAt || null,
+        };
+      })
+      .sort((a, b) => a.dueAt - b.dueAt);
+
+    return {
+      optedOut: Boolean(vehicle.reminders?.optedOut),
+      snoozedUntil: this.isSnoozed(vehicle, now) ? vehicle.reminders.snoozedUntil : null,
+      upcoming,
+    };
+  }
+
+  /**
+   * Snooze a vehicle's reminders for `days` (0 clears the snooze)
+   */
+  async snooze(vehicle, days, now = new Date()) {
+    const update = days > 0
+      ? { $set: { 'reminders.snoozedUntil': new Date(now.getTime() + Math.min(days, MAX_SNOOZE_DAYS) * DAY_MS) } }
+      : { $unset: { 'reminders.snoozedUntil': 1 } };
+
+    return UserVehicle.findOneAndUpdate({ _id: vehicle._id }, update, { new: true });
+  }
+
+  /**
+   * Turn a vehicle's reminders off or back on
+   */
+  async setOptOut(vehicle, optedOut) {
+    return UserVehicle.findOneAndUpdate(
+      { _id: vehicle._id },
+      { $set: { 'reminders.optedOut': Boolean(optedOut) } },
+      { new: true }
+    );
+  }
+
+  dueDate(completedAt, service) {
+    return new Date(completedAt.getTime() + service.reminderIntervalDays * DAY_MS);
+  }
+
+  isSnoozed(vehicle, now) {
+    const until = vehicle.reminders?.snoozedUntil;
+    return Boolean(until && until > now);
+  }
+
+  isMuted(vehicle, now) {
+    return Boolean(vehicle.reminders?.optedOut) || this.isSnoozed(vehicle, now);
+  }
+
+  wasReminded(vehicle, serviceId, lastBookingId) {
+    return (vehicle.reminders?.log || [])
+      .some(entry => entry.serviceId?.equals(serviceId) && entry.lastBookingId?.equals(lastBookingId));
+  }
+}
+
+module.exports = new ServiceReminderService();
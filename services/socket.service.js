@@ -2,6 +2,7 @@ const { Server } = require('socket.io');
 const { createAdapter } = require('@socket.io/redis-adapter');
 const { createClient } = require('redis');
 const redisService = require('./redis.service');
+const socketOutbox = require('./socketOutbox.service');
 
 class SocketService {
   constructor() {
@@ -15,6 +16,13 @@ class SocketService {
     this.subClient = null;
   }
 
+  /**
+   * Whether this process serves sockets (false in workers and scripts)
+   */
+  get isConnected() {
+    return Boolean(this.io);
+  }
+
   /**
    * Initialize Socket.io with HTTP server and Redis adapter for horizontal scaling
    */
@@ -34,6 +42,7 @@ class SocketService {
     
     this.setupMiddleware();
     this.setupEventHandlers();
+    this.setupTrackingTeardown();
 
     console.log('✅ Socket.io initialized');
     return this.io;
@@ -94,8 +103,23 @@ class SocketService {
           return next(new Error('Invalid authentication token'));
         }
 
+        // Admin panel sockets (admin/support) may observe bookings
+        if (result.decoded.type === 'admin_access') {
+          const Admin = require('../models/Admin');
+          const admin = await Admin.findById(result.decoded.adminId).select('status role');
+          if (!admin || admin.status !== 'ACTIVE') {
+            return next(new Error('Invalid or disabled admin'));
+          }
+
+          socket.userId = admin._id.toString();
+          socket.userType = 'ADMIN';
+          socket.userRole = admin.role;
+          return next();
+        }
+
         socket.userId = result.decoded.id;
-        socket.userType = userType || result.decoded.role;
+        // The token's role decides what the socket may do — the handshake value is only a fallback
+        socket.userType = result.decoded.role || userType;
         socket.userRole = result.decoded.role;
 
         next();
@@ -123,6 +147,8 @@ class SocketService {
       if (socket.userType === 'MECHANIC') {
         this.mechanicSockets.set(socket.userId, socket.id);
         socket.join(`mechanic:${socket.userId}`);
+      } else if (socket.userType === 'ADMIN') {
+        socket.join(`admin:${socket.userId}`);
       } else {
         this.userSockets.set(socket.userId, socket.id);
         socket.join(`user:${socket.userId}`);
@@ -131,6 +157,26 @@ class SocketService {
       // Join user's personal room
       socket.join(socket.userId);
 
+      // Outbox: replay what was missed while disconnected, record acks
+      if (socket.userType === 'USER' || socket.userType === 'MECHANIC') {
+        const lastSeq = socket.handshake.auth.lastSeq;
+        if (lastSeq !== undefined && lastSeq !== null) {
+          this.replayOutbox(socket, lastSeq);
+        }
+
+        socket.on('outbox:sync', async (data) => {
+          await this.replayOutbox(socket, data?.lastSeq);
+        });
+
+        socket.on('outbox:ack', async (data) => {
+          try {
+            await socketOutbox.ack(socket.userType, socket.userId, data?.seq);
+          } catch (error) {
+            console.error('Outbox ack error:', error.message);
+          }
+        });
+      }
+
       // Handle mechanic location updates
       socket.on('mechanic:location', async (data) => {
         await this.handleMechanicLocation(socket, data);
@@ -209,21 +255,68 @@ class SocketService {
         await redisService.set(`mechanic:online:${mechanicId}`, 'true', 120); // 2 min TTL
       }
 
-      // Broadcast to users tracking this mechanic
-      this.io.to(`tracking:${mechanicId}`).emit('mechanic:location', {
-        mechanicId,
-        latitude,
-        longitude,
-        heading,
-        speed,
-        timestamp: Date.now(),
-      });
+      await this.emitBookingTracking(mechanicId, data);
 
     } catch (error) {
       console.error('Error updating mechanic location:', error);
     }
   }
 
+  /**
+   * Location to the sockets tracking the mechanic's active booking, ETA to
+   * the user, and a one-time "mark ARRIVED?" prompt for the mechanic inside
+   * the geofence. Also adds to the booking's breadcrumb trail. Without an
+   * active booking the location goes nowhere.
+   */
+  async emitBookingTracking(mechanicId, data) {
+    const etaService = require('./eta.service');
+    const result = await etaService.handleLocationUpdate(mechanicId, data);
+    if (!result) return;
+
+    const { booking, eta, suggestArrival, insideGeofence } = result;
+
+    try {
+      const locationHistoryService = require('./locationHistory.service');
+      await locationHistoryService.record(booking, mechanicId, data);
+    } catch (error) {
+      console.error('Error recording location history:', error.message);
+    }
+
+    this.io.to(this.trackingRoom(booking._id)).emit('mechanic:location', {
+      bookingId: booking._id,
+      mechanicId,
+      latitude: data.latitude,
+      longitude: data.longitude,
+      heading: data.heading,
+      speed: data.speed,
+      timestamp: Date.now(),
+    });
+
+    if (eta) {
+      this.emitToUser(booking.userId.toString(), 'booking:eta', {
+        bookingId: booking._id,
+        etaMinutes: insideGeofence ? 0 : eta.minutes,
+        distanceKm: eta.distanceKm,
+        speedSource: eta.speedSource,
+        mechanicLocation: {
+          latitude: data.latitude,
+          longitude: data.longitude,
+          heading: data.heading,
+        },
+        updatedAt: Date.now(),
+      });
+    }
+
+    if (suggestArrival) {
+      this.emitToMechanic(mechanicId, 'booking:arrival_suggested', {
+        bookingId: booking._id,
+        bookingCode: booking.bookingId,
+        distanceMeters: eta.distanceMeters,
+        message: 'You are at the customer location. Mark yourself as arrived?',
+      });
+    }
+  }
+
   /**
    * Handle mechanic online/offline status
    */
@@ -270,27 +363,33 @@ class SocketService {
         socket.emit('booking:accept:ack', { success: true, booking: result.booking });
       } else {
         // Fallback to direct accept if queue not found (legacy or direct assignment)
-        const Booking = require('../models/Booking');
-        const booking = await Booking.findOneAndUpdate(
+        const bookingStateMachine = require('./bookingStateMachine.service');
+        const booking = await bookingStateMachine.transitionWhere(
           {
             _id: bookingId,
             status: { $in: ['PENDING', 'SEARCHING'] },
             mechanicId: { $eq: null },
           },
+          'ACCEPTED',
           {
-            $set: {
-              mechanicId: mechanicId,
-              status: 'ACCEPTED',
-              acceptedAt: new Date(),
-            },
-          },
-          { new: true }
+            actor: { type: 'MECHANIC', id: mechanicId },
+            note: 'Accepted by mechanic (direct)',
+            set: { mechanicId },
+          }
         );
 
         if (!booking) {
           return socket.emit('booking:accept:ack', { success: false, error: 'Booking no longer available' });
         }
 
+        let pricedBooking = null;
+        try {
+          const pricingService = require('./pricing.service');
+          pricedBooking = await pricingService.lockTravelCharge(booking, { mechanicId });
+        } catch (error) {
+          console.error('Error locking travel charge:', error.message);
+        }
+
         // Notify user
         this.emitToUser(booking.userId.toString(), 'booking:accepted', {
           bookingId: booking._id,
@@ -298,7 +397,7 @@ class SocketService {
           message: 'A mechanic has accepted your request!',
         });
 
-        socket.emit('booking:accept:ack', { success: true, booking });
+        socket.emit('booking:accept:ack', { success: true, booking: pricedBooking || booking });
       }
     } catch (error) {
       console.error('Error accepting booking:', error);
@@ -332,39 +431,45 @@ class SocketService {
    * Handle booking status update
    */
   async handleBookingStatusUpdate(socket, data) {
-    const { bookingId, status, notes } = data;
+    const { bookingId, status, notes, otp } = data;
 
     try {
+      if (socket.userType !== 'MECHANIC') {
+        return socket.emit('booking:status:ack', { success: false, error: 'Only the assigned mechanic can update a booking' });
+      }
+
       const Booking = require('../models/Booking');
-      const booking = await Booking.findById(bookingId);
+      const bookingStateMachine = require('./bookingStateMachine.service');
+      const bookingOtpService = require('./bookingOtp.service');
+      const etaService = require('./eta.service');
+      const booking = await Booking.findOne({ _id: bookingId, mechanicId: socket.userId });
 
       if (!booking) {
         return socket.emit('booking:status:ack', { success: false, error: 'Booking not found' });
       }
 
-      // Validate status transition
-      const validTransitions = {
-        'ACCEPTED': ['EN_ROUTE', 'CANCELLED'],
-        'EN_ROUTE': ['ARRIVED', 'CANCELLED'],
-        'ARRIVED': ['IN_PROGRESS', 'CANCELLED'],
-        'IN_PROGRESS': ['COMPLETED', 'CANCELLED'],
-      };
+      // Same as POST /api/mechanic/job/:id/cancel — promo released, user refunded
+      if (status === 'CANCELLED') {
+        const cancellationService = require('./cancellation.service');
+        await cancellationService.cancelByMechanic(booking, { mechanicId: socket.userId, reason: notes });
+        return socket.emit('booking:status:ack', { success: true, status });
+      }
 
-      if (!validTransitions[booking.status]?.includes(status)) {
-        return socket.emit('booking:status:ack', { 
-          success: false, 
-          error: `Cannot transition from ${booking.status} to ${status}` 
-        });
+      // Starting work needs the customer's OTP, same as PUT /api/mechanic/job/:id/status
+      if (status === 'IN_PROGRESS') {
+        bookingStateMachine.assertTransition(booking.status, status, 'MECHANIC');
+        await bookingOtpService.verify(booking, otp);
       }
 
-      // Update booking
-      booking.status = status;
-      if (status === 'EN_ROUTE') booking.enRouteAt = new Date();
-      if (status === 'ARRIVED') booking.arrivedAt = new Date();
-      if (status === 'IN_PROGRESS') booking.startedAt = new Date();
-      if (status === 'COMPLETED') booking.completedAt = new Date();
-      if (notes) booking.mechanicNotes = notes;
-      await booking.save();
+      await bookingStateMachine.transition(booking, status, {
+        actor: { type: 'MECHANIC', id: socket.userId },
+        note: notes,
+        set: {
+          ...(notes && { mechanicNotes: notes }),
+          ...(status === 'ARRIVED' && etaService.arrivalCheck(booking)),
+          ...(status === 'COMPLETED' && booking.paymentStatus === 'FAILED' && { paymentStatus: 'PENDING' }),
+        },
+      });
 
       // Notify user
       this.emitToUser(booking.userId.toString(), 'booking:status', {
@@ -384,26 +489,106 @@ class SocketService {
 
       socket.emit('booking:status:ack', { success: true, status });
     } catch (error) {
-      console.error('Error updating booking status:', error);
-      socket.emit('booking:status:ack', { success: false, error: error.message });
+      console.error('Error updating booking status:', error.message);
+      socket.emit('booking:status:ack', {
+        success: false,
+        error: error.message,
+        code: error.errors?.code,
+        attemptsRemaining: error.errors?.attemptsRemaining,
+      });
     }
   }
 
   /**
-   * Handle user tracking request
+   * Room for live tracking of one booking
+   */
+  trackingRoom(bookingId) {
+    return `tracking:booking:${bookingId}`;
+  }
+
+  /**
+   * Handle tracking subscription — { bookingId, action: 'start' | 'stop' }
+   * Users can track their own booking while a mechanic is on it; admin and
+   * support sockets can observe any such booking.
    */
   async handleUserTracking(socket, data) {
-    const { mechanicId, action } = data;
+    const { bookingId, action } = data || {};
 
-    if (action === 'start') {
-      socket.join(`tracking:${mechanicId}`);
-      socket.emit('user:track:ack', { success: true, tracking: true });
-    } else {
-      socket.leave(`tracking:${mechanicId}`);
-      socket.emit('user:track:ack', { success: true, tracking: false });
+    if (!bookingId) {
+      return socket.emit('user:track:ack', { success: false, error: 'bookingId is required' });
+    }
+
+    const room = this.trackingRoom(bookingId);
+
+    if (action !== 'start') {
+      socket.leave(room);
+      return socket.emit('user:track:ack', { success: true, bookingId, tracking: false });
+    }
+
+    try {
+      const Booking = require('../models/Booking');
+      const etaService = require('./eta.service');
+
+      const filter = {
+        _id: bookingId,
+        status: { $in: etaService.TRACKED_STATUSES },
+        mechanicId: { $ne: null },
+      };
+      if (socket.userType !== 'ADMIN') {
+        filter.userId = socket.userId;
+      }
+
+      const booking = await Booking.findOne(filter)
+        .select('mechanicId status mechanicLocation estimatedArrival distanceRemainingKm');
+
+      if (!booking) {
+        return socket.emit('user:track:ack', {
+          success: false,
+          bookingId,
+          error: 'No active booking to track',
+        });
+      }
+
+      socket.join(room);
+
+      // Last known position so the map isn't empty until the next update
+      const [longitude, latitude] = booking.mechanicLocation?.coordinates || [];
+      socket.emit('user:track:ack', {
+        success: true,
+        bookingId,
+        tracking: true,
+        mechanicId: booking.mechanicId,
+        status: booking.status,
+        lastLocation: latitude !== undefined
+          ? { latitude, longitude, updatedAt: booking.mechanicLocation.updatedAt }
+          : null,
+        etaMinutes: booking.estimatedArrival ?? null,
+        distanceKm: booking.distanceRemainingKm ?? null,
+      });
+    } catch (error) {
+      console.error('Error starting tracking:', error.message);
+      socket.emit('user:track:ack', { success: false, bookingId, error: 'Could not start tracking' });
     }
   }
 
+  /**
+   * End tracking subscriptions once a booking leaves the tracked statuses
+   * (completed, cancelled, ...). Works across instances via the adapter.
+   */
+  setupTrackingTeardown() {
+    const bookingEventEmitter = require('./bookingEventEmitter.service');
+    const etaService = require('./eta.service');
+
+    bookingEventEmitter.on('booking:status-changed', ({ booking, from, to }) => {
+      if (!this.io) return;
+      if (!etaService.TRACKED_STATUSES.includes(from) || etaService.TRACKED_STATUSES.includes(to)) return;
+
+      const room = this.trackingRoom(booking._id);
+      this.io.to(room).emit('tracking:ended', { bookingId: booking._id, status: to });
+      this.io.in(room).socketsLeave(room);
+    });
+  }
+
   /**
    * Handle socket disconnection
    * PRODUCTION: If mechanic disconnects mid-request, auto-skip to next mechanic
@@ -433,11 +618,9 @@ class SocketService {
           // Check if mechanic is in an active booking queue
           const bookingQueueService = require('./bookingQueue.service');
           for (const [bookingId, queueData] of bookingQueueService.activeQueues) {
-            const currentMechanic = queueData.mechanics[queueData.currentIndex];
-            if (currentMechanic?.id === mechanicId) {
-              console.log(`⚡ Mechanic ${mechanicId} disconnected during active queue for booking ${bookingId} — auto-skipping`);
-              await bookingQueueService.skipToNextMechanic(bookingId, 'mechanic_disconnected');
-              break;
+            if (queueData.pending?.includes(mechanicId)) {
+              console.log(`⚡ Mechanic ${mechanicId} disconnected during active queue for booking ${bookingId} — withdrawing offer`);
+              await bookingQueueService.withdrawOffer(bookingId, mechanicId, 'mechanic_disconnected');
             }
           }
 
@@ -447,10 +630,9 @@ class SocketService {
             await Mechanic.findByIdAndUpdate(mechanicId, { isOnline: false });
           }
 
-          // Remove from Redis presence
-          if (redisService.isConnected) {
-            await redisService.delete(`mechanic:online:${mechanicId}`);
-          }
+          // Remove from Redis presence and the geo index
+          const mechanicSearchService = require('./mechanicSearch.service');
+          await mechanicSearchService.removeMechanic(mechanicId);
         } catch (error) {
           console.error('Error handling mechanic disconnect:', error.message);
         }
@@ -467,14 +649,66 @@ class SocketService {
    * Emit event to specific user
    */
   emitToUser(userId, event, data) {
-    this.io.to(`user:${userId}`).emit(event, data);
+    this.deliver('USER', userId, event, data).catch((error) => {
+      console.error(`Socket delivery error (${event} to user ${userId}):`, error.message);
+    });
   }
 
   /**
    * Emit event to specific mechanic
    */
   emitToMechanic(mechanicId, event, data) {
-    this.io.to(`mechanic:${mechanicId}`).emit(event, data);
+    this.deliver('MECHANIC', mechanicId, event, data).catch((error) => {
+      console.error(`Socket delivery error (${event} to mechanic ${mechanicId}):`, error.message);
+    });
+  }
+
+  /**
+   * Emit to a user/mechanic room. Events the outbox tracks are stored first
+   * and go out with their seq; if the outbox write fails the event is still
+   * emitted, just without replay. Without a socket server (worker process,
+   * scripts, before initialize) tracked events are still stored for replay.
+   */
+  async deliver(recipientType, recipientId, event, data) {
+    const room = `${recipientType === 'MECHANIC' ? 'mechanic' : 'user'}:${recipientId}`;
+
+    if (!socketOutbox.tracks(recipientType, event)) {
+      this.io?.to(room).emit(event, data);
+      return;
+    }
+
+    let payload = data;
+    try {
+      payload = await socketOutbox.record(recipientType, recipientId, event, data);
+    } catch (error) {
+      console.error(`Outbox record error (${event}):`, error.message);
+    }
+    this.io?.to(room).emit(event, payload);
+  }
+
+  /**
+   * Re-emit unacked outbox events after lastSeq to this socket, in order,
+   * then tell the client where it is now
+   */
+  async replayOutbox(socket, lastSeq) {
+    try {
+      if (!redisService.isConnected) {
+        socket.emit('outbox:synced', { lastSeq: null, replayed: 0 });
+        return;
+      }
+
+      const { events, currentSeq } = await socketOutbox.pendingSince(socket.userType, socket.userId, lastSeq);
+      for (const entry of events) {
+        socket.emit(entry.event, { ...entry.data, seq: entry.seq, replayed: true });
+      }
+
+      socket.emit('outbox:synced', { lastSeq: currentSeq, replayed: events.length });
+      if (events.length) {
+        console.log(`🔁 Replayed ${events.length} event(s) to ${socket.userType} ${socket.userId}`);
+      }
+    } catch (error) {
+      console.error('Outbox replay error:', error.message);
+    }
   }
 
   /**
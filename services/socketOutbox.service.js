@@ -0,0 +1,193 @@
+/**
+ * Socket Outbox Service
+ *
+ * Booking events a client must not miss are written to a per-recipient
+ * outbox in Redis before they are emitted, each with a sequence number:
+ *
+ *   outbox:seq:<USER|MECHANIC>:<id>     last sequence number
+ *   outbox:events:<USER|MECHANIC>:<id>  sorted set of { seq, event, data }
+ *
+ * The emitted payload carries `seq`. Clients ack with `outbox:ack { seq }`
+ * (everything up to seq), and after a reconnect send `outbox:sync
+ * { lastSeq }` (or auth.lastSeq in the handshake) to get the unacked events
+ * after it replayed in order, marked `replayed: true`.
+ *
+ * HIGH priority events still unacked after FALLBACK_DELAY_SECONDS go out as
+ * an FCM push (notifications/outbox-fallback job), so a user whose app was
+ * reconnecting or backgrounded still hears about them. Only recipients whose
+ * app has acked or synced recently get the fallback — older apps never ack,
+ * and would get every HIGH event twice.
+ *
+ * Without Redis events are emitted directly, as before.
+ */
+
+const redisService = require('./redis.service');
+const queueService = require('./queue.service');
+
+const MAX_EVENTS = 200;                   // Per recipient; older ones are dropped
+const EVENT_TTL_SECONDS = 24 * 3600;
+const SEQ_TTL_SECONDS = 30 * 24 * 3600;   // Outlives the events so seq never goes backwards for an active client
+const FALLBACK_DELAY_SECONDS = parseInt(process.env.SOCKET_FCM_FALLBACK_SECONDS) || 45;
+
+// Events kept for replay. push = FCM fallback message for HIGH priority events,
+// pushTo = recipient types that get it (default all).
+// replayWindowSeconds = stop replaying once the event is stale.
+const TRACKED_EVENTS = {
+  // Job offers already go out by FCM when made, and expire quickly
+  'booking:new': { priority: 'NORMAL', replayWindowSeconds: 60 },
+  'booking:accepted': {
+    priority: 'HIGH',
+    push: () => ({ title: 'Mechanic Assigned', body: 'A mechanic has accepted your request!' }),
+  },
+  // Mechanics also get it for offers withdrawn (accepted by someone else) —
+  // not worth a push for a job they may never have seen
+  'booking:cancelled': {
+    priority: 'HIGH',
+    pushTo: ['USER'],
+    push: (data) => ({ title: 'Booking Cancelled', body: data.reason || 'Your booking has been cancelled' }),
+  },
+  'booking:no-mechanic': {
+    priority: 'HIGH',
+    push: (data) => ({ title: 'No Mechanic Available', body: data.message || 'No mechanics are available right now' }),
+  },
+  'booking:collect_payment': {
+    priority: 'HIGH',
+    push: (data) => ({ title: 'Collect Payment', body: `Collect ₹${data.amount} for booking ${data.bookingCode}` }),
+  },
+  'booking:payment_confirmed': {
+    priority: 'HIGH',
+    push: () => ({ title: 'Payment Confirmed', body: 'Your payment is confirmed. Rate your service!' }),
+  },
+  'booking:status': { priority: 'NORMAL' },
+  'booking:completed': { priority: 'NORMAL' },
+  'booking:search-timeout': { priority: 'NORMAL' },
+  'booking:timeout': { priority: 'NORMAL', replayWindowSeconds: 60 },
+  'booking:otp_locked': { priority: 'NORMAL' },
+  'booking:price_final': { priority: 'NORMAL' }, // Push is sent with it
+  'title:unlocked': { priority: 'NORMAL' },
+};
+
+const RECIPIENT_MODELS = { USER: 'User', MECHANIC: 'Mechanic' };
+
+class SocketOutboxService {
+  /**
+   * Whether events for this recipient type go through the outbox
+   */
+  tracks(recipientType, event) {
+    return Boolean(TRACKED_EVENTS[event] && RECIPIENT_MODELS[recipientType] && redisService.isConnected);
+  }
+
+  recipientKey(recipientType, recipientId) {
+    return `${recipientType}:${recipientId}`;
+  }
+
+  ackingKey(recipientType, recipientId) {
+    return `outbox:acking:${this.recipientKey(recipientType, recipientId)}`;
+  }
+
+  /**
+   * Remember that this recipient's app speaks the outbox protocol
+   */
+  async markAcking(recipientType, recipientId) {
+    await redisService.set(this.ackingKey(recipientType, recipientId), 1, SEQ_TTL_SECONDS);
+  }
+
+  /**
+   * Whether an unacked HIGH event for this recipient should fall back to FCM
+   */
+  async wantsFallback(recipientType, recipientId, config) {
+    if (config.priority !== 'HIGH') return false;
+    if (config.pushTo && !config.pushTo.includes(recipientType)) return false;
+    return Boolean(await redisService.exists(this.ackingKey(recipientType, recipientId)));
+  }
+
+  /**
+   * Store an event and return the payload to emit (data + seq)
+   */
+  async record(recipientType, recipientId, event, data) {
+    const config = TRACKED_EVENTS[event];
+    // Round-trip through JSON so live and replayed payloads are identical
+    const payload = JSON.parse(JSON.stringify(data ?? {}));
+    const now = Date.now();
+
+    const seq = await redisService.appendOutboxEvent(
+      this.recipientKey(recipientType, recipientId),
+      {
+        event,
+        data: payload,
+        at: now,
+        ...(config.replayWindowSeconds && { expiresAt: now + config.replayWindowSeconds * 1000 }),
+      },
+      { maxEvents: MAX_EVENTS, ttlSeconds: EVENT_TTL_SECONDS, seqTtlSeconds: SEQ_TTL_SECONDS }
+    );
+
+    if (await this.wantsFallback(recipientType, recipientId, config)) {
+      await queueService.queueNotification('outbox-fallback', { recipientType, recipientId, seq }, {
+        jobId: `outbox:${this.recipientKey(recipientType, recipientId)}:${seq}`,
+        delay: FALLBACK_DELAY_SECONDS * 1000,
+      });
+    }
+
+    return { ...payload, seq };
+  }
+
+  /**
+   * Client has everything up to seq
+   */
+  async ack(recipientType, recipientId, seq) {
+    const value = parseInt(seq);
+    if (!Number.isFinite(value) || value < 1) return;
+    await redisService.ackOutboxEvents(this.recipientKey(recipientType, recipientId), value);
+    await this.markAcking(recipientType, recipientId);
+  }
+
+  /**
+   * Unacked events after lastSeq, oldest first, and the current seq
+   */
+  async pendingSince(recipientType, recipientId, lastSeq) {
+    const key = this.recipientKey(recipientType, recipientId);
+    const currentSeq = await redisService.getOutboxSeq(key);
+    await this.markAcking(recipientType, recipientId);
+
+    // A seq ahead of ours means the counter was reset (expired) — send everything
+    let afterSeq = parseInt(lastSeq) || 0;
+    if (afterSeq > currentSeq) afterSeq = 0;
+
+    if (afterSeq > 0) {
+      await redisService.ackOutboxEvents(key, afterSeq);
+    }
+
+    const now = Date.now();
+    const events = (await redisService.getOutboxEvents(key, afterSeq))
+      .filter(entry => !entry.expiresAt || entry.expiresAt > now);
+
+    return { events, currentSeq };
+  }
+
+  /**
+   * Job handler: push the event over FCM if the client still hasn't acked it
+   * @param {Object} data - { recipientType, recipientId, seq }
+   */
+  async sendFallback({ recipientType, recipientId, seq }) {
+    const key = this.recipientKey(recipientType, recipientId);
+    const [entry] = await redisService.getOutboxEvents(key, seq - 1, seq);
+    if (!entry) return; // Acked (or dropped) in the meantime
+
+    const message = TRACKED_EVENTS[entry.event]?.push?.(entry.data);
+    if (!message) return;
+
+    // Lazy require — processors depend on this service
+    const { notifications } = require('../workers/processors');
+    await notifications.push({
+      recipientId,
+      recipientModel: RECIPIENT_MODELS[recipientType],
+      args: [message, {
+        type: entry.event,
+        seq: String(entry.seq),
+        ...(entry.data.bookingId && { bookingId: String(entry.data.bookingId) }),
+      }],
+    });
+  }
+}
+
+module.exports = new SocketOutboxService();
@@ -0,0 +1,45 @@
+/**
+ * Geo helpers
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRad(deg) {
+  return deg * (Math.PI / 180);
+}
+
+/**
+ * Calculate distance between two coordinates (Haversine formula)
+ * @returns {number|null} Distance in km, or null if a coordinate is missing
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  if (!lat1 || !lon1 || !lat2 || !lon2) return null;
+  
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+}
+
+/**
+ * Initial bearing from the first coordinate to the second
+ * @returns {number} Degrees clockwise from north (0-360)
+ */
+function calculateBearing(lat1, lon1, lat2, lon2) {
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * (180 / Math.PI) + 360) % 360;
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  calculateDistance,
+  calculateBearing,
+};
@@ -0,0 +1,185 @@
+/**
+ * Invoice PDF — renders an Invoice document (tax invoice or credit note) to
+ * an A4 PDF in-process with pdfkit.
+ *
+ * The built-in PDF fonts have no ₹ glyph, so amounts are printed as "Rs.".
+ */
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+const COLUMNS = [
+  { key: 'index', label: '#', width: 25 },
+  { key: 'description', label: 'Description', width: 220 },
+  { key: 'sacCode', label: 'SAC', width: 60 },
+  { key: 'gstPercent', label: 'GST %', width: 60, align: 'right' },
+  { key: 'amount', label: 'Amount', width: 130, align: 'right' },
+];
+
+const formatAmount = (amount) =>
+  `Rs. ${(Number(amount) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  (date ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' }) : '-');
+
+const PAYMENT_METHODS = {
+  WALLET: 'wallet',
+  CARD: 'card',
+  UPI: 'UPI',
+  NETBANKING: 'net banking',
+  CASH: 'cash',
+  MIXED: 'split payment (wallet, online and/or cash)',
+};
+
+/**
+ * Lines for the totals block, in print order
+ */
+const totalLines = (document) => {
+  const { amounts } = document;
+  const lines = [['Taxable value', amounts.taxableValue]];
+
+  if (document.taxType === 'INTER_STATE') {
+    lines.push([`IGST @ ${amounts.igstPercent}%`, amounts.igstAmount]);
+  } else {
+    lines.push([`CGST @ ${amounts.cgstPercent}%`, amounts.cgstAmount]);
+    lines.push([`SGST @ ${amounts.sgstPercent}%`, amounts.sgstAmount]);
+  }
+
+  if (amounts.otherCharges > 0) lines.push(['Travel charge (untaxed)', amounts.otherCharges]);
+  if (amounts.discount > 0) lines.push(['Less: discount', -amounts.discount]);
+
+  return lines;
+};
+
+const drawParty = (pdf, x, y, width, heading, lines) => {
+  pdf.font('Helvetica-Bold').fontSize(9).fillColor('#555555').text(heading, x, y, { width });
+  pdf.font('Helvetica').fontSize(10).fillColor('#000000');
+  for (const line of lines.filter(Boolean)) {
+    pdf.text(line, { width });
+  }
+  return pdf.y;
+};
+
+const drawItems = (pdf, items, top) => {
+  const left = PAGE_MARGIN;
+  const rowHeight = 20;
+  let y = top;
+
+  const drawRow = (values, font) => {
+    let x = left;
+    pdf.font(font).fontSize(10);
+    for (const column of COLUMNS) {
+      pdf.text(values[column.key], x + 4, y + 5, { width: column.width - 8, align: column.align || 'left' });
+      x += column.width;
+    }
+    y += rowHeight;
+  };
+
+  const tableWidth = COLUMNS.reduce((sum, column) => sum + column.width, 0);
+  pdf.rect(left, y, tableWidth, rowHeight).fill('#f0f0f0').fillColor('#000000');
+  drawRow(Object.fromEntries(COLUMNS.map(column => [column.key, column.label])), 'Helvetica-Bold');
+
+  items.forEach((item, i) => {
+    drawRow({
+      index: String(i + 1),
+      description: item.description,
+      sacCode: item.sacCode || '-',
+      gstPercent: `${item.gstPercent || 0}%`,
+      amount: formatAmount(item.amount),
+    }, 'Helvetica');
+  });
+
+  pdf.moveTo(left, y).lineTo(left + tableWidth, y).strokeColor('#cccccc').stroke();
+  return { bottom: y, tableWidth };
+};
+
+/**
+ * Render an invoice or credit note
+ * @param {Object} document - Invoice document
+ * @param {Object} options - { original: the credited invoice, for credit notes }
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (document, { original } = {}) => new Promise((resolve, reject) => {
+  const isCreditNote = document.type === 'CREDIT_NOTE';
+  const pdf = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `${isCreditNote ? 'Credit Note' : 'Invoice'} ${document.invoiceNumber}`,
+      Author: document.supplier?.name,
+    },
+  });
+
+  const chunks = [];
+  pdf.on('data', chunk => chunks.push(chunk));
+  pdf.on('end', () => resolve(Buffer.concat(chunks)));
+  pdf.on('error', reject);
+
+  const { supplier = {}, customer = {}, amounts } = document;
+  const contentWidth = pdf.page.width - PAGE_MARGIN * 2;
+  const halfWidth = contentWidth / 2 - 10;
+
+  // Title
+  pdf.font('Helvetica-Bold').fontSize(18).text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', { align: 'right' });
+  pdf.moveDown(0.5);
+
+  // Supplier (left) and document details (right)
+  const headerTop = pdf.y;
+  const supplierBottom = drawParty(pdf, PAGE_MARGIN, headerTop, halfWidth, 'FROM', [
+    supplier.name,
+    supplier.address,
+    supplier.state && `State: ${supplier.state}`,
+    supplier.gstin && `GSTIN: ${supplier.gstin}`,
+  ]);
+  const detailsBottom = drawParty(pdf, PAGE_MARGIN + halfWidth + 20, headerTop, halfWidth, 'DETAILS', [
+    `${isCreditNote ? 'Credit note' : 'Invoice'} no: ${document.invoiceNumber}`,
+    `Date: ${formatDate(document.issuedAt)}`,
+    isCreditNote && original && `Against invoice: ${original.invoiceNumber} (${formatDate(original.issuedAt)})`,
+    `Booking: ${document.bookingCode || document.bookingId}`,
+    document.placeOfSupply && `Place of supply: ${document.placeOfSupply}`,
+  ]);
+
+  // Customer
+  const customerTop = Math.max(supplierBottom, detailsBottom) + 15;
+  const customerBottom = drawParty(pdf, PAGE_MARGIN, customerTop, contentWidth, 'BILL TO', [
+    customer.name || 'Customer',
+    customer.phone,
+    customer.email,
+    customer.address,
+  ]);
+
+  // Items and totals
+  const { bottom, tableWidth } = drawItems(pdf, document.items || [], customerBottom + 20);
+  const labelX = PAGE_MARGIN + tableWidth - 300;
+  let y = bottom + 10;
+
+  pdf.font('Helvetica').fontSize(10);
+  for (const [label, amount] of totalLines(document)) {
+    pdf.text(label, labelX, y, { width: 170 });
+    pdf.text(formatAmount(amount), labelX + 170, y, { width: 126, align: 'right' });
+    y += 16;
+  }
+
+  pdf.moveTo(labelX, y).lineTo(PAGE_MARGIN + tableWidth, y).strokeColor('#000000').stroke();
+  y += 6;
+  pdf.font('Helvetica-Bold').fontSize(11);
+  pdf.text(isCreditNote ? 'Total credited' : 'Total', labelX, y, { width: 170 });
+  pdf.text(formatAmount(amounts.totalAmount), labelX + 170, y, { width: 126, align: 'right' });
+  y += 30;
+
+  // Footer notes
+  pdf.font('Helvetica').fontSize(9).fillColor('#555555');
+  if (isCreditNote && document.reason) {
+    pdf.text(`Reason: ${document.reason}`, PAGE_MARGIN, y, { width: contentWidth });
+  } else if (document.payment?.method) {
+    pdf.text(`Paid by ${PAYMENT_METHODS[document.payment.method] || document.payment.method} on ${formatDate(document.payment.paidAt)}`, PAGE_MARGIN, y, { width: contentWidth });
+  }
+  pdf.moveDown(0.5);
+  pdf.text('This is a computer-generated document and does not require a signature.', { width: contentWidth });
+
+  pdf.end();
+});
+
+module.exports = {
+  renderInvoicePdf,
+};
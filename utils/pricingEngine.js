@@ -0,0 +1,121 @@
+/**
+ * Pricing Engine — single source of truth for price formulas
+ *
+ * Every price in the system (RegionPricing rows, /api/pricing/calculate,
+ * booking creation) is computed here. Bookings store `pricing.formulaVersion`
+ * so finance can reconcile a booking against the formula it was priced with.
+ *
+ * Formula history:
+ * - v1 (legacy, unversioned bookings): formulas differed per call site —
+ *   RegionPricing added the platform fee to the total, createBooking left it
+ *   out and subtracted it from the mechanic's share.
+ * - v2 (current):
+ *     gstAmount         = basePrice × gstPercent / 100
+ *     platformFeeAmount = basePrice × platformFeePercent / 100
+ *     subtotal          = basePrice + gstAmount + travelCharge
+ *     discount          = min(discount, subtotal)
+ *     totalAmount       = subtotal − discount              (what the customer pays)
+ *     mechanicEarning   = basePrice − platformFeeAmount + travelCharge
+ *     companyEarning    = platformFeeAmount + gstAmount − discount
+ *
+ *   The platform fee is a commission taken from the mechanic, not charged to
+ *   the customer. Travel goes to the mechanic, discounts are borne by the
+ *   company. mechanicEarning + companyEarning always equals totalAmount.
+ *   All amounts are rounded to paise (2 decimals).
+ *   The MechanicEarning for a job (services/bookingCompletion) uses the same
+ *   split — fee on basePrice, travel passed through — and then deducts 18%
+ *   GST on the platform fee, which the booking's mechanicEarning leaves out.
+ *
+ * Travel charge: flat (RegionPricing.travelCharge) unless the region prices
+ * travel by distance (Region.travelPricing, mode DISTANCE):
+ *     travelCharge = min(baseCharge + Σ slab.ratePerKm × km within the slab, maxCharge)
+ *   over the mechanic's straight-line distance at acceptance. Slabs are
+ *   consecutive bands ending at upToKm (none = open-ended), so
+ *   [{ upToKm: 2, ratePerKm: 0 }, { ratePerKm: 12 }] is "free up to 2 km,
+ *   ₹12/km after".
+ */
+
+const FORMULA_VERSION = 2;
+
+const DEFAULTS = {
+  gstPercent: 18,
+  platformFeePercent: 25,
+  travelCharge: 88,
+};
+
+/**
+ * Round to paise
+ * @param {Number} amount
+ * @returns {Number}
+ */
+const roundAmount = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Calculate the full price breakdown
+ * @param {Object} inputs - { basePrice, gstPercent, platformFeePercent, travelCharge, discount }
+ * @returns {Object} Versioned breakdown
+ */
+const calculate = (inputs = {}) => {
+  const basePrice = roundAmount(inputs.basePrice);
+  const gstPercent = inputs.gstPercent ?? DEFAULTS.gstPercent;
+  const platformFeePercent = inputs.platformFeePercent ?? DEFAULTS.platformFeePercent;
+  const travelCharge = roundAmount(inputs.travelCharge ?? DEFAULTS.travelCharge);
+
+  const gstAmount = roundAmount((basePrice * gstPercent) / 100);
+  const platformFeeAmount = roundAmount((basePrice * platformFeePercent) / 100);
+  const subtotal = roundAmount(basePrice + gstAmount + travelCharge);
+  const discount = Math.min(roundAmount(Math.max(inputs.discount || 0, 0)), subtotal);
+
+  const totalAmount = roundAmount(subtotal - discount);
+  const mechanicEarning = roundAmount(basePrice - platformFeeAmount + travelCharge);
+  const companyEarning = roundAmount(totalAmount - mechanicEarning);
+
+  return {
+    formulaVersion: FORMULA_VERSION,
+    basePrice,
+    gstPercent,
+    gstAmount,
+    platformFeePercent,
+    platformFeeAmount,
+    travelCharge,
+    subtotal,
+    discount,
+    totalAmount,
+    mechanicEarning,
+    companyEarning,
+  };
+};
+
+/**
+ * Distance-based travel charge
+ * @param {Number} distanceKm - Mechanic's distance from the booking
+ * @param {Object} travelPricing - { baseCharge, slabs: [{ upToKm, ratePerKm }], maxCharge }
+ * @returns {Number}
+ */
+const calculateTravelCharge = (distanceKm, travelPricing = {}) => {
+  const distance = Math.max(Number(distanceKm) || 0, 0);
+  const slabs = [...(travelPricing.slabs || [])]
+    .sort((a, b) => (a.upToKm ?? Infinity) - (b.upToKm ?? Infinity));
+
+  let charge = travelPricing.baseCharge || 0;
+  let fromKm = 0;
+  for (const slab of slabs) {
+    const toKm = slab.upToKm ?? Infinity;
+    if (distance <= fromKm) break;
+    charge += (Math.min(distance, toKm) - fromKm) * (slab.ratePerKm || 0);
+    fromKm = toKm;
+  }
+
+  if (travelPricing.maxCharge !== undefined && travelPricing.maxCharge !== null) {
+    charge = Math.min(charge, travelPricing.maxCharge);
+  }
+  return roundAmount(Math.max(charge, 0));
+};
+
+module.exports = {
+  FORMULA_VERSION,
+  DEFAULTS,
+  roundAmount,
+  calculate,
+  calculateTravelCharge,
+};
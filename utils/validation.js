@@ -120,6 +120,55 @@ const userValidations = {
     longitude: schemas.coordinates.longitude,
     address: Joi.string(),
   }),
+
+  createAddress: Joi.object({
+    label: Joi.string().valid('HOME', 'WORK', 'OTHER').default('OTHER'),
+    customLabel: Joi.string().trim().max(30).when('label', {
+      is: 'OTHER',
+      then: Joi.required(),
+      otherwise: Joi.strip(),
+    }),
+    latitude: schemas.coordinates.latitude,
+    longitude: schemas.coordinates.longitude,
+    address: Joi.string().trim().max(300).required(),
+    landmark: Joi.string().trim().max(100).allow(''),
+    isDefault: Joi.boolean(),
+  }),
+
+  updateAddress: Joi.object({
+    label: Joi.string().valid('HOME', 'WORK', 'OTHER'),
+    customLabel: Joi.string().trim().max(30),
+    latitude: Joi.number().min(-90).max(90),
+    longitude: Joi.number().min(-180).max(180),
+    address: Joi.string().trim().max(300),
+    landmark: Joi.string().trim().max(100).allow(''),
+    isDefault: Joi.boolean(),
+  }).and('latitude', 'longitude').min(1),
+
+  createVehicle: Joi.object({
+    type: Joi.string().valid('BIKE', 'CAR', 'TRUCK', 'AUTO').required(),
+    make: Joi.string().trim().max(50),
+    model: Joi.string().trim().max(50),
+    registrationNumber: Joi.string().trim().max(20),
+    fuelType: Joi.string().valid('PETROL', 'DIESEL', 'CNG', 'LPG', 'ELECTRIC', 'HYBRID'),
+    year: Joi.number().integer().min(1950).max(new Date().getFullYear() + 1),
+    nickname: Joi.string().trim().max(30).allow(''),
+  }),
+
+  updateVehicle: Joi.object({
+    type: Joi.string().valid('BIKE', 'CAR', 'TRUCK', 'AUTO'),
+    make: Joi.string().trim().max(50).allow(''),
+    model: Joi.string().trim().max(50).allow(''),
+    registrationNumber: Joi.string().trim().max(20).allow(''),
+    fuelType: Joi.string().valid('PETROL', 'DIESEL', 'CNG', 'LPG', 'ELECTRIC', 'HYBRID').allow(null),
+    year: Joi.number().integer().min(1950).max(new Date().getFullYear() + 1).allow(null),
+    nickname: Joi.string().trim().max(30).allow(''),
+  }).min(1),
+
+  updateVehicleReminders: Joi.object({
+    snoozeDays: Joi.number().integer().min(0).max(90), // 0 ends a snooze
+    optedOut: Joi.boolean(),
+  }).min(1),
 };
 
 // Wallet validations
@@ -143,23 +192,29 @@ const walletValidations = {
 const bookingValidations = {
   create: Joi.object({
     serviceId: schemas.objectId.required(),
+    regionId: schemas.objectId,
+    // Either raw coordinates or a saved address (GET /api/user/addresses)
     location: Joi.object({
       latitude: schemas.coordinates.latitude,
       longitude: schemas.coordinates.longitude,
       address: Joi.string().required(),
       landmark: Joi.string(),
-    }).required(),
+    }),
+    addressId: schemas.objectId,
+    // Either typed in or a garage vehicle (GET /api/user/vehicles)
     vehicleDetails: Joi.object({
       type: Joi.string().valid('BIKE', 'CAR', 'TRUCK', 'AUTO').required(),
       make: Joi.string(),
       model: Joi.string(),
       registrationNumber: Joi.string(),
     }),
+    vehicleId: schemas.objectId,
     scheduledAt: Joi.date().greater('now'),
     notes: Joi.string().max(500),
-    paymentMethod: Joi.string().valid('WALLET', 'CARD', 'UPI', 'CASH'),
+    // MIXED: split across wallet, online and cash (POST /api/booking/:id/pay-split)
+    paymentMethod: Joi.string().valid('WALLET', 'CARD', 'UPI', 'CASH', 'MIXED'),
     promoCode: Joi.string(),
-  }),
+  }).xor('location', 'addressId').oxor('vehicleDetails', 'vehicleId'),
 
   updateStatus: Joi.object({
     status: Joi.string().valid(
@@ -179,6 +234,20 @@ const bookingValidations = {
     rating: Joi.number().min(1).max(5).required(),
     review: Joi.string().max(500),
   }),
+
+  reschedule: Joi.object({
+    scheduledAt: Joi.date().greater('now').required(),
+  }),
+
+  payWallet: Joi.object({
+    amount: Joi.number().positive().precision(2),
+  }),
+
+  // Wallet part (capped at what is due) and how the rest is paid
+  paySplit: Joi.object({
+    walletAmount: Joi.number().min(0).precision(2),
+    remainder: Joi.string().valid('ONLINE', 'CASH'),
+  }).or('walletAmount', 'remainder').required(),
 };
 
 // Mechanic validations
@@ -203,6 +272,11 @@ const mechanicValidations = {
     ),
   }),
 
+  updateServices: Joi.object({
+    serviceIds: Joi.array().items(schemas.objectId).max(100).default([]),
+    categoryIds: Joi.array().items(schemas.objectId).max(20).default([]),
+  }),
+
   updateBankDetails: Joi.object({
     accountHolderName: Joi.string().min(3).max(100).required(),
     accountNumber: Joi.string().min(9).max(18).required(),
@@ -270,6 +344,74 @@ const complaintValidations = {
   }),
 };
 
+// Cancellation policy validations (admin)
+const cancellationRule = Joi.object({
+  bookingStatus: Joi.string().valid('PENDING', 'SEARCHING', 'ASSIGNED', 'ACCEPTED', 'EN_ROUTE', 'ARRIVED').required(),
+  afterMinutes: Joi.number().integer().min(0).default(0),
+  fixedFee: Joi.number().min(0).default(0),
+  includeTravelCharge: Joi.boolean().default(false),
+});
+
+const cancellationPolicyValidations = {
+  create: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    regionId: schemas.objectId.allow(null),
+    serviceId: schemas.objectId.allow(null),
+    rules: Joi.array().items(cancellationRule).required(),
+    mechanicSharePercent: Joi.number().min(0).max(100),
+    status: Joi.string().valid('ACTIVE', 'INACTIVE'),
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().max(100),
+    rules: Joi.array().items(cancellationRule),
+    mechanicSharePercent: Joi.number().min(0).max(100),
+    status: Joi.string().valid('ACTIVE', 'INACTIVE'),
+  }),
+};
+
+// Dispatch config validations (admin)
+const dispatchConfigFields = {
+  strategy: Joi.string().valid('SEQUENTIAL', 'BATCHED', 'PROGRESSIVE_RADIUS'),
+  batchSize: Joi.number().integer().min(1).max(20),
+  mechanicTimeoutSeconds: Joi.number().integer().min(5).max(120),
+  totalTimeoutSeconds: Joi.number().integer().min(30).max(900),
+  radiusTiersKm: Joi.array().items(Joi.number().positive().max(50)).min(1).max(5),
+  skillFallback: Joi.string().valid('NONE', 'ALLOW_UNLISTED', 'ANY_SKILL'),
+  rankingWeights: Joi.object({
+    distance: Joi.number().min(0).max(100),
+    rating: Joi.number().min(0).max(100),
+    title: Joi.number().min(0).max(100),
+    acceptance: Joi.number().min(0).max(100),
+    complaints: Joi.number().min(0).max(100),
+    serviceMatch: Joi.number().min(0).max(100),
+  }),
+  status: Joi.string().valid('ACTIVE', 'INACTIVE'),
+};
+
+const dispatchConfigValidations = {
+  create: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    regionId: schemas.objectId.allow(null),
+    serviceId: schemas.objectId.allow(null),
+    ...dispatchConfigFields,
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().max(100),
+    ...dispatchConfigFields,
+  }),
+};
+
+// Invoice validations
+const invoiceValidations = {
+  creditNote: Joi.object({
+    refundId: schemas.objectId,
+    amount: Joi.number().positive().precision(2),
+    reason: Joi.string().trim().max(300),
+  }).or('refundId', 'amount'),
+};
+
 module.exports = {
   validate,
   schemas,
@@ -281,4 +423,7 @@ module.exports = {
   referralValidations,
   notificationValidations,
   complaintValidations,
+  cancellationPolicyValidations,
+  dispatchConfigValidations,
+  invoiceValidations,
 };
@@ -0,0 +1,78 @@
+/**
+ * Background worker — processes the Bull queues defined in services/queue.service.js
+ *
+ * Run: node workers/index.js (or npm run worker)
+ *
+ * Handles the notifications, emails and payments queues. The bookings queue
+ * (scheduled dispatch, reminders) stays with the API process: dispatch keeps
+ * its offer state in memory and talks to mechanics over the API's sockets.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const queueService = require('../services/queue.service');
+const processors = require('./processors');
+const redisService = require('../services/redis.service');
+const { logger } = require('../services/logger.service');
+
+const MONGO_URI = process.env.MONGO_URI;
+
+const startWorker = async () => {
+  try {
+    await mongoose.connect(MONGO_URI, {
+      maxPoolSize: 10,
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+      family: 4,
+    });
+    logger.info('✅ Worker connected to MongoDB');
+
+    if (!process.env.REDIS_HOST) {
+      logger.warn('⚠️ REDIS_HOST not set — queues run inline in the API process, nothing to do here');
+    } else {
+      // Socket outbox fallbacks read the outbox
+      await redisService.connect();
+    }
+
+    queueService.processNotifications(processors.notifications);
+    queueService.processEmails(processors.emails);
+    queueService.processPayments(processors.payments);
+    logger.info('🛠️ Worker processing notifications, emails and payments queues');
+
+    if (process.send) {
+      process.send('ready');
+    }
+  } catch (error) {
+    logger.error('❌ Failed to start worker:', { error: error.message, stack: error.stack });
+    process.exit(1);
+  }
+};
+
+/**
+ * Let active jobs finish, then close connections
+ */
+const gracefulShutdown = async (signal) => {
+  logger.info(`${signal} received. Stopping worker...`);
+
+  // Force exit after 30 seconds if jobs don't finish
+  setTimeout(() => {
+    logger.error('⚠️ Forced worker shutdown after 30s timeout');
+    process.exit(1);
+  }, 30000).unref();
+
+  try {
+    await queueService.closeQueues();
+    await redisService.disconnect();
+    await mongoose.connection.close();
+    logger.info('🛑 Worker shut down complete');
+    process.exit(0);
+  } catch (shutdownError) {
+    logger.error('Error during worker shutdown:', { error: shutdownError.message });
+    process.exit(1);
+  }
+};
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+startWorker();
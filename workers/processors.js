@@ -0,0 +1,124 @@
+/**
+ * Background job processors, keyed by queue name then job name.
+ *
+ * Registered by workers/index.js; in mock mode queue.service runs them inline.
+ * Bull retries failed jobs and admins can retry them again by hand, so every
+ * processor checks whether its side effect already happened before doing it.
+ */
+
+const User = require('../models/User');
+const Mechanic = require('../models/Mechanic');
+const Notification = require('../models/Notification');
+const MechanicEarning = require('../models/MechanicEarning');
+const firebaseService = require('../services/firebase.service');
+const bookingCompletionService = require('../services/bookingCompletion.service');
+const socketOutbox = require('../services/socketOutbox.service');
+const serviceReminderService = require('../services/serviceReminder.service');
+const earningsController = require('../controller/earnings.controller');
+
+const notifications = {
+  /**
+   * FCM push. The token is read at send time so a refreshed token is used.
+   * data: { recipientId, recipientModel: 'User' | 'Mechanic', template, args }
+   *   template - firebase.service sender, called as template(token, ...args);
+   *              defaults to sendPushNotification(token, { title, body }, data)
+   */
+  push: async ({ recipientId, recipientModel = 'User', template = 'sendPushNotification', args = [] }) => {
+    const send = firebaseService[template];
+    if (typeof send !== 'function') {
+      throw new Error(`Unknown push template: ${template}`);
+    }
+
+    const Model = recipientModel === 'Mechanic' ? Mechanic : User;
+    const recipient = await Model.findById(recipientId).select('fcmToken');
+    if (!recipient?.fcmToken) {
+      console.log(`📱 No FCM token for ${recipientModel} ${recipientId}, skipping push`);
+      return;
+    }
+
+    await send(recipient.fcmToken, ...args);
+  },
+
+  /**
+   * In-app Notification document. The job id is stored as dedupeKey.
+   * data: Notification fields
+   */
+  'in-app': async (data, job) => {
+    try {
+      await Notification.createNotification({ ...data, dedupeKey: job.id });
+    } catch (error) {
+      if (error.code === 11000) return; // Created by an earlier attempt
+      throw error;
+    }
+  },
+
+  /**
+   * FCM push for a socket event the client never acked (delayed job)
+   * data: { recipientType: 'USER' | 'MECHANIC', recipientId, seq }
+   */
+  'outbox-fallback': async (data) => {
+    await socketOutbox.sendFallback(data);
+  },
+
+  /**
+   * Daily "your vehicle is due for a service" reminders (repeatable job)
+   */
+  'service-reminders': async () => {
+    return serviceReminderService.run();
+  },
+};
+
+const emails = {
+  /**
+   * No email provider is configured yet — log so the job is visible
+   * data: { to, subject, body }
+   */
+  send: async ({ to, subject }) => {
+    console.log(`📧 Email to ${to}: ${subject} (no email provider configured)`);
+  },
+};
+
+const payments = {
+  /**
+   * Mechanic earning for a booking, at most one per booking and type
+   * data: earningsController.createEarning() payload
+   */
+  earning: async (data) => {
+    const type = data.type || 'JOB';
+    if (await MechanicEarning.exists({ bookingId: data.bookingId, type })) {
+      console.log(`💰 ${type} earning for booking ${data.bookingCode || data.bookingId} already exists`);
+      return;
+    }
+
+    await earningsController.createEarning({ ...data, type });
+  },
+
+  /**
+   * Reward points, at most once per source and reference
+   * data: { userId, source, referenceId, description }
+   */
+  'reward-points': async ({ userId, source, referenceId, description }) => {
+    await bookingCompletionService.awardPoints(userId, source, referenceId, description);
+  },
+
+  /**
+   * One step of the booking completion saga (outcome recorded on the booking)
+   * data: { bookingId, step }
+   */
+  'completion-step': async ({ bookingId, step }) => {
+    await bookingCompletionService.runStep(bookingId, step);
+  },
+
+  /**
+   * Repair completed bookings with missing side effects (repeatable job)
+   */
+  'reconcile-completions': async () => {
+    return bookingCompletionService.reconcile();
+  },
+};
+
+module.exports = {
+  notifications,
+  emails,
+  payments,
+};